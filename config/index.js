@@ -0,0 +1,419 @@
+/**
+ * Application configuration
+ *
+ * Every setting has a default, can be set in an optional JSON or YAML file
+ * named by CONFIG_FILE, and can be overridden by its environment variable.
+ * Values are validated when the configuration is loaded, and every problem
+ * is reported at once so the server refuses to start with a bad setting
+ * instead of failing on the first request that uses it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { DEFAULT_LIMITS } = require('../lib/archives');
+const { parseTrustedProxies } = require('../lib/rate-limit');
+
+const MB = 1024 * 1024;
+
+/**
+ * Raised when the configuration is invalid; `errors` lists every problem
+ */
+class ConfigError extends Error {
+  /**
+   * @param {string[]} errors - One message per invalid setting
+   */
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Every setting with its path in the config file, environment variable,
+ * type and default. `secret` settings are redacted by redactConfig().
+ */
+const SETTINGS = [
+  { key: 'server.port', env: 'PORT', type: 'integer', min: 1, max: 65535, default: 3000 },
+  { key: 'server.host', env: 'HOST', type: 'string', default: '0.0.0.0' },
+  { key: 'uploads.dir', env: 'UPLOAD_DIR', type: 'string', default: 'uploads/' },
+  { key: 'uploads.maxFileSize', env: 'UPLOAD_MAX_FILE_SIZE', type: 'integer', min: 1, default: 100 * MB },
+  { key: 'uploads.maxFields', env: 'UPLOAD_MAX_FIELDS', type: 'integer', min: 0, default: 10 },
+  { key: 'uploads.maxFieldSize', env: 'UPLOAD_MAX_FIELD_SIZE', type: 'integer', min: 1, default: 64 * 1024 },
+  { key: 'uploads.allowedExtensions', env: 'UPLOAD_ALLOWED_EXTENSIONS', type: 'list', default: [] },
+  { key: 'uploads.blockedExtensions', env: 'UPLOAD_BLOCKED_EXTENSIONS', type: 'list', default: [] },
+  { key: 'uploads.allowedTypes', env: 'UPLOAD_ALLOWED_TYPES', type: 'list', default: [] },
+  { key: 'uploads.blockedTypes', env: 'UPLOAD_BLOCKED_TYPES', type: 'list', default: [] },
+
+  { key: 'logging.level', env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'], default: 'info' },
+  { key: 'logging.output', env: 'LOG_OUTPUT', type: 'enum', values: ['stdout', 'file'], default: 'stdout' },
+  { key: 'logging.dir', env: 'LOG_DIR', type: 'string', default: 'logs/' },
+  { key: 'logging.maxSize', env: 'LOG_MAX_SIZE', type: 'integer', min: 1, default: 10 * MB },
+  { key: 'logging.maxFiles', env: 'LOG_MAX_FILES', type: 'integer', min: 1, default: 5 },
+  { key: 'audit.enabled', env: 'AUDIT_LOG', type: 'boolean', default: true },
+  { key: 'audit.output', env: 'AUDIT_LOG_OUTPUT', type: 'enum', values: ['stdout', 'file'], default: 'file' },
+  { key: 'audit.maxFiles', env: 'AUDIT_LOG_MAX_FILES', type: 'integer', min: 0, default: 0 },
+
+  { key: 'scanner.engine', env: 'SCANNER_ENGINE', type: 'enum', values: ['clamscan', 'clamd', 'uvscan', 'command'], default: null },
+  { key: 'scanner.clamscanPath', env: 'CLAMAV_PATH', type: 'string', default: null },
+  { key: 'scanner.uvscanPath', env: 'UVSCAN_PATH', type: 'string', default: null },
+  { key: 'scanner.command', env: 'SCANNER_COMMAND', type: 'string', default: null },
+  { key: 'scanner.versionCommand', env: 'SCANNER_VERSION_COMMAND', type: 'string', default: null },
+  { key: 'scanner.cleanCodes', env: 'SCANNER_CLEAN_CODES', type: 'string', default: null },
+  { key: 'scanner.infectedCodes', env: 'SCANNER_INFECTED_CODES', type: 'string', default: null },
+  { key: 'scanner.threatPattern', env: 'SCANNER_THREAT_PATTERN', type: 'regexp', default: null },
+  { key: 'scanner.name', env: 'SCANNER_NAME', type: 'string', default: null },
+  { key: 'scanner.timeout', env: 'SCAN_TIMEOUT', type: 'integer', min: 1, default: 5 * 60 * 1000 },
+  { key: 'scanner.maxTimeout', env: 'SCAN_MAX_TIMEOUT', type: 'integer', min: 1, default: 30 * 60 * 1000 },
+  { key: 'scanner.maxProcesses', env: 'SCANNER_MAX_PROCESSES', type: 'integer', min: 1, default: 4 },
+  { key: 'scanner.maxOutput', env: 'SCANNER_MAX_OUTPUT', type: 'integer', min: 1024, default: 1024 * 1024 },
+  { key: 'scanner.env', env: 'SCANNER_ENV', type: 'list', default: [] },
+  { key: 'scanner.databaseDir', env: 'CLAMAV_DB_DIR', type: 'string', default: null },
+  { key: 'scanner.sigtoolPath', env: 'SIGTOOL_PATH', type: 'string', default: null },
+  { key: 'scanner.updateCommand', env: 'SCANNER_UPDATE_COMMAND', type: 'string', default: null },
+  { key: 'scanner.updateTimeout', env: 'SCANNER_UPDATE_TIMEOUT', type: 'integer', min: 1, default: 10 * 60 * 1000 },
+  { key: 'scanner.updateLockFile', env: 'SCANNER_UPDATE_LOCK_FILE', type: 'string', default: null },
+  { key: 'scanner.clamd.socket', env: 'CLAMD_SOCKET', type: 'string', default: null },
+  { key: 'scanner.clamd.host', env: 'CLAMD_HOST', type: 'string', default: null },
+  { key: 'scanner.clamd.port', env: 'CLAMD_PORT', type: 'integer', min: 1, max: 65535, default: 3310 },
+  { key: 'scanner.clamd.timeout', env: 'CLAMD_TIMEOUT', type: 'integer', min: 1, default: 30000 },
+  { key: 'scanner.clamd.poolSize', env: 'CLAMD_POOL_SIZE', type: 'integer', min: 1, default: 4 },
+
+  { key: 'batch.maxFiles', env: 'BATCH_MAX_FILES', type: 'integer', min: 1, default: 20 },
+  { key: 'batch.concurrency', env: 'BATCH_CONCURRENCY', type: 'integer', min: 1, default: 4 },
+
+  { key: 'archives.enabled', env: 'ARCHIVE_SCAN', type: 'boolean', default: true },
+  { key: 'archives.concurrency', env: 'ARCHIVE_CONCURRENCY', type: 'integer', min: 1, default: 4 },
+  { key: 'archives.tempDir', env: 'ARCHIVE_TEMP_DIR', type: 'string', default: null },
+  { key: 'archives.maxDepth', env: 'ARCHIVE_MAX_DEPTH', type: 'integer', min: 1, default: DEFAULT_LIMITS.maxDepth },
+  { key: 'archives.maxEntries', env: 'ARCHIVE_MAX_ENTRIES', type: 'integer', min: 1, default: DEFAULT_LIMITS.maxEntries },
+  { key: 'archives.maxTotalSize', env: 'ARCHIVE_MAX_TOTAL_SIZE', type: 'integer', min: 1, default: DEFAULT_LIMITS.maxTotalSize },
+  { key: 'archives.maxRatio', env: 'ARCHIVE_MAX_RATIO', type: 'integer', min: 1, default: DEFAULT_LIMITS.maxRatio },
+
+  { key: 'stream.maxSize', env: 'STREAM_MAX_SIZE', type: 'integer', min: 1, default: 1024 * MB },
+
+  { key: 'urlScan.maxSize', env: 'URL_SCAN_MAX_SIZE', type: 'integer', min: 1, default: 100 * MB },
+  { key: 'urlScan.timeout', env: 'URL_SCAN_TIMEOUT', type: 'integer', min: 1, default: 30000 },
+  { key: 'urlScan.maxRedirects', env: 'URL_SCAN_MAX_REDIRECTS', type: 'integer', min: 0, default: 3 },
+  { key: 'urlScan.allowedHosts', env: 'URL_SCAN_ALLOWED_HOSTS', type: 'list', default: [] },
+  { key: 'urlScan.allowPrivate', env: 'URL_SCAN_ALLOW_PRIVATE', type: 'boolean', default: false },
+
+  { key: 'verdictCache.enabled', env: 'VERDICT_CACHE', type: 'boolean', default: true },
+  { key: 'verdictCache.size', env: 'VERDICT_CACHE_SIZE', type: 'integer', min: 1, default: 10000 },
+  { key: 'verdictCache.versionTtl', env: 'VERDICT_CACHE_VERSION_TTL', type: 'integer', min: 1, default: 60000 },
+
+  { key: 'queue.concurrency', env: 'SCAN_CONCURRENCY', type: 'integer', min: 1, default: 2 },
+  { key: 'queue.retention', env: 'SCAN_JOB_RETENTION', type: 'integer', min: 1, default: 60 * 60 * 1000 },
+
+  { key: 'policies.file', env: 'SCAN_POLICIES_FILE', type: 'string', default: null },
+  { key: 'policies.default', env: 'SCAN_POLICY', type: 'string', default: null },
+
+  { key: 'history.enabled', env: 'SCAN_HISTORY', type: 'boolean', default: true },
+  { key: 'history.file', env: 'SCAN_HISTORY_FILE', type: 'string', default: null },
+  { key: 'history.retentionDays', env: 'SCAN_HISTORY_RETENTION_DAYS', type: 'integer', min: 1, default: 30 },
+  { key: 'history.maxRecords', env: 'SCAN_HISTORY_MAX_RECORDS', type: 'integer', min: 1, default: 100000 },
+
+  { key: 'quarantine.enabled', env: 'QUARANTINE', type: 'boolean', default: false },
+  { key: 'quarantine.dir', env: 'QUARANTINE_DIR', type: 'string', default: 'quarantine/' },
+  { key: 'quarantine.key', env: 'QUARANTINE_KEY', type: 'string', secret: true, default: null },
+  { key: 'quarantine.retentionDays', env: 'QUARANTINE_RETENTION_DAYS', type: 'integer', min: 1, default: 30 },
+  { key: 'quarantine.archivePassword', env: 'QUARANTINE_ARCHIVE_PASSWORD', type: 'string', secret: true, default: 'infected' },
+
+  { key: 'health.maxSignatureAge', env: 'HEALTH_MAX_SIGNATURE_AGE', type: 'integer', min: 1, default: 3 * 24 * 60 * 60 * 1000 },
+  { key: 'health.maxQueued', env: 'HEALTH_MAX_QUEUED', type: 'integer', min: 1, default: 100 },
+  { key: 'health.timeout', env: 'HEALTH_TIMEOUT', type: 'integer', min: 1, default: 5000 },
+
+  { key: 'webhooks.secret', env: 'WEBHOOK_SECRET', type: 'string', secret: true, default: null },
+  { key: 'webhooks.maxAttempts', env: 'WEBHOOK_MAX_ATTEMPTS', type: 'integer', min: 1, default: 5 },
+  { key: 'webhooks.retryDelay', env: 'WEBHOOK_RETRY_DELAY', type: 'integer', min: 1, default: 1000 },
+  { key: 'webhooks.timeout', env: 'WEBHOOK_TIMEOUT', type: 'integer', min: 1, default: 10000 },
+  { key: 'webhooks.allowPrivate', env: 'WEBHOOK_ALLOW_PRIVATE', type: 'boolean', default: false },
+
+  { key: 'auth.allowAnonymous', env: 'AUTH_ALLOW_ANONYMOUS', type: 'boolean', default: false },
+  { key: 'auth.adminKey', env: 'API_ADMIN_KEY', type: 'string', secret: true, default: null },
+  { key: 'auth.keysFile', env: 'API_KEYS_FILE', type: 'string', default: null },
+
+  { key: 'rateLimit.enabled', env: 'RATE_LIMIT', type: 'boolean', default: true },
+  { key: 'rateLimit.window', env: 'RATE_LIMIT_WINDOW', type: 'integer', min: 1, default: 60000 },
+  { key: 'rateLimit.scanMax', env: 'RATE_LIMIT_SCAN_MAX', type: 'integer', min: 1, default: 30 },
+  { key: 'rateLimit.readMax', env: 'RATE_LIMIT_READ_MAX', type: 'integer', min: 1, default: 300 },
+  { key: 'rateLimit.addressMax', env: 'RATE_LIMIT_ADDRESS_MAX', type: 'integer', min: 1, default: 600 },
+  { key: 'rateLimit.redisUrl', env: 'RATE_LIMIT_REDIS_URL', type: 'url', protocols: ['redis:', 'rediss:'], secret: true, default: null },
+  { key: 'rateLimit.trustedProxies', env: 'TRUSTED_PROXIES', type: 'list', default: [] }
+];
+
+/**
+ * Convert and check one value
+ * @param {Object} setting - Entry from SETTINGS
+ * @param {*} value - Value from the environment (always a string) or the config file
+ * @returns {*} The converted value
+ * @throws {Error} With a description of the expected value
+ */
+function parseValue(setting, value) {
+  const fromEnv = typeof value === 'string';
+
+  switch (setting.type) {
+    case 'integer': {
+      const number = fromEnv && /^\s*-?\d+\s*$/.test(value) ? parseInt(value, 10) : value;
+      const max = setting.max !== undefined ? setting.max : Number.MAX_SAFE_INTEGER;
+      if (!Number.isSafeInteger(number) || number < setting.min || number > max) {
+        throw new Error(setting.max !== undefined
+          ? `must be an integer from ${setting.min} to ${setting.max}`
+          : `must be an integer of at least ${setting.min}`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      if (['true', '1'].includes(value)) {
+        return true;
+      }
+      if (['false', '0'].includes(value)) {
+        return false;
+      }
+      throw new Error('must be true or false');
+    case 'list':
+      if (fromEnv) {
+        return value.split(',').map((entry) => entry.trim()).filter(Boolean);
+      }
+      if (!Array.isArray(value) || value.some((entry) => typeof entry !== 'string')) {
+        throw new Error('must be a list of strings');
+      }
+      return value;
+    case 'enum':
+      if (!setting.values.includes(value)) {
+        throw new Error(`must be one of: ${setting.values.join(', ')}`);
+      }
+      return value;
+    case 'regexp':
+    case 'url':
+    case 'string':
+      if (typeof value !== 'string') {
+        throw new Error('must be a string');
+      }
+      if (setting.type === 'regexp') {
+        try {
+          RegExp(value);
+        } catch (error) {
+          throw new Error(`must be a valid regular expression (${error.message})`);
+        }
+      }
+      if (setting.type === 'url') {
+        let url;
+        try {
+          url = new URL(value);
+        } catch (error) {
+          throw new Error('must be a valid URL');
+        }
+        if (!setting.protocols.includes(url.protocol)) {
+          throw new Error(`must be a ${setting.protocols.map((protocol) => `${protocol}//`).join(' or ')} URL`);
+        }
+      }
+      return value;
+    default:
+      throw new Error(`has unknown type ${setting.type}`);
+  }
+}
+
+/**
+ * Read a nested value such as `scanner.clamd.port`
+ * @param {Object} object - Object to read from
+ * @param {string} key - Dotted path
+ * @returns {*} The value, or undefined when any part is missing
+ */
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+/**
+ * Set a nested value, creating intermediate objects
+ * @param {Object} object - Object to write to
+ * @param {string} key - Dotted path
+ * @param {*} value - Value to set
+ */
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((target, part) => {
+    target[part] = target[part] || {};
+    return target[part];
+  }, object);
+
+  parent[last] = value;
+}
+
+/**
+ * List the dotted paths of every leaf value in a config file
+ * @param {Object} object - Parsed config file
+ * @param {string} [prefix] - Path of `object` itself
+ * @returns {string[]}
+ */
+function leafPaths(object, prefix = '') {
+  return Object.entries(object).flatMap(([name, value]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    return value && typeof value === 'object' && !Array.isArray(value) ? leafPaths(value, key) : [key];
+  });
+}
+
+/**
+ * Read and parse a JSON or YAML config file
+ * @param {string} file - Path to the file; .yaml and .yml files are parsed as YAML
+ * @returns {Object} Parsed settings
+ * @throws {ConfigError} When the file cannot be read or parsed
+ */
+function readConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE: cannot read ${file} (${error.message})`]);
+  }
+
+  let data;
+  try {
+    data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE: cannot parse ${file} (${error.message})`]);
+  }
+
+  if (data === null || data === undefined) {
+    return {};
+  }
+
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new ConfigError([`CONFIG_FILE: ${file} must contain an object of settings`]);
+  }
+
+  return data;
+}
+
+/**
+ * Load and validate the configuration
+ * @param {Object} [options] - Where to read settings from
+ * @param {Object} [options.env=process.env] - Environment variables
+ * @param {string} [options.file] - Config file, defaults to the CONFIG_FILE variable
+ * @returns {Object} Nested configuration, e.g. `config.server.port`
+ * @throws {ConfigError} Listing every invalid or unknown setting
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const file = options.file !== undefined ? options.file : env.CONFIG_FILE;
+  const fileSettings = file ? readConfigFile(file) : {};
+  const fileName = file ? path.basename(file) : null;
+
+  const known = new Set(SETTINGS.map((setting) => setting.key));
+  const errors = leafPaths(fileSettings)
+    .filter((key) => !known.has(key))
+    .map((key) => `${key} in ${fileName}: unknown setting`);
+
+  const config = {};
+  SETTINGS.forEach((setting) => {
+    let value = setting.default;
+    let source;
+
+    const fromFile = getPath(fileSettings, setting.key);
+    if (fromFile !== undefined && fromFile !== null) {
+      value = fromFile;
+      source = `${setting.key} in ${fileName}`;
+    }
+
+    // Empty variables are treated as unset, as docker-compose passes them for unset host variables
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      value = env[setting.env];
+      source = setting.env;
+    }
+
+    if (source) {
+      try {
+        value = parseValue(setting, value);
+      } catch (error) {
+        errors.push(`${source} ${error.message} (got ${JSON.stringify(value)})`);
+      }
+    }
+
+    setPath(config, setting.key, value);
+  });
+
+  try {
+    parseTrustedProxies(config.rateLimit.trustedProxies);
+  } catch (error) {
+    errors.push(`TRUSTED_PROXIES: ${error.message}`);
+  }
+
+  if (config.scanner.engine === 'command' && !config.scanner.command) {
+    errors.push('SCANNER_COMMAND is required when SCANNER_ENGINE is command');
+  }
+
+  if (config.scanner.timeout > config.scanner.maxTimeout) {
+    errors.push('SCAN_TIMEOUT must not be greater than SCAN_MAX_TIMEOUT');
+  }
+
+  if (config.quarantine.enabled && !config.quarantine.key) {
+    errors.push('QUARANTINE_KEY is required when QUARANTINE is true');
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(errors);
+  }
+
+  config.file = file ? path.resolve(file) : null;
+  return config;
+}
+
+/**
+ * Copy the configuration with secrets hidden, for display
+ * @param {Object} config - Result of loadConfig()
+ * @returns {Object} Configuration with secrets replaced by `[redacted]` and URL credentials by `redacted`
+ */
+function redactConfig(config) {
+  const redacted = JSON.parse(JSON.stringify(config));
+
+  SETTINGS.filter((setting) => setting.secret).forEach((setting) => {
+    const value = getPath(config, setting.key);
+    if (value === null || value === undefined) {
+      return;
+    }
+
+    // Only hide the credentials of URLs so the target is still visible
+    if (setting.type === 'url') {
+      const url = new URL(value);
+      if (url.username) {
+        url.username = 'redacted';
+      }
+      if (url.password) {
+        url.password = 'redacted';
+      }
+      setPath(redacted, setting.key, url.href);
+      return;
+    }
+
+    setPath(redacted, setting.key, '[redacted]');
+  });
+
+  return redacted;
+}
+
+let current = null;
+
+/**
+ * Get the configuration of this process, loading it on first use
+ * @returns {Object} Result of loadConfig()
+ * @throws {ConfigError} When the configuration is invalid
+ */
+function getConfig() {
+  if (!current) {
+    current = loadConfig();
+  }
+  return current;
+}
+
+module.exports = {
+  getConfig,
+  loadConfig,
+  redactConfig,
+  ConfigError,
+  SETTINGS
+};
@@ -31,20 +31,745 @@ const swaggerOptions = {
         description: 'Development server'
       }
     ],
+    // Every endpoint except GET / needs an API key unless anonymous access is enabled
+    security: [
+      { ApiKeyAuth: [] },
+      { BearerAuth: [] }
+    ],
     components: {
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key with the scope the endpoint needs: scan, read-results or admin (admin grants every scope)'
+        },
+        BearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'The same API key sent as `Authorization: Bearer <key>`'
+        }
+      },
       schemas: {
+        Threat: {
+          type: 'object',
+          properties: {
+            signature: {
+              type: 'string',
+              description: 'Name of the signature that matched',
+              example: 'Win.Test.EICAR_HDB-1'
+            },
+            category: {
+              type: 'string',
+              description: 'Threat category derived from the signature name',
+              example: 'test'
+            },
+            engine: {
+              type: 'string',
+              description: 'Scanner engine that reported the threat',
+              example: 'clamscan'
+            },
+            file: {
+              type: 'string',
+              description: 'Original filename, or path of the entry inside it, that carried the threat',
+              example: 'invoice.pdf'
+            }
+          }
+        },
+        ArchiveSummary: {
+          type: 'object',
+          description: 'Extraction details for archive uploads. When a limit was exceeded only limit and message are set; when the archive could not be unpacked only message is set.',
+          properties: {
+            format: {
+              type: 'string',
+              enum: ['zip', 'tar', 'gzip'],
+              example: 'zip'
+            },
+            entries: {
+              type: 'integer',
+              description: 'Number of entries scanned, across all nested archives',
+              example: 12
+            },
+            totalSize: {
+              type: 'integer',
+              description: 'Total uncompressed size in bytes',
+              example: 5242880
+            },
+            depth: {
+              type: 'integer',
+              description: 'Deepest archive nesting level encountered',
+              example: 2
+            },
+            unscanned: {
+              type: 'array',
+              description: 'Entries that could not be scanned, such as encrypted entries or links. Any entry here makes a clean archive limits_exceeded',
+              items: {
+                type: 'object',
+                properties: {
+                  path: { type: 'string', example: 'secret/payroll.xlsx' },
+                  reason: { type: 'string', example: 'encrypted' }
+                }
+              }
+            },
+            limit: {
+              type: 'string',
+              enum: ['maxDepth', 'maxEntries', 'maxTotalSize', 'maxRatio'],
+              description: 'The extraction limit that was exceeded'
+            },
+            message: {
+              type: 'string',
+              example: '"payload.bin" exceeds the maximum compression ratio of 100:1'
+            }
+          }
+        },
+        FileHashes: {
+          type: 'object',
+          description: 'Digests of the scanned file',
+          properties: {
+            sha256: { type: 'string', example: '275a021bbfb6489e54d471899f7db9d1663fc695ec2fe2a2c4538aabf651fd0f' },
+            sha1: { type: 'string', example: '3395856ce81f2b7382dee72602f798b642f14140' },
+            md5: { type: 'string', example: '44d88612fea8a8f36de82e1278abb02f' }
+          }
+        },
+        HashVerdict: {
+          type: 'object',
+          properties: {
+            sha256: { type: 'string', example: '275a021bbfb6489e54d471899f7db9d1663fc695ec2fe2a2c4538aabf651fd0f' },
+            hashes: { $ref: '#/components/schemas/FileHashes' },
+            verdict: { type: 'string', enum: ['clean', 'infected', 'limits_exceeded'], example: 'infected' },
+            clean: { type: 'boolean', example: false },
+            threats: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/Threat' }
+            },
+            archive: { $ref: '#/components/schemas/ArchiveSummary' },
+            filename: {
+              type: 'string',
+              description: 'Filename of the upload the verdict was first cached for; threats refer to this name',
+              example: 'eicar.com'
+            },
+            dbVersion: {
+              type: 'string',
+              description: 'Scanner and signature database version the file was scanned with',
+              example: 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024'
+            },
+            scannedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        PolicyResult: {
+          type: 'object',
+          description: 'The scan policy applied to the file and the rules it triggered; only present when a policy applied',
+          properties: {
+            name: { type: 'string', example: 'compliance' },
+            triggered: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  rule: {
+                    type: 'string',
+                    enum: ['executables', 'scripts', 'macros', 'encrypted', 'pdf_javascript', 'max_size', 'types', 'type_mismatch'],
+                    example: 'macros'
+                  },
+                  reason: { type: 'string', example: 'Documents with macros are not allowed' }
+                }
+              }
+            }
+          }
+        },
+        ScanPolicy: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', example: 'compliance' },
+            description: { type: 'string', example: 'Office and PDF uploads from the partner portal' },
+            rules: {
+              type: 'array',
+              description: 'Rules with their settings',
+              items: { type: 'object' },
+              example: [{ rule: 'macros' }, { rule: 'max_size', bytes: 10485760 }]
+            }
+          }
+        },
         ScanResponse: {
           type: 'object',
           properties: {
+            verdict: {
+              type: 'string',
+              enum: ['clean', 'infected', 'blocked', 'limits_exceeded'],
+              description: 'Scan verdict; blocked means no threat was found but the scan policy refused the file, and limits_exceeded means an archive was too large, too deep or too compressed to unpack safely',
+              example: 'infected'
+            },
             clean: {
               type: 'boolean',
               description: 'Whether the file is clean (no viruses detected)',
+              example: false
+            },
+            threats: {
+              type: 'array',
+              description: 'Threats detected in the file; empty when the file is clean',
+              items: {
+                $ref: '#/components/schemas/Threat'
+              }
+            },
+            hashes: {
+              $ref: '#/components/schemas/FileHashes'
+            },
+            detectedType: {
+              type: 'string',
+              description: 'MIME type detected from the content (magic numbers), regardless of the filename and Content-Type',
+              example: 'application/vnd.microsoft.portable-executable'
+            },
+            declaredType: {
+              type: 'string',
+              nullable: true,
+              description: 'MIME type the client sent for the file, or the type of its extension when the Content-Type is missing or application/octet-stream',
+              example: 'image/jpeg'
+            },
+            typeMismatch: {
+              type: 'boolean',
+              description: 'True when the content does not match the Content-Type or the filename extension, e.g. an executable named photo.jpg',
               example: true
             },
+            cached: {
+              type: 'boolean',
+              description: 'True when the verdict came from the cache because the same file was already scanned with the current signatures',
+              example: false
+            },
+            archive: {
+              $ref: '#/components/schemas/ArchiveSummary'
+            },
+            quarantineId: {
+              type: 'string',
+              description: 'ID of the quarantined copy of an infected file, when QUARANTINE is enabled',
+              example: '0b6f2c9e-7d41-4c1a-9f3e-5a8d2e6b1c47'
+            },
+            policy: {
+              $ref: '#/components/schemas/PolicyResult'
+            },
+            scanId: {
+              type: 'string',
+              description: 'ID of the scan in the scan history, for GET /scans/{id}; only present when SCAN_HISTORY is enabled',
+              example: '3f1c9a7be2d84c05a6e1f0b29d7c4e81'
+            },
+            rawOutput: {
+              type: 'string',
+              description: 'Raw output from the scanner, only included when requested with rawOutput=true',
+              example: 'invoice.pdf: Win.Test.EICAR_HDB-1 FOUND'
+            }
+          }
+        },
+        BatchScanResponse: {
+          type: 'object',
+          properties: {
+            allClean: {
+              type: 'boolean',
+              description: 'True only when every file was scanned successfully and is clean',
+              example: false
+            },
+            summary: {
+              type: 'object',
+              properties: {
+                total: { type: 'integer', example: 3 },
+                clean: { type: 'integer', example: 1 },
+                infected: { type: 'integer', example: 1 },
+                blocked: { type: 'integer', example: 0 },
+                limitsExceeded: { type: 'integer', example: 0 },
+                failed: { type: 'integer', example: 1 }
+              }
+            },
+            results: {
+              type: 'object',
+              description: 'Verdict per file keyed by original filename; failed scans carry error, details and, for timeouts, code instead',
+              additionalProperties: {
+                oneOf: [
+                  { $ref: '#/components/schemas/ScanResponse' },
+                  { $ref: '#/components/schemas/ErrorResponse' }
+                ]
+              }
+            }
+          }
+        },
+        ScanJob: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Job ID',
+              example: '9f86d081884c7d659a2feaa0c55ad015'
+            },
+            status: {
+              type: 'string',
+              enum: ['queued', 'running', 'clean', 'infected', 'blocked', 'limits_exceeded', 'error', 'cancelled'],
+              description: 'Current job status',
+              example: 'infected'
+            },
+            filename: {
+              type: 'string',
+              description: 'Original filename of the upload',
+              example: 'invoice.pdf'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            startedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            finishedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            verdict: {
+              type: 'string',
+              enum: ['clean', 'infected', 'blocked', 'limits_exceeded'],
+              description: 'Scan verdict, once the scan has finished'
+            },
+            clean: {
+              type: 'boolean',
+              description: 'Whether the file is clean, once the scan has finished'
+            },
+            threats: {
+              type: 'array',
+              description: 'Threats detected in the file, once the scan has finished',
+              items: {
+                $ref: '#/components/schemas/Threat'
+              }
+            },
+            hashes: {
+              $ref: '#/components/schemas/FileHashes'
+            },
+            detectedType: {
+              type: 'string',
+              description: 'MIME type detected from the content, once the scan has finished'
+            },
+            declaredType: {
+              type: 'string',
+              nullable: true,
+              description: 'MIME type claimed by the Content-Type or extension, once the scan has finished'
+            },
+            typeMismatch: {
+              type: 'boolean',
+              description: 'Whether the content does not match its claimed type, once the scan has finished'
+            },
+            archive: {
+              $ref: '#/components/schemas/ArchiveSummary'
+            },
+            quarantineId: {
+              type: 'string',
+              description: 'ID of the quarantined copy of an infected file, when QUARANTINE is enabled',
+              example: '0b6f2c9e-7d41-4c1a-9f3e-5a8d2e6b1c47'
+            },
+            policy: {
+              $ref: '#/components/schemas/PolicyResult'
+            },
             rawOutput: {
               type: 'string',
-              description: 'Raw output from the ClamAV scanner',
-              example: 'File is clean - no threats detected'
+              description: 'Raw output from the scanner, only included when requested with rawOutput=true'
+            },
+            error: {
+              type: 'string',
+              description: 'Failure details when the status is error'
+            },
+            callbackUrl: {
+              type: 'string',
+              format: 'uri',
+              description: 'URL notified when the scan finishes, if one was given'
+            }
+          }
+        },
+        ScanRecord: {
+          type: 'object',
+          description: 'A scan in the scan history',
+          properties: {
+            id: { type: 'string', description: 'Scan ID; the job ID for asynchronous scans', example: '3f1c9a7be2d84c05a6e1f0b29d7c4e81' },
+            scannedAt: { type: 'string', format: 'date-time' },
+            filename: { type: 'string', example: 'invoice.pdf' },
+            size: { type: 'integer', nullable: true, example: 24576 },
+            hashes: { $ref: '#/components/schemas/FileHashes' },
+            verdict: {
+              type: 'string',
+              enum: ['clean', 'infected', 'blocked', 'limits_exceeded', 'error'],
+              example: 'infected'
+            },
+            threats: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/Threat' }
+            },
+            detectedType: { type: 'string', nullable: true, example: 'application/pdf' },
+            typeMismatch: { type: 'boolean', nullable: true, example: false },
+            engine: { type: 'string', example: 'clamscan' },
+            dbVersion: {
+              type: 'string',
+              nullable: true,
+              description: 'Scanner and signature database version the file was scanned with',
+              example: 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024'
+            },
+            cached: { type: 'boolean', example: false },
+            durationMs: { type: 'integer', description: 'Time from receiving the file to the verdict', example: 412 },
+            requestId: { type: 'string' },
+            endpoint: { type: 'string', example: 'POST /scan' },
+            caller: {
+              type: 'object',
+              properties: {
+                keyId: { type: 'string', nullable: true },
+                keyName: { type: 'string', nullable: true },
+                address: { type: 'string', example: '203.0.113.7' }
+              }
+            },
+            url: { type: 'string', description: 'Source URL of scans by URL' },
+            archive: { $ref: '#/components/schemas/ArchiveSummary' },
+            quarantineId: { type: 'string' },
+            policy: { $ref: '#/components/schemas/PolicyResult' },
+            error: { type: 'string', description: 'Why the scan failed, for the error verdict' }
+          }
+        },
+        VerdictCounts: {
+          type: 'object',
+          description: 'Scans per verdict',
+          properties: {
+            clean: { type: 'integer', example: 1480 },
+            infected: { type: 'integer', example: 12 },
+            blocked: { type: 'integer', example: 25 },
+            limits_exceeded: { type: 'integer', example: 1 },
+            error: { type: 'integer', example: 2 }
+          }
+        },
+        ScanReport: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', format: 'date-time', description: 'Start of the window' },
+            to: { type: 'string', format: 'date-time', description: 'End of the window' },
+            interval: { type: 'string', enum: ['hour', 'day'] },
+            totals: {
+              type: 'object',
+              properties: {
+                scans: { type: 'integer', example: 1520 },
+                bytes: { type: 'integer', description: 'Bytes scanned', example: 734003200 },
+                verdicts: { $ref: '#/components/schemas/VerdictCounts' },
+                averageDurationMs: {
+                  type: 'integer',
+                  nullable: true,
+                  description: 'Average time from receiving a file to its verdict; null without scans',
+                  example: 380
+                }
+              }
+            },
+            topSignatures: {
+              type: 'array',
+              description: 'Signatures found in the most scans, most first',
+              items: {
+                type: 'object',
+                properties: {
+                  signature: { type: 'string', example: 'Win.Test.EICAR_HDB-1' },
+                  scans: { type: 'integer', example: 12 }
+                }
+              }
+            },
+            topSubmitters: {
+              type: 'array',
+              description: 'API keys, or client addresses for scans without a key, with the most scans, most first',
+              items: {
+                type: 'object',
+                properties: {
+                  keyId: { type: 'string', nullable: true },
+                  keyName: { type: 'string', nullable: true, example: 'ci' },
+                  address: { type: 'string', nullable: true, description: 'Client address of scans without an API key' },
+                  scans: { type: 'integer', example: 840 },
+                  bytes: { type: 'integer', example: 402653184 }
+                }
+              }
+            },
+            buckets: {
+              type: 'array',
+              description: 'Every hour or day of the window, including those without scans',
+              items: {
+                type: 'object',
+                properties: {
+                  start: { type: 'string', format: 'date-time' },
+                  scans: { type: 'integer' },
+                  bytes: { type: 'integer' },
+                  verdicts: { $ref: '#/components/schemas/VerdictCounts' }
+                }
+              }
+            }
+          }
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Delivery ID, also sent in the X-AVScan-Delivery header'
+            },
+            event: {
+              type: 'string',
+              example: 'scan.completed'
+            },
+            url: {
+              type: 'string',
+              format: 'uri'
+            },
+            scanId: {
+              type: 'string',
+              description: 'ID of the scan job the delivery reports on'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'delivered', 'failed']
+            },
+            attempts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  at: { type: 'string', format: 'date-time' },
+                  statusCode: { type: 'integer', nullable: true },
+                  error: { type: 'string', nullable: true },
+                  durationMs: { type: 'integer' }
+                }
+              }
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            deliveredAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            nextAttemptAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the next retry is scheduled, while the delivery is pending'
+            }
+          }
+        },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Key ID, also embedded in the key itself',
+              example: '3f9c2a1b7d4e8f60'
+            },
+            name: {
+              type: 'string',
+              example: 'billing-service'
+            },
+            scopes: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['scan', 'read-results', 'metrics', 'admin']
+              },
+              example: ['scan', 'read-results']
+            },
+            status: {
+              type: 'string',
+              enum: ['active', 'revoked'],
+              example: 'active'
+            },
+            quotas: {
+              type: 'object',
+              description: 'Daily limits; null means unlimited',
+              properties: {
+                dailyRequests: { type: 'integer', nullable: true, example: 10000 },
+                dailyBytes: { type: 'integer', nullable: true, example: 10737418240 }
+              }
+            },
+            policy: {
+              type: 'string',
+              nullable: true,
+              description: 'Scan policy applied to scans with this key unless the request names another',
+              example: 'compliance'
+            },
+            usage: {
+              type: 'object',
+              description: 'Usage since midnight UTC',
+              properties: {
+                requests: { type: 'integer', example: 42 },
+                bytes: { type: 'integer', example: 52428800 },
+                resetsAt: { type: 'string', format: 'date-time' }
+              }
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            rotatedAt: { type: 'string', format: 'date-time', nullable: true },
+            revokedAt: { type: 'string', format: 'date-time', nullable: true },
+            lastUsedAt: { type: 'string', format: 'date-time', nullable: true }
+          }
+        },
+        NewApiKey: {
+          allOf: [
+            { $ref: '#/components/schemas/ApiKey' },
+            {
+              type: 'object',
+              properties: {
+                key: {
+                  type: 'string',
+                  description: 'The API key. It is only shown once.',
+                  example: 'avs_3f9c2a1b7d4e8f60_Jq2m0kR8b7nYw1cXh4sVt9eLp3aZ6uGd5fNiOo2rQ8E'
+                }
+              }
+            }
+          ]
+        },
+        Readiness: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['ready', 'not_ready']
+            },
+            error: {
+              type: 'string',
+              description: 'Why the checks could not run; checks is then omitted'
+            },
+            checks: {
+              type: 'object',
+              description: 'Result of each check. status is pass, fail or skip (the check does not apply to the engine); failed checks carry an error.',
+              properties: {
+                scanner: {
+                  type: 'object',
+                  example: { status: 'pass', engine: 'clamd', version: 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024' }
+                },
+                signatures: {
+                  type: 'object',
+                  description: 'Signature database version and build time; age and maxAge are in milliseconds',
+                  example: { status: 'pass', version: '27000', updatedAt: '2024-01-01T00:00:00.000Z', age: 7200000, maxAge: 259200000 }
+                },
+                uploads: {
+                  type: 'object',
+                  example: { status: 'pass' }
+                },
+                queue: {
+                  type: 'object',
+                  example: { status: 'pass', queued: 0, running: 1, concurrency: 2, maxQueued: 100 }
+                }
+              }
+            }
+          }
+        },
+        ScannerStatus: {
+          type: 'object',
+          properties: {
+            engine: { type: 'string', example: 'clamd' },
+            name: { type: 'string', example: 'ClamAV' },
+            version: {
+              type: 'string',
+              nullable: true,
+              description: 'Scanner release, when the engine reports one',
+              example: '1.0.0'
+            },
+            versionString: {
+              type: 'string',
+              description: 'Version as reported by the scanner',
+              example: 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024'
+            },
+            signatures: {
+              type: 'object',
+              nullable: true,
+              description: 'Loaded signature database; null when the engine does not report one',
+              properties: {
+                version: { type: 'string', example: '27000' },
+                count: { type: 'integer', nullable: true, example: 8692418 },
+                updatedAt: { type: 'string', format: 'date-time', nullable: true }
+              }
+            },
+            update: {
+              type: 'object',
+              nullable: true,
+              description: 'Signature updates; null when the engine has no update command',
+              properties: {
+                running: { type: 'boolean', example: false },
+                startedAt: { type: 'string', format: 'date-time', nullable: true },
+                lastRun: {
+                  nullable: true,
+                  allOf: [{ $ref: '#/components/schemas/SignatureUpdate' }]
+                }
+              }
+            }
+          }
+        },
+        SignatureUpdate: {
+          type: 'object',
+          properties: {
+            status: {
+              type: 'string',
+              enum: ['updated', 'up_to_date', 'failed'],
+              example: 'updated'
+            },
+            exitCode: { type: 'integer', nullable: true, example: 0 },
+            startedAt: { type: 'string', format: 'date-time' },
+            finishedAt: { type: 'string', format: 'date-time' },
+            durationMs: { type: 'integer', example: 18250 },
+            previousVersion: {
+              type: 'string',
+              nullable: true,
+              description: 'Signature database version before the update',
+              example: '27000'
+            },
+            version: {
+              type: 'string',
+              nullable: true,
+              description: 'Signature database version after the update. clamd reports the new version once it has reloaded.',
+              example: '27001'
+            },
+            output: {
+              type: 'string',
+              description: 'Output of the update command'
+            }
+          }
+        },
+        QuarantineItem: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '0b6f2c9e-7d41-4c1a-9f3e-5a8d2e6b1c47'
+            },
+            filename: {
+              type: 'string',
+              description: 'Original filename of the upload',
+              example: 'invoice.exe'
+            },
+            size: { type: 'integer', nullable: true, example: 68 },
+            hashes: {
+              $ref: '#/components/schemas/FileHashes'
+            },
+            signatures: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['Win.Test.EICAR_HDB-1']
+            },
+            threats: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Threat'
+              }
+            },
+            submitter: {
+              type: 'object',
+              nullable: true,
+              description: 'Request that uploaded the file',
+              properties: {
+                requestId: { type: 'string' },
+                endpoint: { type: 'string', example: 'POST /scan' },
+                keyId: { type: 'string', nullable: true, example: '3f9c2a1b7d4e8f60' },
+                keyName: { type: 'string', nullable: true, example: 'billing-service' },
+                address: { type: 'string', example: '10.0.3.7' },
+                url: { type: 'string', format: 'uri', description: 'Source URL, for POST /scan/url' }
+              }
+            },
+            quarantinedAt: { type: 'string', format: 'date-time' },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the file is purged automatically, after QUARANTINE_RETENTION_DAYS'
             }
           }
         },
@@ -56,6 +781,11 @@ const swaggerOptions = {
               description: 'Error message',
               example: 'Scan failed'
             },
+            code: {
+              type: 'string',
+              description: 'Machine-readable failure reason: SCAN_TIMEOUT when the scanner ran out of time; FILE_TOO_LARGE, TOO_MANY_FIELDS or FIELD_TOO_LARGE for uploads over the limits; EXTENSION_NOT_ALLOWED or TYPE_NOT_ALLOWED for files refused by the upload policy; or why POST /scan/url could not fetch the file (e.g. URL_BLOCKED, TOO_LARGE, TIMEOUT)',
+              example: 'URL_BLOCKED'
+            },
             details: {
               type: 'string',
               description: 'Detailed error information',
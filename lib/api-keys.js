@@ -0,0 +1,371 @@
+/**
+ * API keys
+ *
+ * Issues, rotates and revokes the API keys clients authenticate with. Every
+ * key carries scopes (scan, read-results, metrics, admin) and optional daily request
+ * and byte quotas. Only a SHA-256 digest of each secret is stored, so the
+ * key file does not contain usable keys. Usage counters are kept in memory
+ * and reset at midnight UTC.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const SCOPES = ['scan', 'read-results', 'metrics', 'admin'];
+
+// Keys look like avs_<16 hex id>_<base64url secret>; the ID is used for lookup
+const KEY_PATTERN = /^avs_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+// Owner of the scans submitted without a key; never a hex key ID
+const ANONYMOUS_OWNER = 'anonymous';
+
+/**
+ * Error raised for invalid key settings
+ */
+class ApiKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiKeyError';
+  }
+}
+
+/**
+ * Hash a key for storage and comparison
+ * @param {string} key - Full API key
+ * @returns {Buffer} SHA-256 digest
+ */
+function digest(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * Current UTC day and the time its quotas reset
+ * @returns {Object} Day as YYYY-MM-DD and the next midnight UTC as a Date
+ */
+function quotaDay() {
+  const now = new Date();
+  const resetsAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+
+  return { day: now.toISOString().slice(0, 10), resetsAt };
+}
+
+/**
+ * Check a daily quota setting
+ * @param {*} value - Value supplied by the client
+ * @param {string} name - Setting name used in the error message
+ * @returns {number|null} The quota, or null for unlimited
+ * @throws {ApiKeyError} When the value is not a positive integer
+ */
+function parseQuota(value, name) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  if (!Number.isSafeInteger(value) || value <= 0) {
+    throw new ApiKeyError(`${name} must be a positive integer or null`);
+  }
+
+  return value;
+}
+
+/**
+ * Check the scopes requested for a key
+ * @param {*} scopes - Value supplied by the client
+ * @returns {string[]} The scopes without duplicates
+ * @throws {ApiKeyError} When the list is empty or has unknown scopes
+ */
+function parseScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new ApiKeyError(`scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+  }
+
+  const unknown = scopes.find((scope) => !SCOPES.includes(scope));
+  if (unknown !== undefined) {
+    throw new ApiKeyError(`Unknown scope "${unknown}"; expected one of: ${SCOPES.join(', ')}`);
+  }
+
+  return [...new Set(scopes)];
+}
+
+/**
+ * Stores API keys and tracks their daily usage
+ */
+class ApiKeyStore {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.file] - JSON file keys are loaded from and saved to
+   * @param {string} [options.adminKey] - Static key with the admin scope, used to create the first keys
+   * @param {string[]} [options.policies] - Names of the scan policies keys may be given
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.adminKeyDigest = options.adminKey ? digest(options.adminKey) : null;
+    this.policies = options.policies || [];
+
+    this.keys = new Map();
+    this.usageByKey = new Map();
+
+    if (this.file) {
+      this.load();
+    }
+  }
+
+  /**
+   * Read keys from the key file. A missing file means no keys yet.
+   * @throws {Error} When the file exists but cannot be parsed
+   */
+  load() {
+    let data;
+    try {
+      data = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    JSON.parse(data).keys.forEach((key) => this.keys.set(key.id, key));
+  }
+
+  /**
+   * Write keys to the key file, replacing it atomically
+   */
+  save() {
+    if (!this.file) {
+      return;
+    }
+
+    const temp = `${this.file}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ keys: Array.from(this.keys.values()) }, null, 2), { mode: 0o600 });
+    fs.renameSync(temp, this.file);
+  }
+
+  /**
+   * Issue a new key. The returned secret is not stored and cannot be shown again.
+   * @param {Object} options - Key settings
+   * @param {string} [options.name] - Label for the key, e.g. the client it belongs to
+   * @param {string[]} options.scopes - Scopes granted to the key
+   * @param {number|null} [options.dailyRequests] - Requests allowed per day
+   * @param {number|null} [options.dailyBytes] - Uploaded bytes allowed per day
+   * @param {string|null} [options.policy] - Scan policy applied to the key's scans unless a request names another
+   * @returns {Object} The key record and the full key
+   * @throws {ApiKeyError} When the settings are invalid
+   */
+  create(options = {}) {
+    if (options.name !== undefined && typeof options.name !== 'string') {
+      throw new ApiKeyError('name must be a string');
+    }
+    if (options.policy !== undefined && options.policy !== null && !this.policies.includes(options.policy)) {
+      throw new ApiKeyError(this.policies.length > 0
+        ? `Unknown policy ${JSON.stringify(options.policy)}; expected one of: ${this.policies.join(', ')}`
+        : 'No scan policies are configured');
+    }
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const key = `avs_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+      id,
+      name: options.name || '',
+      scopes: parseScopes(options.scopes),
+      dailyRequests: parseQuota(options.dailyRequests, 'dailyRequests'),
+      dailyBytes: parseQuota(options.dailyBytes, 'dailyBytes'),
+      policy: options.policy || null,
+      secretHash: digest(key).toString('hex'),
+      createdAt: new Date().toISOString(),
+      rotatedAt: null,
+      revokedAt: null,
+      lastUsedAt: null
+    };
+
+    this.keys.set(id, record);
+    this.save();
+
+    return { record, key };
+  }
+
+  /**
+   * Replace the secret of a key; the old secret stops working immediately
+   * @param {string} id - Key ID
+   * @returns {Object|null} The key record and the new full key, or null for unknown or revoked keys
+   */
+  rotate(id) {
+    const record = this.keys.get(id);
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    const key = `avs_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+    record.secretHash = digest(key).toString('hex');
+    record.rotatedAt = new Date().toISOString();
+    this.save();
+
+    return { record, key };
+  }
+
+  /**
+   * Revoke a key. Revoked keys are kept so their history stays visible.
+   * @param {string} id - Key ID
+   * @returns {Object|null} The key record, or null for unknown keys
+   */
+  revoke(id) {
+    const record = this.keys.get(id);
+    if (!record) {
+      return null;
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      this.save();
+    }
+
+    return record;
+  }
+
+  /**
+   * Get a key record
+   * @param {string} id - Key ID
+   * @returns {Object|undefined}
+   */
+  get(id) {
+    return this.keys.get(id);
+  }
+
+  /**
+   * List key records, oldest first
+   * @returns {Object[]}
+   */
+  list() {
+    return Array.from(this.keys.values());
+  }
+
+  /**
+   * Find the key a client presented
+   * @param {string} key - Full API key
+   * @returns {Object|null} The key record, or null for unknown, revoked or malformed keys
+   */
+  authenticate(key) {
+    const presented = digest(key);
+
+    if (this.adminKeyDigest && crypto.timingSafeEqual(presented, this.adminKeyDigest)) {
+      return { id: 'admin', name: 'API_ADMIN_KEY', scopes: ['admin'], dailyRequests: null, dailyBytes: null, policy: null };
+    }
+
+    const match = KEY_PATTERN.exec(key);
+    const record = match && this.keys.get(match[1]);
+
+    if (!record || record.revokedAt || !crypto.timingSafeEqual(presented, Buffer.from(record.secretHash, 'hex'))) {
+      return null;
+    }
+
+    record.lastUsedAt = new Date().toISOString();
+    return record;
+  }
+
+  /**
+   * Whether a key grants a scope; the admin scope grants every scope
+   * @param {Object} record - Key record
+   * @param {string} scope - Required scope
+   * @returns {boolean}
+   */
+  hasScope(record, scope) {
+    return record.scopes.includes(scope) || record.scopes.includes('admin');
+  }
+
+  /**
+   * Today's usage of a key
+   * @param {string} id - Key ID
+   * @returns {Object} Requests and bytes used today and when the counters reset
+   */
+  usage(id) {
+    const { day, resetsAt } = quotaDay();
+    let usage = this.usageByKey.get(id);
+
+    if (!usage || usage.day !== day) {
+      usage = { day, requests: 0, bytes: 0 };
+      this.usageByKey.set(id, usage);
+    }
+
+    return { ...usage, resetsAt };
+  }
+
+  /**
+   * Check whether a request fits in the key's daily quotas
+   * @param {Object} record - Key record
+   * @param {number} [bytes=0] - Size of the upload the request announces
+   * @returns {Object|null} The exceeded quota (`requests` or `bytes`), its limit and reset time, or null
+   */
+  checkQuota(record, bytes = 0) {
+    const usage = this.usage(record.id);
+
+    if (record.dailyRequests && usage.requests >= record.dailyRequests) {
+      return { quota: 'requests', limit: record.dailyRequests, resetsAt: usage.resetsAt };
+    }
+
+    if (record.dailyBytes && usage.bytes + bytes > record.dailyBytes) {
+      return { quota: 'bytes', limit: record.dailyBytes, resetsAt: usage.resetsAt };
+    }
+
+    return null;
+  }
+
+  /**
+   * Count a request or uploaded bytes against a key's quotas
+   * @param {Object} record - Key record
+   * @param {Object} amounts - Requests and bytes to add
+   */
+  recordUsage(record, { requests = 0, bytes = 0 }) {
+    this.usage(record.id);
+
+    const usage = this.usageByKey.get(record.id);
+    usage.requests += requests;
+    usage.bytes += bytes;
+  }
+}
+
+/**
+ * Build the API representation of a key, without its secret
+ * @param {Object} record - Key record
+ * @param {Object} usage - Today's usage from ApiKeyStore#usage()
+ * @returns {Object}
+ */
+function serializeKey(record, usage) {
+  return {
+    id: record.id,
+    name: record.name,
+    scopes: record.scopes,
+    status: record.revokedAt ? 'revoked' : 'active',
+    quotas: {
+      dailyRequests: record.dailyRequests,
+      dailyBytes: record.dailyBytes
+    },
+    policy: record.policy ?? null,
+    usage: {
+      requests: usage.requests,
+      bytes: usage.bytes,
+      resetsAt: usage.resetsAt.toISOString()
+    },
+    createdAt: record.createdAt,
+    rotatedAt: record.rotatedAt,
+    revokedAt: record.revokedAt,
+    lastUsedAt: record.lastUsedAt
+  };
+}
+
+/**
+ * Who owns a scan, for limiting which requests may see it
+ * @param {string|null} keyId - ID of the API key the scan was submitted with
+ * @returns {string} The key ID, or ANONYMOUS_OWNER for scans submitted without a key
+ */
+function scanOwner(keyId) {
+  return keyId || ANONYMOUS_OWNER;
+}
+
+module.exports = {
+  ApiKeyStore,
+  ApiKeyError,
+  serializeKey,
+  scanOwner,
+  ANONYMOUS_OWNER,
+  SCOPES
+};
@@ -0,0 +1,669 @@
+/**
+ * Archive extraction for per-entry scanning
+ *
+ * Unpacks ZIP, tar and gzip files (including archives nested inside each
+ * other) into a private temporary directory so every entry can be scanned
+ * on its own and detections can be attributed to the inner path.
+ *
+ * Entries are written to numbered files, never to paths taken from the
+ * archive, so crafted entry names cannot escape the directory. Limits on
+ * entry count, total uncompressed size, compression ratio and nesting depth
+ * are enforced while data is decompressed and reported as an
+ * ArchiveLimitError instead of being silently skipped.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { PassThrough, Transform, pipeline } = require('stream');
+const { promisify } = require('util');
+const { logger } = require('./logger');
+
+const pipelineAsync = promisify(pipeline);
+
+const DEFAULT_LIMITS = {
+  maxDepth: 5,
+  maxEntries: 1000,
+  maxTotalSize: 512 * 1024 * 1024,
+  maxRatio: 100,
+  // Small entries often compress extremely well (e.g. a run of zeros), so
+  // the ratio is only enforced once an entry has produced this many bytes
+  ratioThreshold: 1024 * 1024
+};
+
+// pax extended headers and GNU long names are buffered in memory
+const MAX_TAR_METADATA_SIZE = 1024 * 1024;
+
+/**
+ * Raised when an archive exceeds one of the extraction limits
+ */
+class ArchiveLimitError extends Error {
+  /**
+   * @param {string} limit - Name of the limit, e.g. maxRatio
+   * @param {string} message - Human readable description
+   */
+  constructor(limit, message) {
+    super(message);
+    this.name = 'ArchiveLimitError';
+    this.limit = limit;
+  }
+}
+
+/**
+ * Read a NUL-terminated string from a tar header field
+ */
+function readTarString(header, start, length) {
+  const field = header.subarray(start, start + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+}
+
+/**
+ * Read a numeric tar header field, in octal or GNU base-256 encoding
+ */
+function readTarNumber(header, start, length) {
+  if (header[start] & 0x80) {
+    let value = 0;
+    for (let i = start + 1; i < start + length; i++) {
+      value = value * 256 + header[i];
+    }
+    return value;
+  }
+
+  const text = readTarString(header, start, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+/**
+ * Parse a 512-byte tar header block
+ * @param {Buffer} header - Header block
+ * @returns {Object|null} Name, size and type, or null when the checksum does not match
+ */
+function parseTarHeader(header) {
+  if (header.length < 512) {
+    return null;
+  }
+
+  // The checksum is computed with the checksum field itself read as spaces
+  let sum = 0;
+  for (let i = 0; i < 512; i++) {
+    sum += i >= 148 && i < 156 ? 32 : header[i];
+  }
+
+  const checksum = readTarNumber(header, 148, 8);
+  if (Number.isNaN(checksum) || checksum !== sum) {
+    return null;
+  }
+
+  const name = readTarString(header, 0, 100);
+  const ustar = header.subarray(257, 262).toString('latin1') === 'ustar';
+  const prefix = ustar ? readTarString(header, 345, 155) : '';
+
+  return {
+    name: prefix ? `${prefix}/${name}` : name,
+    size: readTarNumber(header, 124, 12),
+    type: header[156] === 0 ? '0' : String.fromCharCode(header[156])
+  };
+}
+
+/**
+ * Parse pax extended header records ("<length> <key>=<value>\n")
+ * @param {Buffer} data - Extended header data
+ * @returns {Object} Key/value pairs
+ */
+function parsePaxHeaders(data) {
+  const headers = {};
+  let offset = 0;
+
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    const length = parseInt(data.toString('latin1', offset, space), 10);
+    if (space === -1 || !length) {
+      break;
+    }
+
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const equals = record.indexOf('=');
+    headers[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+
+  return headers;
+}
+
+/**
+ * Detect whether a file is a supported archive from its first bytes
+ * @param {string} filePath - File to inspect
+ * @returns {string|null} zip, gzip, tar, or null for anything else
+ */
+function detectArchive(filePath) {
+  const header = Buffer.alloc(512);
+  let bytesRead = 0;
+
+  try {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+  } catch (error) {
+    // Unreadable files are left for the scanner to report
+    return null;
+  }
+
+  if (bytesRead >= 4 && header.readUInt32LE(0) === 0x04034b50) {
+    return 'zip';
+  }
+
+  if (bytesRead >= 2 && header[0] === 0x1f && header[1] === 0x8b) {
+    return 'gzip';
+  }
+
+  if (bytesRead === 512 && parseTarHeader(header)) {
+    return 'tar';
+  }
+
+  return null;
+}
+
+/**
+ * Turn an entry name into a display path: forward slashes, no leading
+ * slash or ./ segments
+ */
+function normalizeEntryPath(name) {
+  return name
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter((segment) => segment && segment !== '.')
+    .join('/');
+}
+
+/**
+ * Count decompressed bytes against the total size and ratio limits
+ * @param {Object} ctx - Extraction context
+ * @param {string} entryPath - Entry being written, for error messages
+ * @param {number} compressedSize - Size of the compressed data feeding this entry
+ * @returns {Transform} Pass-through stream with a `bytes` counter
+ */
+function createLimitStream(ctx, entryPath, compressedSize) {
+  const { maxTotalSize, maxRatio, ratioThreshold } = ctx.limits;
+
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      limiter.bytes += chunk.length;
+      ctx.totalSize += chunk.length;
+
+      if (ctx.totalSize > maxTotalSize) {
+        return callback(new ArchiveLimitError('maxTotalSize',
+          `Archive expands to more than ${maxTotalSize} bytes`));
+      }
+
+      if (limiter.bytes > ratioThreshold && limiter.bytes / Math.max(compressedSize, 1) > maxRatio) {
+        return callback(new ArchiveLimitError('maxRatio',
+          `"${entryPath}" exceeds the maximum compression ratio of ${maxRatio}:1`));
+      }
+
+      callback(null, chunk);
+    }
+  });
+  limiter.bytes = 0;
+
+  return limiter;
+}
+
+/**
+ * Allocate the file the next entry is written to
+ * @param {Object} ctx - Extraction context
+ * @returns {string} Destination path inside the extraction directory
+ */
+function reserveEntry(ctx) {
+  ctx.entryCount++;
+
+  if (ctx.entryCount > ctx.limits.maxEntries) {
+    throw new ArchiveLimitError('maxEntries', `Archive contains more than ${ctx.limits.maxEntries} entries`);
+  }
+
+  return path.join(ctx.dir, String(ctx.entryCount));
+}
+
+/**
+ * Record an extracted entry, or unpack it too when it is itself an archive
+ */
+async function completeEntry(ctx, entryPath, dest, size, depth) {
+  const format = detectArchive(dest);
+
+  if (!format) {
+    ctx.entries.push({ path: entryPath, file: dest, size });
+    return;
+  }
+
+  if (depth >= ctx.limits.maxDepth) {
+    throw new ArchiveLimitError('maxDepth',
+      `"${entryPath}" is nested more than ${ctx.limits.maxDepth} archives deep`);
+  }
+
+  await extractInto(ctx, dest, format, entryPath, depth + 1);
+}
+
+/**
+ * Extract a ZIP archive using its central directory
+ */
+async function extractZip(ctx, filePath, name, depth) {
+  const prefix = name ? `${name}/` : '';
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { size } = await handle.stat();
+    const tail = Buffer.alloc(Math.min(size, 0xffff + 22));
+    await handle.read(tail, 0, tail.length, size - tail.length);
+
+    // End of central directory record
+    const eocd = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    if (eocd === -1) {
+      throw new Error('ZIP end of central directory record not found');
+    }
+
+    const entryCount = tail.readUInt16LE(eocd + 10);
+    const directorySize = tail.readUInt32LE(eocd + 12);
+    const directoryOffset = tail.readUInt32LE(eocd + 16);
+
+    if (entryCount === 0xffff || directoryOffset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+
+    // The directory must lie before its end record, and each record is 46
+    // bytes plus a name, extra field and comment of at most 64 KB each
+    const eocdOffset = size - tail.length + eocd;
+    if (directoryOffset + directorySize > eocdOffset || directorySize > entryCount * (46 + 0xffff * 3)) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    if (ctx.entryCount + entryCount > ctx.limits.maxEntries) {
+      throw new ArchiveLimitError('maxEntries', `Archive contains more than ${ctx.limits.maxEntries} entries`);
+    }
+
+    const directory = Buffer.alloc(directorySize);
+    await handle.read(directory, 0, directorySize, directoryOffset);
+
+    let offset = 0;
+    for (let i = 0; i < entryCount; i++) {
+      if (directory.readUInt32LE(offset) !== 0x02014b50) {
+        throw new Error('Corrupt ZIP central directory');
+      }
+
+      const madeBy = directory.readUInt16LE(offset + 4) >> 8;
+      const flags = directory.readUInt16LE(offset + 8);
+      const method = directory.readUInt16LE(offset + 10);
+      const compressedSize = directory.readUInt32LE(offset + 20);
+      const uncompressedSize = directory.readUInt32LE(offset + 24);
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      const externalAttributes = directory.readUInt32LE(offset + 38);
+      const localOffset = directory.readUInt32LE(offset + 42);
+      const rawName = directory.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      const entryPath = prefix + normalizeEntryPath(rawName);
+
+      if (rawName.endsWith('/')) {
+        continue;
+      }
+
+      // Unix symlinks are stored with S_IFLNK in the high external attribute bits
+      if (madeBy === 3 && ((externalAttributes >>> 16) & 0o170000) === 0o120000) {
+        ctx.unscanned.push({ path: entryPath, reason: 'symbolic link' });
+        continue;
+      }
+
+      if (flags & 0x1) {
+        ctx.unscanned.push({ path: entryPath, reason: 'encrypted' });
+        continue;
+      }
+
+      if (method !== 0 && method !== 8) {
+        ctx.unscanned.push({ path: entryPath, reason: `unsupported compression method ${method}` });
+        continue;
+      }
+
+      // Reject obvious bombs from the declared sizes before inflating anything
+      if (uncompressedSize > ctx.limits.ratioThreshold &&
+          uncompressedSize / Math.max(compressedSize, 1) > ctx.limits.maxRatio) {
+        throw new ArchiveLimitError('maxRatio',
+          `"${entryPath}" exceeds the maximum compression ratio of ${ctx.limits.maxRatio}:1`);
+      }
+
+      const localHeader = Buffer.alloc(30);
+      await handle.read(localHeader, 0, 30, localOffset);
+      if (localHeader.readUInt32LE(0) !== 0x04034b50) {
+        throw new Error(`Corrupt ZIP local header for "${entryPath}"`);
+      }
+      const dataOffset = localOffset + 30 + localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28);
+
+      const dest = reserveEntry(ctx);
+      const limiter = createLimitStream(ctx, entryPath, compressedSize);
+      const source = compressedSize > 0
+        ? fs.createReadStream(filePath, { start: dataOffset, end: dataOffset + compressedSize - 1 })
+        : new PassThrough().end();
+
+      await pipelineAsync(
+        source,
+        method === 8 ? zlib.createInflateRaw() : new PassThrough(),
+        limiter,
+        fs.createWriteStream(dest, { mode: 0o600 })
+      );
+
+      await completeEntry(ctx, entryPath, dest, limiter.bytes, depth);
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Extract a tar archive by streaming through its 512-byte blocks
+ */
+async function extractTar(ctx, filePath, name, depth) {
+  const prefix = name ? `${name}/` : '';
+  const input = fs.createReadStream(filePath);
+
+  let buffer = Buffer.alloc(0);
+  let entry = null;
+  let paxHeaders = {};
+  let longName = null;
+  let finished = false;
+
+  // Entry that buffers its data in memory, for pax headers and GNU long names
+  const metadataEntry = (size, onComplete) => {
+    if (size > MAX_TAR_METADATA_SIZE) {
+      throw new Error('Tar metadata entry is too large');
+    }
+
+    const chunks = [];
+    return {
+      write: async (data) => { chunks.push(data); },
+      finish: async () => onComplete(Buffer.concat(chunks))
+    };
+  };
+
+  // Entry whose data is discarded (directories, links, devices)
+  const skippedEntry = () => ({ write: async () => {}, finish: async () => {} });
+
+  // Regular file written to the extraction directory
+  const fileEntry = (entryPath) => {
+    const dest = reserveEntry(ctx);
+    const out = fs.createWriteStream(dest, { mode: 0o600 });
+    let bytes = 0;
+
+    // Settles when the file is fully written; write errors reject it even
+    // when nothing is waiting on the stream at the time
+    const closed = new Promise((resolve, reject) => {
+      out.on('finish', resolve);
+      out.on('error', reject);
+    });
+    closed.catch(() => {});
+
+    return {
+      out,
+      write: async (data) => {
+        bytes += data.length;
+        ctx.totalSize += data.length;
+
+        if (ctx.totalSize > ctx.limits.maxTotalSize) {
+          throw new ArchiveLimitError('maxTotalSize', `Archive expands to more than ${ctx.limits.maxTotalSize} bytes`);
+        }
+
+        if (!out.write(data)) {
+          await Promise.race([once(out, 'drain'), closed]);
+        }
+      },
+      finish: async () => {
+        out.end();
+        await closed;
+        await completeEntry(ctx, entryPath, dest, bytes, depth);
+      }
+    };
+  };
+
+  try {
+    for await (const chunk of input) {
+      buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+
+      while (!finished) {
+        if (entry) {
+          if (entry.remaining > 0) {
+            if (buffer.length === 0) {
+              break;
+            }
+
+            const data = buffer.subarray(0, Math.min(entry.remaining, buffer.length));
+            buffer = buffer.subarray(data.length);
+            entry.remaining -= data.length;
+            await entry.write(data);
+            continue;
+          }
+
+          // Entry data is padded to a whole number of blocks
+          if (buffer.length < entry.padding) {
+            break;
+          }
+
+          buffer = buffer.subarray(entry.padding);
+          const completed = entry;
+          entry = null;
+          await completed.finish();
+          continue;
+        }
+
+        if (buffer.length < 512) {
+          break;
+        }
+
+        const block = buffer.subarray(0, 512);
+        buffer = buffer.subarray(512);
+
+        // An all-zero block marks the end of the archive
+        if (block.every((byte) => byte === 0)) {
+          finished = true;
+          break;
+        }
+
+        const header = parseTarHeader(block);
+        if (!header) {
+          throw new Error('Corrupt tar header');
+        }
+
+        const size = header.type === 'x' || header.type === 'g' || header.type === 'L'
+          ? header.size
+          : Number(paxHeaders.size || header.size);
+        const entryPath = prefix + normalizeEntryPath(paxHeaders.path || longName || header.name);
+
+        let handler;
+        if (header.type === 'x') {
+          handler = metadataEntry(size, (data) => { paxHeaders = parsePaxHeaders(data); });
+        } else if (header.type === 'L') {
+          handler = metadataEntry(size, (data) => { longName = readTarString(data, 0, data.length); });
+        } else {
+          paxHeaders = {};
+          longName = null;
+
+          if (header.type === '0' || header.type === '7') {
+            handler = fileEntry(entryPath);
+          } else {
+            if (header.type === '1' || header.type === '2') {
+              ctx.unscanned.push({ path: entryPath, reason: header.type === '2' ? 'symbolic link' : 'hard link' });
+            }
+            handler = skippedEntry();
+          }
+        }
+
+        entry = { ...handler, remaining: size, padding: (512 - (size % 512)) % 512 };
+      }
+
+      if (finished) {
+        break;
+      }
+    }
+
+    if (entry) {
+      throw new Error('Truncated tar archive');
+    }
+  } finally {
+    input.destroy();
+    if (entry && entry.out) {
+      entry.out.destroy();
+    }
+  }
+}
+
+/**
+ * Name of the file inside a gzip stream: the FNAME header field when
+ * present, otherwise the container name without its .gz/.tgz extension
+ */
+function gzipEntryName(filePath, containerName) {
+  const header = Buffer.alloc(1024);
+  const fd = fs.openSync(filePath, 'r');
+  let bytesRead;
+  try {
+    bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const flags = header[3];
+  let offset = 10;
+
+  // FEXTRA
+  if (flags & 0x04) {
+    offset += 2 + header.readUInt16LE(offset);
+  }
+
+  // FNAME
+  if (flags & 0x08 && offset < bytesRead) {
+    const end = header.indexOf(0, offset);
+    if (end !== -1) {
+      const storedName = path.basename(normalizeEntryPath(header.toString('latin1', offset, end)));
+      if (storedName) {
+        return storedName;
+      }
+    }
+  }
+
+  const base = path.basename(containerName || 'data.gz');
+  return base.replace(/\.tgz$/i, '.tar').replace(/\.gz$/i, '') || 'data';
+}
+
+/**
+ * Decompress a gzip file into a single entry
+ */
+async function extractGzip(ctx, filePath, name, depth) {
+  const entryName = gzipEntryName(filePath, name || ctx.name);
+  const entryPath = name ? `${name}/${entryName}` : entryName;
+  const { size } = await fs.promises.stat(filePath);
+
+  const dest = reserveEntry(ctx);
+  const limiter = createLimitStream(ctx, entryPath, size);
+
+  await pipelineAsync(
+    fs.createReadStream(filePath),
+    zlib.createGunzip(),
+    limiter,
+    fs.createWriteStream(dest, { mode: 0o600 })
+  );
+
+  await completeEntry(ctx, entryPath, dest, limiter.bytes, depth);
+}
+
+/**
+ * Extract an archive of a known format into the context directory
+ * @param {Object} ctx - Extraction context
+ * @param {string} filePath - Archive on disk
+ * @param {string} format - zip, tar or gzip
+ * @param {string} name - Path of the archive inside its parent, '' at the top level
+ * @param {number} depth - Nesting depth, 1 for the uploaded archive
+ */
+async function extractInto(ctx, filePath, format, name, depth) {
+  ctx.depth = Math.max(ctx.depth, depth);
+
+  const extractors = { zip: extractZip, tar: extractTar, gzip: extractGzip };
+  await extractors[format](ctx, filePath, name, depth);
+}
+
+/**
+ * Extract an archive and every archive nested inside it
+ * @param {string} filePath - Archive on disk
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.name] - Original filename, used to name the content of a gzip file
+ * @param {string} [options.tempDir] - Parent directory for the extraction directory, defaults to the OS temp dir
+ * @param {number} [options.maxDepth=5] - Maximum archive nesting depth
+ * @param {number} [options.maxEntries=1000] - Maximum number of entries across all nested archives
+ * @param {number} [options.maxTotalSize=536870912] - Maximum total uncompressed bytes
+ * @param {number} [options.maxRatio=100] - Maximum compression ratio per entry
+ * @param {number} [options.ratioThreshold=1048576] - Entry size from which the ratio is enforced
+ * @returns {Promise<Object>} Format, extraction directory, scannable entries and unscanned entries
+ * @throws {ArchiveLimitError} When a limit is exceeded
+ */
+async function extractArchive(filePath, options = {}) {
+  const format = detectArchive(filePath);
+  if (!format) {
+    throw new Error('Not a supported archive');
+  }
+
+  const limits = { ...DEFAULT_LIMITS };
+  Object.keys(DEFAULT_LIMITS).forEach((key) => {
+    if (options[key] !== undefined) {
+      limits[key] = options[key];
+    }
+  });
+
+  const dir = await fs.promises.mkdtemp(path.join(options.tempDir || os.tmpdir(), 'avscan-archive-'));
+  const ctx = {
+    limits,
+    dir,
+    name: options.name,
+    entries: [],
+    unscanned: [],
+    entryCount: 0,
+    totalSize: 0,
+    depth: 0
+  };
+
+  try {
+    await extractInto(ctx, filePath, format, '', 1);
+  } catch (error) {
+    await removeExtraction(dir);
+    throw error;
+  }
+
+  return {
+    format,
+    dir,
+    entries: ctx.entries,
+    unscanned: ctx.unscanned,
+    totalSize: ctx.totalSize,
+    depth: ctx.depth
+  };
+}
+
+/**
+ * Delete an extraction directory and everything in it
+ * @param {string} dir - Directory returned by extractArchive()
+ */
+async function removeExtraction(dir) {
+  try {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  } catch (error) {
+    logger.warn('Failed to remove archive extraction directory', { error });
+  }
+}
+
+module.exports = {
+  extractArchive,
+  removeExtraction,
+  detectArchive,
+  ArchiveLimitError,
+  DEFAULT_LIMITS
+};
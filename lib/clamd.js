@@ -0,0 +1,452 @@
+/**
+ * ClamAV daemon client
+ *
+ * Talks to a running clamd over a Unix socket or TCP using the clamd
+ * socket protocol (PING, VERSION, INSTREAM). Scans are sent over a small
+ * pool of IDSESSION connections so the signature database is loaded once
+ * by the daemon instead of once per request by clamscan.
+ */
+
+const net = require('net');
+const fs = require('fs');
+
+const DEFAULT_PORT = 3310;
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_POOL_SIZE = 4;
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Raised when clamd cannot be reached or drops the connection, so callers
+ * can fall back to another scanner instead of reporting a scan failure.
+ */
+class ClamdUnavailableError extends Error {
+  constructor(cause) {
+    super(`clamd unavailable: ${cause.message}`);
+    this.name = 'ClamdUnavailableError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Write a buffer to a socket, waiting for the drain event when the kernel
+ * buffer is full so large files are streamed with backpressure.
+ * @param {net.Socket} socket - Socket to write to
+ * @param {Buffer} data - Data to write
+ * @returns {Promise<void>}
+ */
+function writeAsync(socket, data) {
+  return new Promise((resolve, reject) => {
+    if (socket.destroyed) {
+      return reject(new ClamdUnavailableError(new Error('clamd closed the connection')));
+    }
+
+    if (socket.write(data)) {
+      return resolve();
+    }
+
+    const onDrain = () => {
+      socket.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      socket.off('drain', onDrain);
+      reject(new ClamdUnavailableError(new Error('clamd closed the connection')));
+    };
+
+    socket.once('drain', onDrain);
+    socket.once('close', onClose);
+  });
+}
+
+/**
+ * Parse a scan reply such as `stream: Eicar-Test-Signature FOUND`
+ * @param {string} reply - Reply from clamd with any session ID removed
+ * @returns {Object} Verdict with infected flag and signature name
+ */
+function parseScanReply(reply) {
+  const found = /^(.*?): (.+) FOUND$/.exec(reply);
+  if (found) {
+    return { infected: true, signature: found[2], reply };
+  }
+
+  if (/: OK$/.test(reply)) {
+    return { infected: false, signature: null, reply };
+  }
+
+  throw new Error(reply.replace(/\s*ERROR$/, '') || 'Empty reply from clamd');
+}
+
+/**
+ * A single socket to clamd with at most one request in flight
+ */
+class ClamdConnection {
+  constructor(socket, timeout) {
+    this.socket = socket;
+    this.timeout = timeout;
+    this.buffer = Buffer.alloc(0);
+    this.pending = null;
+    this.closed = false;
+
+    socket.on('data', (chunk) => this._onData(chunk));
+    socket.on('timeout', () => socket.destroy(new Error('clamd request timed out')));
+    socket.on('error', (err) => this._fail(err));
+    socket.on('close', () => {
+      this.closed = true;
+      this._fail(new Error('clamd closed the connection'));
+    });
+  }
+
+  _onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let end;
+    while ((end = this.buffer.indexOf(0)) !== -1) {
+      // Session replies are prefixed with the request number, e.g. "1: PONG"
+      const reply = this.buffer.subarray(0, end).toString('utf8').replace(/^\d+: /, '');
+      this.buffer = this.buffer.subarray(end + 1);
+
+      const pending = this.pending;
+      this.pending = null;
+      this.socket.setTimeout(0);
+
+      if (pending) {
+        pending.resolve(reply);
+      }
+    }
+  }
+
+  _fail(err) {
+    const pending = this.pending;
+    this.pending = null;
+
+    if (pending) {
+      pending.reject(new ClamdUnavailableError(err));
+    }
+  }
+
+  /**
+   * Send a null-terminated command and wait for its reply
+   * @param {string} command - Command name, e.g. PING or INSTREAM
+   * @param {Function} [writeBody] - Async function streaming a request body to the socket
+   * @returns {Promise<string>} Reply text
+   */
+  request(command, writeBody) {
+    if (this.closed) {
+      return Promise.reject(new ClamdUnavailableError(new Error('clamd closed the connection')));
+    }
+
+    const reply = new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+    });
+    // The reply may be rejected while the body is still being written
+    reply.catch(() => {});
+
+    this.socket.setTimeout(this.timeout);
+    this.socket.write(`z${command}\0`);
+
+    if (!writeBody) {
+      return reply;
+    }
+
+    return writeBody(this.socket).then(
+      () => reply,
+      (err) => {
+        // clamd may have answered early (e.g. size limit exceeded) and hung
+        // up; prefer its reply over the write error when there is one
+        this.destroy();
+        return reply.catch(() => {
+          throw err;
+        });
+      }
+    );
+  }
+
+  end() {
+    if (!this.closed) {
+      this.socket.end('zEND\0');
+    }
+  }
+
+  destroy() {
+    this.socket.destroy();
+  }
+}
+
+/**
+ * Client for a clamd daemon with pooled session connections
+ */
+class ClamdClient {
+  /**
+   * @param {Object} options - Connection options
+   * @param {string} [options.socket] - Path to the clamd Unix socket
+   * @param {string} [options.host] - clamd TCP host (used when no socket is given)
+   * @param {number} [options.port=3310] - clamd TCP port
+   * @param {number} [options.timeout=30000] - Connect and reply timeout in milliseconds
+   * @param {number} [options.poolSize=4] - Maximum concurrent session connections
+   * @param {number} [options.chunkSize=65536] - INSTREAM chunk size in bytes
+   */
+  constructor(options = {}) {
+    this.socketPath = options.socket;
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || DEFAULT_PORT;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.poolSize = options.poolSize || DEFAULT_POOL_SIZE;
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+
+    this.idle = [];
+    this.inUse = 0;
+    this.waiters = [];
+    this.closing = false;
+  }
+
+  /**
+   * Build a client from the `scanner.clamd` configuration section
+   * @param {Object} clamd - Socket, host, port, timeout and pool size
+   * @returns {ClamdClient|null} Client, or null when neither a socket nor a host is configured
+   */
+  static fromConfig(clamd) {
+    if (!clamd.socket && !clamd.host) {
+      return null;
+    }
+
+    return new ClamdClient({
+      socket: clamd.socket || undefined,
+      host: clamd.host || undefined,
+      port: clamd.port,
+      timeout: clamd.timeout,
+      poolSize: clamd.poolSize
+    });
+  }
+
+  /**
+   * Open a new connection to clamd
+   * @param {boolean} session - Whether to start an IDSESSION on the connection
+   * @returns {Promise<ClamdConnection>}
+   */
+  _connect(session) {
+    const target = this.socketPath ? { path: this.socketPath } : { host: this.host, port: this.port };
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(target);
+
+      const onError = (err) => {
+        socket.destroy();
+        reject(new ClamdUnavailableError(err));
+      };
+
+      socket.setTimeout(this.timeout, () => onError(new Error('Timed out connecting to clamd')));
+      socket.once('error', onError);
+      socket.once('connect', () => {
+        socket.off('error', onError);
+        socket.setTimeout(0);
+        socket.removeAllListeners('timeout');
+
+        if (session) {
+          socket.write('zIDSESSION\0');
+        }
+
+        resolve(new ClamdConnection(socket, this.timeout));
+      });
+    });
+  }
+
+  _acquireSlot() {
+    if (this.inUse < this.poolSize) {
+      this.inUse++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => this.waiters.push(resolve));
+  }
+
+  _releaseSlot() {
+    const next = this.waiters.shift();
+    if (next) {
+      next();
+    } else {
+      this.inUse--;
+    }
+  }
+
+  async _runInSession(connection, fn) {
+    try {
+      const result = await fn(connection);
+      if (this.closing || connection.closed) {
+        connection.end();
+      } else {
+        this.idle.push(connection);
+      }
+      return result;
+    } catch (err) {
+      connection.destroy();
+      throw err;
+    }
+  }
+
+  /**
+   * Run a request on a pooled session connection. A stale idle session
+   * (closed by clamd's IdleTimeout) is retried once on a fresh connection.
+   * @param {Function} fn - Async function receiving the connection
+   * @returns {Promise<*>} Result of fn
+   */
+  async _withSession(fn) {
+    await this._acquireSlot();
+
+    try {
+      let connection;
+      while ((connection = this.idle.pop())) {
+        if (connection.closed) {
+          continue;
+        }
+
+        try {
+          return await this._runInSession(connection, fn);
+        } catch (err) {
+          if (!(err instanceof ClamdUnavailableError)) {
+            throw err;
+          }
+        }
+      }
+
+      return await this._runInSession(await this._connect(true), fn);
+    } finally {
+      this._releaseSlot();
+    }
+  }
+
+  /**
+   * Send a single command on its own short-lived connection
+   * @param {string} command - Command name
+   * @returns {Promise<string>} Reply text
+   */
+  async _command(command) {
+    const connection = await this._connect(false);
+    try {
+      return await connection.request(command);
+    } finally {
+      connection.destroy();
+    }
+  }
+
+  /**
+   * Check that the daemon is alive
+   * @returns {Promise<boolean>} True when clamd answers PONG
+   */
+  async ping() {
+    return (await this._command('PING')) === 'PONG';
+  }
+
+  /**
+   * Get the daemon version string, e.g. `ClamAV 1.0.0/26800/Mon Jan 1 00:00:00 2024`
+   * @returns {Promise<string>}
+   */
+  version() {
+    return this._command('VERSION');
+  }
+
+  /**
+   * Ask the daemon to reload its signature databases
+   * @returns {Promise<string>} Reply text, `RELOADING` on success
+   */
+  reload() {
+    return this._command('RELOAD');
+  }
+
+  /**
+   * Scan a readable stream with INSTREAM
+   * @param {stream.Readable} stream - Data to scan
+   * @param {ClamdConnection} connection - Connection to send the stream on
+   * @param {AbortSignal} [signal] - Drops the connection and the stream when aborted, so clamd stops scanning
+   * @returns {Promise<Object>} Verdict with infected flag and signature name
+   * @throws {Error} The signal's reason when it was aborted
+   */
+  async _instream(stream, connection, signal) {
+    const abort = () => {
+      connection.destroy();
+      stream.destroy();
+    };
+    if (signal) {
+      signal.throwIfAborted();
+      signal.addEventListener('abort', abort, { once: true });
+    }
+
+    let reply;
+    try {
+      reply = await connection.request('INSTREAM', async (socket) => {
+        for await (const data of stream) {
+          for (let offset = 0; offset < data.length; offset += this.chunkSize) {
+            const chunk = data.subarray(offset, offset + this.chunkSize);
+            const header = Buffer.alloc(4);
+            header.writeUInt32BE(chunk.length);
+            await writeAsync(socket, Buffer.concat([header, chunk]));
+          }
+        }
+
+        // A zero-length chunk terminates the stream
+        await writeAsync(socket, Buffer.alloc(4));
+      });
+    } catch (err) {
+      // Report the abort rather than the dropped connection it caused
+      if (signal) {
+        signal.throwIfAborted();
+      }
+      throw err;
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    }
+
+    return parseScanReply(reply);
+  }
+
+  /**
+   * Scan a readable stream. The stream cannot be replayed, so a dropped
+   * session is reported rather than retried.
+   * @param {stream.Readable} stream - Data to scan
+   * @param {Object} [options] - Scan options
+   * @param {AbortSignal} [options.signal] - Abandons the scan when aborted
+   * @returns {Promise<Object>} Verdict with infected flag and signature name
+   */
+  async scanStream(stream, options = {}) {
+    await this._acquireSlot();
+
+    try {
+      let connection;
+      do {
+        connection = this.idle.pop();
+      } while (connection && connection.closed);
+
+      connection = connection || (await this._connect(true));
+      return await this._runInSession(connection, (conn) => this._instream(stream, conn, options.signal));
+    } finally {
+      this._releaseSlot();
+    }
+  }
+
+  /**
+   * Scan a file on disk by streaming its contents to clamd
+   * @param {string} filePath - Path to the file to scan
+   * @param {Object} [options] - Scan options
+   * @param {AbortSignal} [options.signal] - Abandons the scan when aborted
+   * @returns {Promise<Object>} Verdict with infected flag and signature name
+   */
+  scanFile(filePath, options = {}) {
+    return this._withSession((connection) => this._instream(fs.createReadStream(filePath), connection, options.signal));
+  }
+
+  /**
+   * End all idle sessions. Connections currently in use are closed once
+   * their request completes.
+   */
+  close() {
+    this.closing = true;
+    this.idle.splice(0).forEach((connection) => connection.end());
+  }
+}
+
+module.exports = {
+  ClamdClient,
+  ClamdUnavailableError,
+  parseScanReply
+};
@@ -0,0 +1,38 @@
+/**
+ * Concurrency helpers
+ */
+
+/**
+ * Map over items with an async function, running at most `limit` calls at
+ * once. Every call settles before the returned promise resolves; results
+ * are returned in input order as `{ status, value | reason }` objects like
+ * Promise.allSettled().
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Object[]>} Settled results in input order
+ */
+async function mapSettledWithLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  mapSettledWithLimit
+};
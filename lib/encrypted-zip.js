@@ -0,0 +1,228 @@
+/**
+ * Password-protected ZIP archives
+ *
+ * Writes ZIP files whose entries are encrypted with traditional PKWARE
+ * encryption (ZipCrypto), the format malware samples are customarily
+ * exchanged in because every unzip tool can open it and mail gateways and
+ * desktop scanners cannot. ZipCrypto is weak; it keeps the sample from
+ * being opened or scanned by accident, not from a determined attacker.
+ *
+ * Entries are stored uncompressed and streamed, with their CRC and sizes in
+ * a data descriptor after the data. Sizes are limited to 4 GB (no ZIP64).
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// General purpose flags: encrypted, sizes in a data descriptor, UTF-8 names
+const FLAGS = 0x0001 | 0x0008 | 0x0800;
+const VERSION = 20;
+const MAX_SIZE = 0xffffffff;
+
+/**
+ * Update a CRC-32 with one byte
+ * @param {number} crc - Current CRC
+ * @param {number} byte - Byte value
+ * @returns {number} Updated CRC
+ */
+function crc32Byte(crc, byte) {
+  return (CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8)) >>> 0;
+}
+
+/**
+ * Compute or continue a CRC-32 over a buffer
+ * @param {Buffer} buffer - Data
+ * @param {number} [crc=0] - CRC of the preceding data
+ * @returns {number} CRC-32
+ */
+function crc32(buffer, crc = 0) {
+  let value = ~crc >>> 0;
+  for (let i = 0; i < buffer.length; i++) {
+    value = crc32Byte(value, buffer[i]);
+  }
+  return ~value >>> 0;
+}
+
+/**
+ * Traditional PKWARE stream cipher, keyed by a password
+ */
+class ZipCrypto {
+  /**
+   * @param {string|Buffer} password - Archive password
+   */
+  constructor(password) {
+    this.keys = [0x12345678, 0x23456789, 0x34567890];
+    Buffer.from(password).forEach((byte) => this._update(byte));
+  }
+
+  _update(byte) {
+    const keys = this.keys;
+    keys[0] = crc32Byte(keys[0], byte);
+    keys[1] = (Math.imul((keys[1] + (keys[0] & 0xff)) >>> 0, 134775813) + 1) >>> 0;
+    keys[2] = crc32Byte(keys[2], keys[1] >>> 24);
+  }
+
+  _keystreamByte() {
+    const temp = (this.keys[2] | 2) & 0xffff;
+    return (Math.imul(temp, temp ^ 1) >>> 8) & 0xff;
+  }
+
+  /**
+   * @param {Buffer} data - Plaintext
+   * @returns {Buffer} Ciphertext
+   */
+  encrypt(data) {
+    const output = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i++) {
+      output[i] = data[i] ^ this._keystreamByte();
+      this._update(data[i]);
+    }
+    return output;
+  }
+
+  /**
+   * @param {Buffer} data - Ciphertext
+   * @returns {Buffer} Plaintext
+   */
+  decrypt(data) {
+    const output = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i++) {
+      output[i] = data[i] ^ this._keystreamByte();
+      this._update(output[i]);
+    }
+    return output;
+  }
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Modification time
+ * @returns {Object} `{ time, date }` as 16-bit values
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Write one entry: local header, encrypted data and data descriptor
+ * @param {Object} entry - Entry to write
+ * @param {string} password - Archive password
+ * @param {number} offset - Position of the local header in the archive
+ * @returns {AsyncGenerator<Buffer>} Yields the entry's bytes and returns its central directory record
+ */
+async function* writeEntry(entry, password, offset) {
+  const name = Buffer.from(entry.name);
+  const { time, date } = dosDateTime(entry.date || new Date());
+
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(VERSION, 4);
+  header.writeUInt16LE(FLAGS, 6);
+  header.writeUInt16LE(0, 8); // stored
+  header.writeUInt16LE(time, 10);
+  header.writeUInt16LE(date, 12);
+  // CRC and sizes (14-25) are zero; they follow the data in the descriptor
+  header.writeUInt16LE(name.length, 26);
+  header.writeUInt16LE(0, 28);
+  yield Buffer.concat([header, name]);
+
+  // The 12-byte encryption header ends with a check byte that unzip tools
+  // compare to tell a wrong password; with a data descriptor it is the
+  // high byte of the modification time
+  const cipher = new ZipCrypto(password);
+  const encryptionHeader = crypto.randomBytes(12);
+  encryptionHeader[11] = time >>> 8;
+  yield cipher.encrypt(encryptionHeader);
+
+  let crc = 0;
+  let size = 0;
+  const source = Buffer.isBuffer(entry.data) ? [entry.data] : entry.data;
+  for await (const chunk of source) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    crc = crc32(buffer, crc);
+    size += buffer.length;
+    if (size + 12 > MAX_SIZE) {
+      throw new Error(`${entry.name} is too large for a ZIP archive without ZIP64`);
+    }
+    yield cipher.encrypt(buffer);
+  }
+
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(crc, 4);
+  descriptor.writeUInt32LE(size + 12, 8);
+  descriptor.writeUInt32LE(size, 12);
+  yield descriptor;
+
+  const record = Buffer.alloc(46);
+  record.writeUInt32LE(0x02014b50, 0);
+  record.writeUInt16LE(VERSION, 4);
+  record.writeUInt16LE(VERSION, 6);
+  record.writeUInt16LE(FLAGS, 8);
+  record.writeUInt16LE(0, 10);
+  record.writeUInt16LE(time, 12);
+  record.writeUInt16LE(date, 14);
+  record.writeUInt32LE(crc, 16);
+  record.writeUInt32LE(size + 12, 20);
+  record.writeUInt32LE(size, 24);
+  record.writeUInt16LE(name.length, 28);
+  // Extra field, comment, disk number and attributes (30-41) are zero
+  record.writeUInt32LE(offset, 42);
+
+  return { record: Buffer.concat([record, name]), length: header.length + name.length + 12 + size + descriptor.length };
+}
+
+/**
+ * Create a password-protected ZIP archive
+ * @param {Object[]} entries - Files to include
+ * @param {string} entries[].name - Path inside the archive
+ * @param {Buffer|AsyncIterable<Buffer>} entries[].data - Content, e.g. a readable stream
+ * @param {Date} [entries[].date] - Modification time, defaults to now
+ * @param {string} password - Password needed to extract the entries
+ * @returns {Readable} The archive
+ */
+function createEncryptedZip(entries, password) {
+  return Readable.from((async function* write() {
+    const records = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+      const writer = writeEntry(entry, password, offset);
+      let step = await writer.next();
+      while (!step.done) {
+        yield step.value;
+        step = await writer.next();
+      }
+      records.push(step.value.record);
+      offset += step.value.length;
+    }
+
+    const directory = Buffer.concat(records);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(records.length, 8);
+    end.writeUInt16LE(records.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    yield directory;
+    yield end;
+  })());
+}
+
+module.exports = {
+  createEncryptedZip,
+  ZipCrypto,
+  crc32
+};
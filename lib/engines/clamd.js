@@ -0,0 +1,162 @@
+/**
+ * ClamAV daemon engine (clamd)
+ *
+ * Streams files to clamd and translates its replies into clamscan's exit
+ * codes and output format, so results are interpreted the same way as the
+ * clamscan engine. Scans, version and health checks fall back to another
+ * engine when the daemon is unreachable.
+ */
+
+const { ClamdClient, ClamdUnavailableError } = require('../clamd');
+const {
+  parseClamavOutput,
+  parseClamavSignatures,
+  parseClamavVersion,
+  countClamavSignatures,
+  DEFAULT_DATABASE_DIR,
+  FRESHCLAM_UPDATE
+} = require('./clamscan');
+const { logger } = require('../logger');
+
+/**
+ * Create a clamd engine
+ * @param {Object} options - Engine options
+ * @param {ClamdClient} [options.client] - Client to use instead of creating one
+ * @param {Object} [options.fallback] - Engine used when clamd is unreachable
+ * @param {string} [options.databaseDir=/var/lib/clamav] - clamd's database directory, when it is on this host
+ * @param {string} [options.sigtoolPath=sigtool] - sigtool executable
+ * @param {ProcessRunner} [options.runner] - Runs sigtool
+ * @returns {Object} Scanner engine
+ */
+function createClamdEngine(options = {}) {
+  const client = options.client || new ClamdClient(options);
+  const fallback = options.fallback;
+  const databaseDir = options.databaseDir || DEFAULT_DATABASE_DIR;
+  const sigtoolPath = options.sigtoolPath || 'sigtool';
+
+  const engine = {
+    name: 'clamd',
+    displayName: 'ClamAV',
+    type: 'Open Source Antivirus Engine',
+    client,
+
+    exitCodes: {
+      0: 'clean',
+      1: 'infected'
+    },
+
+    /**
+     * Scan a file with clamd, falling back when the daemon is unreachable
+     * @param {string} filePath - Path to the file to scan
+     * @param {Object} [options] - Scan options
+     * @param {AbortSignal} [options.signal] - Drops the clamd connection when aborted
+     * @returns {Promise<Object>} The error (with exit code), stdout and stderr
+     */
+    async scan(filePath, options = {}) {
+      const { signal } = options;
+      try {
+        const { infected, signature } = await client.scanFile(filePath, { signal });
+
+        return infected
+          ? { error: { code: 1 }, stdout: `${filePath}: ${signature} FOUND`, stderr: '' }
+          : { error: null, stdout: '', stderr: '' };
+      } catch (error) {
+        if (signal && signal.aborted) {
+          return { error: signal.reason, stdout: '', stderr: '' };
+        }
+
+        if (!(error instanceof ClamdUnavailableError) || !fallback) {
+          return { error: { code: 2, message: error.message }, stdout: '', stderr: error.message };
+        }
+
+        logger.warn(`clamd unavailable, falling back to ${fallback.name}`, { error });
+        return fallback.scan(filePath, options);
+      }
+    },
+
+    /**
+     * Scan a stream with clamd without writing it to disk first. A stream
+     * cannot be replayed, so there is no fallback when the daemon is down.
+     * @param {stream.Readable} stream - Data to scan
+     * @param {string} name - Name used for the file in the output
+     * @param {Object} [options] - Scan options
+     * @param {AbortSignal} [options.signal] - Drops the clamd connection when aborted
+     * @returns {Promise<Object>} The error (with exit code), stdout and stderr
+     */
+    async scanStream(stream, name, options = {}) {
+      const { signal } = options;
+      try {
+        const { infected, signature } = await client.scanStream(stream, { signal });
+
+        return infected
+          ? { error: { code: 1 }, stdout: `${name}: ${signature} FOUND`, stderr: '' }
+          : { error: null, stdout: '', stderr: '' };
+      } catch (error) {
+        if (signal && signal.aborted) {
+          return { error: signal.reason, stdout: '', stderr: '' };
+        }
+
+        return { error: { code: 2, message: error.message }, stdout: '', stderr: error.message };
+      }
+    },
+
+    parseThreats: parseClamavOutput,
+
+    signatures: parseClamavSignatures,
+
+    engineVersion: parseClamavVersion,
+
+    signatureCount() {
+      return countClamavSignatures(databaseDir, sigtoolPath, options.runner);
+    },
+
+    update: FRESHCLAM_UPDATE,
+
+    /**
+     * Version string of clamd, or of the fallback engine while the daemon is unreachable
+     * @returns {Promise<string>}
+     */
+    async version() {
+      try {
+        return await client.version();
+      } catch (error) {
+        if (!(error instanceof ClamdUnavailableError) || !fallback) {
+          throw error;
+        }
+
+        logger.warn(`clamd unavailable, falling back to ${fallback.name}`, { error });
+        return fallback.version();
+      }
+    },
+
+    /**
+     * Ask clamd to load updated signatures; it reloads in the background
+     * @returns {Promise<void>}
+     */
+    async reload() {
+      const reply = await client.reload();
+      if (reply !== 'RELOADING') {
+        throw new Error(`Unexpected reply to RELOAD: ${reply}`);
+      }
+    },
+
+    async health() {
+      try {
+        return { healthy: await client.ping(), version: await client.version() };
+      } catch (error) {
+        // Scans still work through the fallback, so report its health instead
+        if (error instanceof ClamdUnavailableError && fallback) {
+          return fallback.health();
+        }
+
+        return { healthy: false, error: error.message };
+      }
+    }
+  };
+
+  return engine;
+}
+
+module.exports = {
+  createClamdEngine
+};
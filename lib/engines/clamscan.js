@@ -0,0 +1,209 @@
+/**
+ * ClamAV command-line scanner engine (clamscan)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { defaultRunner, healthFromVersion } = require('./exec');
+
+// Where ClamAV keeps its signature databases on most Linux distributions
+const DEFAULT_DATABASE_DIR = '/var/lib/clamav';
+
+// freshclam exits with 0 after downloading updates and 1 when already up to date
+const FRESHCLAM_UPDATE = {
+  command: 'freshclam',
+  exitCodes: {
+    0: 'updated',
+    1: 'up_to_date'
+  }
+};
+
+/**
+ * Get the appropriate ClamAV scanner path based on the operating system
+ */
+function getScannerPath() {
+  const scannerPaths = {
+    win32: 'C:\\Program Files\\ClamAV\\clamscan.exe',
+    default: 'clamscan'
+  };
+
+  return scannerPaths[process.platform] || scannerPaths.default;
+}
+
+/**
+ * Derive a threat category from a ClamAV signature name. Official names
+ * follow {platform}.{category}.{name}-{id}-{revision} (e.g.
+ * Win.Trojan.Agent-123456-0), with PUA and Heuristics as their own prefixes.
+ * @param {string} signature - Signature name
+ * @returns {string} Lower-case category such as trojan, test or pua
+ */
+function clamavCategory(signature) {
+  const parts = signature.split('.');
+
+  if (/^PUA$/i.test(parts[0])) {
+    return 'pua';
+  }
+
+  if (/^Heuristics?$/i.test(parts[0])) {
+    return 'heuristics';
+  }
+
+  if (parts.length >= 3) {
+    return parts[1].toLowerCase();
+  }
+
+  return /eicar|test/i.test(signature) ? 'test' : 'unknown';
+}
+
+/**
+ * Parse ClamAV output lines such as `/path/file: Win.Test.EICAR_HDB-1 FOUND`
+ * @param {string} stdout - Scanner output
+ * @returns {Object[]} Threats with file, signature and category
+ */
+function parseClamavOutput(stdout) {
+  return String(stdout || '')
+    .split(/\r?\n/)
+    .map((line) => /^(.*): (.+) FOUND$/.exec(line.trim()))
+    .filter(Boolean)
+    .map(([, file, signature]) => ({
+      file,
+      signature,
+      category: clamavCategory(signature)
+    }));
+}
+
+/**
+ * Read the signature database from a ClamAV version string such as
+ * `ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024`. Without a database ClamAV
+ * prints only its own version.
+ * @param {string} version - Output of clamscan --version or the clamd VERSION command
+ * @returns {Object|null} Database version and build time, or null when no database is loaded
+ */
+function parseClamavSignatures(version) {
+  const match = /^ClamAV [^/]+\/(\d+)\/(.+)$/.exec(String(version || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const updatedAt = new Date(match[2]);
+  return { version: match[1], updatedAt: Number.isNaN(updatedAt.getTime()) ? null : updatedAt };
+}
+
+/**
+ * Read the ClamAV release from a version string such as `ClamAV 1.0.0/27000/...`
+ * @param {string} version - Output of clamscan --version or the clamd VERSION command
+ * @returns {string|null} Release, e.g. 1.0.0
+ */
+function parseClamavVersion(version) {
+  const match = /^ClamAV ([^/\s]+)/.exec(String(version || '').trim());
+  return match ? match[1] : null;
+}
+
+/**
+ * Count the signatures in a ClamAV database directory by running
+ * `sigtool --info` on each official database (main, daily, bytecode)
+ * @param {string} databaseDir - Database directory
+ * @param {string} sigtoolPath - sigtool executable
+ * @param {ProcessRunner} [runner] - Runs sigtool
+ * @returns {Promise<number|null>} Total signatures, or null when the directory holds no databases
+ * @throws {Error} When the directory cannot be read or sigtool fails
+ */
+async function countClamavSignatures(databaseDir, sigtoolPath, runner = defaultRunner) {
+  const databases = (await fs.promises.readdir(databaseDir)).filter((name) => /\.c[lv]d$/.test(name)).sort();
+  if (databases.length === 0) {
+    return null;
+  }
+
+  let total = 0;
+  for (const name of databases) {
+    const { error, stdout, stderr } = await runner.run(sigtoolPath, ['--info', path.join(databaseDir, name)]);
+    const match = /^Signatures:\s*(\d+)/m.exec(stdout || '');
+    if (error || !match) {
+      throw new Error(stderr || (error && error.message) || `sigtool reported no signature count for ${name}`);
+    }
+    total += parseInt(match[1], 10);
+  }
+
+  return total;
+}
+
+/**
+ * Create a clamscan engine
+ * @param {Object} [options] - Engine options
+ * @param {string} [options.path] - Scanner executable, defaults to getScannerPath()
+ * @param {string} [options.databaseDir=/var/lib/clamav] - Signature database directory, for the signature count
+ * @param {string} [options.sigtoolPath=sigtool] - sigtool executable
+ * @param {ProcessRunner} [options.runner] - Runs the scanner processes
+ * @returns {Object} Scanner engine
+ */
+function createClamscanEngine(options = {}) {
+  const scannerPath = options.path || getScannerPath();
+  const runner = options.runner || defaultRunner;
+  const databaseDir = options.databaseDir || DEFAULT_DATABASE_DIR;
+  const sigtoolPath = options.sigtoolPath || 'sigtool';
+
+  const engine = {
+    name: 'clamscan',
+    displayName: 'ClamAV',
+    type: 'Open Source Antivirus Engine',
+
+    // ClamAV exit codes: 0 = clean, 1 = virus found, 2+ = error
+    exitCodes: {
+      0: 'clean',
+      1: 'infected'
+    },
+
+    /**
+     * Scan a file by spawning clamscan
+     * @param {string} filePath - Path to the file to scan
+     * @param {Object} [options] - Scan options
+     * @param {AbortSignal} [options.signal] - Kills the scanner when aborted
+     * @returns {Promise<Object>} The process runner result
+     */
+    scan(filePath, options = {}) {
+      // ClamAV command with options:
+      // --no-summary: Don't print summary
+      // --infected: Only print infected files
+      // --suppress-ok-results: Don't print OK results
+      return runner.run(scannerPath, ['--no-summary', '--infected', '--suppress-ok-results', filePath], { signal: options.signal });
+    },
+
+    parseThreats: parseClamavOutput,
+
+    signatures: parseClamavSignatures,
+
+    engineVersion: parseClamavVersion,
+
+    signatureCount() {
+      return countClamavSignatures(databaseDir, sigtoolPath, runner);
+    },
+
+    update: FRESHCLAM_UPDATE,
+
+    async version() {
+      const { error, stdout, stderr } = await runner.run(scannerPath, ['--version']);
+      if (error) {
+        throw new Error(stderr || error.message);
+      }
+      return stdout.trim();
+    },
+
+    health() {
+      return healthFromVersion(engine.version);
+    }
+  };
+
+  return engine;
+}
+
+module.exports = {
+  createClamscanEngine,
+  getScannerPath,
+  parseClamavOutput,
+  parseClamavSignatures,
+  parseClamavVersion,
+  countClamavSignatures,
+  clamavCategory,
+  DEFAULT_DATABASE_DIR,
+  FRESHCLAM_UPDATE
+};
@@ -0,0 +1,113 @@
+/**
+ * Generic command template engine
+ *
+ * Runs any command-line scanner described by a command template, e.g.
+ * `/opt/scanner/bin/scan --quiet {file}`. The template is split into words
+ * like a shell command line, but runs without a shell: `{file}` is replaced
+ * with the upload path inside its word, so the path always stays a single
+ * argument. The exit codes listed as clean or infected decide the verdict;
+ * every other exit code is an error.
+ * Threats are read from output lines matching a regular expression with
+ * `file` and `signature` (and optionally `category`) named groups.
+ */
+
+const { defaultRunner, splitCommand, healthFromVersion } = require('./exec');
+
+// ClamAV-style "<file>: <signature> FOUND" lines
+const DEFAULT_THREAT_PATTERN = '^(?<file>.*): (?<signature>.+) FOUND$';
+
+/**
+ * Parse a list of exit codes such as "0" or "1,3"
+ * @param {string|number[]} codes - Comma separated codes or an array
+ * @returns {number[]} Exit codes
+ */
+function parseCodes(codes) {
+  if (Array.isArray(codes)) {
+    return codes;
+  }
+
+  return String(codes)
+    .split(',')
+    .map((code) => parseInt(code.trim(), 10))
+    .filter((code) => !Number.isNaN(code));
+}
+
+/**
+ * Create a command template engine
+ * @param {Object} options - Engine options
+ * @param {string} options.command - Scan command template containing {file}
+ * @param {string} [options.versionCommand] - Command printing the scanner version
+ * @param {string|number[]} [options.cleanCodes=0] - Exit codes meaning clean
+ * @param {string|number[]} [options.infectedCodes=1] - Exit codes meaning infected
+ * @param {string} [options.threatPattern] - Regular expression matching one threat per output line
+ * @param {string} [options.displayName=Custom Scanner] - Name reported by the API
+ * @param {ProcessRunner} [options.runner] - Runs the scanner processes
+ * @returns {Object} Scanner engine
+ * @throws {Error} When the command template is missing {file} or has an unterminated quote
+ */
+function createCommandEngine(options = {}) {
+  if (!options.command || !options.command.includes('{file}')) {
+    throw new Error('The command engine requires a command template containing {file}');
+  }
+
+  const exitCodes = {};
+  parseCodes(options.cleanCodes ?? '0').forEach((code) => { exitCodes[code] = 'clean'; });
+  parseCodes(options.infectedCodes ?? '1').forEach((code) => { exitCodes[code] = 'infected'; });
+
+  const threatPattern = new RegExp(options.threatPattern || DEFAULT_THREAT_PATTERN);
+  const runner = options.runner || defaultRunner;
+  const [file, ...args] = splitCommand(options.command);
+  const versionCommand = options.versionCommand ? splitCommand(options.versionCommand) : null;
+
+  const engine = {
+    name: 'command',
+    displayName: options.displayName || 'Custom Scanner',
+    type: 'Command Template Engine',
+    exitCodes,
+
+    /**
+     * Scan a file with the configured command template
+     * @param {string} filePath - Path to the file to scan
+     * @param {Object} [scanOptions] - Scan options
+     * @param {AbortSignal} [scanOptions.signal] - Kills the scanner when aborted
+     * @returns {Promise<Object>} The process runner result
+     */
+    scan(filePath, scanOptions = {}) {
+      return runner.run(file, args.map((arg) => arg.split('{file}').join(filePath)), { signal: scanOptions.signal });
+    },
+
+    parseThreats(stdout) {
+      return String(stdout || '')
+        .split(/\r?\n/)
+        .map((line) => threatPattern.exec(line.trim()))
+        .filter((match) => match && match.groups && match.groups.signature)
+        .map(({ groups }) => ({
+          file: groups.file || '',
+          signature: groups.signature,
+          category: groups.category ? groups.category.toLowerCase() : 'unknown'
+        }));
+    },
+
+    async version() {
+      if (!versionCommand) {
+        return 'unknown';
+      }
+
+      const { error, stdout, stderr } = await runner.run(versionCommand[0], versionCommand.slice(1));
+      if (error) {
+        throw new Error(stderr || error.message);
+      }
+      return stdout.trim();
+    },
+
+    health() {
+      return healthFromVersion(engine.version);
+    }
+  };
+
+  return engine;
+}
+
+module.exports = {
+  createCommandEngine
+};
@@ -0,0 +1,84 @@
+/**
+ * Shared helpers for command-line scanner engines
+ */
+
+const { ProcessRunner } = require('../process-runner');
+
+// Runner for engines created without one, e.g. in scripts and tests
+const defaultRunner = new ProcessRunner();
+
+/**
+ * Split a command template into words the way a POSIX shell would, honouring
+ * single and double quotes and backslash escapes, but without expanding
+ * anything. A backslash only escapes whitespace, quotes and backslashes, so
+ * Windows paths can be written as they are.
+ * @param {string} command - Command line such as `/opt/scan --quiet {file}`
+ * @returns {string[]} Executable followed by its arguments
+ * @throws {Error} When a quote is not closed
+ */
+function splitCommand(command) {
+  const words = [];
+  let word = null;
+  let quote = null;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if (quote === "'") {
+      if (char === "'") {
+        quote = null;
+      } else {
+        word += char;
+      }
+    } else if (quote === '"') {
+      if (char === '"') {
+        quote = null;
+      } else if (char === '\\' && /["\\$`]/.test(command[i + 1] || '')) {
+        word += command[++i];
+      } else {
+        word += char;
+      }
+    } else if (/\s/.test(char)) {
+      if (word !== null) {
+        words.push(word);
+        word = null;
+      }
+    } else {
+      word = word || '';
+      if (char === "'" || char === '"') {
+        quote = char;
+      } else if (char === '\\' && /[\s'"\\]/.test(command[i + 1] || '')) {
+        word += command[++i];
+      } else {
+        word += char;
+      }
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote} quote in command: ${command}`);
+  }
+  if (word !== null) {
+    words.push(word);
+  }
+  return words;
+}
+
+/**
+ * Build a health report by running a version command
+ * @param {Function} version - Async function returning the engine version
+ * @returns {Promise<Object>} Health object with healthy flag and version or error
+ */
+async function healthFromVersion(version) {
+  try {
+    return { healthy: true, version: await version() };
+  } catch (error) {
+    return { healthy: false, error: error.message };
+  }
+}
+
+module.exports = {
+  defaultRunner,
+  splitCommand,
+  healthFromVersion
+};
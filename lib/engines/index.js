@@ -0,0 +1,106 @@
+/**
+ * Scanner engines
+ *
+ * Every engine exposes the same interface so routes never depend on a
+ * particular antivirus product:
+ *
+ * - `name`, `displayName`, `type` - identification reported by the API
+ * - `exitCodes` - map of exit code to `clean` or `infected`; any other code is an error
+ * - `parseThreats(stdout)` - returns `[{ file, signature, category }]` found in the output
+ * - `scan(filePath, { signal })` - resolves to `{ error, stdout, stderr }`, where `error.code` is the
+ *   exit code. When `signal` aborts, the scanner is killed and `error` is the signal's reason.
+ *   Command-line engines add the process runner's `durationMs`, `signal` and `truncated`.
+ * - `scanStream(stream, name, { signal })` - optional; scans a readable stream without a temporary file
+ * - `version()` - resolves to the engine version string
+ * - `health()` - resolves to `{ healthy, version | error }`
+ * - `signatures(version)` - optional; reads `{ version, updatedAt }` of the loaded
+ *   signature database from the version string, or null when none is loaded
+ * - `engineVersion(version)` - optional; reads the scanner release from the version string
+ * - `signatureCount()` - optional; resolves to the number of loaded signatures
+ * - `update` - optional; `{ command, exitCodes }` of the signature update command, where
+ *   `exitCodes` maps exit codes to `updated` or `up_to_date`; any other code is a failure
+ * - `reload()` - optional; makes a running daemon load updated signatures
+ */
+
+const { ClamdClient } = require('../clamd');
+const { ProcessRunner } = require('../process-runner');
+const { createClamscanEngine, getScannerPath } = require('./clamscan');
+const { createClamdEngine } = require('./clamd');
+const { createUvscanEngine } = require('./uvscan');
+const { createCommandEngine } = require('./command');
+
+const engineFactories = {
+  clamscan: createClamscanEngine,
+  clamd: createClamdEngine,
+  uvscan: createUvscanEngine,
+  command: createCommandEngine
+};
+
+/**
+ * Create an engine by name
+ * @param {string} name - One of clamscan, clamd, uvscan or command
+ * @param {Object} [options] - Engine specific options
+ * @returns {Object} Scanner engine
+ */
+function createEngine(name, options = {}) {
+  const factory = engineFactories[name];
+
+  if (!factory) {
+    throw new Error(`Unknown scanner engine "${name}". Expected one of: ${Object.keys(engineFactories).join(', ')}`);
+  }
+
+  return factory(options);
+}
+
+/**
+ * Create the engine selected by the `scanner` configuration section.
+ * Without an explicit engine, clamd is used when a clamd socket or host is
+ * configured and clamscan otherwise.
+ * @param {Object} scanner - The `scanner` section from config/index.js
+ * @returns {Object} Scanner engine
+ */
+function createEngineFromConfig(scanner) {
+  const clamdClient = ClamdClient.fromConfig(scanner.clamd);
+  const name = scanner.engine || (clamdClient ? 'clamd' : 'clamscan');
+  const runner = new ProcessRunner({
+    maxProcesses: scanner.maxProcesses,
+    maxOutput: scanner.maxOutput,
+    env: scanner.env
+  });
+  const databaseOptions = {
+    databaseDir: scanner.databaseDir || undefined,
+    sigtoolPath: scanner.sigtoolPath || undefined,
+    runner
+  };
+
+  switch (name) {
+    case 'clamd':
+      return createEngine('clamd', {
+        client: clamdClient || new ClamdClient(scanner.clamd),
+        fallback: createClamscanEngine({ path: scanner.clamscanPath || undefined, ...databaseOptions }),
+        ...databaseOptions
+      });
+    case 'clamscan':
+      return createEngine('clamscan', { path: scanner.clamscanPath || undefined, ...databaseOptions });
+    case 'uvscan':
+      return createEngine('uvscan', { path: scanner.uvscanPath || undefined, runner });
+    case 'command':
+      return createEngine('command', {
+        command: scanner.command,
+        versionCommand: scanner.versionCommand || undefined,
+        cleanCodes: scanner.cleanCodes ?? undefined,
+        infectedCodes: scanner.infectedCodes ?? undefined,
+        threatPattern: scanner.threatPattern || undefined,
+        displayName: scanner.name || undefined,
+        runner
+      });
+    default:
+      return createEngine(name);
+  }
+}
+
+module.exports = {
+  createEngine,
+  createEngineFromConfig,
+  getScannerPath
+};
@@ -0,0 +1,131 @@
+/**
+ * McAfee VirusScan Command Line Scanner engine (uvscan)
+ */
+
+const { defaultRunner, healthFromVersion } = require('./exec');
+
+// Trailing phrases uvscan appends to a detection name, and the category each implies
+const uvscanSuffixes = [
+  { pattern: / NOT a virus$/i, category: 'test' },
+  { pattern: / virus(?: !!!)?$/i, category: 'virus' },
+  { pattern: / trojan(?: !!!)?$/i, category: 'trojan' },
+  { pattern: / potentially unwanted program(?: !!!)?$/i, category: 'pua' }
+];
+
+/**
+ * Parse uvscan output lines such as
+ * `/path/file ... Found the W32/Sality.gen virus !!!` or
+ * `/path/file ... Found: EICAR test file NOT a virus.`
+ * @param {string} stdout - Scanner output
+ * @returns {Object[]} Threats with file, signature and category
+ */
+function parseUvscanOutput(stdout) {
+  return String(stdout || '')
+    .split(/\r?\n/)
+    .map((line) => /^(.+?) \.\.\. Found:? (?:the )?(.+?)\.?$/.exec(line.trim()))
+    .filter(Boolean)
+    .map(([, file, detection]) => {
+      const suffix = uvscanSuffixes.find(({ pattern }) => pattern.test(detection));
+
+      return {
+        file,
+        signature: suffix ? detection.replace(suffix.pattern, '') : detection,
+        category: suffix ? suffix.category : 'unknown'
+      };
+    });
+}
+
+/**
+ * Read the DAT set from uvscan --version output, which includes a line such
+ * as `Dat set version: 10234 created Dec 1 2021`
+ * @param {string} version - Output of uvscan --version
+ * @returns {Object|null} DAT version and creation date, or null when no DAT files are loaded
+ */
+function parseUvscanSignatures(version) {
+  const match = /^Dat set version:\s*(\d+) created (.+)$/im.exec(String(version || ''));
+  if (!match) {
+    return null;
+  }
+
+  const updatedAt = new Date(match[2].trim());
+  return { version: match[1], updatedAt: Number.isNaN(updatedAt.getTime()) ? null : updatedAt };
+}
+
+/**
+ * Read the scan engine version from uvscan --version output, which includes
+ * a line such as `Engine version: 6010.8670 for Linux64.`
+ * @param {string} version - Output of uvscan --version
+ * @returns {string|null} Engine version
+ */
+function parseUvscanVersion(version) {
+  const match = /^Engine version:\s*([\d.]*\d)/im.exec(String(version || ''));
+  return match ? match[1] : null;
+}
+
+/**
+ * Create a uvscan engine
+ * @param {Object} [options] - Engine options
+ * @param {string} [options.path=uvscan] - Scanner executable
+ * @param {ProcessRunner} [options.runner] - Runs the scanner processes
+ * @returns {Object} Scanner engine
+ */
+function createUvscanEngine(options = {}) {
+  const scannerPath = options.path || 'uvscan';
+  const runner = options.runner || defaultRunner;
+
+  const engine = {
+    name: 'uvscan',
+    displayName: 'McAfee VirusScan',
+    type: 'Command Line Scanner',
+
+    // uvscan exit codes: 0 = clean, 13 = virus found, 19 = virus found and
+    // cleaned, anything else (2, 6, 8, 15, 102, ...) = error
+    exitCodes: {
+      0: 'clean',
+      13: 'infected',
+      19: 'infected'
+    },
+
+    /**
+     * Scan a file by spawning uvscan
+     * @param {string} filePath - Path to the file to scan
+     * @param {Object} [options] - Scan options
+     * @param {AbortSignal} [options.signal] - Kills the scanner when aborted
+     * @returns {Promise<Object>} The process runner result
+     */
+    scan(filePath, options = {}) {
+      // uvscan options:
+      // --secure: Scan archives, MIME encoded files and all file types heuristically
+      // --noboot: Don't scan boot sectors
+      // --noexpire: Don't fail when the DAT files are out of date
+      return runner.run(scannerPath, ['--secure', '--noboot', '--noexpire', filePath], { signal: options.signal });
+    },
+
+    parseThreats: parseUvscanOutput,
+
+    signatures: parseUvscanSignatures,
+
+    engineVersion: parseUvscanVersion,
+
+    async version() {
+      const { error, stdout, stderr } = await runner.run(scannerPath, ['--version']);
+      if (error) {
+        throw new Error(stderr || error.message);
+      }
+      return stdout.trim();
+    },
+
+    health() {
+      return healthFromVersion(engine.version);
+    }
+  };
+
+  return engine;
+}
+
+module.exports = {
+  createUvscanEngine,
+  parseUvscanOutput,
+  parseUvscanSignatures,
+  parseUvscanVersion
+};
@@ -0,0 +1,622 @@
+/**
+ * File type detection
+ *
+ * Identifies a file from its first bytes ("magic numbers") instead of the
+ * filename and Content-Type the client sent, which are easy to fake.
+ * Unrecognised content is reported as text/plain when it looks like text
+ * and application/octet-stream otherwise. For files on disk, zip and OLE
+ * containers are looked into to tell Office documents, Java and Android
+ * packages from plain archives.
+ *
+ * describeFileType() compares the detected type with the type the client
+ * claimed, through the Content-Type and the filename extension, so that
+ * e.g. a PE executable uploaded as `photo.jpg` can be flagged.
+ */
+
+const fs = require('fs');
+
+// Bytes read from the start of a file; tar keeps its magic at offset 257
+const HEADER_SIZE = 512;
+
+// Largest zip central directory read when looking into a zip file
+const MAX_ZIP_DIRECTORY = 1024 * 1024;
+
+// Largest number of OLE directory sectors followed
+const MAX_OLE_DIRECTORY_SECTORS = 256;
+
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+const PPTX = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+const DOCM = 'application/vnd.ms-word.document.macroenabled.12';
+const XLSM = 'application/vnd.ms-excel.sheet.macroenabled.12';
+const PPTM = 'application/vnd.ms-powerpoint.presentation.macroenabled.12';
+const PE = 'application/vnd.microsoft.portable-executable';
+
+/**
+ * Whether a Mach-O universal binary rather than a Java class file, which
+ * share their magic number: class files store a version of 45 or higher
+ * where universal binaries store their (small) number of architectures
+ * @param {Buffer} header - First bytes of the file
+ * @returns {boolean}
+ */
+function isUniversalBinary(header) {
+  return header.length >= 8 && header.readUInt32BE(4) < 45;
+}
+
+// Magic numbers by MIME type, checked in order; `test` further checks the header
+const SIGNATURES = [
+  { type: PE, bytes: 'MZ' },
+  { type: 'application/x-elf', bytes: '\x7fELF' },
+  { type: 'application/x-mach-binary', bytes: '\xfe\xed\xfa\xce' },
+  { type: 'application/x-mach-binary', bytes: '\xfe\xed\xfa\xcf' },
+  { type: 'application/x-mach-binary', bytes: '\xce\xfa\xed\xfe' },
+  { type: 'application/x-mach-binary', bytes: '\xcf\xfa\xed\xfe' },
+  { type: 'application/x-mach-binary', bytes: '\xca\xfe\xba\xbe', test: isUniversalBinary },
+  { type: 'application/java-vm', bytes: '\xca\xfe\xba\xbe' },
+  { type: 'application/wasm', bytes: '\x00asm' },
+  { type: 'application/x-ms-shortcut', bytes: 'L\x00\x00\x00\x01\x14\x02\x00' },
+  { type: 'application/pdf', bytes: '%PDF-' },
+  { type: 'application/rtf', bytes: '{\\rtf' },
+  { type: 'application/zip', bytes: 'PK\x03\x04' },
+  { type: 'application/zip', bytes: 'PK\x05\x06' },
+  { type: 'application/gzip', bytes: '\x1f\x8b' },
+  { type: 'application/x-7z-compressed', bytes: '7z\xbc\xaf\x27\x1c' },
+  { type: 'application/vnd.rar', bytes: 'Rar!\x1a\x07' },
+  { type: 'application/x-bzip2', bytes: 'BZh' },
+  { type: 'application/x-xz', bytes: '\xfd7zXZ\x00' },
+  { type: 'application/x-tar', bytes: 'ustar', offset: 257 },
+  { type: 'application/x-ole-storage', bytes: '\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1' },
+  { type: 'image/png', bytes: '\x89PNG\r\n\x1a\n' },
+  { type: 'image/jpeg', bytes: '\xff\xd8\xff' },
+  { type: 'image/gif', bytes: 'GIF87a' },
+  { type: 'image/gif', bytes: 'GIF89a' },
+  { type: 'image/webp', bytes: 'RIFF', test: (header) => header.toString('latin1', 8, 12) === 'WEBP' },
+  { type: 'image/bmp', bytes: 'BM', test: (header) => header.length >= 10 && header.readUInt32LE(6) === 0 },
+  { type: 'image/tiff', bytes: 'II*\x00' },
+  { type: 'image/tiff', bytes: 'MM\x00*' },
+  { type: 'image/vnd.microsoft.icon', bytes: '\x00\x00\x01\x00' }
+].map((signature) => ({ ...signature, bytes: Buffer.from(signature.bytes, 'latin1'), offset: signature.offset || 0 }));
+
+// Script interpreters named on a #! line
+const INTERPRETERS = [
+  { type: 'text/x-shellscript', pattern: /^(ba|da|k|z|c|tc)?sh$/ },
+  { type: 'text/x-python', pattern: /^python[\d.]*$/ },
+  { type: 'text/x-perl', pattern: /^perl[\d.]*$/ },
+  { type: 'text/x-ruby', pattern: /^ruby[\d.]*$/ },
+  { type: 'text/javascript', pattern: /^(node|nodejs|deno|bun)$/ },
+  { type: 'application/x-httpd-php', pattern: /^php[\d.]*$/ },
+  { type: 'text/x-powershell', pattern: /^pwsh$/ }
+];
+
+// Text formats recognised by how they start, after leading whitespace
+const TEXT_SIGNATURES = [
+  { type: 'application/x-httpd-php', pattern: /^<\?php/i },
+  { type: 'image/svg+xml', pattern: /^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!doctype svg[^>]*>\s*)*<svg[\s>]/i },
+  { type: 'application/xml', pattern: /^<\?xml[\s?]/ },
+  { type: 'text/html', pattern: /^(<!--[\s\S]*?-->\s*)*(<!doctype html|<html|<head|<body|<script|<iframe)[\s>]/i },
+  { type: 'text/x-msdos-batch', pattern: /^@?echo off\b/i },
+  { type: 'text/x-powershell', pattern: /^#requires\s+-(version|modules|runasadministrator)\b/i }
+];
+
+// Types inside a zip file, told apart by the entries it contains
+const ZIP_TYPES = [
+  { type: DOCM, test: (names) => isOoxml(names, 'word/', true) },
+  { type: DOCX, test: (names) => isOoxml(names, 'word/', false) },
+  { type: XLSM, test: (names) => isOoxml(names, 'xl/', true) },
+  { type: XLSX, test: (names) => isOoxml(names, 'xl/', false) },
+  { type: PPTM, test: (names) => isOoxml(names, 'ppt/', true) },
+  { type: PPTX, test: (names) => isOoxml(names, 'ppt/', false) },
+  { type: 'application/vnd.android.package-archive', test: (names) => names.includes('AndroidManifest.xml') && names.includes('classes.dex') },
+  { type: 'application/java-archive', test: (names) => names.includes('META-INF/MANIFEST.MF') }
+];
+
+// Types inside an OLE compound file, told apart by the streams it contains
+const OLE_TYPES = [
+  { type: 'application/msword', stream: 'WordDocument' },
+  { type: 'application/vnd.ms-excel', stream: 'Workbook' },
+  { type: 'application/vnd.ms-excel', stream: 'Book' },
+  { type: 'application/vnd.ms-powerpoint', stream: 'PowerPoint Document' }
+];
+
+// OLE storages holding VBA macros: Word, Excel and any document's VBA project
+const OLE_MACRO_STORAGES = ['Macros', '_VBA_PROJECT_CUR', 'VBA'];
+
+// Class ID of the root storage of Windows Installer packages
+const MSI_CLSID = Buffer.from('84100c0000000000c000000000000046', 'hex');
+
+// Types detected from containers and text, and the type they are a kind of
+const PARENT_TYPES = {
+  [DOCX]: 'application/zip',
+  [XLSX]: 'application/zip',
+  [PPTX]: 'application/zip',
+  [DOCM]: 'application/zip',
+  [XLSM]: 'application/zip',
+  [PPTM]: 'application/zip',
+  'application/java-archive': 'application/zip',
+  'application/vnd.android.package-archive': 'application/zip',
+  'application/vnd.oasis.opendocument.text': 'application/zip',
+  'application/vnd.oasis.opendocument.spreadsheet': 'application/zip',
+  'application/vnd.oasis.opendocument.presentation': 'application/zip',
+  'application/vnd.oasis.opendocument.graphics': 'application/zip',
+  'application/epub+zip': 'application/zip',
+  'application/msword': 'application/x-ole-storage',
+  'application/vnd.ms-excel': 'application/x-ole-storage',
+  'application/vnd.ms-powerpoint': 'application/x-ole-storage',
+  'application/x-msi': 'application/x-ole-storage',
+  'text/x-shellscript': 'text/plain',
+  'text/x-python': 'text/plain',
+  'text/x-perl': 'text/plain',
+  'text/x-ruby': 'text/plain',
+  'text/javascript': 'text/plain',
+  'text/x-powershell': 'text/plain',
+  'text/x-msdos-batch': 'text/plain',
+  'text/x-script': 'text/plain',
+  'application/x-httpd-php': 'text/plain',
+  'application/xml': 'text/plain',
+  'image/svg+xml': 'application/xml',
+  'text/html': 'text/plain',
+  'application/rtf': 'text/plain'
+};
+
+// Types the filename extension claims; text types also accept plain text
+const EXTENSION_TYPES = {
+  exe: PE,
+  dll: PE,
+  sys: PE,
+  scr: PE,
+  cpl: PE,
+  ocx: PE,
+  efi: PE,
+  so: 'application/x-elf',
+  dylib: 'application/x-mach-binary',
+  class: 'application/java-vm',
+  wasm: 'application/wasm',
+  lnk: 'application/x-ms-shortcut',
+  pdf: 'application/pdf',
+  rtf: 'application/rtf',
+  zip: 'application/zip',
+  gz: 'application/gzip',
+  tgz: 'application/gzip',
+  '7z': 'application/x-7z-compressed',
+  rar: 'application/vnd.rar',
+  bz2: 'application/x-bzip2',
+  xz: 'application/x-xz',
+  tar: 'application/x-tar',
+  doc: 'application/msword',
+  dot: 'application/msword',
+  xls: 'application/vnd.ms-excel',
+  xlt: 'application/vnd.ms-excel',
+  ppt: 'application/vnd.ms-powerpoint',
+  pps: 'application/vnd.ms-powerpoint',
+  msi: 'application/x-msi',
+  docx: DOCX,
+  xlsx: XLSX,
+  pptx: PPTX,
+  docm: DOCM,
+  xlsm: XLSM,
+  pptm: PPTM,
+  odt: 'application/vnd.oasis.opendocument.text',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odp: 'application/vnd.oasis.opendocument.presentation',
+  odg: 'application/vnd.oasis.opendocument.graphics',
+  epub: 'application/epub+zip',
+  jar: 'application/java-archive',
+  apk: 'application/vnd.android.package-archive',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  jpe: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  ico: 'image/vnd.microsoft.icon',
+  svg: 'image/svg+xml',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  log: 'text/plain',
+  md: 'text/markdown',
+  json: 'application/json',
+  xml: 'application/xml',
+  html: 'text/html',
+  htm: 'text/html',
+  js: 'text/javascript',
+  mjs: 'text/javascript',
+  sh: 'text/x-shellscript',
+  py: 'text/x-python',
+  pl: 'text/x-perl',
+  rb: 'text/x-ruby',
+  php: 'application/x-httpd-php',
+  ps1: 'text/x-powershell',
+  bat: 'text/x-msdos-batch',
+  cmd: 'text/x-msdos-batch'
+};
+
+// Other names clients use for the types above
+const TYPE_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-icon': 'image/vnd.microsoft.icon',
+  'image/x-ms-bmp': 'image/bmp',
+  'application/x-zip-compressed': 'application/zip',
+  'application/x-zip': 'application/zip',
+  'application/x-gzip': 'application/gzip',
+  'application/x-rar-compressed': 'application/vnd.rar',
+  'application/x-msdownload': PE,
+  'application/x-msdos-program': PE,
+  'application/x-dosexec': PE,
+  'application/x-executable': 'application/x-elf',
+  'application/x-sharedlib': 'application/x-elf',
+  'application/javascript': 'text/javascript',
+  'application/x-javascript': 'text/javascript',
+  'application/x-sh': 'text/x-shellscript',
+  'application/x-python-code': 'text/x-python',
+  'text/x-php': 'application/x-httpd-php',
+  'text/xml': 'application/xml',
+  'text/rtf': 'application/rtf',
+  'application/x-bat': 'text/x-msdos-batch',
+  'application/vnd.ms-word': 'application/msword'
+};
+
+// Content-Types that claim nothing about the content
+const GENERIC_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/binary', 'application/unknown'];
+
+/**
+ * Whether content looks like text: no NUL bytes and valid UTF-8, allowing
+ * for a multi-byte character cut off at the end of the header
+ * @param {Buffer} header - First bytes of the file
+ * @returns {boolean}
+ */
+function looksLikeText(header) {
+  if (header.includes(0)) {
+    return false;
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(header.subarray(0, Math.max(header.length - 3, 0)));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Recognise scripts and markup among text content
+ * @param {Buffer} header - First bytes of a file that looks like text
+ * @returns {string} MIME type, text/plain when nothing more specific matches
+ */
+function detectTextType(header) {
+  const text = header.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (text.startsWith('#!')) {
+    const words = text.slice(2).split('\n')[0].trim().split(/\s+/);
+    const program = words[0].split('/').pop() === 'env'
+      ? words.slice(1).find((word) => !word.startsWith('-'))
+      : words[0];
+    const interpreter = INTERPRETERS.find(({ pattern }) => pattern.test((program || '').split('/').pop()));
+    return interpreter ? interpreter.type : 'text/x-script';
+  }
+
+  const start = text.trimStart();
+  const match = TEXT_SIGNATURES.find(({ pattern }) => pattern.test(start));
+  return match ? match.type : 'text/plain';
+}
+
+/**
+ * Read the type an OpenDocument or EPUB file declares in its first zip
+ * entry, a stored file named `mimetype`
+ * @param {Buffer} header - First bytes of a zip file
+ * @returns {string|null} Declared type, or null for other zip files
+ */
+function zipMimetypeEntry(header) {
+  if (header.length < 30 || header.readUInt16LE(8) !== 0) {
+    return null;
+  }
+
+  const nameLength = header.readUInt16LE(26);
+  const dataStart = 30 + nameLength + header.readUInt16LE(28);
+  if (header.toString('latin1', 30, 30 + nameLength) !== 'mimetype') {
+    return null;
+  }
+
+  const type = header.toString('latin1', dataStart, dataStart + header.readUInt32LE(18));
+  return /^application\/(vnd\.oasis\.opendocument\.[a-z.-]+|epub\+zip)$/.test(type) ? type : null;
+}
+
+/**
+ * Detect a MIME type from the first bytes of a file
+ * @param {Buffer} header - Up to HEADER_SIZE bytes from the start of the file
+ * @returns {string} MIME type; application/x-empty for empty content
+ */
+function detectType(header) {
+  if (header.length === 0) {
+    return 'application/x-empty';
+  }
+
+  const match = SIGNATURES.find(({ bytes, offset, test }) => header.length >= offset + bytes.length
+    && header.subarray(offset, offset + bytes.length).equals(bytes)
+    && (!test || test(header)));
+  if (match) {
+    return match.type === 'application/zip' ? zipMimetypeEntry(header) || match.type : match.type;
+  }
+
+  return looksLikeText(header) ? detectTextType(header) : 'application/octet-stream';
+}
+
+/**
+ * Read bytes at a position of an open file
+ * @param {number} fd - File descriptor
+ * @param {number} position - Offset to read from
+ * @param {number} length - Bytes to read
+ * @returns {Buffer} The bytes read, fewer at the end of the file
+ */
+function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  return buffer.subarray(0, fs.readSync(fd, buffer, 0, length, position));
+}
+
+/**
+ * List the entries of a zip file from its central directory
+ * @param {number} fd - File descriptor of the zip file
+ * @param {number} size - File size
+ * @returns {Object[]} `{ name, encrypted }` per entry; empty when the directory cannot be found
+ */
+function zipEntries(fd, size) {
+  const tailLength = Math.min(size, 22 + 0xffff);
+  const tail = readAt(fd, size - tailLength, tailLength);
+  const end = tail.lastIndexOf(Buffer.from('PK\x05\x06', 'latin1'));
+  if (end === -1 || end + 22 > tail.length) {
+    return [];
+  }
+
+  const directorySize = tail.readUInt32LE(end + 12);
+  const directoryOffset = tail.readUInt32LE(end + 16);
+  if (directoryOffset + directorySize > size) {
+    return [];
+  }
+
+  const directory = readAt(fd, directoryOffset, Math.min(directorySize, MAX_ZIP_DIRECTORY));
+  const entries = [];
+  let offset = 0;
+  while (offset + 46 <= directory.length && directory.readUInt32LE(offset) === 0x02014b50) {
+    const nameLength = directory.readUInt16LE(offset + 28);
+    entries.push({
+      name: directory.toString('utf8', offset + 46, offset + 46 + nameLength),
+      // Bit 0 of the general purpose flags
+      encrypted: (directory.readUInt16LE(offset + 8) & 0x1) !== 0
+    });
+    offset += 46 + nameLength + directory.readUInt16LE(offset + 30) + directory.readUInt16LE(offset + 32);
+  }
+
+  return entries;
+}
+
+/**
+ * Whether zip entries make up an Office Open XML document
+ * @param {string[]} names - Entry names
+ * @param {string} part - Folder of the main part, e.g. `word/`
+ * @param {boolean} macros - Whether to look for a document with a VBA project
+ * @returns {boolean}
+ */
+function isOoxml(names, part, macros) {
+  return names.includes('[Content_Types].xml')
+    && names.some((name) => name.startsWith(part))
+    && names.some((name) => /(^|\/)vbaProject\.bin$/i.test(name)) === macros;
+}
+
+/**
+ * Whether a zip entry holds macros: a VBA project in Office Open XML, Excel
+ * 4.0 macro sheets, or OpenDocument Basic
+ * @param {string} name - Entry name
+ * @returns {boolean}
+ */
+function isMacroEntry(name) {
+  return /(^|\/)vbaProject\.bin$/i.test(name) || name.startsWith('xl/macrosheets/') || /^Basic\/./.test(name);
+}
+
+/**
+ * Read the directory of an OLE compound file (legacy Office documents and
+ * Windows Installer packages), following the directory's sector chain
+ * @param {number} fd - File descriptor of the file
+ * @param {Buffer} header - First 512 bytes of the file
+ * @returns {Object} `{ names, rootClsid }`: stream and storage names, and the root storage's class ID
+ */
+function oleDirectory(fd, header) {
+  const directory = { names: [], rootClsid: null };
+  const sectorShift = header.length >= HEADER_SIZE ? header.readUInt16LE(0x1e) : 0;
+  if (sectorShift !== 9 && sectorShift !== 12) {
+    return directory;
+  }
+
+  const sectorSize = 1 << sectorShift;
+  const readSector = (sector) => readAt(fd, (sector + 1) * sectorSize, sectorSize);
+
+  // The header lists the first 109 sectors of the allocation table
+  const table = [];
+  for (let index = 0; index < Math.min(header.readUInt32LE(0x2c), 109); index++) {
+    const sector = readSector(header.readUInt32LE(0x4c + index * 4));
+    for (let offset = 0; offset + 4 <= sector.length; offset += 4) {
+      table.push(sector.readUInt32LE(offset));
+    }
+  }
+
+  const visited = new Set();
+  for (let sector = header.readUInt32LE(0x30); sector < 0xfffffffa && !visited.has(sector)
+    && visited.size < MAX_OLE_DIRECTORY_SECTORS; sector = table[sector] ?? 0xfffffffe) {
+    visited.add(sector);
+    const entries = readSector(sector);
+    for (let offset = 0; offset + 128 <= entries.length; offset += 128) {
+      const nameLength = entries.readUInt16LE(offset + 0x40);
+      if (entries[offset + 0x42] === 0 || nameLength < 2 || nameLength > 64) {
+        continue;
+      }
+      if (entries[offset + 0x42] === 5) {
+        directory.rootClsid = entries.subarray(offset + 0x50, offset + 0x60);
+      }
+      directory.names.push(entries.toString('utf16le', offset, offset + nameLength - 2));
+    }
+  }
+
+  return directory;
+}
+
+/**
+ * Look into zip and OLE containers: tell Office documents and packages
+ * apart from the container they use, and find macros and encryption
+ * @param {number} fd - File descriptor of the file
+ * @param {Buffer} header - First bytes of the file
+ * @param {string} type - Type detected from the header
+ * @returns {Object} `{ type, macros, encrypted }`; type is the more specific type, if any
+ */
+function inspectContainer(fd, header, type) {
+  if (type === 'application/zip' || PARENT_TYPES[type] === 'application/zip') {
+    const entries = zipEntries(fd, fs.fstatSync(fd).size);
+    const names = entries.map((entry) => entry.name);
+    const match = type === 'application/zip' && ZIP_TYPES.find(({ test }) => test(names));
+    return {
+      type: match ? match.type : type,
+      macros: names.some(isMacroEntry),
+      encrypted: entries.some((entry) => entry.encrypted)
+    };
+  }
+
+  if (type === 'application/x-ole-storage') {
+    const { names, rootClsid } = oleDirectory(fd, header);
+    const match = rootClsid && rootClsid.equals(MSI_CLSID)
+      ? { type: 'application/x-msi' }
+      : OLE_TYPES.find(({ stream }) => names.includes(stream));
+    return {
+      type: match ? match.type : type,
+      macros: names.some((name) => OLE_MACRO_STORAGES.includes(name)),
+      // Password-protected Office Open XML documents are OLE files with an encrypted package
+      encrypted: names.includes('EncryptedPackage')
+    };
+  }
+
+  return { type, macros: false, encrypted: false };
+}
+
+/**
+ * Read the first bytes of a file
+ * @param {string} filePath - File to read
+ * @param {number} [length=512] - Bytes to read
+ * @returns {Buffer} The bytes read, fewer for short files
+ * @throws {Error} When the file cannot be read
+ */
+function readHeader(filePath, length = HEADER_SIZE) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    return readAt(fd, 0, length);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Detect the MIME type of a file from its content, and whether it carries
+ * macros or encrypted content, looking into zip and OLE containers
+ * @param {string} filePath - File to inspect
+ * @returns {Object} `{ type, macros, encrypted }`. macros is true for Office and OpenDocument
+ *   files with macros; encrypted is true for zip files with encrypted entries and
+ *   password-protected Office Open XML documents.
+ * @throws {Error} When the file cannot be read
+ */
+function inspectFile(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const header = readAt(fd, 0, HEADER_SIZE);
+    return inspectContainer(fd, header, detectType(header));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Detect the MIME type of a file from its content, looking into zip and
+ * OLE containers for Office documents and packages
+ * @param {string} filePath - File to inspect
+ * @returns {string} MIME type
+ * @throws {Error} When the file cannot be read
+ */
+function detectFileType(filePath) {
+  return inspectFile(filePath).type;
+}
+
+/**
+ * Normalise a Content-Type to a lower-case MIME type without parameters
+ * @param {string} [contentType] - e.g. `image/JPEG; charset=binary`
+ * @returns {string|null} MIME type, or null when none was given
+ */
+function normalizeType(contentType) {
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+  return type ? TYPE_ALIASES[type] || type : null;
+}
+
+/**
+ * The type a filename's extension stands for
+ * @param {string} [filename] - Filename
+ * @returns {string|null} MIME type, or null for unknown extensions
+ */
+function typeForExtension(filename) {
+  const name = String(filename || '').toLowerCase();
+  const extension = name.includes('.') ? name.slice(name.lastIndexOf('.') + 1) : '';
+  return Object.prototype.hasOwnProperty.call(EXTENSION_TYPES, extension) ? EXTENSION_TYPES[extension] : null;
+}
+
+/**
+ * Whether content of the detected type fits a claimed type. It fits the
+ * same type and more specific kinds of it (a .docx file is a zip file),
+ * and it fits when the claimed type is a more specific kind of what was
+ * detected: containers read from a stream are only known by their first
+ * bytes, and many text formats have no magic number. Empty files could be
+ * anything.
+ * @param {string} detected - Detected type
+ * @param {string} claimed - Type claimed by the Content-Type or extension
+ * @returns {boolean}
+ */
+function typeMatches(detected, claimed) {
+  const kinds = (type) => {
+    const types = [];
+    for (; type; type = PARENT_TYPES[type]) {
+      types.push(type);
+    }
+    return types;
+  };
+
+  return detected === 'application/x-empty'
+    || kinds(detected).includes(claimed)
+    || kinds(claimed).includes(detected)
+    || (detected === 'text/plain' && (claimed.startsWith('text/') || claimed === 'application/json'));
+}
+
+/**
+ * Compare a detected type with what the client claimed about the file
+ * @param {string} detectedType - Type detected from the content
+ * @param {string} [filename] - Filename the client sent
+ * @param {string} [contentType] - Content-Type the client sent for the file
+ * @returns {Object} `{ detectedType, declaredType, typeMismatch }`. declaredType is the
+ *   Content-Type, or the type of the extension when the Content-Type is missing or generic
+ *   (application/octet-stream); typeMismatch is true when the content does not fit the
+ *   Content-Type or the extension.
+ */
+function describeFileType(detectedType, filename, contentType) {
+  const sentType = normalizeType(contentType);
+  const declaredByClient = sentType && !GENERIC_TYPES.includes(sentType) ? sentType : null;
+  const declaredByName = typeForExtension(filename);
+
+  return {
+    detectedType,
+    declaredType: declaredByClient || declaredByName,
+    typeMismatch: [declaredByClient, declaredByName].some((claimed) => claimed && !typeMatches(detectedType, claimed))
+  };
+}
+
+module.exports = {
+  detectType,
+  detectFileType,
+  inspectFile,
+  describeFileType,
+  readHeader,
+  HEADER_SIZE
+};
@@ -0,0 +1,67 @@
+/**
+ * File hashing
+ *
+ * Computes the SHA-256, SHA-1 and MD5 digests of a file in a single pass,
+ * so uploads can be identified and looked up by content.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { Transform } = require('stream');
+
+const ALGORITHMS = ['sha256', 'sha1', 'md5'];
+
+/**
+ * Create a pass-through stream that hashes the data flowing through it.
+ * Once the stream ends, `stream.hashes` holds the hex digests.
+ * @returns {Transform} Hashing stream
+ */
+function createHashingStream() {
+  const hashes = ALGORITHMS.map((algorithm) => crypto.createHash(algorithm));
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hashes.forEach((hash) => hash.update(chunk));
+      callback(null, chunk);
+    },
+    flush(callback) {
+      stream.hashes = Object.fromEntries(ALGORITHMS.map((algorithm, index) => [algorithm, hashes[index].digest('hex')]));
+      callback();
+    }
+  });
+  stream.hashes = null;
+
+  return stream;
+}
+
+/**
+ * Hash a file with every supported algorithm
+ * @param {string} filePath - File to hash
+ * @returns {Promise<Object>} Hex digests keyed by algorithm: sha256, sha1 and md5
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hashing = createHashingStream();
+
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .pipe(hashing)
+      .on('finish', () => resolve(hashing.hashes))
+      .resume();
+  });
+}
+
+/**
+ * Check that a value is a SHA-256 hex digest
+ * @param {string} value - Value to check
+ * @returns {boolean}
+ */
+function isSha256(value) {
+  return /^[0-9a-f]{64}$/i.test(value);
+}
+
+module.exports = {
+  hashFile,
+  createHashingStream,
+  isSha256
+};
@@ -0,0 +1,161 @@
+/**
+ * Readiness checks
+ *
+ * Verifies what a scan needs before traffic is sent to this instance: the
+ * scanner responds, its signature database is loaded and recent, the upload
+ * directory is writable and the scan queue has room. Every check reports
+ * `pass`, `fail` or `skip` (when it does not apply to the engine) with its
+ * own details, so a failed probe says what is wrong.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Reject when a promise takes too long
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} timeout - Milliseconds to wait
+ * @param {string} message - Error message on timeout
+ * @returns {Promise}
+ */
+function withTimeout(promise, timeout, message) {
+  let timer;
+  const expired = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), timeout);
+  });
+
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Check that the scanner binary or daemon responds
+ * @param {Object} engine - Scanner engine
+ * @param {number} [timeout=5000] - Milliseconds to wait for the scanner
+ * @returns {Promise<Object>} Check result with the engine name and version
+ */
+async function checkScanner(engine, timeout = DEFAULT_TIMEOUT) {
+  try {
+    const health = await withTimeout(engine.health(), timeout, `Scanner did not respond within ${timeout}ms`);
+
+    return health.healthy
+      ? { status: 'pass', engine: engine.name, version: health.version }
+      : { status: 'fail', engine: engine.name, error: health.error };
+  } catch (error) {
+    return { status: 'fail', engine: engine.name, error: error.message };
+  }
+}
+
+/**
+ * Check that a signature database is loaded and not older than `maxAge`
+ * @param {Object} engine - Scanner engine
+ * @param {Object} scanner - Result of checkScanner(), which carries the version string
+ * @param {number} maxAge - Maximum database age in milliseconds
+ * @returns {Object} Check result with the database version, build time and age
+ */
+function checkSignatures(engine, scanner, maxAge) {
+  if (!engine.signatures) {
+    return { status: 'skip', details: `The ${engine.name} engine does not report its signature database` };
+  }
+
+  if (scanner.status !== 'pass') {
+    return { status: 'fail', error: 'The scanner did not respond' };
+  }
+
+  const signatures = engine.signatures(scanner.version);
+  if (!signatures) {
+    return { status: 'fail', error: 'No signature database is loaded' };
+  }
+
+  if (!signatures.updatedAt) {
+    return { status: 'pass', version: signatures.version, updatedAt: null };
+  }
+
+  const age = Date.now() - signatures.updatedAt.getTime();
+  const result = {
+    status: age > maxAge ? 'fail' : 'pass',
+    version: signatures.version,
+    updatedAt: signatures.updatedAt.toISOString(),
+    age,
+    maxAge
+  };
+
+  if (age > maxAge) {
+    result.error = `Signatures are ${Math.floor(age / 3600000)} hours old; the maximum is ${Math.floor(maxAge / 3600000)} hours`;
+  }
+
+  return result;
+}
+
+/**
+ * Check that uploads can be written
+ * @param {string} dir - Upload directory
+ * @returns {Promise<Object>} Check result
+ */
+async function checkUploads(dir) {
+  try {
+    await fs.promises.access(dir, fs.constants.W_OK);
+    return { status: 'pass' };
+  } catch (error) {
+    return { status: 'fail', error: `Upload directory is not writable (${error.code || error.message})` };
+  }
+}
+
+/**
+ * Check that the scan queue is not saturated
+ * @param {Object} queue - Scan queue
+ * @param {number} maxQueued - Queued jobs at which the instance stops accepting traffic
+ * @returns {Object} Check result with the queue depth
+ */
+function checkQueue(queue, maxQueued) {
+  const stats = queue.stats();
+  const result = {
+    status: stats.queued >= maxQueued ? 'fail' : 'pass',
+    ...stats,
+    maxQueued
+  };
+
+  if (result.status === 'fail') {
+    result.error = `${stats.queued} scans are waiting; the maximum is ${maxQueued}`;
+  }
+
+  return result;
+}
+
+/**
+ * Run every readiness check
+ * @param {Object} options - What to check
+ * @param {Object} options.engine - Scanner engine
+ * @param {string} options.uploadDir - Upload directory
+ * @param {Object} options.queue - Scan queue
+ * @param {number} options.maxSignatureAge - Maximum signature database age in milliseconds
+ * @param {number} options.maxQueued - Queued jobs at which the queue counts as saturated
+ * @param {number} [options.timeout=5000] - Milliseconds to wait for the scanner
+ * @returns {Promise<Object>} `ready` and the result of each check
+ */
+async function checkReadiness(options) {
+  const [scanner, uploads] = await Promise.all([
+    checkScanner(options.engine, options.timeout),
+    checkUploads(options.uploadDir)
+  ]);
+
+  const checks = {
+    scanner,
+    signatures: checkSignatures(options.engine, scanner, options.maxSignatureAge),
+    uploads,
+    queue: checkQueue(options.queue, options.maxQueued)
+  };
+
+  return {
+    ready: Object.values(checks).every((check) => check.status !== 'fail'),
+    checks
+  };
+}
+
+module.exports = {
+  checkReadiness,
+  checkScanner,
+  checkSignatures,
+  checkUploads,
+  checkQueue
+};
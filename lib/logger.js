@@ -0,0 +1,269 @@
+/**
+ * Structured logging
+ *
+ * Writes one JSON object per line with a timestamp, level and message, to
+ * stdout or to a size-rotated file. `logger` is the process-wide logger;
+ * child loggers add fields such as the request ID to every line they
+ * write. AuditLog writes scan records to a destination of its own.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+/**
+ * Writes lines to stdout
+ */
+class StdoutDestination {
+  write(line) {
+    process.stdout.write(line);
+  }
+}
+
+/**
+ * Appends lines to a file, renaming it to `<file>.1` once it would grow past
+ * `maxSize` and shifting older files up to `<file>.<maxFiles>`. With
+ * `maxFiles` 0 no file is ever deleted: each rotated file is renamed to
+ * `<file>.<time of rotation>` instead.
+ */
+class RotatingFile {
+  /**
+   * @param {Object} options - File options
+   * @param {string} options.file - Path of the current log file; its directory is created if needed
+   * @param {number} options.maxSize - Size in bytes at which the file is rotated
+   * @param {number} options.maxFiles - Number of rotated files kept, 0 to keep them all
+   */
+  constructor(options) {
+    this.file = options.file;
+    this.maxSize = options.maxSize;
+    this.maxFiles = options.maxFiles;
+    // Rotated files that are still being flushed
+    this.flushing = new Set();
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    try {
+      this.size = fs.statSync(this.file).size;
+    } catch (error) {
+      this.size = 0;
+    }
+    this.stream = this._open();
+  }
+
+  _open() {
+    // Open synchronously so the file exists, and can be rotated, before the first write completes
+    const stream = fs.createWriteStream(null, { fd: fs.openSync(this.file, 'a', 0o640) });
+    stream.on('error', (error) => {
+      process.stderr.write(`Failed to write log file ${this.file}: ${error.message}\n`);
+    });
+    return stream;
+  }
+
+  /**
+   * @param {string} line - Line to append, including the newline
+   */
+  write(line) {
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxSize) {
+      this.rotate();
+    }
+
+    this.stream.write(line);
+    this.size += bytes;
+  }
+
+  /**
+   * Start a new file, keeping the previous ones as `<file>.1` ... `<file>.<maxFiles>`,
+   * or under their rotation time when every file is kept.
+   * Lines still buffered for the old file are written to it under its new name.
+   */
+  rotate() {
+    const flushed = new Promise((resolve) => this.stream.end(resolve));
+    this.flushing.add(flushed);
+    flushed.then(() => this.flushing.delete(flushed));
+
+    if (this.maxFiles === 0) {
+      this._rename(this.file, this._timestampedName());
+    } else {
+      for (let i = this.maxFiles - 1; i >= 0; i--) {
+        this._rename(i === 0 ? this.file : `${this.file}.${i}`, `${this.file}.${i + 1}`);
+      }
+    }
+
+    this.size = 0;
+    this.stream = this._open();
+  }
+
+  _rename(from, to) {
+    try {
+      fs.renameSync(from, to);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        process.stderr.write(`Failed to rotate log file ${from}: ${error.message}\n`);
+      }
+    }
+  }
+
+  /**
+   * Name for a rotated file that sorts by time, e.g. `audit.log.20240115T103000120Z`,
+   * with a counter when a file was already rotated in the same millisecond
+   */
+  _timestampedName() {
+    const name = `${this.file}.${new Date().toISOString().replace(/[-:.]/g, '')}`;
+    let candidate = name;
+    for (let i = 1; fs.existsSync(candidate); i++) {
+      candidate = `${name}-${i}`;
+    }
+    return candidate;
+  }
+
+  /**
+   * Flush and close the file, and any rotated file still being written
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await Promise.all([...this.flushing, new Promise((resolve) => this.stream.end(resolve))]);
+  }
+}
+
+/**
+ * Create where log lines go
+ * @param {Object} options - Destination options
+ * @param {string} options.output - stdout or file
+ * @param {string} [options.file] - Log file, for the file output
+ * @param {number} [options.maxSize=10485760] - Size in bytes at which the file is rotated
+ * @param {number} [options.maxFiles=5] - Number of rotated files kept, 0 to keep them all
+ * @returns {Object} Destination with a `write(line)` method
+ */
+function createDestination(options) {
+  if (options.output === 'file') {
+    return new RotatingFile({
+      file: options.file,
+      maxSize: options.maxSize || 10 * 1024 * 1024,
+      maxFiles: options.maxFiles === undefined ? 5 : options.maxFiles
+    });
+  }
+
+  return new StdoutDestination();
+}
+
+/**
+ * Make a value safe to serialize, turning errors into their message and code
+ * @param {*} value - Field value
+ * @returns {*}
+ */
+function serializeField(value) {
+  if (value instanceof Error) {
+    return { message: value.message, ...(value.code !== undefined && { code: value.code }) };
+  }
+  return value;
+}
+
+/**
+ * Logger writing JSON lines at or above its level
+ */
+class Logger {
+  /**
+   * @param {Object} [options] - Logger options
+   * @param {string} [options.level=info] - debug, info, warn, error or silent
+   * @param {Object} [options.destination] - Where lines are written, stdout by default
+   * @param {Object} [options.fields] - Fields added to every line
+   */
+  constructor(options = {}) {
+    // Shared with child loggers, so configure() on a parent applies to them too
+    this.settings = options.settings || {
+      level: options.level || 'info',
+      destination: options.destination || new StdoutDestination()
+    };
+    this.fields = options.fields || {};
+  }
+
+  /**
+   * Change the level or destination of this logger and its children
+   * @param {Object} options - New level and/or destination
+   */
+  configure(options) {
+    if (options.level) {
+      this.settings.level = options.level;
+    }
+    if (options.destination) {
+      this.settings.destination = options.destination;
+    }
+  }
+
+  /**
+   * Create a logger that adds fields to every line
+   * @param {Object} fields - Fields such as `{ requestId }`
+   * @returns {Logger}
+   */
+  child(fields) {
+    return new Logger({ settings: this.settings, fields: { ...this.fields, ...fields } });
+  }
+
+  /**
+   * Write a line when the level is enabled
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message - What happened
+   * @param {Object} [fields] - Details, e.g. `{ error }`
+   */
+  log(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.settings.level]) {
+      return;
+    }
+
+    const entry = { time: new Date().toISOString(), level, message, ...this.fields };
+    Object.entries(fields).forEach(([name, value]) => {
+      entry[name] = serializeField(value);
+    });
+
+    this.settings.destination.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+/**
+ * Append-only record of events, one JSON line each
+ */
+class AuditLog {
+  /**
+   * @param {Object} destination - Where records are written, from createDestination()
+   */
+  constructor(destination) {
+    this.destination = destination;
+  }
+
+  /**
+   * @param {string} event - Event name, e.g. scan
+   * @param {Object} fields - Event details
+   */
+  record(event, fields) {
+    this.destination.write(`${JSON.stringify({ time: new Date().toISOString(), event, ...fields })}\n`);
+  }
+}
+
+// Process-wide logger; configured from LOG_* settings when the routes load
+const logger = new Logger();
+
+module.exports = {
+  logger,
+  Logger,
+  AuditLog,
+  RotatingFile,
+  createDestination,
+  LEVELS
+};
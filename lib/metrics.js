@@ -0,0 +1,344 @@
+/**
+ * Prometheus metrics
+ *
+ * Counters, gauges and histograms rendered in the Prometheus text
+ * exposition format (version 0.0.4), without a client library dependency.
+ * createMetrics() defines the metrics the API records: scans, detections,
+ * scan durations, upload sizes, scanner errors, policy violations and HTTP
+ * requests.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const SIZE_BUCKETS = [1024, 10240, 102400, 1048576, 10485760, 104857600, 1073741824];
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a number for the text format
+ * @param {number} value - Sample value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * Base class holding one series per combination of label values
+ */
+class Metric {
+  /**
+   * @param {string} type - counter, gauge or histogram
+   * @param {Object} options - Metric definition
+   * @param {string} options.name - Metric name, e.g. avscan_scans_total
+   * @param {string} options.help - Description shown in the HELP line
+   * @param {string[]} [options.labelNames] - Names of the labels every sample carries
+   */
+  constructor(type, options) {
+    this.type = type;
+    this.name = options.name;
+    this.help = options.help;
+    this.labelNames = options.labelNames || [];
+    this.series = new Map();
+  }
+
+  /**
+   * Get the series for a set of labels, creating it on first use
+   * @param {Object} labels - Label values by name
+   * @param {Function} create - Returns the initial series data
+   * @returns {Object} Series data
+   */
+  _series(labels, create) {
+    const values = this.labelNames.map((name) => (labels[name] === undefined ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+
+    let series = this.series.get(key);
+    if (!series) {
+      series = { values, ...create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * Format the label set of a sample
+   * @param {string[]} values - Label values in labelNames order
+   * @param {Object} [extra] - Additional labels, such as `le` for histogram buckets
+   * @returns {string} `{name="value",...}` or an empty string
+   */
+  _labels(values, extra = {}) {
+    const pairs = this.labelNames.map((name, i) => [name, values[i]]).concat(Object.entries(extra));
+    return pairs.length === 0 ? '' : `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+  }
+
+  /**
+   * Render the metric in the text format
+   * @returns {string} HELP, TYPE and sample lines
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this._samples()
+    ].join('\n');
+  }
+
+  _samples() {
+    return Array.from(this.series.values(), (series) => `${this.name}${this._labels(series.values)} ${formatValue(series.value)}`);
+  }
+}
+
+/**
+ * Value that only goes up
+ */
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  /**
+   * @param {Object} [labels] - Label values
+   * @param {number} [amount=1] - Amount to add
+   */
+  inc(labels = {}, amount = 1) {
+    this._series(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+/**
+ * Value that goes up and down
+ */
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  /**
+   * @param {Object} [labels] - Label values
+   * @param {number} [amount=1] - Amount to add
+   */
+  inc(labels = {}, amount = 1) {
+    this._series(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  /**
+   * @param {Object} [labels] - Label values
+   * @param {number} [amount=1] - Amount to subtract
+   */
+  dec(labels = {}, amount = 1) {
+    this.inc(labels, -amount);
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels, value) {
+    this._series(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric definition, as for Counter, plus:
+   * @param {number[]} options.buckets - Upper bounds of the buckets, ascending
+   */
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = options.buckets;
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value, e.g. seconds or bytes
+   */
+  observe(labels, value) {
+    const series = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing; call the returned function to observe the elapsed seconds
+   * @param {Object} [labels] - Label values, which can be extended when the timer stops
+   * @returns {Function} (moreLabels) => elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+
+    return (moreLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  _samples() {
+    return Array.from(this.series.values(), (series) => [
+      ...this.buckets.map((bound, i) => `${this.name}_bucket${this._labels(series.values, { le: formatValue(bound) })} ${series.counts[i]}`),
+      `${this.name}_bucket${this._labels(series.values, { le: '+Inf' })} ${series.count}`,
+      `${this.name}_sum${this._labels(series.values)} ${formatValue(series.sum)}`,
+      `${this.name}_count${this._labels(series.values)} ${series.count}`
+    ].join('\n'));
+  }
+}
+
+/**
+ * Set of metrics rendered together
+ */
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * @param {Object} options - Counter definition
+   * @returns {Counter}
+   */
+  counter(options) {
+    return this._register(new Counter(options));
+  }
+
+  /**
+   * @param {Object} options - Gauge definition
+   * @returns {Gauge}
+   */
+  gauge(options) {
+    return this._register(new Gauge(options));
+  }
+
+  /**
+   * @param {Object} options - Histogram definition
+   * @returns {Histogram}
+   */
+  histogram(options) {
+    return this._register(new Histogram(options));
+  }
+
+  _register(metric) {
+    if (this.metrics.some(({ name }) => name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Render every metric in the text exposition format
+   * @returns {string}
+   */
+  render() {
+    return `${this.metrics.map((metric) => metric.render()).join('\n')}\n`;
+  }
+}
+
+/**
+ * Reduce a signature name to its family by dropping the signature ID and
+ * revision, e.g. Win.Trojan.Agent-123456-0 becomes Win.Trojan.Agent, so
+ * detections can be counted without a series per signature
+ * @param {string} signature - Signature name reported by the engine
+ * @returns {string} Signature family
+ */
+function signatureFamily(signature) {
+  return String(signature).replace(/(-\d+)+$/, '');
+}
+
+/**
+ * Define the metrics recorded by the API
+ * @returns {Object} The registry and each metric
+ */
+function createMetrics() {
+  const registry = new Registry();
+
+  const metrics = {
+    registry,
+    scans: registry.counter({
+      name: 'avscan_scans_total',
+      help: 'Files scanned, by engine and verdict (clean, infected, limits_exceeded or error)',
+      labelNames: ['engine', 'verdict']
+    }),
+    cacheHits: registry.counter({
+      name: 'avscan_verdict_cache_hits_total',
+      help: 'Files answered from the verdict cache without scanning'
+    }),
+    detections: registry.counter({
+      name: 'avscan_detections_total',
+      help: 'Threats detected, by signature family and category',
+      labelNames: ['engine', 'family', 'category']
+    }),
+    scanDuration: registry.histogram({
+      name: 'avscan_scan_duration_seconds',
+      help: 'Time taken to scan a file, including archive extraction',
+      labelNames: ['engine'],
+      buckets: DURATION_BUCKETS
+    }),
+    uploadSize: registry.histogram({
+      name: 'avscan_upload_size_bytes',
+      help: 'Size of scanned files',
+      buckets: SIZE_BUCKETS
+    }),
+    inFlight: registry.gauge({
+      name: 'avscan_scans_in_flight',
+      help: 'Scans currently running in the scanner engine'
+    }),
+    scannerErrors: registry.counter({
+      name: 'avscan_scanner_errors_total',
+      help: 'Scanner runs that failed, by engine and exit code',
+      labelNames: ['engine', 'exit_code']
+    }),
+    policyViolations: registry.counter({
+      name: 'avscan_policy_violations_total',
+      help: 'Scan policy rules triggered, by policy and rule',
+      labelNames: ['policy', 'rule']
+    }),
+    httpRequests: registry.counter({
+      name: 'avscan_http_requests_total',
+      help: 'HTTP requests, by method, route and status code',
+      labelNames: ['method', 'route', 'status']
+    }),
+    httpDuration: registry.histogram({
+      name: 'avscan_http_request_duration_seconds',
+      help: 'HTTP request duration, by method and route',
+      labelNames: ['method', 'route'],
+      buckets: HTTP_BUCKETS
+    })
+  };
+
+  // Report series without labels from the start rather than after their first change
+  metrics.cacheHits.inc({}, 0);
+  metrics.inFlight.set({}, 0);
+
+  return metrics;
+}
+
+module.exports = {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  createMetrics,
+  signatureFamily,
+  CONTENT_TYPE
+};
@@ -0,0 +1,103 @@
+/**
+ * PDF inspection
+ *
+ * Looks for JavaScript (`/JavaScript` and `/JS` actions) and encryption
+ * (an `/Encrypt` dictionary) in PDF files. Names may be obfuscated with
+ * `#xx` escapes and objects are often kept in compressed object streams,
+ * so escapes are decoded and Flate-compressed streams are inflated and
+ * searched too, within limits.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Bytes read from the start of the file
+const DEFAULT_MAX_SIZE = 32 * 1024 * 1024;
+
+// Inflated bytes searched per stream, and in total
+const MAX_STREAM_SIZE = 8 * 1024 * 1024;
+const MAX_INFLATED_SIZE = 64 * 1024 * 1024;
+
+const JAVASCRIPT = /\/(JavaScript|JS)(?![A-Za-z0-9])/;
+const ENCRYPT = /\/Encrypt(?![A-Za-z0-9])/;
+const FLATE = /\/(FlateDecode|Fl)(?![A-Za-z0-9])/;
+
+/**
+ * Decode `#xx` escapes in PDF names, e.g. `/J#61vaScript`
+ * @param {string} text - PDF content as latin1
+ * @returns {string}
+ */
+function decodeNames(text) {
+  return text.replace(/\/[^\s/<>[\]()%{}]*#[0-9A-Fa-f]{2}[^\s/<>[\]()%{}]*/g,
+    (name) => name.replace(/#([0-9A-Fa-f]{2})/g, (escape, hex) => String.fromCharCode(parseInt(hex, 16))));
+}
+
+/**
+ * Inflate the Flate-compressed streams of a PDF
+ * @param {Buffer} data - PDF content
+ * @param {string} text - The same content as latin1
+ * @returns {string[]} Inflated streams as latin1; streams that fail to inflate are skipped
+ */
+function inflateStreams(data, text) {
+  const streams = [];
+  let total = 0;
+  const starts = /(^|[^A-Za-z])stream\r?\n/g;
+  let match;
+
+  while ((match = starts.exec(text)) && total < MAX_INFLATED_SIZE) {
+    const start = match.index + match[0].length;
+    const end = text.indexOf('endstream', start);
+    const dictionary = decodeNames(text.slice(Math.max(text.lastIndexOf('<<', match.index), 0), match.index));
+    if (end === -1 || !FLATE.test(dictionary)) {
+      continue;
+    }
+
+    try {
+      const inflated = zlib.inflateSync(data.subarray(start, end), {
+        finishFlush: zlib.constants.Z_SYNC_FLUSH,
+        maxOutputLength: MAX_STREAM_SIZE
+      });
+      streams.push(inflated.toString('latin1'));
+      total += inflated.length;
+    } catch (error) {
+      // Corrupt, or larger than MAX_STREAM_SIZE once inflated
+    }
+    starts.lastIndex = end;
+  }
+
+  return streams;
+}
+
+/**
+ * Inspect a PDF file
+ * @param {string} filePath - File to inspect
+ * @param {Object} [options] - Inspection options
+ * @param {number} [options.maxSize=33554432] - Bytes read from the start of the file
+ * @returns {Promise<Object>} `{ javascript, encrypted }`
+ * @throws {Error} When the file cannot be read
+ */
+async function inspectPdf(filePath, options = {}) {
+  const maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+  const handle = await fs.promises.open(filePath, 'r');
+  let data;
+  try {
+    const { size } = await handle.stat();
+    const buffer = Buffer.alloc(Math.min(size, maxSize));
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+    data = buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+
+  const text = data.toString('latin1');
+  const contents = [decodeNames(text), ...inflateStreams(data, text).map(decodeNames)];
+
+  return {
+    javascript: contents.some((content) => JAVASCRIPT.test(content)),
+    encrypted: contents.some((content) => ENCRYPT.test(content))
+  };
+}
+
+module.exports = {
+  inspectPdf
+};
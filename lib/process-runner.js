@@ -0,0 +1,256 @@
+/**
+ * Scanner process runner
+ *
+ * Starts scanner executables with spawn() and an argument array, never
+ * through a shell, so upload paths reach the scanner exactly as given. Each
+ * process gets a minimal environment and its output is capped; at most
+ * `maxProcesses` run at once while the rest wait their turn. Results report
+ * how long the process ran and how it exited. Aborting a run kills the
+ * scanner together with any process it started.
+ */
+
+const { spawn } = require('child_process');
+
+// Variables scanners need to find executables, libraries and temporary space
+const BASE_ENV = ['PATH', 'HOME', 'LANG', 'LC_ALL', 'TMPDIR', 'TZ', 'SYSTEMROOT', 'PATHEXT', 'TEMP', 'TMP'];
+
+const DEFAULT_MAX_PROCESSES = 4;
+const DEFAULT_MAX_OUTPUT = 1024 * 1024;
+
+/**
+ * Copy the named variables that are set
+ * @param {string[]} names - Variable names
+ * @param {Object} [source=process.env] - Environment to copy from
+ * @returns {Object} Environment for a child process
+ */
+function minimalEnv(names, source = process.env) {
+  const env = {};
+  names.forEach((name) => {
+    if (source[name] !== undefined) {
+      env[name] = source[name];
+    }
+  });
+  return env;
+}
+
+/**
+ * Kill a process and every process in its group. Processes are started as
+ * group leaders, so anything the scanner started is killed with it.
+ * @param {number} pid - Process ID
+ */
+function killProcessGroup(pid) {
+  if (process.platform === 'win32') {
+    spawn('taskkill', ['/pid', String(pid), '/T', '/F'], { windowsHide: true }).on('error', () => {});
+    return;
+  }
+
+  try {
+    process.kill(-pid, 'SIGKILL');
+  } catch (error) {
+    // Already exited
+  }
+}
+
+/**
+ * Collects a stream's output up to a limit, keeping the start
+ */
+class OutputBuffer {
+  /**
+   * @param {number} limit - Maximum bytes kept
+   */
+  constructor(limit) {
+    this.limit = limit;
+    this.chunks = [];
+    this.size = 0;
+    this.truncated = false;
+  }
+
+  /**
+   * @param {Buffer} chunk - Data read from the stream
+   */
+  push(chunk) {
+    const room = this.limit - this.size;
+    if (chunk.length > room) {
+      this.truncated = true;
+      chunk = chunk.subarray(0, Math.max(room, 0));
+    }
+    if (chunk.length > 0) {
+      this.chunks.push(chunk);
+      this.size += chunk.length;
+    }
+  }
+
+  toString() {
+    return Buffer.concat(this.chunks).toString('utf8');
+  }
+}
+
+/**
+ * Runs scanner processes through a bounded pool
+ */
+class ProcessRunner {
+  /**
+   * @param {Object} [options] - Runner options
+   * @param {number} [options.maxProcesses=4] - Processes allowed to run at once
+   * @param {number} [options.maxOutput=1048576] - Bytes of stdout, and of stderr, kept per process
+   * @param {string[]} [options.env] - Variables passed on in addition to PATH, HOME, LANG and the like
+   */
+  constructor(options = {}) {
+    this.maxProcesses = options.maxProcesses || DEFAULT_MAX_PROCESSES;
+    this.maxOutput = options.maxOutput || DEFAULT_MAX_OUTPUT;
+    this.env = minimalEnv([...BASE_ENV, ...(options.env || [])]);
+    this.running = 0;
+    this.waiting = [];
+  }
+
+  /**
+   * Run an executable and collect its output
+   * @param {string} file - Executable
+   * @param {string[]} [args] - Arguments, passed as they are
+   * @param {Object} [options] - Run options
+   * @param {AbortSignal} [options.signal] - Kills the process group when aborted
+   * @returns {Promise<Object>} `{ error, stdout, stderr, exitCode, signal, durationMs, truncated }`.
+   *   `error` is null after exit code 0; otherwise it carries the exit code as `code`, or is the
+   *   spawn error (e.g. ENOENT). An aborted run resolves at once with the signal's reason as the error.
+   */
+  async run(file, args = [], options = {}) {
+    const { signal } = options;
+
+    const aborted = (reason) => ({ error: reason, stdout: '', stderr: '', exitCode: null, signal: null, durationMs: 0, truncated: false });
+
+    try {
+      await this._acquire(signal);
+    } catch (reason) {
+      return aborted(reason);
+    }
+
+    if (signal && signal.aborted) {
+      this._release();
+      return aborted(signal.reason);
+    }
+
+    return this._spawn(file, args, signal);
+  }
+
+  /**
+   * @returns {Object} Processes running and waiting for a slot
+   */
+  stats() {
+    return { running: this.running, waiting: this.waiting.length, maxProcesses: this.maxProcesses };
+  }
+
+  /**
+   * Wait for a free slot
+   * @param {AbortSignal} [signal] - Gives up waiting when aborted
+   * @returns {Promise<void>}
+   */
+  _acquire(signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    if (this.running < this.maxProcesses) {
+      this.running++;
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        start: () => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          this.running++;
+          resolve();
+        }
+      };
+      const onAbort = () => {
+        this.waiting.splice(this.waiting.indexOf(waiter), 1);
+        reject(signal.reason);
+      };
+
+      this.waiting.push(waiter);
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+
+  _release() {
+    this.running--;
+    const next = this.waiting.shift();
+    if (next) {
+      next.start();
+    }
+  }
+
+  _spawn(file, args, signal) {
+    return new Promise((resolve) => {
+      const started = process.hrtime.bigint();
+      const stdout = new OutputBuffer(this.maxOutput);
+      const stderr = new OutputBuffer(this.maxOutput);
+      let settled = false;
+
+      const finish = (result) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        this._release();
+        resolve({
+          stdout: stdout.toString(),
+          stderr: stderr.toString(),
+          durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+          truncated: stdout.truncated || stderr.truncated,
+          exitCode: null,
+          signal: null,
+          ...result
+        });
+      };
+
+      // SIGKILL cannot be caught, so the slot is free as soon as the group is killed
+      const onAbort = () => {
+        if (child.pid) {
+          killProcessGroup(child.pid);
+        }
+        finish({ error: signal.reason });
+      };
+
+      const child = spawn(file, args, {
+        env: this.env,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: process.platform !== 'win32',
+        windowsHide: true
+      });
+
+      child.stdout.on('data', (chunk) => stdout.push(chunk));
+      child.stderr.on('data', (chunk) => stderr.push(chunk));
+
+      child.on('error', (error) => finish({ error }));
+
+      child.on('close', (exitCode, exitSignal) => {
+        let error = null;
+        if (exitSignal) {
+          error = Object.assign(new Error(`${file} was killed by ${exitSignal}`), { code: null, signal: exitSignal });
+        } else if (exitCode !== 0) {
+          error = Object.assign(new Error(`${file} exited with code ${exitCode}`), { code: exitCode });
+        }
+        finish({ error, exitCode, signal: exitSignal });
+      });
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+  }
+}
+
+module.exports = {
+  ProcessRunner,
+  minimalEnv,
+  killProcessGroup,
+  BASE_ENV
+};
@@ -0,0 +1,178 @@
+/**
+ * Quarantine store
+ *
+ * Keeps infected uploads for inspection instead of deleting them. Each file
+ * is encrypted with AES-256-GCM under a key derived from QUARANTINE_KEY and
+ * stored as `<id>.bin`, next to an `<id>.json` file with its metadata
+ * (hashes, signatures, submitter and time), so the directory never holds a
+ * readable copy of the malware. Items expire after the retention period.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+
+const pipelineAsync = promisify(pipeline);
+
+const ALGORITHM = 'aes-256-gcm';
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Stores encrypted copies of infected files
+ */
+class Quarantine {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.dir - Directory items are kept in; created if needed
+   * @param {string} options.key - Secret the encryption key is derived from
+   * @param {number} options.retentionDays - Days an item is kept before purgeExpired() removes it
+   */
+  constructor(options) {
+    this.dir = options.dir;
+    this.key = crypto.scryptSync(options.key, 'avscan-quarantine', 32);
+    this.retentionDays = options.retentionDays;
+    this.items = new Map();
+
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+    this.load();
+  }
+
+  /**
+   * Read the metadata of the items already in the directory
+   * @throws {Error} When a metadata file cannot be parsed
+   */
+  load() {
+    fs.readdirSync(this.dir)
+      .filter((name) => name.endsWith('.json'))
+      .forEach((name) => {
+        const item = JSON.parse(fs.readFileSync(path.join(this.dir, name), 'utf8'));
+        this.items.set(item.id, item);
+      });
+  }
+
+  _path(id, extension) {
+    return path.join(this.dir, `${id}.${extension}`);
+  }
+
+  /**
+   * Encrypt a file into the quarantine. The original is left in place for
+   * the caller to remove.
+   * @param {string} filePath - File to quarantine
+   * @param {Object} metadata - Details kept with the item, e.g. filename, size, hashes, threats and submitter
+   * @returns {Promise<Object>} The new item
+   */
+  async add(filePath, metadata) {
+    const id = crypto.randomUUID();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+
+    try {
+      await pipelineAsync(
+        fs.createReadStream(filePath),
+        cipher,
+        fs.createWriteStream(this._path(id, 'bin'), { flags: 'wx', mode: 0o600 })
+      );
+    } catch (error) {
+      await fs.promises.rm(this._path(id, 'bin'), { force: true });
+      throw error;
+    }
+
+    const now = Date.now();
+    const item = {
+      id,
+      ...metadata,
+      quarantinedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.retentionDays * DAY).toISOString(),
+      encryption: {
+        algorithm: ALGORITHM,
+        iv: iv.toString('base64'),
+        authTag: cipher.getAuthTag().toString('base64')
+      }
+    };
+
+    // The metadata is written last, so an interrupted add leaves no item behind
+    await fs.promises.writeFile(this._path(id, 'json'), JSON.stringify(item, null, 2), { flag: 'wx', mode: 0o600 });
+    this.items.set(id, item);
+
+    return item;
+  }
+
+  /**
+   * @returns {Object[]} Every item, most recently quarantined first
+   */
+  list() {
+    return Array.from(this.items.values()).sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt));
+  }
+
+  /**
+   * @param {string} id - Item ID
+   * @returns {Object|null} The item, or null when unknown
+   */
+  get(id) {
+    return this.items.get(id) || null;
+  }
+
+  /**
+   * Read the original content of an item. The stream fails at its end if
+   * the stored file was modified or the key has changed.
+   * @param {string} id - ID of an existing item
+   * @returns {Readable} Decrypted content
+   */
+  createReadStream(id) {
+    const { encryption } = this.items.get(id);
+    const decipher = crypto.createDecipheriv(encryption.algorithm, this.key, Buffer.from(encryption.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encryption.authTag, 'base64'));
+
+    return pipeline(fs.createReadStream(this._path(id, 'bin')), decipher, () => {});
+  }
+
+  /**
+   * Delete an item and its encrypted file
+   * @param {string} id - Item ID
+   * @returns {Promise<Object|null>} The removed item, or null when unknown
+   */
+  async remove(id) {
+    const item = this.items.get(id);
+    if (!item) {
+      return null;
+    }
+
+    this.items.delete(id);
+    await fs.promises.rm(this._path(id, 'bin'), { force: true });
+    await fs.promises.rm(this._path(id, 'json'), { force: true });
+
+    return item;
+  }
+
+  /**
+   * Delete the items whose retention period has ended
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {Promise<Object[]>} The removed items
+   */
+  async purgeExpired(now = Date.now()) {
+    const expired = this.list().filter((item) => Date.parse(item.expiresAt) <= now);
+
+    for (const item of expired) {
+      await this.remove(item.id);
+    }
+
+    return expired;
+  }
+}
+
+/**
+ * Build the API representation of a quarantined item
+ * @param {Object} item - Item from the store
+ * @returns {Object} Item without its encryption parameters
+ */
+function serializeItem(item) {
+  const { encryption, ...fields } = item;
+  return fields;
+}
+
+module.exports = {
+  Quarantine,
+  serializeItem
+};
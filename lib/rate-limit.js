@@ -0,0 +1,211 @@
+/**
+ * Rate limiting
+ *
+ * Fixed-window request counters keyed by API key or client address. The
+ * counters live in a store: MemoryStore keeps them in this process, and
+ * RedisStore keeps them in a Redis-compatible server so several replicas
+ * share one budget. Any object with the same `increment()` method can be
+ * used as a store.
+ */
+
+const net = require('net');
+const { RedisClient } = require('./redis');
+
+const DEFAULT_WINDOW = 60000;
+
+// Increments the counter and starts its window on the first request; returns
+// the count and the milliseconds left in the window
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return {count, redis.call('PTTL', KEYS[1])}
+`;
+
+/**
+ * Counters held in process memory
+ */
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+    this.nextSweep = 0;
+  }
+
+  /**
+   * Count a request
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<Object>} Requests counted in the current window and when it ends (ms timestamp)
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    this.sweep(now);
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  /**
+   * Drop expired windows, at most once per second
+   * @param {number} now - Current time in milliseconds
+   */
+  sweep(now) {
+    if (now < this.nextSweep) {
+      return;
+    }
+
+    this.nextSweep = now + 1000;
+    this.windows.forEach((window, key) => {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Counters held in a Redis-compatible server
+ */
+class RedisStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} [options.url] - Server URL, e.g. redis://cache:6379/0
+   * @param {Object} [options.client] - Client with a `command(args)` method to use instead of connecting to `url`
+   * @param {string} [options.prefix='avscan:ratelimit:'] - Prefix for counter keys
+   */
+  constructor(options = {}) {
+    this.client = options.client || new RedisClient({ url: options.url });
+    this.prefix = options.prefix || 'avscan:ratelimit:';
+  }
+
+  /**
+   * Count a request
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Promise<Object>} Requests counted in the current window and when it ends (ms timestamp)
+   */
+  async increment(key, windowMs) {
+    const [count, ttl] = await this.client.command(['EVAL', INCREMENT_SCRIPT, 1, this.prefix + key, windowMs]);
+
+    // A key without an expiry (ttl -1) would never reset; treat it as a fresh window
+    return { count, resetAt: Date.now() + (ttl > 0 ? ttl : windowMs) };
+  }
+}
+
+/**
+ * Limits requests to `limit` per window for each key
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options - Limiter options
+   * @param {Object} options.store - Counter store
+   * @param {string} options.name - Budget name, used to keep counters of different limiters apart
+   * @param {number} options.limit - Requests allowed per window
+   * @param {number} [options.windowMs=60000] - Window length in milliseconds
+   */
+  constructor(options) {
+    this.store = options.store;
+    this.name = options.name;
+    this.limit = options.limit;
+    this.windowMs = options.windowMs || DEFAULT_WINDOW;
+  }
+
+  /**
+   * Count a request for a key
+   * @param {string} key - Who the request is from, e.g. `key:<id>` or `ip:<address>`
+   * @returns {Promise<Object>} Whether the request is allowed, the limit, the remaining requests and when the window ends
+   */
+  async hit(key) {
+    const { count, resetAt } = await this.store.increment(`${this.name}:${key}`, this.windowMs);
+
+    return {
+      allowed: count <= this.limit,
+      limit: this.limit,
+      remaining: Math.max(this.limit - count, 0),
+      resetAt
+    };
+  }
+}
+
+/**
+ * Build a list of trusted proxy addresses
+ * @param {string[]} entries - Addresses or CIDR ranges, e.g. 10.0.0.0/8
+ * @returns {net.BlockList}
+ * @throws {Error} When an entry is not a valid address or range
+ */
+function parseTrustedProxies(entries) {
+  const list = new net.BlockList();
+
+  entries.forEach((entry) => {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    if (!net.isIP(address) || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+      throw new Error(`Invalid trusted proxy "${entry}"`);
+    }
+
+    if (prefix === undefined) {
+      list.addAddress(address, type);
+    } else {
+      list.addSubnet(address, parseInt(prefix, 10), type);
+    }
+  });
+
+  return list;
+}
+
+/**
+ * Check whether an address is in a proxy list
+ * @param {net.BlockList} proxies - Trusted proxies
+ * @param {string} address - Address to check
+ * @returns {boolean}
+ */
+function isTrusted(proxies, address) {
+  if (!net.isIP(address)) {
+    return false;
+  }
+
+  // IPv4 peers are reported as IPv4-mapped IPv6 addresses on dual-stack sockets
+  const ipv4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  return ipv4
+    ? proxies.check(ipv4[1], 'ipv4')
+    : proxies.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Find the address of the client behind any trusted proxies. X-Forwarded-For
+ * is read from right to left, skipping trusted proxies, so a client cannot
+ * pick its own address by sending the header itself.
+ * @param {Object} req - Express request
+ * @param {net.BlockList} proxies - Trusted proxies
+ * @returns {string} Client address
+ */
+function clientAddress(req, proxies) {
+  let address = req.socket.remoteAddress;
+
+  if (!isTrusted(proxies, address)) {
+    return address;
+  }
+
+  const forwarded = (req.get('X-Forwarded-For') || '').split(',').map((hop) => hop.trim()).filter(Boolean);
+  while (forwarded.length > 0 && isTrusted(proxies, address)) {
+    address = forwarded.pop();
+  }
+
+  return address;
+}
+
+module.exports = {
+  RateLimiter,
+  MemoryStore,
+  RedisStore,
+  parseTrustedProxies,
+  clientAddress
+};
@@ -0,0 +1,223 @@
+/**
+ * Minimal Redis client
+ *
+ * Speaks just enough of the Redis protocol (RESP2) to run commands such as
+ * EVAL over a single pipelined connection. Works with Redis and compatible
+ * servers (Valkey, KeyDB, Dragonfly). Used to share rate limit counters
+ * between replicas without adding a client library dependency.
+ */
+
+const net = require('net');
+const tls = require('tls');
+
+const DEFAULT_PORT = 6379;
+const DEFAULT_TIMEOUT = 1000;
+
+/**
+ * Error reply from the server, e.g. `ERR unknown command`
+ */
+class RedisReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisReplyError';
+  }
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args - Command name and arguments
+ * @returns {Buffer}
+ */
+function encodeCommand(args) {
+  const parts = [Buffer.from(`*${args.length}\r\n`)];
+
+  args.forEach((arg) => {
+    const value = Buffer.from(String(arg));
+    parts.push(Buffer.from(`$${value.length}\r\n`), value, Buffer.from('\r\n'));
+  });
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Parse one reply from a buffer
+ * @param {Buffer} buffer - Received data
+ * @param {number} [offset=0] - Where the reply starts
+ * @returns {Object|null} The value and the offset after it, or null when the reply is incomplete
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisReplyError(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) {
+        return { value: null, offset: next };
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) {
+        return { value: null, offset: next };
+      }
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) {
+          return null;
+        }
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type "${type}"`);
+  }
+}
+
+/**
+ * Client for a Redis-compatible server. Connects lazily and reconnects on
+ * the next command after the connection drops.
+ */
+class RedisClient {
+  /**
+   * @param {Object} [options] - Connection options
+   * @param {string} [options.url] - redis:// or rediss:// URL with optional password and database, e.g. redis://:secret@cache:6379/1
+   * @param {number} [options.timeout=1000] - Connect and reply timeout in milliseconds
+   */
+  constructor(options = {}) {
+    const url = new URL(options.url || 'redis://127.0.0.1');
+
+    if (url.protocol !== 'redis:' && url.protocol !== 'rediss:') {
+      throw new Error(`Unsupported Redis URL protocol "${url.protocol}"`);
+    }
+
+    this.host = url.hostname || '127.0.0.1';
+    this.port = parseInt(url.port, 10) || DEFAULT_PORT;
+    this.tls = url.protocol === 'rediss:';
+    this.username = decodeURIComponent(url.username);
+    this.password = decodeURIComponent(url.password);
+    this.database = parseInt(url.pathname.slice(1), 10) || 0;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+  }
+
+  /**
+   * Open the connection and send AUTH and SELECT before any other command
+   */
+  connect() {
+    const options = { host: this.host, port: this.port };
+    const socket = this.tls ? tls.connect(options) : net.createConnection(options);
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this._onData(chunk));
+    socket.on('timeout', () => socket.destroy(new Error('Redis request timed out')));
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      if (this.socket === socket) {
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+      }
+      this._failAll(new Error('Redis connection closed'));
+    });
+
+    this.socket = socket;
+
+    if (this.password) {
+      this._send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]).catch(() => {});
+    }
+    if (this.database) {
+      this._send(['SELECT', this.database]).catch(() => {});
+    }
+  }
+
+  _onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let reply;
+    while (this.buffer.length > 0 && (reply = parseReply(this.buffer))) {
+      this.buffer = this.buffer.subarray(reply.offset);
+
+      const pending = this.pending.shift();
+      if (this.pending.length === 0) {
+        this.socket.setTimeout(0);
+      }
+
+      if (pending) {
+        if (reply.value instanceof RedisReplyError) {
+          pending.reject(reply.value);
+        } else {
+          pending.resolve(reply.value);
+        }
+      }
+    }
+  }
+
+  _failAll(err) {
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(({ reject }) => reject(err));
+  }
+
+  _send(args) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.setTimeout(this.timeout);
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Run a command
+   * @param {Array<string|number>} args - Command name and arguments, e.g. ['INCR', 'counter']
+   * @returns {Promise<*>} The reply: a string, number, null or array
+   * @throws {RedisReplyError} When the server replies with an error
+   */
+  command(args) {
+    if (!this.socket) {
+      this.connect();
+    }
+
+    return this._send(args);
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = {
+  RedisClient,
+  RedisReplyError,
+  encodeCommand,
+  parseReply
+};
@@ -0,0 +1,372 @@
+/**
+ * Scan history
+ *
+ * Keeps a record of every scan (filename, size, hashes, verdict, threats,
+ * engine and signature version, caller) so results can be looked up after
+ * the response was sent. Records are held in memory, oldest first, and
+ * appended to a JSON Lines file when one is configured, so they survive
+ * restarts. Records older than the retention period, or beyond the maximum
+ * count, are dropped; the file is rewritten without them when expired
+ * records are purged.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { logger } = require('./logger');
+const { scanOwner } = require('./api-keys');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_MAX_RECORDS = 100000;
+
+const VERDICTS = ['clean', 'infected', 'blocked', 'limits_exceeded', 'error'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Raised for invalid history filters and cursors
+ */
+class ScanHistoryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScanHistoryError';
+  }
+}
+
+/**
+ * Order records by time, then ID, so records scanned in the same
+ * millisecond still have a fixed position for cursors
+ * @param {Object} a - Record or cursor position, `{ scannedAt, id }`
+ * @param {Object} b - Record or cursor position
+ * @returns {number} Negative when a is older than b
+ */
+function compareRecords(a, b) {
+  return a.scannedAt.localeCompare(b.scannedAt) || a.id.localeCompare(b.id);
+}
+
+/**
+ * Encode the position after a record as an opaque cursor
+ * @param {Object} record - Last record of a page
+ * @returns {string}
+ */
+function encodeCursor(record) {
+  return Buffer.from(`${record.scannedAt}|${record.id}`).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor()
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {Object} `{ scannedAt, id }`
+ * @throws {ScanHistoryError} When the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  const [scannedAt, id, ...rest] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  if (rest.length > 0 || !id || Number.isNaN(Date.parse(scannedAt))) {
+    throw new ScanHistoryError('cursor is not a cursor returned by a previous page');
+  }
+  return { scannedAt, id };
+}
+
+/**
+ * Parse a date filter: an ISO 8601 date or date and time
+ * @param {string} value - Query parameter
+ * @param {string} name - Parameter name, for messages
+ * @returns {string|null} ISO timestamp, or null when not set
+ * @throws {ScanHistoryError} When the value is not a date
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const time = /^\d{4}-\d{2}-\d{2}/.test(value) ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) {
+    throw new ScanHistoryError(`${name} must be an ISO 8601 date or date and time, e.g. 2024-05-01 or 2024-05-01T12:00:00Z`);
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Check history filters given as query parameters
+ * @param {Object} query - Query parameters
+ * @param {string} [query.verdict] - Comma-separated verdicts
+ * @param {string} [query.from] - Only scans at or after this time
+ * @param {string} [query.to] - Only scans at or before this time; a date without a time includes the whole day
+ * @param {string} [query.hash] - SHA-256, SHA-1 or MD5 of the file
+ * @param {string} [query.filename] - Part of the filename, in any case
+ * @param {string} [query.caller] - API key ID or name, or client address
+ * @returns {Object} Filter for ScanHistory.find() and page()
+ * @throws {ScanHistoryError} When a filter is invalid
+ */
+function parseFilter(query = {}) {
+  const filter = {};
+  const single = (name) => {
+    if (Array.isArray(query[name])) {
+      throw new ScanHistoryError(`${name} may only be given once`);
+    }
+    return query[name];
+  };
+
+  const verdict = single('verdict');
+  if (verdict) {
+    filter.verdicts = verdict.split(',').map((value) => value.trim());
+    const unknown = filter.verdicts.find((value) => !VERDICTS.includes(value));
+    if (unknown !== undefined) {
+      throw new ScanHistoryError(`Unknown verdict "${unknown}"; expected one of: ${VERDICTS.join(', ')}`);
+    }
+  }
+
+  filter.from = parseDate(single('from'), 'from');
+  const to = single('to');
+  filter.to = parseDate(to, 'to');
+  if (filter.to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    filter.to = new Date(Date.parse(filter.to) + DAY - 1).toISOString();
+  }
+
+  const hash = single('hash');
+  if (hash) {
+    if (!/^([0-9a-f]{32}|[0-9a-f]{40}|[0-9a-f]{64})$/i.test(hash)) {
+      throw new ScanHistoryError('hash must be a hex encoded SHA-256, SHA-1 or MD5');
+    }
+    filter.hash = hash.toLowerCase();
+  }
+
+  filter.filename = single('filename') || null;
+  filter.caller = single('caller') || null;
+
+  return filter;
+}
+
+/**
+ * Whether a record matches a filter
+ * @param {Object} record - History record
+ * @param {Object} filter - From parseFilter(), plus `keyId` to only match the scans of one owner, from scanOwner()
+ * @returns {boolean}
+ */
+function matches(record, filter) {
+  const { hashes, caller } = record;
+
+  return (!filter.verdicts || filter.verdicts.includes(record.verdict))
+    && (!filter.from || record.scannedAt >= filter.from)
+    && (!filter.to || record.scannedAt <= filter.to)
+    && (!filter.hash || Boolean(hashes && [hashes.sha256, hashes.sha1, hashes.md5].includes(filter.hash)))
+    && (!filter.filename || String(record.filename).toLowerCase().includes(filter.filename.toLowerCase()))
+    && (!filter.caller || Boolean(caller && [caller.keyId, caller.keyName, caller.address].includes(filter.caller)))
+    && (!filter.keyId || Boolean(caller && scanOwner(caller.keyId) === filter.keyId));
+}
+
+/**
+ * Stores scan records
+ */
+class ScanHistory {
+  /**
+   * @param {Object} [options] - Store options
+   * @param {string} [options.file] - JSON Lines file records are loaded from and appended to
+   * @param {number} [options.retentionDays=30] - Days a record is kept before purgeExpired() removes it
+   * @param {number} [options.maxRecords=100000] - Records kept at most; the oldest are dropped first
+   */
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.retentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+    this.maxRecords = options.maxRecords || DEFAULT_MAX_RECORDS;
+
+    this.records = [];
+    this.byId = new Map();
+    // Records dropped from memory but still in the file
+    this.dropped = 0;
+    this.writing = Promise.resolve();
+
+    if (this.file) {
+      this.load();
+    }
+  }
+
+  /**
+   * Read records from the history file. A missing file means no records yet;
+   * lines that cannot be parsed, such as one cut off by a crash, are skipped.
+   * @throws {Error} When the file exists but cannot be read
+   */
+  load() {
+    let data;
+    try {
+      data = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY).toISOString();
+    const records = [];
+    data.split('\n').filter(Boolean).forEach((line) => {
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        this.dropped++;
+      }
+    });
+
+    records.sort(compareRecords).forEach((record) => {
+      if (record.scannedAt < cutoff) {
+        this.dropped++;
+        return;
+      }
+      this._insert(record);
+    });
+  }
+
+  /**
+   * Insert a record in time order and drop the oldest ones beyond maxRecords
+   * @param {Object} record - Record with an ID and time
+   */
+  _insert(record) {
+    let index = this.records.length;
+    while (index > 0 && compareRecords(this.records[index - 1], record) > 0) {
+      index--;
+    }
+    this.records.splice(index, 0, record);
+    this.byId.set(record.id, record);
+
+    while (this.records.length > this.maxRecords) {
+      this.byId.delete(this.records.shift().id);
+      this.dropped++;
+    }
+  }
+
+  /**
+   * Record a scan
+   * @param {Object} fields - What to record: filename, size, hashes, verdict, threats, engine, caller...
+   * @param {string} [fields.id] - Record ID; a new one by default
+   * @param {string} [fields.scannedAt] - Time of the scan; now by default
+   * @returns {Object} The new record
+   */
+  add(fields) {
+    const { id, scannedAt, ...details } = fields;
+    const record = {
+      id: id || crypto.randomBytes(16).toString('hex'),
+      scannedAt: scannedAt || new Date().toISOString(),
+      ...details
+    };
+
+    this._insert(record);
+    if (this.file) {
+      this._write(() => fs.promises.appendFile(this.file, `${JSON.stringify(record)}\n`, { mode: 0o600 }));
+    }
+
+    return record;
+  }
+
+  /**
+   * Queue a write to the history file so appends and rewrites do not
+   * interleave. Failures are logged; the records stay in memory.
+   * @param {Function} write - Async function doing the write
+   * @returns {Promise<void>} Settles when the write is done
+   */
+  _write(write) {
+    this.writing = this.writing.then(write).catch((error) => {
+      logger.warn('Failed to write the scan history file', { error, file: this.file });
+    });
+    return this.writing;
+  }
+
+  /**
+   * Get a record
+   * @param {string} id - Record ID
+   * @returns {Object|null} The record, or null when unknown
+   */
+  get(id) {
+    return this.byId.get(id) || null;
+  }
+
+  /**
+   * Find every record matching a filter
+   * @param {Object} [filter] - From parseFilter()
+   * @returns {Object[]} Matching records, newest first
+   */
+  find(filter = {}) {
+    const found = [];
+    for (let index = this.records.length - 1; index >= 0; index--) {
+      if (matches(this.records[index], filter)) {
+        found.push(this.records[index]);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Get a page of records matching a filter, newest first
+   * @param {Object} [filter] - From parseFilter()
+   * @param {Object} [options] - Page options
+   * @param {number} [options.limit=50] - Records per page, at most 500
+   * @param {string} [options.cursor] - `nextCursor` of the previous page
+   * @returns {Object} `{ records, nextCursor }`; nextCursor is null on the last page
+   * @throws {ScanHistoryError} When the cursor is malformed
+   */
+  page(filter = {}, options = {}) {
+    const limit = Math.min(options.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const after = options.cursor ? decodeCursor(options.cursor) : null;
+    const records = [];
+    let more = false;
+
+    for (let index = this.records.length - 1; index >= 0; index--) {
+      const record = this.records[index];
+      if ((after && compareRecords(record, after) >= 0) || !matches(record, filter)) {
+        continue;
+      }
+      if (records.length === limit) {
+        more = true;
+        break;
+      }
+      records.push(record);
+    }
+
+    return { records, nextCursor: more ? encodeCursor(records[records.length - 1]) : null };
+  }
+
+  /**
+   * Delete the records whose retention period has ended, and rewrite the
+   * history file without them and any other records already dropped
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {Promise<number>} Number of records removed
+   */
+  async purgeExpired(now = Date.now()) {
+    const cutoff = new Date(now - this.retentionDays * DAY).toISOString();
+    let expired = 0;
+    while (expired < this.records.length && this.records[expired].scannedAt < cutoff) {
+      this.byId.delete(this.records[expired].id);
+      expired++;
+    }
+    this.records.splice(0, expired);
+    this.dropped += expired;
+
+    if (this.file && this.dropped > 0) {
+      this.dropped = 0;
+      const lines = this.records.map((record) => `${JSON.stringify(record)}\n`).join('');
+      await this._write(async () => {
+        const temp = `${this.file}.tmp`;
+        await fs.promises.writeFile(temp, lines, { mode: 0o600 });
+        await fs.promises.rename(temp, this.file);
+      });
+    }
+
+    return expired;
+  }
+
+  /**
+   * Wait for pending writes to the history file
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writing;
+  }
+}
+
+module.exports = {
+  ScanHistory,
+  ScanHistoryError,
+  parseFilter,
+  VERDICTS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+};
@@ -0,0 +1,340 @@
+/**
+ * Scan policies
+ *
+ * Named sets of rules that block files which carry no malware but break an
+ * organisation's policy: executables, documents with macros, encrypted
+ * archives, PDFs with JavaScript, files over a size. A policy is evaluated
+ * after the scanner has given its verdict; a clean file that triggers any
+ * rule is `blocked`, and the result lists every rule that triggered.
+ * Policies are defined in a JSON or YAML file and selected per request or
+ * per API key.
+ */
+
+const fs = require('fs');
+const YAML = require('yaml');
+const { inspectFile } = require('./file-type');
+const { inspectPdf } = require('./pdf-inspect');
+const { matchesType } = require('./upload-policy');
+
+const EXECUTABLE_TYPES = [
+  'application/vnd.microsoft.portable-executable',
+  'application/x-elf',
+  'application/x-mach-binary',
+  'application/java-vm',
+  'application/java-archive',
+  'application/vnd.android.package-archive',
+  'application/x-msi',
+  'application/x-ms-shortcut'
+];
+
+const SCRIPT_TYPES = [
+  'text/x-shellscript',
+  'text/x-python',
+  'text/x-perl',
+  'text/x-ruby',
+  'text/javascript',
+  'text/x-powershell',
+  'text/x-msdos-batch',
+  'text/x-script',
+  'application/x-httpd-php'
+];
+
+/**
+ * Raised for invalid policy definitions and unknown policy names
+ */
+class ScanPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScanPolicyError';
+  }
+}
+
+/**
+ * Rules by name. `options` names the settings a rule takes and their type,
+ * `needs` the facts it reads beyond the scan result: `file` for macros and
+ * encryption found in zip and OLE containers, `pdf` for JavaScript and
+ * encryption inside PDFs. Both need the file on disk. `check(facts, options)`
+ * returns why the rule triggered, or null.
+ */
+const RULES = {
+  executables: {
+    check: ({ detectedType }) => (EXECUTABLE_TYPES.includes(detectedType)
+      ? `Executable files are not allowed (${detectedType})`
+      : null)
+  },
+  scripts: {
+    check: ({ detectedType }) => (SCRIPT_TYPES.includes(detectedType)
+      ? `Scripts are not allowed (${detectedType})`
+      : null)
+  },
+  macros: {
+    needs: ['file'],
+    check: ({ file }) => (file.macros ? 'Documents with macros are not allowed' : null)
+  },
+  encrypted: {
+    needs: ['file', 'pdf'],
+    check: ({ file, pdf, archive }) => {
+      const encryptedEntry = archive && (archive.unscanned || []).find((entry) => entry.reason === 'encrypted');
+      if (encryptedEntry) {
+        return `Encrypted archive entries cannot be scanned and are not allowed (${encryptedEntry.path})`;
+      }
+      return file.encrypted || pdf.encrypted ? 'Encrypted files cannot be scanned and are not allowed' : null;
+    }
+  },
+  pdf_javascript: {
+    needs: ['pdf'],
+    check: ({ pdf }) => (pdf.javascript ? 'PDF files with JavaScript are not allowed' : null)
+  },
+  max_size: {
+    options: { bytes: 'integer' },
+    check: ({ size }, { bytes }) => (size > bytes ? `Files may be at most ${bytes} bytes` : null)
+  },
+  types: {
+    options: { types: 'list' },
+    check: ({ detectedType }, { types }) => (detectedType && types.some((pattern) => matchesType(detectedType, pattern))
+      ? `Files of type ${detectedType} are not allowed`
+      : null)
+  },
+  type_mismatch: {
+    check: ({ typeMismatch, detectedType, declaredType }) => (typeMismatch
+      ? `The content (${detectedType}) does not match the declared type ${declaredType}`
+      : null)
+  }
+};
+
+/**
+ * Check a rule setting from the policy file
+ * @param {string} type - integer or list
+ * @param {*} value - Value from the file
+ * @returns {*} The value, with list entries lower-cased
+ * @throws {Error} With a description of the expected value
+ */
+function parseOption(type, value) {
+  if (type === 'integer') {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error('must be a non-negative integer');
+    }
+    return value;
+  }
+
+  if (!Array.isArray(value) || value.length === 0 || value.some((entry) => typeof entry !== 'string')) {
+    throw new Error('must be a non-empty list of strings');
+  }
+  return value.map((entry) => entry.trim().toLowerCase());
+}
+
+/**
+ * Check one rule of a policy definition: a rule name, or an object with
+ * `rule` and the rule's settings
+ * @param {*} definition - Rule from the policy file
+ * @param {string} where - Position of the rule, for messages
+ * @param {string[]} errors - Problems found are added here
+ * @returns {Object|null} `{ name, options }`, or null when invalid
+ */
+function parseRule(definition, where, errors) {
+  const { rule: name, ...settings } = typeof definition === 'string' ? { rule: definition } : definition || {};
+  const rule = typeof name === 'string' && Object.prototype.hasOwnProperty.call(RULES, name) ? RULES[name] : null;
+  if (!rule) {
+    errors.push(`${where}: unknown rule ${JSON.stringify(name)}; expected one of: ${Object.keys(RULES).join(', ')}`);
+    return null;
+  }
+
+  const expected = rule.options || {};
+  const options = {};
+  let valid = true;
+  Object.keys(settings).filter((key) => !expected[key]).forEach((key) => {
+    errors.push(`${where}: unknown setting "${key}" for rule ${name}`);
+    valid = false;
+  });
+  Object.entries(expected).forEach(([key, type]) => {
+    try {
+      options[key] = parseOption(type, settings[key]);
+    } catch (error) {
+      errors.push(`${where}: ${name} ${key} ${error.message}`);
+      valid = false;
+    }
+  });
+
+  return valid ? { name, options } : null;
+}
+
+/**
+ * A named set of rules
+ */
+class ScanPolicy {
+  /**
+   * @param {string} name - Policy name
+   * @param {Object} [options] - Policy settings
+   * @param {string} [options.description] - What the policy is for
+   * @param {Object[]} [options.rules] - Parsed rules, `{ name, options }`
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.description = options.description || '';
+    this.rules = options.rules || [];
+    this.needs = new Set(this.rules.flatMap(({ name: rule }) => RULES[rule].needs || []));
+  }
+
+  /**
+   * Whether the rules have to read the file itself, rather than only the
+   * scan result and the first bytes of the file
+   * @returns {boolean}
+   */
+  get needsFile() {
+    return this.needs.size > 0;
+  }
+
+  /**
+   * Evaluate the rules for a scanned file
+   * @param {Object} result - Scan result with the detected and declared type
+   * @param {Object} file - The scanned file
+   * @param {string} [file.path] - Path of the file, required when needsFile is true
+   * @param {number} [file.size] - Size in bytes
+   * @returns {Promise<Object[]>} Rules that triggered, `{ rule, reason }`
+   * @throws {Error} When the file cannot be read
+   */
+  async evaluate(result, file) {
+    const facts = {
+      detectedType: result.detectedType,
+      declaredType: result.declaredType,
+      typeMismatch: result.typeMismatch,
+      archive: result.archive,
+      size: file.size,
+      file: { macros: false, encrypted: false },
+      pdf: { javascript: false, encrypted: false }
+    };
+
+    if (this.needs.has('file') && file.path) {
+      facts.file = inspectFile(file.path);
+    }
+    if (this.needs.has('pdf') && file.path && result.detectedType === 'application/pdf') {
+      facts.pdf = await inspectPdf(file.path);
+    }
+
+    return this.rules
+      .map(({ name, options }) => ({ rule: name, reason: RULES[name].check(facts, options) }))
+      .filter(({ reason }) => reason);
+  }
+
+  /**
+   * @returns {Object} The policy as listed by the API
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      description: this.description,
+      rules: this.rules.map(({ name, options }) => ({ rule: name, ...options }))
+    };
+  }
+}
+
+/**
+ * The configured policies and the one applied when none is selected
+ */
+class ScanPolicySet {
+  /**
+   * @param {Object} [definitions] - Policy definitions by name, as in the policy file
+   * @param {string} [defaultName] - Policy applied when neither the request nor the API key selects one
+   * @throws {ScanPolicyError} Listing every invalid definition
+   */
+  constructor(definitions = {}, defaultName = null) {
+    const errors = [];
+    this.policies = new Map();
+
+    Object.entries(definitions).forEach(([name, definition]) => {
+      if (!definition || typeof definition !== 'object' || !Array.isArray(definition.rules)) {
+        errors.push(`${name}: must have a list of rules`);
+        return;
+      }
+
+      const rules = definition.rules
+        .map((rule, index) => parseRule(rule, `${name} rule ${index + 1}`, errors))
+        .filter(Boolean);
+      this.policies.set(name, new ScanPolicy(name, { description: definition.description, rules }));
+    });
+
+    if (defaultName && !this.policies.has(defaultName)) {
+      errors.push(`SCAN_POLICY: no policy named "${defaultName}"`);
+    }
+
+    if (errors.length > 0) {
+      throw new ScanPolicyError(`Invalid scan policies:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+    }
+
+    this.defaultName = defaultName || null;
+  }
+
+  /**
+   * Get a policy by name
+   * @param {string} name - Policy name
+   * @returns {ScanPolicy|undefined}
+   */
+  get(name) {
+    return this.policies.get(name);
+  }
+
+  /**
+   * @returns {ScanPolicy[]} Every policy, in the order they were defined
+   */
+  list() {
+    return Array.from(this.policies.values());
+  }
+
+  /**
+   * Pick the policy for a scan: the one the request names, else the API
+   * key's, else the default
+   * @param {string} [requested] - Policy named by the request
+   * @param {string} [keyPolicy] - Policy of the request's API key
+   * @returns {ScanPolicy|null} The policy, or null when none applies
+   * @throws {ScanPolicyError} When the named policy does not exist
+   */
+  select(requested, keyPolicy) {
+    const name = requested || keyPolicy || this.defaultName;
+    if (!name) {
+      return null;
+    }
+
+    const policy = this.policies.get(name);
+    if (!policy) {
+      const available = this.policies.size > 0 ? `; available: ${Array.from(this.policies.keys()).join(', ')}` : '';
+      throw new ScanPolicyError(`No scan policy named "${name}"${available}`);
+    }
+    return policy;
+  }
+}
+
+/**
+ * Load policies from a JSON or YAML file with a `policies` object
+ * @param {string} [file] - Policy file; without one no policies are defined
+ * @param {string} [defaultName] - Policy applied when none is selected
+ * @returns {ScanPolicySet}
+ * @throws {ScanPolicyError} When the file cannot be read or a policy is invalid
+ */
+function loadPolicies(file, defaultName) {
+  if (!file) {
+    return new ScanPolicySet({}, defaultName);
+  }
+
+  let data;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ScanPolicyError(`SCAN_POLICIES_FILE: cannot read ${file} (${error.message})`);
+  }
+
+  const policies = data && data.policies;
+  if (!policies || typeof policies !== 'object' || Array.isArray(policies)) {
+    throw new ScanPolicyError(`SCAN_POLICIES_FILE: ${file} must contain a "policies" object`);
+  }
+
+  return new ScanPolicySet(policies, defaultName);
+}
+
+module.exports = {
+  ScanPolicy,
+  ScanPolicySet,
+  ScanPolicyError,
+  loadPolicies,
+  RULES
+};
@@ -0,0 +1,152 @@
+/**
+ * Asynchronous scan job queue
+ *
+ * Holds scan jobs in memory and runs them through a worker function with a
+ * fixed concurrency limit, so a burst of uploads queues up instead of
+ * starting dozens of scanner processes at once. Finished jobs are kept for
+ * a retention period so clients can poll for the result.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_RETENTION = 60 * 60 * 1000;
+
+// Job states that will not change any more
+const FINAL_STATUSES = ['clean', 'infected', 'blocked', 'limits_exceeded', 'error', 'cancelled'];
+
+/**
+ * Queue of scan jobs
+ *
+ * Emits `finished` with the job once it reaches a final status.
+ */
+class ScanQueue extends EventEmitter {
+  /**
+   * @param {Object} options - Queue options
+   * @param {Function} options.worker - Async function (job, signal) resolving to a scan result
+   * @param {number} [options.concurrency=2] - Maximum number of jobs running at once
+   * @param {number} [options.retention=3600000] - How long finished jobs are kept, in milliseconds
+   */
+  constructor(options) {
+    super();
+    this.worker = options.worker;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.retention = options.retention || DEFAULT_RETENTION;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} data - Job payload passed to the worker (e.g. the uploaded file)
+   * @returns {Object} The queued job
+   */
+  enqueue(data) {
+    const job = {
+      id: crypto.randomBytes(16).toString('hex'),
+      status: 'queued',
+      data,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      controller: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this._next();
+
+    return job;
+  }
+
+  /**
+   * Look up a job by ID
+   * @param {string} id - Job ID
+   * @returns {Object|undefined} The job
+   */
+  get(id) {
+    return this.jobs.get(id);
+  }
+
+  /**
+   * Cancel a queued or running job. A queued job is removed from the queue;
+   * a running job is signalled to abort and its result is discarded.
+   * @param {string} id - Job ID
+   * @returns {boolean} False when the job does not exist or already finished
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+
+    if (!job || FINAL_STATUSES.includes(job.status)) {
+      return false;
+    }
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter((pendingJob) => pendingJob !== job);
+    } else {
+      job.controller.abort();
+    }
+
+    this._finish(job, 'cancelled');
+    return true;
+  }
+
+  /**
+   * Number of jobs waiting and running
+   * @returns {Object} Queue depth
+   */
+  stats() {
+    return {
+      queued: this.pending.length,
+      running: this.running,
+      concurrency: this.concurrency
+    };
+  }
+
+  _next() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this._run(this.pending.shift());
+    }
+  }
+
+  async _run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.controller = new AbortController();
+
+    try {
+      const result = await this.worker(job, job.controller.signal);
+      if (job.status === 'running') {
+        job.result = result;
+        this._finish(job, result.verdict || (result.clean ? 'clean' : 'infected'));
+      }
+    } catch (error) {
+      if (job.status === 'running') {
+        job.error = error.message;
+        this._finish(job, 'error');
+      }
+    } finally {
+      this.running--;
+      this._next();
+    }
+  }
+
+  _finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+
+    setTimeout(() => this.jobs.delete(job.id), this.retention).unref();
+    this.emit('finished', job);
+  }
+}
+
+module.exports = {
+  ScanQueue,
+  FINAL_STATUSES
+};
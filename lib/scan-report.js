@@ -0,0 +1,277 @@
+/**
+ * Scan reports
+ *
+ * Summarises scan history records over a time window (totals by verdict,
+ * top signatures and submitters, bytes scanned and latency, bucketed by
+ * hour or day) and formats records as CSV or NDJSON lines for export.
+ */
+
+const { ScanHistoryError, VERDICTS } = require('./scan-history');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const INTERVALS = { hour: HOUR, day: DAY };
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_BUCKETS = 1000;
+const DEFAULT_TOP = 10;
+const MAX_TOP = 100;
+
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson'
+};
+
+// Columns of CSV exports, with how each is read from a record
+const CSV_COLUMNS = [
+  ['id', (record) => record.id],
+  ['scannedAt', (record) => record.scannedAt],
+  ['filename', (record) => record.filename],
+  ['size', (record) => record.size],
+  ['verdict', (record) => record.verdict],
+  ['signatures', (record) => signaturesOf(record).join(';')],
+  ['sha256', (record) => record.hashes && record.hashes.sha256],
+  ['sha1', (record) => record.hashes && record.hashes.sha1],
+  ['md5', (record) => record.hashes && record.hashes.md5],
+  ['detectedType', (record) => record.detectedType],
+  ['typeMismatch', (record) => record.typeMismatch],
+  ['engine', (record) => record.engine],
+  ['dbVersion', (record) => record.dbVersion],
+  ['cached', (record) => record.cached],
+  ['durationMs', (record) => record.durationMs],
+  ['endpoint', (record) => record.endpoint],
+  ['keyId', (record) => record.caller && record.caller.keyId],
+  ['keyName', (record) => record.caller && record.caller.keyName],
+  ['address', (record) => record.caller && record.caller.address],
+  ['requestId', (record) => record.requestId],
+  ['url', (record) => record.url],
+  ['quarantineId', (record) => record.quarantineId],
+  ['policy', (record) => record.policy && record.policy.name],
+  ['error', (record) => record.error]
+];
+
+/**
+ * Distinct signatures a record's threats matched
+ * @param {Object} record - History record
+ * @returns {string[]}
+ */
+function signaturesOf(record) {
+  return [...new Set((record.threats || []).map((threat) => threat.signature).filter(Boolean))];
+}
+
+/**
+ * Parse a count query parameter
+ * @param {string} value - Query parameter
+ * @param {string} name - Parameter name, for messages
+ * @param {number} fallback - Value when not set
+ * @param {number} max - Largest value allowed
+ * @returns {number}
+ * @throws {ScanHistoryError} When the value is not a whole number from 1 to max
+ */
+function parseCount(value, name, fallback, max) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1 || count > max) {
+    throw new ScanHistoryError(`${name} must be a number from 1 to ${max}`);
+  }
+  return count;
+}
+
+/**
+ * Check the report options given as query parameters, and settle the
+ * window: the last 7 days up to now unless `from` or `to` are given
+ * @param {Object} filter - From parseFilter(); its from and to are filled in
+ * @param {Object} query - Query parameters
+ * @param {string} [query.interval=day] - Bucket length, hour or day
+ * @param {string} [query.top=10] - Entries in the top signature and submitter lists
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Object} `{ filter, interval, top }`
+ * @throws {ScanHistoryError} When an option is invalid or the window has too many buckets
+ */
+function parseReportOptions(filter, query = {}, now = Date.now()) {
+  const interval = query.interval || 'day';
+  if (!Object.prototype.hasOwnProperty.call(INTERVALS, interval)) {
+    throw new ScanHistoryError(`interval must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+  }
+
+  const to = filter.to || new Date(now).toISOString();
+  const from = filter.from || new Date(Date.parse(to) - DEFAULT_WINDOW_DAYS * DAY).toISOString();
+  if (from > to) {
+    throw new ScanHistoryError('from must not be later than to');
+  }
+
+  const buckets = (bucketStart(to, interval) - bucketStart(from, interval)) / INTERVALS[interval] + 1;
+  if (buckets > MAX_BUCKETS) {
+    throw new ScanHistoryError(`The window has ${buckets} ${interval} buckets, at most ${MAX_BUCKETS} are allowed; shorten it or use a longer interval`);
+  }
+
+  return {
+    filter: { ...filter, from, to },
+    interval,
+    top: parseCount(query.top, 'top', DEFAULT_TOP, MAX_TOP)
+  };
+}
+
+/**
+ * Start of the UTC hour or day a time falls in
+ * @param {string|number} time - ISO timestamp or milliseconds
+ * @param {string} interval - hour or day
+ * @returns {number} Milliseconds
+ */
+function bucketStart(time, interval) {
+  const ms = typeof time === 'number' ? time : Date.parse(time);
+  return ms - (ms % INTERVALS[interval]);
+}
+
+/**
+ * Starts of every bucket from the one holding `from` to the one holding `to`
+ * @param {string} from - ISO timestamp
+ * @param {string} to - ISO timestamp
+ * @param {string} interval - hour or day
+ * @returns {number[]} Milliseconds
+ */
+function bucketStarts(from, to, interval) {
+  const starts = [];
+  const last = bucketStart(to, interval);
+  for (let start = bucketStart(from, interval); start <= last; start += INTERVALS[interval]) {
+    starts.push(start);
+  }
+  return starts;
+}
+
+/**
+ * Count of scans for each verdict, every verdict included
+ * @returns {Object}
+ */
+function emptyVerdicts() {
+  return Object.fromEntries(VERDICTS.map((verdict) => [verdict, 0]));
+}
+
+/**
+ * The largest counts of a map, largest first
+ * @param {Map} counts - Entries with a `scans` count
+ * @param {number} top - How many to keep
+ * @returns {Object[]}
+ */
+function largest(counts, top) {
+  return [...counts.values()].sort((a, b) => b.scans - a.scans).slice(0, top);
+}
+
+/**
+ * Summarise scan records over a window
+ * @param {Object[]} records - History records within the window, from ScanHistory.find()
+ * @param {Object} options - From parseReportOptions()
+ * @param {Object} options.filter - Filter with the window's from and to
+ * @param {string} options.interval - Bucket length, hour or day
+ * @param {number} options.top - Entries in the top lists
+ * @returns {Object} Totals, top signatures and submitters, and one bucket per hour or day
+ */
+function summarize(records, { filter, interval, top }) {
+  const totals = { scans: 0, bytes: 0, verdicts: emptyVerdicts() };
+  const signatures = new Map();
+  const submitters = new Map();
+  const buckets = new Map(bucketStarts(filter.from, filter.to, interval).map((start) => [start, {
+    start: new Date(start).toISOString(),
+    scans: 0,
+    bytes: 0,
+    verdicts: emptyVerdicts()
+  }]));
+  let duration = 0;
+  let timed = 0;
+
+  records.forEach((record) => {
+    const bytes = record.size || 0;
+    const bucket = buckets.get(bucketStart(record.scannedAt, interval));
+    [totals, bucket].filter(Boolean).forEach((counts) => {
+      counts.scans++;
+      counts.bytes += bytes;
+      if (record.verdict in counts.verdicts) {
+        counts.verdicts[record.verdict]++;
+      }
+    });
+
+    if (Number.isFinite(record.durationMs)) {
+      duration += record.durationMs;
+      timed++;
+    }
+
+    signaturesOf(record).forEach((signature) => {
+      const entry = signatures.get(signature) || { signature, scans: 0 };
+      entry.scans++;
+      signatures.set(signature, entry);
+    });
+
+    // Scans with an API key are counted per key, anonymous ones per address
+    const caller = record.caller || {};
+    const submitter = caller.keyId ? `key:${caller.keyId}` : `address:${caller.address}`;
+    const entry = submitters.get(submitter) || {
+      keyId: caller.keyId || null,
+      keyName: caller.keyName || null,
+      address: caller.keyId ? null : caller.address || null,
+      scans: 0,
+      bytes: 0
+    };
+    entry.scans++;
+    entry.bytes += bytes;
+    submitters.set(submitter, entry);
+  });
+
+  return {
+    from: filter.from,
+    to: filter.to,
+    interval,
+    totals: { ...totals, averageDurationMs: timed > 0 ? Math.round(duration / timed) : null },
+    topSignatures: largest(signatures, top),
+    topSubmitters: largest(submitters, top),
+    buckets: [...buckets.values()]
+  };
+}
+
+/**
+ * Format a value as a CSV field. Text that a spreadsheet would read as a
+ * formula, such as a filename starting with =, is prefixed with a quote.
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Lines of an export, one per record, for streaming
+ * @param {Iterable<Object>} records - History records
+ * @param {string} format - csv or ndjson
+ * @returns {Generator<string>} The CSV header line first, then a line per record
+ */
+function* exportLines(records, format) {
+  if (format === 'csv') {
+    yield `${CSV_COLUMNS.map(([name]) => name).join(',')}\r\n`;
+    for (const record of records) {
+      yield `${CSV_COLUMNS.map(([, read]) => csvField(read(record))).join(',')}\r\n`;
+    }
+    return;
+  }
+
+  for (const record of records) {
+    yield `${JSON.stringify(record)}\n`;
+  }
+}
+
+module.exports = {
+  parseReportOptions,
+  summarize,
+  exportLines,
+  EXPORT_FORMATS,
+  MAX_BUCKETS
+};
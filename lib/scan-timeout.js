@@ -0,0 +1,78 @@
+/**
+ * Scan timeouts and cancellation
+ *
+ * Every scan runs with an AbortSignal that fires once its timeout passes,
+ * or as soon as whatever started it goes away: the client disconnected or
+ * the asynchronous job was cancelled. Engines kill the scanner process, or
+ * drop the clamd connection, when the signal fires, and the signal's
+ * reason tells the routes which of the two happened.
+ */
+
+/**
+ * Raised when a scan runs past its timeout
+ */
+class ScanTimeoutError extends Error {
+  /**
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  constructor(timeout) {
+    super(`The scan did not finish within ${timeout}ms`);
+    this.name = 'ScanTimeoutError';
+    this.code = 'SCAN_TIMEOUT';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Raised when a scan is abandoned before it finishes
+ */
+class ScanAbortedError extends Error {
+  /**
+   * @param {string} [message] - Why the scan was abandoned
+   */
+  constructor(message = 'The scan was cancelled') {
+    super(message);
+    this.name = 'ScanAbortedError';
+    this.code = 'SCAN_ABORTED';
+  }
+}
+
+/**
+ * Create the signal for one scan. Call `clear()` once the scan finished so
+ * the timer does not keep running.
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {AbortSignal} [parent] - Signal that also aborts the scan, e.g. on client disconnect
+ * @returns {Object} `{ signal, clear }`
+ */
+function createScanSignal(timeout, parent) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new ScanTimeoutError(timeout)), timeout);
+  const onAbort = () => {
+    clearTimeout(timer);
+    controller.abort(parent.reason instanceof ScanAbortedError ? parent.reason : new ScanAbortedError());
+  };
+
+  if (parent) {
+    if (parent.aborted) {
+      onAbort();
+    } else {
+      parent.addEventListener('abort', onAbort, { once: true });
+    }
+  }
+
+  return {
+    signal: controller.signal,
+    clear() {
+      clearTimeout(timer);
+      if (parent) {
+        parent.removeEventListener('abort', onAbort);
+      }
+    }
+  };
+}
+
+module.exports = {
+  ScanTimeoutError,
+  ScanAbortedError,
+  createScanSignal
+};
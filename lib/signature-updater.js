@@ -0,0 +1,175 @@
+/**
+ * Signature updates
+ *
+ * Runs the scanner's signature update command (freshclam for ClamAV) on
+ * demand. Only one update runs at a time: a request while one is running is
+ * refused, and a lock file keeps other API instances using the same lock
+ * file from starting one at the same time.
+ */
+
+const { exec } = require('child_process');
+const fs = require('fs');
+
+/**
+ * Raised when an update is already running
+ */
+class UpdateInProgressError extends Error {
+  /**
+   * @param {Date} startedAt - When the running update started
+   */
+  constructor(startedAt) {
+    super(`A signature update has been running since ${startedAt.toISOString()}`);
+    this.name = 'UpdateInProgressError';
+    this.startedAt = startedAt;
+  }
+}
+
+/**
+ * Runs an update command, one at a time
+ */
+class SignatureUpdater {
+  /**
+   * @param {Object} options - Updater options
+   * @param {string} options.command - Update command line
+   * @param {Object} [options.exitCodes] - Map of exit code to `updated` or `up_to_date`; other codes are failures
+   * @param {number} options.timeout - Milliseconds before the command is killed
+   * @param {string} [options.lockFile] - File that exists while an update runs
+   */
+  constructor(options) {
+    this.command = options.command;
+    this.exitCodes = options.exitCodes || { 0: 'updated' };
+    this.timeout = options.timeout;
+    this.lockFile = options.lockFile || null;
+
+    this.current = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * @returns {Object} Whether an update is running, since when, and the outcome of the last one
+   */
+  status() {
+    return {
+      running: Boolean(this.current),
+      startedAt: this.current ? this.current.startedAt.toISOString() : null,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * Run the update command
+   * @returns {Promise<Object>} Status (updated, up_to_date or failed), exit code, output and timing
+   * @throws {UpdateInProgressError} When an update is already running here or in another instance
+   */
+  async run() {
+    if (this.current) {
+      throw new UpdateInProgressError(this.current.startedAt);
+    }
+
+    const startedAt = new Date();
+    this.current = { startedAt };
+
+    try {
+      this._lock(startedAt);
+
+      let result;
+      try {
+        result = await this._exec();
+      } finally {
+        this._unlock();
+      }
+
+      const { error, stdout, stderr } = result;
+      const exitCode = error ? error.code ?? null : 0;
+      const timedOut = Boolean(error && error.killed);
+      const finishedAt = new Date();
+
+      this.lastRun = {
+        status: (!timedOut && this.exitCodes[exitCode]) || 'failed',
+        exitCode,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        ...(timedOut && { error: `The update command did not finish within ${this.timeout}ms` })
+      };
+
+      return { ...this.lastRun, stdout: String(stdout || ''), stderr: String(stderr || '') };
+    } finally {
+      this.current = null;
+    }
+  }
+
+  _exec() {
+    return new Promise((resolve) => {
+      exec(this.command, { timeout: this.timeout, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
+        resolve({ error, stdout, stderr });
+      });
+    });
+  }
+
+  /**
+   * Create the lock file, replacing one left behind by an instance that
+   * stopped mid-update (older than the update timeout)
+   * @param {Date} startedAt - Start of this update, written to the lock file
+   * @throws {UpdateInProgressError} When another instance holds the lock
+   */
+  _lock(startedAt) {
+    if (!this.lockFile) {
+      return;
+    }
+
+    const content = JSON.stringify({ pid: process.pid, startedAt: startedAt.toISOString() });
+    try {
+      fs.writeFileSync(this.lockFile, content, { flag: 'wx' });
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    const holder = this._readLock();
+    if (holder && Date.now() - holder.getTime() < this.timeout) {
+      throw new UpdateInProgressError(holder);
+    }
+
+    fs.unlinkSync(this.lockFile);
+    try {
+      fs.writeFileSync(this.lockFile, content, { flag: 'wx' });
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        throw new UpdateInProgressError(this._readLock() || startedAt);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Date|null} Start time recorded in the lock file, or null when it cannot be read
+   */
+  _readLock() {
+    try {
+      const startedAt = new Date(JSON.parse(fs.readFileSync(this.lockFile, 'utf8')).startedAt);
+      return Number.isNaN(startedAt.getTime()) ? null : startedAt;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  _unlock() {
+    if (!this.lockFile) {
+      return;
+    }
+
+    try {
+      fs.unlinkSync(this.lockFile);
+    } catch (error) {
+      // Already gone, e.g. removed by hand
+    }
+  }
+}
+
+module.exports = {
+  SignatureUpdater,
+  UpdateInProgressError
+};
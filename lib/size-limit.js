@@ -0,0 +1,54 @@
+/**
+ * Size limits for streamed request bodies
+ *
+ * Counts bytes as they flow through and fails the stream as soon as the
+ * limit is crossed, so an oversized upload is rejected mid-stream instead
+ * of after it has been written to disk.
+ */
+
+const { Transform } = require('stream');
+
+/**
+ * Raised when a stream grows past its size limit
+ */
+class SizeLimitError extends Error {
+  /**
+   * @param {number} maxSize - Limit in bytes
+   */
+  constructor(maxSize) {
+    super(`Body exceeds the maximum size of ${maxSize} bytes`);
+    this.name = 'SizeLimitError';
+    this.maxSize = maxSize;
+  }
+}
+
+/**
+ * Create a pass-through stream that errors once more than maxSize bytes
+ * have passed. `stream.bytes` counts the bytes seen and `stream.exceeded`
+ * is set when the limit was crossed.
+ * @param {number} maxSize - Limit in bytes
+ * @returns {Transform} Limiting stream
+ */
+function createSizeLimiter(maxSize) {
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      limiter.bytes += chunk.length;
+
+      if (limiter.bytes > maxSize) {
+        limiter.exceeded = true;
+        return callback(new SizeLimitError(maxSize));
+      }
+
+      callback(null, chunk);
+    }
+  });
+  limiter.bytes = 0;
+  limiter.exceeded = false;
+
+  return limiter;
+}
+
+module.exports = {
+  createSizeLimiter,
+  SizeLimitError
+};
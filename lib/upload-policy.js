@@ -0,0 +1,183 @@
+/**
+ * Upload file-type policy
+ *
+ * Allow and block lists of filename extensions and of MIME types detected
+ * from the content (see lib/file-type.js), checked before a file reaches the
+ * scanner. An empty allow list allows everything not blocked. MIME types may
+ * end in `/*` to match a whole family, e.g. `image/*`.
+ */
+
+const { Transform } = require('stream');
+const { detectType, detectFileType, HEADER_SIZE } = require('./file-type');
+
+/**
+ * Raised when a file's extension or detected type is not allowed
+ */
+class UploadPolicyError extends Error {
+  /**
+   * @param {string} code - EXTENSION_NOT_ALLOWED or TYPE_NOT_ALLOWED
+   * @param {string} message - What was refused
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'UploadPolicyError';
+    this.code = code;
+  }
+}
+
+/**
+ * Normalise configured extensions to lower case without the leading dot
+ * @param {string[]} extensions - e.g. `['.EXE', 'tar.gz']`
+ * @returns {string[]}
+ */
+function normalizeExtensions(extensions = []) {
+  return extensions.map((extension) => extension.trim().toLowerCase().replace(/^\./, '')).filter(Boolean);
+}
+
+/**
+ * Whether a MIME type matches a configured type or `family/*` pattern
+ * @param {string} type - Detected type
+ * @param {string} pattern - Configured type
+ * @returns {boolean}
+ */
+function matchesType(type, pattern) {
+  return pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern;
+}
+
+/**
+ * Extension and MIME type rules for uploads
+ */
+class UploadPolicy {
+  /**
+   * @param {Object} [options] - Policy lists
+   * @param {string[]} [options.allowedExtensions] - Only these extensions are accepted, when set
+   * @param {string[]} [options.blockedExtensions] - Extensions always refused
+   * @param {string[]} [options.allowedTypes] - Only these detected types are accepted, when set
+   * @param {string[]} [options.blockedTypes] - Detected types always refused
+   */
+  constructor(options = {}) {
+    this.allowedExtensions = normalizeExtensions(options.allowedExtensions);
+    this.blockedExtensions = normalizeExtensions(options.blockedExtensions);
+    this.allowedTypes = (options.allowedTypes || []).map((type) => type.trim().toLowerCase());
+    this.blockedTypes = (options.blockedTypes || []).map((type) => type.trim().toLowerCase());
+  }
+
+  /**
+   * Whether any type rule is configured, i.e. the content must be inspected
+   * @returns {boolean}
+   */
+  get checksTypes() {
+    return this.allowedTypes.length > 0 || this.blockedTypes.length > 0;
+  }
+
+  /**
+   * Check a filename against the extension lists. Extensions match the end
+   * of the name, so `tar.gz` matches `backup.tar.gz`.
+   * @param {string} filename - Original filename
+   * @throws {UploadPolicyError} When the extension is not allowed
+   */
+  checkFilename(filename) {
+    const name = String(filename || '').toLowerCase();
+    const hasExtension = (extension) => name.endsWith(`.${extension}`);
+    const extension = name.includes('.') ? name.slice(name.lastIndexOf('.')) : '';
+
+    const blocked = this.blockedExtensions.find(hasExtension);
+    if (blocked) {
+      throw new UploadPolicyError('EXTENSION_NOT_ALLOWED', `${filename}: files with the extension .${blocked} are not allowed`);
+    }
+
+    if (this.allowedExtensions.length > 0 && !this.allowedExtensions.some(hasExtension)) {
+      throw new UploadPolicyError('EXTENSION_NOT_ALLOWED', extension
+        ? `${filename}: files with the extension ${extension} are not allowed`
+        : `${filename}: files without an extension are not allowed`);
+    }
+  }
+
+  /**
+   * Check a detected MIME type against the type lists
+   * @param {string} type - Detected MIME type
+   * @param {string} filename - Original filename, for the message
+   * @throws {UploadPolicyError} When the type is not allowed
+   */
+  checkType(type, filename) {
+    const blocked = this.blockedTypes.some((pattern) => matchesType(type, pattern));
+    const allowed = this.allowedTypes.length === 0 || this.allowedTypes.some((pattern) => matchesType(type, pattern));
+
+    if (blocked || !allowed) {
+      throw new UploadPolicyError('TYPE_NOT_ALLOWED', `${filename}: files of type ${type} are not allowed`);
+    }
+  }
+
+  /**
+   * Check a file on disk by name and, when type rules are set, by content
+   * @param {Object} file - `{ path, originalname }`, e.g. a multer file
+   * @throws {UploadPolicyError} When the file is not allowed
+   * @throws {Error} When the file cannot be read
+   */
+  checkFile(file) {
+    this.checkFilename(file.originalname);
+    if (this.checksTypes) {
+      this.checkType(detectFileType(file.path), file.originalname);
+    }
+  }
+
+  /**
+   * Create a pass-through stream that detects the type of the content
+   * flowing through it from the first bytes, setting `stream.detectedType`.
+   * When type rules are set those bytes are held back until the type is
+   * known, and the stream errors instead of passing on content that is not
+   * allowed; `stream.error` is set to the UploadPolicyError.
+   * @param {string} filename - Original filename, for the message
+   * @returns {Transform} Checking stream
+   */
+  createTypeChecker(filename) {
+    // Without type rules nothing needs to wait for the type
+    const holdBack = this.checksTypes;
+    let head = Buffer.alloc(0);
+    let detected = false;
+
+    const detect = (passOn, callback) => {
+      detected = true;
+      checker.detectedType = detectType(head.subarray(0, HEADER_SIZE));
+      try {
+        if (holdBack) {
+          this.checkType(checker.detectedType, filename);
+        }
+      } catch (error) {
+        checker.error = error;
+        return callback(error);
+      }
+      callback(null, passOn);
+    };
+
+    const checker = new Transform({
+      transform(chunk, encoding, callback) {
+        if (detected) {
+          return callback(null, chunk);
+        }
+
+        head = Buffer.concat([head, chunk]);
+        if (head.length >= HEADER_SIZE) {
+          return detect(holdBack ? head : chunk, callback);
+        }
+        callback(null, holdBack ? undefined : chunk);
+      },
+      flush(callback) {
+        if (detected) {
+          return callback();
+        }
+        detect(holdBack ? head : undefined, callback);
+      }
+    });
+    checker.error = null;
+    checker.detectedType = null;
+
+    return checker;
+  }
+}
+
+module.exports = {
+  UploadPolicy,
+  UploadPolicyError,
+  matchesType
+};
@@ -0,0 +1,318 @@
+/**
+ * Remote file download with SSRF safeguards
+ *
+ * Fetches a URL supplied by a client into a local file for scanning. Every
+ * hop (including redirects) is checked against a host allowlist and the
+ * resolved addresses are checked against private, loopback and link-local
+ * ranges. The connection is then pinned to the address that was checked, so
+ * a DNS server that answers differently on the second lookup (DNS
+ * rebinding) cannot redirect the request to an internal host.
+ */
+
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const DEFAULT_MAX_SIZE = 100 * 1024 * 1024;
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_MAX_REDIRECTS = 3;
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Addresses that must not be reachable from client-supplied URLs
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'], // "this" network
+  ['10.0.0.0', 8, 'ipv4'], // private
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // loopback
+  ['169.254.0.0', 16, 'ipv4'], // link-local, including cloud metadata services
+  ['172.16.0.0', 12, 'ipv4'], // private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'], // private
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved and broadcast
+  ['::', 128, 'ipv6'], // unspecified
+  ['::1', 128, 'ipv6'], // loopback
+  ['::', 96, 'ipv6'], // IPv4-compatible, e.g. ::127.0.0.1
+  ['64:ff9b::', 96, 'ipv6'], // NAT64, which can reach IPv4 private ranges
+  ['2002::', 16, 'ipv6'], // 6to4, which embeds any IPv4 address
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['fec0::', 10, 'ipv6'], // site-local (deprecated)
+  ['ff00::', 8, 'ipv6'] // multicast
+].forEach(([network, prefix, type]) => blockedAddresses.addSubnet(network, prefix, type));
+
+/**
+ * Error raised when a URL cannot or may not be fetched
+ *
+ * `code` is one of INVALID_URL, URL_BLOCKED, TOO_MANY_REDIRECTS, TOO_LARGE,
+ * TIMEOUT, UPSTREAM_STATUS or UPSTREAM_ERROR.
+ */
+class UrlFetchError extends Error {
+  /**
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human readable description
+   */
+  constructor(code, message) {
+    super(message);
+    this.name = 'UrlFetchError';
+    this.code = code;
+  }
+}
+
+/**
+ * Check whether an IP address is in a private, loopback, link-local or
+ * otherwise non-public range. IPv4-mapped IPv6 addresses are checked as IPv4.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True when the address must not be fetched from
+ */
+function isPrivateAddress(address) {
+  const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  return blockedAddresses.check(address, type);
+}
+
+/**
+ * Check a hostname against an allowlist. Entries match the host exactly, or
+ * any subdomain when written as `*.example.com`.
+ * @param {string} hostname - Hostname from the URL
+ * @param {string[]} allowedHosts - Allowlist; empty allows every host
+ * @returns {boolean} True when the host may be fetched from
+ */
+function isHostAllowed(hostname, allowedHosts) {
+  if (!allowedHosts || allowedHosts.length === 0) {
+    return true;
+  }
+
+  const host = hostname.toLowerCase();
+  return allowedHosts.some((entry) => {
+    const allowed = entry.toLowerCase();
+    return allowed.startsWith('*.') ? host.endsWith(allowed.slice(1)) : host === allowed;
+  });
+}
+
+/**
+ * Validate a URL and resolve the address to connect to
+ * @param {string} value - URL to check
+ * @param {Object} options - Fetch options (see fetchToFile)
+ * @returns {Promise<Object>} Parsed URL and the checked address and family
+ * @throws {UrlFetchError} When the URL is invalid or blocked
+ */
+async function resolveTarget(value, options) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new UrlFetchError('INVALID_URL', `Invalid URL: ${value}`);
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new UrlFetchError('INVALID_URL', `Unsupported protocol "${url.protocol}"`);
+  }
+
+  if (url.username || url.password) {
+    throw new UrlFetchError('INVALID_URL', 'URLs with credentials are not supported');
+  }
+
+  // IPv6 literals are written in brackets in URLs
+  const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+  if (!isHostAllowed(hostname, options.allowedHosts)) {
+    throw new UrlFetchError('URL_BLOCKED', `Host "${hostname}" is not in the allowed host list`);
+  }
+
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname, family: net.isIP(hostname) }];
+  } else {
+    try {
+      addresses = await (options.lookup || dns.promises.lookup)(hostname, { all: true });
+    } catch (error) {
+      throw new UrlFetchError('UPSTREAM_ERROR', `Could not resolve "${hostname}": ${error.message}`);
+    }
+  }
+
+  // Every address must be public, otherwise a host with one public and one
+  // private record could still be used to reach the internal network
+  if (!options.allowPrivate) {
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      throw new UrlFetchError('URL_BLOCKED', `"${hostname}" resolves to a private address (${blocked.address})`);
+    }
+  }
+
+  return { url, address: addresses[0].address, family: addresses[0].family };
+}
+
+/**
+ * A DNS lookup function for http.request() that always answers with an
+ * address that was already checked, so the connection cannot be sent
+ * elsewhere by resolving the hostname again
+ * @param {string} address - Address from resolveTarget()
+ * @param {number} family - Its address family, 4 or 6
+ * @returns {Function} Lookup function
+ */
+function pinnedLookup(address, family) {
+  return (hostname, lookupOptions, callback) => {
+    if (lookupOptions.all) {
+      return callback(null, [{ address, family }]);
+    }
+    callback(null, address, family);
+  };
+}
+
+/**
+ * Send a GET request to an already checked address
+ * @param {Object} target - Result of resolveTarget()
+ * @param {number} timeout - Socket inactivity timeout in milliseconds
+ * @param {AbortSignal} signal - Aborts the request and its response
+ * @returns {Promise<http.IncomingMessage>} Response, not yet consumed
+ */
+function request(target, timeout, signal) {
+  const { url, address, family } = target;
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.get(url, {
+      timeout,
+      signal,
+      headers: { 'User-Agent': 'avscan-api/1.0' },
+      lookup: pinnedLookup(address, family)
+    }, resolve);
+
+    req.on('timeout', () => req.destroy(new UrlFetchError('TIMEOUT', `Timed out fetching ${url.href}`)));
+    req.on('error', (error) => reject(error instanceof UrlFetchError
+      ? error
+      : new UrlFetchError('UPSTREAM_ERROR', `Failed to fetch ${url.href}: ${error.message}`)));
+  });
+}
+
+/**
+ * Write a response body to a file, enforcing the size limit while streaming
+ * @param {http.IncomingMessage} res - Response to read
+ * @param {string} dest - File to create
+ * @param {number} maxSize - Maximum body size in bytes
+ * @returns {Promise<number>} Number of bytes written
+ */
+function saveBody(res, dest, maxSize) {
+  return new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(dest, { flags: 'wx', mode: 0o600 });
+    let bytes = 0;
+
+    // Reject before destroying the streams, whose own errors come second
+    const fail = (error) => {
+      reject(error);
+      res.destroy();
+      out.destroy();
+    };
+
+    res.on('data', (chunk) => {
+      bytes += chunk.length;
+      if (bytes > maxSize) {
+        fail(new UrlFetchError('TOO_LARGE', `Remote file exceeds the maximum size of ${maxSize} bytes`));
+      }
+    });
+    res.on('error', (error) => fail(error instanceof UrlFetchError
+      ? error
+      : new UrlFetchError('UPSTREAM_ERROR', `Download failed: ${error.message}`)));
+    res.on('aborted', () => fail(new UrlFetchError('UPSTREAM_ERROR', 'Download was interrupted')));
+    out.on('error', fail);
+    out.on('finish', () => resolve(bytes));
+
+    res.pipe(out);
+  });
+}
+
+/**
+ * Download a URL to a local file, following a limited number of redirects
+ * @param {string} url - URL supplied by the client
+ * @param {string} dest - File to create; removed again if the download fails
+ * @param {Object} [options] - Fetch options
+ * @param {number} [options.maxSize=104857600] - Maximum download size in bytes
+ * @param {number} [options.timeout=30000] - Time limit for the whole download in milliseconds
+ * @param {number} [options.maxRedirects=3] - Redirects followed before giving up
+ * @param {string[]} [options.allowedHosts] - Host allowlist; empty allows any public host
+ * @param {boolean} [options.allowPrivate=false] - Allow private and loopback addresses
+ * @param {Function} [options.lookup] - DNS lookup function, defaults to dns.promises.lookup
+ * @returns {Promise<Object>} Final URL, content type and size of the download
+ * @throws {UrlFetchError} When the URL is blocked or the download fails
+ */
+async function fetchToFile(url, dest, options = {}) {
+  const maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : DEFAULT_MAX_REDIRECTS;
+
+  const controller = new AbortController();
+  let timer;
+  const deadline = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new UrlFetchError('TIMEOUT', `Download did not finish within ${timeout}ms`));
+    }, timeout);
+    timer.unref();
+  });
+
+  const download = async () => {
+    let res;
+    let current = url;
+
+    for (let redirects = 0; ; redirects++) {
+      const target = await resolveTarget(current, options);
+      res = await request(target, timeout, controller.signal);
+
+      if (!REDIRECT_STATUSES.includes(res.statusCode)) {
+        break;
+      }
+
+      res.resume();
+      if (redirects >= maxRedirects) {
+        throw new UrlFetchError('TOO_MANY_REDIRECTS', `More than ${maxRedirects} redirects`);
+      }
+      if (!res.headers.location) {
+        throw new UrlFetchError('UPSTREAM_ERROR', `Redirect from ${current} has no Location header`);
+      }
+
+      current = new URL(res.headers.location, current).href;
+    }
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      res.resume();
+      throw new UrlFetchError('UPSTREAM_STATUS', `Remote server responded with HTTP ${res.statusCode}`);
+    }
+
+    const contentLength = parseInt(res.headers['content-length'], 10);
+    if (contentLength > maxSize) {
+      res.resume();
+      throw new UrlFetchError('TOO_LARGE', `Remote file exceeds the maximum size of ${maxSize} bytes`);
+    }
+
+    const size = await saveBody(res, dest, maxSize);
+    return { url: current, contentType: res.headers['content-type'] || null, size };
+  };
+
+  const downloading = download();
+
+  try {
+    return await Promise.race([downloading, deadline]);
+  } catch (error) {
+    // Let an aborted download settle first so the partial file is not
+    // created after it has been removed
+    await downloading.catch(() => {});
+    await fs.promises.unlink(dest).catch(() => {});
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  fetchToFile,
+  resolveTarget,
+  pinnedLookup,
+  UrlFetchError,
+  isPrivateAddress,
+  isHostAllowed
+};
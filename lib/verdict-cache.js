@@ -0,0 +1,85 @@
+/**
+ * Verdict cache
+ *
+ * Remembers scan results by file hash and signature database version, so
+ * a file that has already been scanned is not scanned again until the
+ * signatures change. Entries are evicted least recently used first.
+ */
+
+const DEFAULT_MAX_ENTRIES = 10000;
+
+/**
+ * In-memory LRU cache of scan verdicts
+ */
+class VerdictCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.maxEntries=10000] - Maximum number of cached verdicts
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  static key(sha256, dbVersion) {
+    return `${dbVersion}\n${sha256.toLowerCase()}`;
+  }
+
+  /**
+   * Look up the verdict for a file
+   * @param {string} sha256 - SHA-256 of the file
+   * @param {string} dbVersion - Current signature database version
+   * @returns {Object|undefined} Cached entry with result, filename, hashes and scannedAt
+   */
+  get(sha256, dbVersion) {
+    const key = VerdictCache.key(sha256, dbVersion);
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+
+    // Move to the end of the Map so it is evicted last
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+
+    return entry;
+  }
+
+  /**
+   * Store the verdict for a file
+   * @param {string} sha256 - SHA-256 of the file
+   * @param {string} dbVersion - Signature database version the file was scanned with
+   * @param {Object} entry - Result, filename and hashes of the scan
+   */
+  set(sha256, dbVersion, entry) {
+    const key = VerdictCache.key(sha256, dbVersion);
+
+    this.entries.delete(key);
+    this.entries.set(key, { ...entry, dbVersion, scannedAt: new Date().toISOString() });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Cache size and hit counters
+   * @returns {Object} Entry count, hits and misses
+   */
+  stats() {
+    return {
+      entries: this.entries.size,
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+}
+
+module.exports = {
+  VerdictCache
+};
@@ -0,0 +1,260 @@
+/**
+ * Webhook delivery
+ *
+ * POSTs scan verdicts to client callback URLs. Every request is signed with
+ * HMAC-SHA256 over `<timestamp>.<body>` so receivers can verify it came from
+ * this API and reject replays; failed deliveries are retried with
+ * exponential backoff and every attempt is kept in an in-memory delivery log.
+ * Callback URLs get the same SSRF checks as POST /scan/url downloads: every
+ * attempt resolves the host again, refuses private addresses and connects to
+ * the address that was checked.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { resolveTarget, pinnedLookup } = require('./url-fetch');
+const { scanOwner } = require('./api-keys');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_RETRY_DELAY = 1000;
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_LOG_SIZE = 1000;
+
+const SIGNATURE_HEADER = 'X-AVScan-Signature';
+const TIMESTAMP_HEADER = 'X-AVScan-Timestamp';
+const EVENT_HEADER = 'X-AVScan-Event';
+const DELIVERY_HEADER = 'X-AVScan-Delivery';
+
+/**
+ * Compute the signature header value for a payload
+ * @param {string} secret - Shared webhook secret
+ * @param {string|number} timestamp - Unix timestamp in seconds sent in X-AVScan-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature in the form `sha256=<hex>`
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Check that a callback URL is an absolute http(s) URL
+ * @param {string} value - URL supplied by the client
+ * @returns {boolean} True when the URL can be used as a callback
+ */
+function isValidCallbackUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * POST a JSON body to an already checked address and resolve with the
+ * response status code
+ * @param {Object} target - Result of resolveTarget()
+ * @param {string} body - JSON body
+ * @param {Object} headers - Extra request headers
+ * @param {number} timeout - Request timeout in milliseconds
+ * @returns {Promise<number>} HTTP status code
+ */
+function postJson(target, body, headers, timeout) {
+  const { url, address, family } = target;
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method: 'POST',
+      timeout,
+      lookup: pinnedLookup(address, family),
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'avscan-api-webhook/1.0',
+        ...headers
+      }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Webhook request timed out after ${timeout}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Whether a failed delivery should be attempted again. Network errors,
+ * timeouts, rate limiting and server errors are retried; other client
+ * errors mean the receiver rejected the payload.
+ * @param {number} [statusCode] - Response status, if a response was received
+ * @returns {boolean}
+ */
+function isRetryable(statusCode) {
+  return !statusCode || statusCode >= 500 || statusCode === 408 || statusCode === 429;
+}
+
+/**
+ * Sends signed webhook requests and records their delivery attempts
+ */
+class WebhookDispatcher {
+  /**
+   * @param {Object} options - Dispatcher options
+   * @param {string} options.secret - Shared secret used to sign payloads
+   * @param {number} [options.maxAttempts=5] - Attempts before a delivery is marked failed
+   * @param {number} [options.retryDelay=1000] - Delay before the first retry, doubled after each attempt
+   * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+   * @param {number} [options.logSize=1000] - Number of deliveries kept in the log
+   * @param {boolean} [options.allowPrivate=false] - Allow callbacks to private, loopback and link-local addresses
+   * @param {Function} [options.lookup] - DNS lookup function, defaults to dns.promises.lookup
+   */
+  constructor(options) {
+    this.secret = options.secret;
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.retryDelay = options.retryDelay || DEFAULT_RETRY_DELAY;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.logSize = options.logSize || DEFAULT_LOG_SIZE;
+    this.urlOptions = { allowPrivate: Boolean(options.allowPrivate), lookup: options.lookup };
+
+    this.deliveries = new Map();
+  }
+
+  /**
+   * Check that a callback URL may be delivered to: an http(s) URL whose
+   * host resolves to public addresses only, unless allowPrivate is set
+   * @param {string} url - Callback URL
+   * @returns {Promise<void>}
+   * @throws {UrlFetchError} When the URL is invalid, blocked or cannot be resolved
+   */
+  async checkUrl(url) {
+    await resolveTarget(url, this.urlOptions);
+  }
+
+  /**
+   * Queue a webhook delivery. The first attempt starts immediately.
+   * @param {string} url - Callback URL
+   * @param {string} event - Event name, e.g. scan.completed
+   * @param {Object} payload - Event payload
+   * @param {string|null} [keyId=null] - API key the scan was submitted with
+   * @returns {Object} Delivery record
+   */
+  deliver(url, event, payload, keyId = null) {
+    const delivery = {
+      id: crypto.randomBytes(16).toString('hex'),
+      event,
+      url,
+      scanId: payload.id || null,
+      keyId,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      nextAttemptAt: null
+    };
+
+    this.deliveries.set(delivery.id, delivery);
+    this._trimLog();
+
+    const body = JSON.stringify({ id: delivery.id, event, createdAt: delivery.createdAt, data: payload });
+    delivery.done = this._attempt(delivery, body);
+
+    return delivery;
+  }
+
+  async _attempt(delivery, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: null };
+    delivery.attempts.push(attempt);
+    delivery.nextAttemptAt = null;
+
+    // Blocked and malformed URLs will not get better by retrying
+    let retryable = true;
+    try {
+      const target = await resolveTarget(delivery.url, this.urlOptions);
+      attempt.statusCode = await postJson(target, body, {
+        [SIGNATURE_HEADER]: signPayload(this.secret, timestamp, body),
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [EVENT_HEADER]: delivery.event,
+        [DELIVERY_HEADER]: delivery.id
+      }, this.timeout);
+    } catch (error) {
+      attempt.error = error.message;
+      retryable = error.code !== 'URL_BLOCKED' && error.code !== 'INVALID_URL';
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+
+    if (attempt.statusCode >= 200 && attempt.statusCode < 300) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date().toISOString();
+      return delivery;
+    }
+
+    if (!retryable || !isRetryable(attempt.statusCode) || delivery.attempts.length >= this.maxAttempts) {
+      delivery.status = 'failed';
+      return delivery;
+    }
+
+    // Exponential backoff: retryDelay, 2 * retryDelay, 4 * retryDelay, ...
+    const delay = this.retryDelay * 2 ** (delivery.attempts.length - 1);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+
+    await new Promise((resolve) => setTimeout(resolve, delay).unref());
+    return this._attempt(delivery, body);
+  }
+
+  _trimLog() {
+    while (this.deliveries.size > this.logSize) {
+      this.deliveries.delete(this.deliveries.keys().next().value);
+    }
+  }
+
+  /**
+   * List deliveries, newest first
+   * @param {Object} [filter] - Optional filters
+   * @param {string} [filter.scanId] - Only deliveries for this scan
+   * @param {string} [filter.status] - Only deliveries with this status
+   * @param {string} [filter.keyId] - Only deliveries for scans of this owner, from scanOwner()
+   * @returns {Object[]} Delivery records
+   */
+  list(filter = {}) {
+    return Array.from(this.deliveries.values())
+      .filter((delivery) => !filter.keyId || scanOwner(delivery.keyId) === filter.keyId)
+      .filter((delivery) => !filter.scanId || delivery.scanId === filter.scanId)
+      .filter((delivery) => !filter.status || delivery.status === filter.status)
+      .reverse();
+  }
+
+  /**
+   * Look up a delivery by ID
+   * @param {string} id - Delivery ID
+   * @returns {Object|undefined} Delivery record
+   */
+  get(id) {
+    return this.deliveries.get(id);
+  }
+}
+
+/**
+ * Build the API representation of a delivery record
+ * @param {Object} delivery - Delivery record
+ * @returns {Object} Delivery without internal fields
+ */
+function serializeDelivery(delivery) {
+  const { done, ...rest } = delivery;
+  return rest;
+}
+
+module.exports = {
+  WebhookDispatcher,
+  signPayload,
+  isValidCallbackUrl,
+  serializeDelivery,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER
+};
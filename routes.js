@@ -6,192 +6,3536 @@
 
 const express = require('express');
 const multer = require('multer');
-const { exec } = require('child_process');
 const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const os = require('os');
+const { pipeline, Readable } = require('stream');
+const { promisify } = require('util');
+const { getConfig, redactConfig } = require('./config');
+const { createEngineFromConfig } = require('./lib/engines');
+const { ScanQueue, FINAL_STATUSES } = require('./lib/scan-queue');
+const { WebhookDispatcher, isValidCallbackUrl, serializeDelivery } = require('./lib/webhooks');
+const { mapSettledWithLimit } = require('./lib/concurrency');
+const { extractArchive, removeExtraction, detectArchive, ArchiveLimitError } = require('./lib/archives');
+const { fetchToFile, UrlFetchError } = require('./lib/url-fetch');
+const { hashFile, createHashingStream, isSha256 } = require('./lib/hashes');
+const { createSizeLimiter, SizeLimitError } = require('./lib/size-limit');
+const { VerdictCache } = require('./lib/verdict-cache');
+const { ApiKeyStore, ApiKeyError, serializeKey, scanOwner, ANONYMOUS_OWNER } = require('./lib/api-keys');
+const { RateLimiter, MemoryStore, RedisStore, parseTrustedProxies, clientAddress } = require('./lib/rate-limit');
+const { checkReadiness } = require('./lib/health');
+const { createMetrics, signatureFamily, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { logger, AuditLog, createDestination } = require('./lib/logger');
+const { Quarantine, serializeItem } = require('./lib/quarantine');
+const { createEncryptedZip } = require('./lib/encrypted-zip');
+const { SignatureUpdater, UpdateInProgressError } = require('./lib/signature-updater');
+const { ScanTimeoutError, ScanAbortedError, createScanSignal } = require('./lib/scan-timeout');
+const { UploadPolicy, UploadPolicyError } = require('./lib/upload-policy');
+const { loadPolicies, ScanPolicyError } = require('./lib/scan-policy');
+const { ScanHistory, ScanHistoryError, parseFilter, MAX_PAGE_SIZE: MAX_HISTORY_PAGE } = require('./lib/scan-history');
+const { parseReportOptions, summarize, exportLines, EXPORT_FORMATS } = require('./lib/scan-report');
+const { detectFileType, describeFileType } = require('./lib/file-type');
+
+const pipelineAsync = promisify(pipeline);
+
+// Settings are validated in config/index.js; see README for every variable
+const config = getConfig();
 
 const router = express.Router();
-const upload = multer({ dest: 'uploads/' });
+const uploadDir = config.uploads.dir;
+
+// JSON logs go to stdout or LOG_DIR/app.log; every scan is also recorded in
+// a separate audit log (LOG_DIR/audit.log by default) unless AUDIT_LOG=false.
+// Rotated audit logs are kept forever unless AUDIT_LOG_MAX_FILES is set.
+const logFile = (name, output, maxFiles) => createDestination({
+  output,
+  file: path.join(config.logging.dir, name),
+  maxSize: config.logging.maxSize,
+  maxFiles
+});
+logger.configure({
+  level: config.logging.level,
+  destination: logFile('app.log', config.logging.output, config.logging.maxFiles)
+});
+const auditLog = config.audit.enabled
+  ? new AuditLog(logFile('audit.log', config.audit.output, config.audit.maxFiles))
+  : null;
+
+// Multipart uploads are limited to UPLOAD_MAX_FILE_SIZE bytes per file and
+// UPLOAD_MAX_FIELDS form fields of UPLOAD_MAX_FIELD_SIZE bytes; uploads (and
+// URL downloads and streamed bodies) are then checked against the
+// UPLOAD_ALLOWED_*/UPLOAD_BLOCKED_* extension and detected type lists
+const uploadLimits = {
+  fileSize: config.uploads.maxFileSize,
+  fields: config.uploads.maxFields,
+  fieldSize: config.uploads.maxFieldSize
+};
+const upload = multer({ dest: uploadDir, limits: uploadLimits });
+const uploadPolicy = new UploadPolicy({
+  allowedExtensions: config.uploads.allowedExtensions,
+  blockedExtensions: config.uploads.blockedExtensions,
+  allowedTypes: config.uploads.allowedTypes,
+  blockedTypes: config.uploads.blockedTypes
+});
+
+// Scan policies from SCAN_POLICIES_FILE block clean files that break a rule;
+// a request picks one with ?policy=, else its API key's policy applies, else SCAN_POLICY
+const scanPolicies = loadPolicies(config.policies.file, config.policies.default);
+
+// Batch scans accept up to BATCH_MAX_FILES files and scan BATCH_CONCURRENCY at a time
+const batchMaxFiles = config.batch.maxFiles;
+const batchConcurrency = config.batch.concurrency;
+
+// ZIP, tar and gzip uploads are unpacked and scanned entry by entry unless
+// ARCHIVE_SCAN=false; the ARCHIVE_MAX_* limits guard against archive bombs
+const archiveScanning = config.archives.enabled;
+const archiveConcurrency = config.archives.concurrency;
+const archiveOptions = {
+  tempDir: config.archives.tempDir || undefined,
+  maxDepth: config.archives.maxDepth,
+  maxEntries: config.archives.maxEntries,
+  maxTotalSize: config.archives.maxTotalSize,
+  maxRatio: config.archives.maxRatio
+};
+
+// PUT /scan/stream bodies may be at most STREAM_MAX_SIZE bytes
+const streamMaxSize = config.stream.maxSize;
+
+// POST /scan/url downloads are bounded by the URL_SCAN_* settings; private,
+// loopback and link-local addresses are refused unless URL_SCAN_ALLOW_PRIVATE=true
+const urlFetchOptions = {
+  maxSize: config.urlScan.maxSize,
+  timeout: config.urlScan.timeout,
+  maxRedirects: config.urlScan.maxRedirects,
+  allowedHosts: config.urlScan.allowedHosts,
+  allowPrivate: config.urlScan.allowPrivate
+};
+
+// Requests need an API key with the right scope unless AUTH_ALLOW_ANONYMOUS=true,
+// which lets requests without a key scan and read results. API_ADMIN_KEY is a
+// static admin key for managing the others; API_KEYS_FILE persists issued keys.
+const allowAnonymous = config.auth.allowAnonymous;
+const apiKeys = new ApiKeyStore({
+  file: config.auth.keysFile || undefined,
+  adminKey: config.auth.adminKey || undefined,
+  policies: scanPolicies.list().map((policy) => policy.name)
+});
+
+// Requests are rate limited per API key, or per client address without one,
+// with separate budgets for scan and read endpoints per RATE_LIMIT_WINDOW
+// unless RATE_LIMIT=false. Every request, including those with a wrong key,
+// first counts against the RATE_LIMIT_ADDRESS_MAX budget of its client address.
+// Replicas share counters through RATE_LIMIT_REDIS_URL.
+// X-Forwarded-For is only believed from the TRUSTED_PROXIES addresses.
+const rateLimitStore = config.rateLimit.redisUrl
+  ? new RedisStore({ url: config.rateLimit.redisUrl })
+  : new MemoryStore();
+const rateLimiters = config.rateLimit.enabled
+  ? {
+    scan: new RateLimiter({
+      store: rateLimitStore,
+      name: 'scan',
+      limit: config.rateLimit.scanMax,
+      windowMs: config.rateLimit.window
+    }),
+    read: new RateLimiter({
+      store: rateLimitStore,
+      name: 'read',
+      limit: config.rateLimit.readMax,
+      windowMs: config.rateLimit.window
+    }),
+    address: new RateLimiter({
+      store: rateLimitStore,
+      name: 'address',
+      limit: config.rateLimit.addressMax,
+      windowMs: config.rateLimit.window
+    })
+  }
+  : null;
+const trustedProxies = parseTrustedProxies(config.rateLimit.trustedProxies);
+
+// Scans are killed after SCAN_TIMEOUT; requests may ask for another timeout up to SCAN_MAX_TIMEOUT
+const scanTimeout = config.scanner.timeout;
+const scanMaxTimeout = config.scanner.maxTimeout;
+
+// The scanner engine is selected with SCANNER_ENGINE (clamscan, clamd,
+// uvscan or command); see lib/engines for the engine interface
+const engine = createEngineFromConfig(config.scanner);
+
+// Prometheus metrics served by GET /metrics
+const metrics = createMetrics();
+
+// POST /scanner/update runs SCANNER_UPDATE_COMMAND, or the engine's own update
+// command (freshclam for ClamAV), one at a time; instances sharing
+// SCANNER_UPDATE_LOCK_FILE do not update at the same time either
+const updateCommand = config.scanner.updateCommand
+  ? { command: config.scanner.updateCommand }
+  : engine.update;
+const signatureUpdater = updateCommand
+  ? new SignatureUpdater({
+    ...updateCommand,
+    timeout: config.scanner.updateTimeout,
+    lockFile: config.scanner.updateLockFile || path.join(os.tmpdir(), 'avscan-signature-update.lock')
+  })
+  : null;
+let signatureCountCheck = null;
+
+// Verdicts are cached by SHA-256 and signature database version unless
+// VERDICT_CACHE=false. The engine version (which carries the database
+// version) is looked up at most once per VERDICT_CACHE_VERSION_TTL.
+const verdictCache = config.verdictCache.enabled
+  ? new VerdictCache({ maxEntries: config.verdictCache.size })
+  : null;
+const versionTtl = config.verdictCache.versionTtl;
+let versionCheck = null;
+
+// With QUARANTINE=true infected uploads are encrypted into QUARANTINE_DIR
+// instead of being deleted, and purged after QUARANTINE_RETENTION_DAYS
+const quarantine = config.quarantine.enabled
+  ? new Quarantine({
+    dir: config.quarantine.dir,
+    key: config.quarantine.key,
+    retentionDays: config.quarantine.retentionDays
+  })
+  : null;
+
+// Every scan is recorded in the history served by GET /scans unless
+// SCAN_HISTORY=false. Records are kept for SCAN_HISTORY_RETENTION_DAYS, at most
+// SCAN_HISTORY_MAX_RECORDS of them, and only in memory without SCAN_HISTORY_FILE.
+const scanHistory = config.history.enabled
+  ? new ScanHistory({
+    file: config.history.file || undefined,
+    retentionDays: config.history.retentionDays,
+    maxRecords: config.history.maxRecords
+  })
+  : null;
+
+/**
+ * Get the signature database version the cache is keyed by
+ * @returns {Promise<string|null>} Engine version string, or null when it cannot be determined
+ */
+function signatureVersion() {
+  if (!versionCheck || versionCheck.expiresAt <= Date.now()) {
+    versionCheck = {
+      expiresAt: Date.now() + versionTtl,
+      version: engine.version().then(
+        (version) => version || null,
+        (error) => {
+          logger.warn('Failed to read the scanner version, verdicts will not be cached', { error });
+          return null;
+        }
+      )
+    };
+  }
+
+  return versionCheck.version;
+}
+
+/**
+ * Count the loaded signatures, once per signature database version since
+ * counting reads every database file
+ * @param {string} dbVersion - Signature database version the count is for
+ * @returns {Promise<number|null>} Signature count, or null when the engine cannot count them
+ */
+function signatureCount(dbVersion) {
+  if (!engine.signatureCount) {
+    return Promise.resolve(null);
+  }
+
+  if (!signatureCountCheck || signatureCountCheck.version !== dbVersion) {
+    const check = {
+      version: dbVersion,
+      count: engine.signatureCount().catch((error) => {
+        logger.warn('Failed to count signatures', { error });
+        if (signatureCountCheck === check) {
+          signatureCountCheck = null;
+        }
+        return null;
+      })
+    };
+    signatureCountCheck = check;
+  }
+
+  return signatureCountCheck.count;
+}
+
+/**
+ * Describe the scanner and its signature database
+ * @returns {Promise<Object>} Engine, versions, signature database and update status
+ * @throws {Error} When the scanner does not report its version
+ */
+async function scannerStatus() {
+  const version = await engine.version();
+  const database = engine.signatures ? engine.signatures(version) : null;
+
+  return {
+    engine: engine.name,
+    name: engine.displayName,
+    version: engine.engineVersion ? engine.engineVersion(version) : null,
+    versionString: version,
+    signatures: database && {
+      version: database.version,
+      count: await signatureCount(database.version),
+      updatedAt: database.updatedAt ? database.updatedAt.toISOString() : null
+    },
+    update: signatureUpdater ? signatureUpdater.status() : null
+  };
+}
+
+// Expired quarantine items are purged at startup and then hourly
+if (quarantine) {
+  const purgeExpired = () => quarantine.purgeExpired().then((items) => {
+    items.forEach((item) => auditQuarantine('quarantine.purge', item, { reason: 'expired' }));
+  }, (error) => {
+    logger.warn('Failed to purge expired quarantine items', { error });
+  });
+
+  purgeExpired();
+  setInterval(purgeExpired, 60 * 60 * 1000).unref();
+}
+
+// Expired scan records are purged at startup and then hourly
+if (scanHistory) {
+  const purgeHistory = () => scanHistory.purgeExpired().catch((error) => {
+    logger.warn('Failed to purge expired scan records', { error });
+  });
+
+  purgeHistory();
+  setInterval(purgeHistory, 60 * 60 * 1000).unref();
+}
+
+/**
+ * Set uploaded file to read-only mode for security
+ * @param {string} filePath - Path to the file to be made read-only
+ */
+function setFileReadOnly(filePath) {
+  try {
+    // Set file permissions to read-only (444 in octal = r--r--r--)
+    fs.chmodSync(filePath, 0o444);
+  } catch (error) {
+    logger.warn('Failed to set file as read-only', { error });
+    // Don't throw error - continue with scan even if chmod fails
+  }
+}
+
+/**
+ * Clean up uploaded file
+ * @param {string} filePath - Path to the file to be cleaned up
+ */
+function cleanupFile(filePath) {
+  try {
+    fs.unlinkSync(filePath);
+  } catch (cleanupError) {
+    logger.warn('Failed to cleanup uploaded file', { error: cleanupError });
+  }
+}
+
+/**
+ * Interpret a query string flag such as `?rawOutput=true`
+ * @param {string} value - Query string value
+ * @returns {boolean} True for `true` or `1`
+ */
+function isTruthy(value) {
+  return value === 'true' || value === '1';
+}
+
+/**
+ * Build the API representation of a successful scan result
+ * @param {Object} result - Result from scanUploadedFile()
+ * @param {boolean} includeRawOutput - Whether to include the scanner output
+ * @returns {Object} Verdict, threats, file hashes, detected and declared type and, for archives, the extraction summary and, with a scan policy, the rules that triggered
+ */
+function formatScanResult(result, includeRawOutput) {
+  return {
+    verdict: result.verdict,
+    clean: result.clean,
+    threats: result.threats,
+    hashes: result.hashes,
+    detectedType: result.detectedType,
+    declaredType: result.declaredType,
+    typeMismatch: result.typeMismatch,
+    cached: result.cached,
+    ...(result.archive && { archive: result.archive }),
+    ...(result.quarantineId && { quarantineId: result.quarantineId }),
+    ...(result.policy && { policy: result.policy }),
+    ...(result.scanId && { scanId: result.scanId }),
+    ...(includeRawOutput && { rawOutput: result.rawOutput })
+  };
+}
+
+/**
+ * Replace the temporary upload path in scanner output with the client's
+ * original filename, so internal paths never reach the response
+ * @param {string} text - Path or output reported by the scanner
+ * @param {string} [filePath] - Temporary path the file was scanned at
+ * @param {string} [originalName] - Filename supplied by the client
+ * @returns {string} Text with the upload path replaced
+ */
+function toOriginalPath(text, filePath, originalName) {
+  if (!text || !filePath || !originalName) {
+    return text;
+  }
+
+  return text.split(filePath).join(originalName);
+}
+
+/**
+ * Handle a scan result based on the engine's exit codes
+ * @param {Object} error - Error object from the engine, carrying the exit code, or the
+ *   ScanTimeoutError or ScanAbortedError that stopped the scan
+ * @param {string} stdout - Standard output from the scanner
+ * @param {string} stderr - Standard error from the scanner
+ * @param {Object} [context] - Details about the scanned file
+ * @param {Object} [context.scanner] - Engine that produced the result, defaults to the configured engine
+ * @param {string} [context.filePath] - Temporary path the file was scanned at
+ * @param {string} [context.originalName] - Filename supplied by the client
+ * @returns {Object} Response object with verdict, clean status, threats and output, or an
+ *   error result whose `code` is SCAN_TIMEOUT or SCAN_ABORTED when the scan was stopped
+ */
+function handleScanResult(error, stdout, stderr, context = {}) {
+  if (error instanceof ScanTimeoutError || error instanceof ScanAbortedError) {
+    return {
+      error: true,
+      code: error.code,
+      message: error instanceof ScanTimeoutError ? 'Scan timed out' : 'Scan aborted',
+      details: error.message
+    };
+  }
+
+  const { scanner = engine, filePath, originalName } = context;
+  // A scanner killed by a signal has no exit code, and must not count as clean
+  const exitCode = error ? (error.code ?? error.signal) : 0;
+  const verdict = scanner.exitCodes[exitCode];
+
+  const threats = scanner.parseThreats(stdout).map((threat) => ({
+    signature: threat.signature,
+    category: threat.category,
+    engine: scanner.name,
+    file: toOriginalPath(threat.file, filePath, originalName)
+  }));
+
+  const responses = {
+    clean: {
+      verdict: 'clean',
+      clean: true,
+      threats: [],
+      rawOutput: toOriginalPath(stdout, filePath, originalName) || 'File is clean - no threats detected'
+    },
+    infected: {
+      verdict: 'infected',
+      clean: false,
+      threats,
+      rawOutput: toOriginalPath(stdout, filePath, originalName) || `Virus detected by ${scanner.displayName}`
+    },
+    default: {
+      error: true,
+      message: 'Scan failed',
+      details: toOriginalPath(stderr, filePath, originalName) || error?.message || 'Unknown error'
+    }
+  };
+
+  if (!responses[verdict]) {
+    metrics.scannerErrors.inc({ engine: scanner.name, exit_code: exitCode });
+  }
+
+  return responses[verdict] || responses.default;
+}
+
+/**
+ * Scan a single file with the configured engine
+ * @param {string} filePath - File to scan
+ * @param {string} originalName - Name reported in threats and output
+ * @param {AbortSignal} [signal] - Kills the scanner when aborted
+ * @returns {Promise<Object>} Result from handleScanResult()
+ */
+async function scanFile(filePath, originalName, signal) {
+  metrics.inFlight.inc();
+  let scan;
+  try {
+    scan = await engine.scan(filePath, { signal });
+  } finally {
+    metrics.inFlight.dec();
+  }
+
+  if (scan.durationMs !== undefined) {
+    logger.debug('Scanner process finished', {
+      engine: engine.name,
+      durationMs: Math.round(scan.durationMs),
+      exitCode: scan.exitCode,
+      signal: scan.signal
+    });
+  }
+  if (scan.truncated) {
+    logger.warn('Scanner output exceeded SCANNER_MAX_OUTPUT and was truncated', { engine: engine.name });
+  }
+
+  return handleScanResult(scan.error, scan.stdout, scan.stderr, { filePath, originalName });
+}
+
+/**
+ * Unpack an archive and scan every entry, attributing threats to the
+ * entry's path inside the archive (e.g. `bundle.zip/docs/invoice.exe`).
+ * The archive is scanned as a whole as well, so the engine still sees
+ * entries that cannot be unpacked; any such entry, or an archive that
+ * cannot be unpacked at all, makes the verdict limits_exceeded unless a
+ * threat was found
+ * @param {Object} file - Multer file object
+ * @param {AbortSignal} [signal] - Stops the scan of every entry when aborted
+ * @returns {Promise<Object>} Combined result with an `archive` summary
+ */
+async function scanArchive(file, signal) {
+  const whole = await scanFile(file.path, file.originalname, signal);
+  if (whole.error) {
+    return whole;
+  }
+
+  let extraction;
+  try {
+    extraction = await extractArchive(file.path, { ...archiveOptions, name: file.originalname });
+  } catch (error) {
+    // Corrupt or unsupported archives, including ones nested in a valid
+    // archive, are only scanned as a whole file and never pass as clean
+    if (!(error instanceof ArchiveLimitError)) {
+      logger.warn('Failed to unpack archive, scanning it as a single file', { error });
+    }
+
+    return {
+      verdict: whole.threats.length > 0 ? 'infected' : 'limits_exceeded',
+      clean: false,
+      threats: whole.threats,
+      rawOutput: [whole.rawOutput, error.message].filter(Boolean).join('\n'),
+      archive: error instanceof ArchiveLimitError
+        ? { limit: error.limit, message: error.message }
+        : { message: error.message }
+    };
+  }
+
+  try {
+    const results = await mapSettledWithLimit(extraction.entries, archiveConcurrency,
+      (entry) => scanFile(entry.file, `${file.originalname}/${entry.path}`, signal));
+
+    // Once aborted, report why rather than whichever entry failed first
+    if (signal && signal.aborted) {
+      return handleScanResult(signal.reason);
+    }
+
+    const failure = results.find(({ status, value }) => status === 'rejected' || value.error);
+    if (failure) {
+      return failure.status === 'rejected'
+        ? { error: true, message: 'Scan failed', details: failure.reason.message }
+        : failure.value;
+    }
+
+    // The engine usually finds an entry's threat in the whole archive too,
+    // where it is reported without the inner path
+    const entryThreats = results.flatMap(({ value }) => value.threats);
+    const signatures = new Set(entryThreats.map(({ signature }) => signature));
+    const threats = entryThreats.concat(whole.threats.filter(({ signature }) => !signatures.has(signature)));
+
+    let verdict = 'clean';
+    if (threats.length > 0) {
+      verdict = 'infected';
+    } else if (extraction.unscanned.length > 0) {
+      verdict = 'limits_exceeded';
+    }
+
+    return {
+      verdict,
+      clean: verdict === 'clean',
+      threats,
+      rawOutput: [whole, ...results.map(({ value }) => value)].map(({ rawOutput }) => rawOutput).join('\n'),
+      archive: {
+        format: extraction.format,
+        entries: extraction.entries.length,
+        totalSize: extraction.totalSize,
+        depth: extraction.depth,
+        unscanned: extraction.unscanned
+      }
+    };
+  } finally {
+    await removeExtraction(extraction.dir);
+  }
+}
+
+/**
+ * Point a cached result at a new upload of the same content, replacing
+ * the filename the verdict was first cached under
+ * @param {Object} result - Cached scan result
+ * @param {string} fromName - Filename the result was cached for
+ * @param {string} toName - Filename of the current upload
+ * @returns {Object} Result with threats and output renamed
+ */
+function renameResult(result, fromName, toName) {
+  if (fromName === toName) {
+    return result;
+  }
+
+  return {
+    ...result,
+    threats: result.threats.map((threat) => ({
+      ...threat,
+      file: threat.file === fromName || threat.file.startsWith(`${fromName}/`)
+        ? toName + threat.file.slice(fromName.length)
+        : threat.file
+    })),
+    rawOutput: toOriginalPath(result.rawOutput, fromName, toName)
+  };
+}
+
+/**
+ * Count a finished scan, its detections and, when known, the file size
+ * @param {Object} result - Scan result or error result
+ * @param {number} [seconds] - Time taken by the scan; left out for verdicts from the cache
+ */
+function recordScanMetrics(result, seconds) {
+  metrics.scans.inc({ engine: engine.name, verdict: result.error ? 'error' : result.verdict });
+  if (seconds !== undefined) {
+    metrics.scanDuration.observe({ engine: engine.name }, seconds);
+  }
+
+  (result.threats || []).forEach((threat) => {
+    metrics.detections.inc({ engine: threat.engine, family: signatureFamily(threat.signature), category: threat.category });
+  });
+}
+
+/**
+ * Describe who asked for a scan, for the audit log
+ * @param {Object} req - Express request
+ * @returns {Object} Request ID, endpoint and caller (API key and client address)
+ */
+function auditContext(req) {
+  return {
+    requestId: req.id,
+    endpoint: `${req.method} ${req.baseUrl}${req.route.path}`,
+    caller: {
+      keyId: req.apiKey ? req.apiKey.id : null,
+      keyName: req.apiKey ? req.apiKey.name : null,
+      address: clientAddress(req, trustedProxies)
+    }
+  };
+}
+
+/**
+ * Record a scan in the audit log
+ * @param {Object} context - From auditContext(), plus anything else to record such as the source URL
+ * @param {Object} file - Filename, size and hashes of the scanned file
+ * @param {Object} result - Scan result or error result
+ * @param {number} seconds - Time from receiving the file to the verdict
+ */
+function auditScan(context, file, result, seconds) {
+  if (!auditLog || !context) {
+    return;
+  }
+
+  auditLog.record('scan', {
+    ...context,
+    filename: file.originalname,
+    size: file.size ?? null,
+    hashes: result.hashes || file.hashes || null,
+    verdict: result.error ? 'error' : result.verdict,
+    signatures: [...new Set((result.threats || []).map((threat) => threat.signature))],
+    cached: Boolean(result.cached),
+    ...(result.detectedType && { detectedType: result.detectedType, typeMismatch: result.typeMismatch }),
+    durationMs: Math.round(seconds * 1000),
+    ...(result.quarantineId && { quarantineId: result.quarantineId }),
+    ...(result.policy && { policy: result.policy.name, policyRules: result.policy.triggered.map(({ rule }) => rule) }),
+    ...(result.error && { error: result.details })
+  });
+}
+
+/**
+ * Add a scan to the scan history. Failures are logged and the result is
+ * returned without a record ID.
+ * @param {Object} context - From auditContext(), as for auditScan()
+ * @param {Object} file - Filename, size and hashes of the scanned file
+ * @param {Object} result - Scan result or error result
+ * @param {number} seconds - Time from receiving the file to the verdict
+ * @param {string} [id] - ID to record the scan under; asynchronous scans use their job ID
+ * @returns {Promise<Object>} The result with the `scanId` of its record, or unchanged when the history is disabled
+ */
+async function recordScan(context, file, result, seconds, id) {
+  if (!scanHistory || !context) {
+    return result;
+  }
+
+  try {
+    const record = scanHistory.add({
+      id,
+      filename: file.originalname,
+      size: file.size ?? null,
+      hashes: result.hashes || file.hashes || null,
+      verdict: result.error ? 'error' : result.verdict,
+      threats: result.threats || [],
+      detectedType: result.detectedType ?? null,
+      typeMismatch: result.typeMismatch ?? null,
+      engine: engine.name,
+      dbVersion: await signatureVersion(),
+      cached: Boolean(result.cached),
+      durationMs: Math.round(seconds * 1000),
+      requestId: context.requestId,
+      endpoint: context.endpoint,
+      caller: context.caller,
+      ...(context.url && { url: context.url }),
+      ...(result.archive && { archive: result.archive }),
+      ...(result.quarantineId && { quarantineId: result.quarantineId }),
+      ...(result.policy && { policy: result.policy }),
+      ...(result.error && { error: result.details })
+    });
+    return { ...result, scanId: record.id };
+  } catch (error) {
+    logger.warn('Failed to record scan in the history', { error });
+    return result;
+  }
+}
+
+/**
+ * Record an action on a quarantined item in the audit log
+ * @param {string} event - quarantine.download, quarantine.release or quarantine.purge
+ * @param {Object} item - Quarantined item
+ * @param {Object} [fields] - Audit context of the request, or other details such as the reason
+ */
+function auditQuarantine(event, item, fields = {}) {
+  if (auditLog) {
+    auditLog.record(event, { ...fields, quarantineId: item.id, filename: item.filename, hashes: item.hashes });
+  }
+}
+
+/**
+ * Encrypt an infected upload into the quarantine. Failures are logged and
+ * the upload is deleted as usual.
+ * @param {Object} file - Uploaded file, as for scanUploadedFile()
+ * @param {Object} result - Infected scan result
+ * @param {Object} [audit] - Audit context naming the submitter
+ * @returns {Promise<string|null>} ID of the quarantined item, or null when it could not be stored
+ */
+async function quarantineUpload(file, result, audit) {
+  try {
+    const item = await quarantine.add(file.path, {
+      filename: file.originalname,
+      size: file.size ?? null,
+      hashes: result.hashes,
+      signatures: [...new Set(result.threats.map((threat) => threat.signature))],
+      threats: result.threats,
+      submitter: audit
+        ? { requestId: audit.requestId, endpoint: audit.endpoint, ...audit.caller, ...(audit.url && { url: audit.url }) }
+        : null
+    });
+    return item.id;
+  } catch (error) {
+    logger.warn('Failed to quarantine infected upload', { error });
+    return null;
+  }
+}
+
+/**
+ * Scan an uploaded file with the configured engine and clean it up afterwards.
+ * Supported archives are unpacked and scanned entry by entry, and files
+ * whose hash has a cached verdict for the current signatures are not
+ * scanned again.
+ * @param {Object} file - Multer file object
+ * @param {string} file.path - Path to the uploaded file
+ * @param {string} file.originalname - Filename supplied by the client
+ * @param {number} [file.size] - Size in bytes, recorded in the upload size metric
+ * @param {Object} [file.hashes] - Hashes computed while the file was received, if any
+ * @param {string} [file.mimetype] - Content-Type supplied by the client, compared with the detected type
+ * @param {Object} [audit] - Audit context from auditContext(); the scan is recorded in the audit log when given
+ * @param {Object} [control] - Scan timeout and cancellation, from scanControl()
+ * @param {number} [control.timeout=SCAN_TIMEOUT] - Milliseconds before the scanner is killed
+ * @param {AbortSignal} [control.signal] - Kills the scanner when aborted, e.g. on client disconnect
+ * @param {ScanPolicy} [control.policy] - Scan policy applied to the result
+ * @param {string} [control.scanId] - ID the scan is recorded under in the scan history; a new one by default
+ * @returns {Promise<Object>} Scan result with the file hashes, its detected and declared type, whether it came from the cache and its scan history ID
+ */
+async function scanUploadedFile(file, audit, control = {}) {
+  if (file.size !== undefined) {
+    metrics.uploadSize.observe({}, file.size);
+  }
+
+  const received = process.hrtime.bigint();
+  const result = await scanAndCleanUp(file, audit, control);
+  const seconds = Number(process.hrtime.bigint() - received) / 1e9;
+  auditScan(audit, file, result, seconds);
+
+  return recordScan(audit, file, result, seconds, control.scanId);
+}
+
+/**
+ * Apply a scan policy to a scan result. A clean file that triggers any rule
+ * is `blocked`; other verdicts are kept, with the triggered rules listed all
+ * the same.
+ * @param {Object} result - Scan result or error result
+ * @param {Object} file - The scanned file: `path` while it is on disk, and `size`
+ * @param {ScanPolicy} [policy] - Policy to apply; without one the result is returned unchanged
+ * @returns {Promise<Object>} The result with `policy: { name, triggered }`, or an error result when the file could not be inspected
+ */
+async function applyPolicy(result, file, policy) {
+  if (!policy || result.error) {
+    return result;
+  }
+
+  let triggered;
+  try {
+    triggered = await policy.evaluate(result, file);
+  } catch (error) {
+    return { error: true, message: 'Scan failed', details: `Failed to apply the ${policy.name} policy: ${error.message}` };
+  }
+
+  triggered.forEach(({ rule }) => metrics.policyViolations.inc({ policy: policy.name, rule }));
+
+  return {
+    ...result,
+    ...(result.verdict === 'clean' && triggered.length > 0 && { verdict: 'blocked', clean: false }),
+    policy: { name: policy.name, triggered }
+  };
+}
+
+/**
+ * Hash, look up and scan an uploaded file, apply the scan policy and remove
+ * the file afterwards. Infected files are quarantined first when the
+ * quarantine is enabled.
+ * @param {Object} file - As for scanUploadedFile()
+ * @param {Object} [audit] - Audit context, recorded as the submitter of quarantined files
+ * @param {Object} [control] - Scan timeout, cancellation and policy, as for scanUploadedFile()
+ * @returns {Promise<Object>} Scan result with the file hashes, whether it came from the cache, any quarantine ID and the policy outcome
+ */
+async function scanAndCleanUp(file, audit, control = {}) {
+  try {
+    const result = await applyPolicy(await scanStoredFile(file, control), file, control.policy);
+
+    if (quarantine && result.verdict === 'infected') {
+      const quarantineId = await quarantineUpload(file, result, audit);
+      return quarantineId ? { ...result, quarantineId } : result;
+    }
+
+    return result;
+  } finally {
+    // Clean up the uploaded file afterward
+    cleanupFile(file.path);
+  }
+}
+
+/**
+ * Hash, identify, look up and scan an uploaded file
+ * @param {Object} file - As for scanUploadedFile()
+ * @param {Object} [control] - Scan timeout and cancellation, as for scanUploadedFile()
+ * @returns {Promise<Object>} Scan result with the file hashes, its detected and declared type and whether it came from the cache
+ */
+async function scanStoredFile(file, control = {}) {
+  let hashes = file.hashes;
+  let fileType;
+  try {
+    hashes = hashes || await hashFile(file.path);
+    // The type depends on the filename and Content-Type of this upload, so it is never cached
+    fileType = describeFileType(detectFileType(file.path), file.originalname, file.mimetype);
+  } catch (error) {
+    return { error: true, message: 'Scan failed', details: `Failed to read upload: ${error.message}` };
+  }
+
+  const dbVersion = verdictCache ? await signatureVersion() : null;
+  const cached = dbVersion && verdictCache.get(hashes.sha256, dbVersion);
+
+  let result;
+  let seconds;
+  if (cached) {
+    metrics.cacheHits.inc();
+    result = { ...renameResult(cached.result, cached.filename, file.originalname), cached: true };
+  } else {
+    const started = process.hrtime.bigint();
+    const { signal, clear } = createScanSignal(control.timeout || scanTimeout, control.signal);
+    try {
+      result = archiveScanning && detectArchive(file.path)
+        ? await scanArchive(file, signal)
+        : await scanFile(file.path, file.originalname, signal);
+    } finally {
+      clear();
+    }
+    seconds = Number(process.hrtime.bigint() - started) / 1e9;
+
+    if (dbVersion && !result.error) {
+      verdictCache.set(hashes.sha256, dbVersion, { result, filename: file.originalname, hashes });
+    }
+    result = { ...result, cached: false };
+  }
+
+  // Verdicts from the cache are counted like scans that ran, and the caller
+  // records both in the audit log and scan history the same way
+  recordScanMetrics(result, seconds);
+
+  return { ...result, ...fileType, hashes };
+}
+
+// Queue for asynchronous scans submitted with POST /scans
+const scanQueue = new ScanQueue({
+  concurrency: config.queue.concurrency,
+  retention: config.queue.retention,
+  worker: async (job, signal) => {
+    const result = await scanUploadedFile(job.data.file, job.data.audit, {
+      timeout: job.data.timeout,
+      policy: job.data.policy,
+      scanId: job.id,
+      signal
+    });
+
+    if (result.error) {
+      throw new Error(result.details);
+    }
+
+    return result;
+  }
+});
+
+/**
+ * Build the API representation of a scan job
+ * @param {Object} job - Job from the scan queue
+ * @param {boolean} [includeRawOutput=false] - Whether to include the scanner output
+ * @returns {Object} Job status and, once finished, its result
+ */
+function serializeJob(job, includeRawOutput = false) {
+  return {
+    id: job.id,
+    status: job.status,
+    filename: job.data.file.originalname,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    ...(job.result && {
+      verdict: job.result.verdict,
+      clean: job.result.clean,
+      threats: job.result.threats,
+      hashes: job.result.hashes,
+      detectedType: job.result.detectedType,
+      declaredType: job.result.declaredType,
+      typeMismatch: job.result.typeMismatch
+    }),
+    ...(job.result?.archive && { archive: job.result.archive }),
+    ...(job.result?.quarantineId && { quarantineId: job.result.quarantineId }),
+    ...(job.result?.policy && { policy: job.result.policy }),
+    ...(job.result && includeRawOutput && { rawOutput: job.result.rawOutput }),
+    ...(job.error && { error: job.error }),
+    ...(job.data.callbackUrl && { callbackUrl: job.data.callbackUrl })
+  };
+}
+
+// Signed callbacks for finished asynchronous scans; disabled unless
+// WEBHOOK_SECRET is set, since receivers could not verify unsigned requests.
+// Callbacks to private, loopback and link-local addresses are refused unless
+// WEBHOOK_ALLOW_PRIVATE=true
+const webhooks = config.webhooks.secret
+  ? new WebhookDispatcher({
+    secret: config.webhooks.secret,
+    maxAttempts: config.webhooks.maxAttempts,
+    retryDelay: config.webhooks.retryDelay,
+    timeout: config.webhooks.timeout,
+    allowPrivate: config.webhooks.allowPrivate
+  })
+  : null;
+
+scanQueue.on('finished', (job) => {
+  if (webhooks && job.data.callbackUrl && job.status !== 'cancelled') {
+    webhooks.deliver(job.data.callbackUrl, 'scan.completed', serializeJob(job), job.data.keyId);
+  }
+});
+
+/**
+ * Read the API key from the X-API-Key header or an `Authorization: Bearer` header
+ * @param {Object} req - Express request
+ * @returns {string|null} The key, or null when none was sent
+ */
+function apiKeyFromRequest(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+
+  return req.get('X-API-Key') || (bearer && bearer[1]) || null;
+}
+
+/**
+ * Require an API key with a scope. The key is stored on `req.apiKey` for
+ * rate limiting and quotas. Requests without a key pass when
+ * AUTH_ALLOW_ANONYMOUS is set, except for admin endpoints.
+ * @param {string} scope - scan, read-results or admin
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    const token = apiKeyFromRequest(req);
+
+    if (!token) {
+      if (allowAnonymous && scope !== 'admin') {
+        return next();
+      }
+
+      return res.status(401).set('WWW-Authenticate', 'Bearer realm="avscan-api"').json({
+        error: 'Authentication required',
+        details: 'Send an API key in the X-API-Key header or as a bearer token'
+      });
+    }
+
+    const key = apiKeys.authenticate(token);
+    if (!key) {
+      return res.status(401).set('WWW-Authenticate', 'Bearer realm="avscan-api", error="invalid_token"').json({
+        error: 'Invalid API key',
+        details: 'The API key is unknown or has been revoked'
+      });
+    }
+
+    if (!apiKeys.hasScope(key, scope)) {
+      return res.status(403).json({
+        error: 'Insufficient scope',
+        details: `This API key does not have the "${scope}" scope`
+      });
+    }
+
+    req.apiKey = key;
+    next();
+  };
+}
+
+/**
+ * Limit the request rate per API key, or per client address for requests
+ * without a key, setting the RateLimit-* headers on the response. When the
+ * counter store cannot be reached the request is let through.
+ * @param {string} budget - scan or read, or address to always count per
+ * client address, before the API key is checked
+ * @returns {Function} Express middleware
+ */
+function rateLimit(budget) {
+  return (req, res, next) => {
+    if (!rateLimiters) {
+      return next();
+    }
+
+    const limiter = rateLimiters[budget];
+    const client = req.apiKey && budget !== 'address'
+      ? `key:${req.apiKey.id}`
+      : `ip:${clientAddress(req, trustedProxies)}`;
+
+    limiter.hit(client).then((result) => {
+      const reset = String(Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 0));
+
+      res.set({
+        'RateLimit-Policy': `${result.limit};w=${Math.ceil(limiter.windowMs / 1000)}`,
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': reset
+      });
+
+      if (!result.allowed) {
+        return res.status(429).set('Retry-After', reset).json({
+          error: 'Too many requests',
+          details: `Rate limit of ${result.limit} ${budget === 'address' ? 'requests from this address' : `${budget} requests`} per ${Math.ceil(limiter.windowMs / 1000)} seconds exceeded; retry in ${reset} seconds`
+        });
+      }
+
+      next();
+    }, (error) => {
+      req.log.warn('Rate limit store unavailable, request not limited', { error });
+      next();
+    });
+  };
+}
+
+/**
+ * Count the request against the daily quotas of its API key. Uploads that
+ * announce their size are refused up front when they would not fit; the
+ * actual size is counted once the upload has been received.
+ */
+function enforceQuota(req, res, next) {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const exceeded = apiKeys.checkQuota(req.apiKey, parseInt(req.get('Content-Length'), 10) || 0);
+  if (exceeded) {
+    return res.status(429)
+      .set('Retry-After', String(Math.ceil((exceeded.resetsAt - Date.now()) / 1000)))
+      .json({
+        error: 'Quota exceeded',
+        details: `The daily ${exceeded.quota} quota of ${exceeded.limit} for this API key is used up; it resets at ${exceeded.resetsAt.toISOString()}`
+      });
+  }
+
+  apiKeys.recordUsage(req.apiKey, { requests: 1 });
+  next();
+}
+
+// Middleware in front of each kind of endpoint: the client address budget,
+// so guessing keys is rate limited too, then authentication, the key's rate
+// limit and quotas, so rejected requests do not use up the quota
+const scanAccess = [rateLimit('address'), requireScope('scan'), rateLimit('scan'), enforceQuota];
+const readAccess = [rateLimit('address'), requireScope('read-results'), rateLimit('read'), enforceQuota];
+const adminAccess = [rateLimit('address'), requireScope('admin'), rateLimit('read'), enforceQuota];
+const metricsAccess = [rateLimit('address'), requireScope('metrics'), rateLimit('read'), enforceQuota];
+
+/**
+ * Give every request an ID, taken from X-Request-ID when the client sends a
+ * usable one, return it in the X-Request-ID response header and attach a
+ * logger that includes it (`req.log`). Each request is logged when it
+ * completes.
+ */
+function assignRequestId(req, res, next) {
+  const sent = req.get('X-Request-ID');
+  const started = process.hrtime.bigint();
+
+  req.id = sent && /^[\w.:-]{1,128}$/.test(sent) ? sent : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-ID', req.id);
+
+  res.on('finish', () => {
+    req.log.info('Request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e6),
+      keyId: req.apiKey ? req.apiKey.id : null
+    });
+  });
+
+  next();
+}
+
+/**
+ * Count every request and its duration by method, route and status. Routes
+ * are labelled with their pattern (e.g. /scans/:id) so IDs do not create
+ * new series; requests that match no route are labelled `unmatched`.
+ */
+function trackRequests(req, res, next) {
+  const stopTimer = metrics.httpDuration.startTimer({ method: req.method });
+
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+
+    stopTimer({ route });
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+
+  next();
+}
+
+router.use(assignRequestId, trackRequests);
+
+/**
+ * Count uploaded bytes against the daily byte quota of the request's API key
+ * @param {Object} req - Express request
+ * @param {number} bytes - Size of the uploaded or downloaded files
+ */
+function recordUploadBytes(req, bytes) {
+  if (req.apiKey) {
+    apiKeys.recordUsage(req.apiKey, { bytes: bytes || 0 });
+  }
+}
+
+/**
+ * Read the scan timeout requested with `?timeout=`, in milliseconds up to
+ * SCAN_MAX_TIMEOUT, select the scan policy (`?policy=`, else the API key's,
+ * else SCAN_POLICY) and abort the request's scans when the client
+ * disconnects. Sets `req.scanControl` for scanUploadedFile().
+ */
+function scanControl(req, res, next) {
+  let timeout = scanTimeout;
+
+  if (req.query.timeout !== undefined) {
+    timeout = /^\d+$/.test(req.query.timeout) ? parseInt(req.query.timeout, 10) : NaN;
+    if (!(timeout >= 1 && timeout <= scanMaxTimeout)) {
+      return res.status(400).json({
+        error: 'Invalid timeout',
+        details: `timeout must be a number of milliseconds from 1 to ${scanMaxTimeout}`
+      });
+    }
+  }
+
+  let policy;
+  try {
+    policy = scanPolicies.select(req.query.policy, req.apiKey && req.apiKey.policy);
+  } catch (error) {
+    if (!(error instanceof ScanPolicyError)) {
+      throw error;
+    }
+
+    return res.status(400).json({
+      error: 'Unknown policy',
+      code: 'UNKNOWN_POLICY',
+      details: error.message
+    });
+  }
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort(new ScanAbortedError('The client disconnected'));
+    }
+  });
+
+  req.scanControl = { timeout, policy, signal: controller.signal };
+  next();
+}
+
+/**
+ * Reply with a failed scan: 504 when the scanner ran out of time, 500 otherwise
+ * @param {Object} res - Express response
+ * @param {Object} result - Error result from scanUploadedFile()
+ */
+function sendScanFailure(res, result) {
+  res.status(result.code === 'SCAN_TIMEOUT' ? 504 : 500).json({
+    error: result.message,
+    ...(result.code && { code: result.code }),
+    details: result.details
+  });
+}
+
+// Multer limit errors, answered with 413 before anything is scanned
+const UPLOAD_LIMIT_ERRORS = {
+  LIMIT_FILE_SIZE: {
+    error: 'File too large',
+    code: 'FILE_TOO_LARGE',
+    details: `Files may be at most ${uploadLimits.fileSize} bytes`
+  },
+  LIMIT_FIELD_COUNT: {
+    error: 'Too many form fields',
+    code: 'TOO_MANY_FIELDS',
+    details: `A request may contain at most ${uploadLimits.fields} form fields`
+  },
+  LIMIT_FIELD_VALUE: {
+    error: 'Form field too large',
+    code: 'FIELD_TOO_LARGE',
+    details: `Form field values may be at most ${uploadLimits.fieldSize} bytes`
+  }
+};
+
+/**
+ * Files of a multipart request
+ * @param {Object} req - Express request after multer
+ * @returns {Object[]} Multer file objects
+ */
+function uploadedFiles(req) {
+  return req.files || (req.file ? [req.file] : []);
+}
+
+/**
+ * Accept a multipart upload, answering multer's limit errors with 413 and
+ * any other multer error (such as an unexpected file field) with 400. Files
+ * already written to disk are removed.
+ * @param {Function} receive - Multer middleware, e.g. upload.single('file')
+ * @param {Function} describe - Turns another multer error into the 400 response body
+ * @returns {Function} Express middleware
+ */
+function acceptUpload(receive, describe) {
+  return (req, res, next) => {
+    receive(req, res, (err) => {
+      if (!err) {
+        return next();
+      }
+
+      uploadedFiles(req).forEach((file) => cleanupFile(file.path));
+      if (UPLOAD_LIMIT_ERRORS[err.code]) {
+        return res.status(413).json(UPLOAD_LIMIT_ERRORS[err.code]);
+      }
+      res.status(400).json(describe(err));
+    });
+  };
+}
+
+/**
+ * Answer a file refused by the upload policy
+ * @param {Object} res - Express response
+ * @param {UploadPolicyError} error - Why the file was refused
+ */
+function sendPolicyViolation(res, error) {
+  res.status(415).json({
+    error: 'File type not allowed',
+    code: error.code,
+    details: error.message
+  });
+}
+
+/**
+ * Refuse the request with 415 when any uploaded file has an extension or
+ * detected type the upload policy does not allow, removing every file of
+ * the request before anything is scanned
+ */
+function checkUploadPolicy(req, res, next) {
+  const files = uploadedFiles(req);
+  const violation = files.map((file) => {
+    try {
+      uploadPolicy.checkFile(file);
+      return null;
+    } catch (error) {
+      // Only policy violations refuse the request; read errors fail the scan later
+      return error instanceof UploadPolicyError ? error : null;
+    }
+  }).find(Boolean);
+
+  if (!violation) {
+    return next();
+  }
+
+  files.forEach((file) => cleanupFile(file.path));
+  sendPolicyViolation(res, violation);
+}
+
+// POST /scan and POST /scans take one file in the "file" field
+const uploadFile = acceptUpload(upload.single('file'), (err) => ({
+  error: 'Invalid upload',
+  details: err.code === 'LIMIT_UNEXPECTED_FILE' ? 'Upload a single file in the "file" field' : err.message
+}));
+
+/**
+ * POST /scan - Scan an uploaded file for viruses
+ *
+ * Accepts a file upload and scans it with the configured scanner engine
+ * (ClamAV by default).
+ * The uploaded file is automatically cleaned up after scanning.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} req.file - Multer file object containing uploaded file info
+ * @param {string} req.file.path - Path to the uploaded file
+ * @param {string} [req.query.rawOutput] - Set to `true` to include the scanner output
+ * @param {Object} res - Express response object
+ * @returns {Object} JSON response with scan results
+ * @returns {string} returns.verdict - clean, infected, blocked by the scan policy, or limits_exceeded for archives over the extraction limits, that cannot be unpacked or with entries that could not be scanned
+ * @returns {Object} [returns.policy] - Scan policy applied and the rules that triggered
+ * @returns {boolean} returns.clean - Whether the file is clean (no viruses detected)
+ * @returns {Object[]} returns.threats - Threats detected in the file (or in archive entries)
+ * @returns {Object} [returns.archive] - Extraction summary when the upload was an archive
+ * @returns {string} [returns.rawOutput] - Raw output from the antivirus scanner, when requested
+ * @returns {Object} returns.error - Error details if scan fails
+ *
+ * @example
+ * // Upload a file and scan it
+ * const formData = new FormData();
+ * formData.append('file', fileInput.files[0]);
+ *
+ * fetch('/scan', {
+ *   method: 'POST',
+ *   body: formData
+ * })
+ * .then(response => response.json())
+ * .then(data => {
+ *   console.log('File is clean:', data.clean);
+ *   data.threats.forEach(threat => console.log('Threat:', threat.signature));
+ * });
+ */
+/**
+ * @swagger
+ * /scan:
+ *   post:
+ *     summary: Scan an uploaded file for viruses
+ *     description: Accepts a file upload and scans it with the configured scanner engine (ClamAV by default). ZIP, tar and gzip archives are scanned as a whole and unpacked (including nested archives) so every entry is scanned too; threats name the path inside the archive. Archives over the extraction limits, archives that cannot be unpacked, and archives with entries that could not be scanned get the `limits_exceeded` verdict unless a threat was found. The uploaded file is automatically cleaned up after scanning.
+ *     tags: [Scanning]
+ *     parameters:
+ *       - in: query
+ *         name: rawOutput
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include the scanner's raw output in the response
+ *       - in: query
+ *         name: timeout
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Milliseconds before the scanner is killed, up to SCAN_MAX_TIMEOUT (defaults to SCAN_TIMEOUT)
+ *       - in: query
+ *         name: policy
+ *         schema:
+ *           type: string
+ *         description: Scan policy from SCAN_POLICIES_FILE to apply (defaults to the API key's policy, then SCAN_POLICY). Clean files that break a rule get the `blocked` verdict.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: The file to be scanned for viruses
+ *             required:
+ *               - file
+ *     responses:
+ *       200:
+ *         description: Scan completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanResponse'
+ *       400:
+ *         description: Bad request - no file provided, more than one file, an invalid timeout or an unknown policy (code UNKNOWN_POLICY)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: The file is larger than UPLOAD_MAX_FILE_SIZE (code FILE_TOO_LARGE), or the form has more than UPLOAD_MAX_FIELDS fields (code TOO_MANY_FIELDS) or a field larger than UPLOAD_MAX_FIELD_SIZE (code FIELD_TOO_LARGE). Nothing is scanned.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               error: File too large
+ *               code: FILE_TOO_LARGE
+ *               details: Files may be at most 104857600 bytes
+ *       415:
+ *         description: The file's extension (code EXTENSION_NOT_ALLOWED) or the type detected from its content (code TYPE_NOT_ALLOWED) is not allowed by the UPLOAD_ALLOWED_* and UPLOAD_BLOCKED_* settings. Nothing is scanned.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               error: File type not allowed
+ *               code: TYPE_NOT_ALLOWED
+ *               details: "invoice.pdf: files of type application/vnd.microsoft.portable-executable are not allowed"
+ *       500:
+ *         description: Internal server error - scan failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       504:
+ *         description: The scan did not finish within its timeout (code SCAN_TIMEOUT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/scan', scanAccess, scanControl, uploadFile, checkUploadPolicy, (req, res, next) => {
+  // Check if a file was uploaded
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'No file provided',
+      details: 'Please upload a file to scan'
+    });
+  }
+
+  recordUploadBytes(req, req.file.size);
+
+  // Set the file to read-only mode immediately after upload for security
+  setFileReadOnly(req.file.path);
+
+  scanUploadedFile(req.file, auditContext(req), req.scanControl).then((result) => {
+    // Handle error cases
+    if (result.error) {
+      return sendScanFailure(res, result);
+    }
+
+    // Return successful scan result, with the raw output only when asked for
+    res.json(formatScanResult(result, isTruthy(req.query.rawOutput)));
+  }).catch(next);
+});
+
+/**
+ * Key batch results by original filename, numbering repeated names
+ * (`report.pdf`, `report.pdf (2)`, ...) so no verdict is overwritten
+ * @param {Object[]} files - Multer file objects
+ * @returns {string[]} Unique result keys in upload order
+ */
+function batchResultKeys(files) {
+  const seen = {};
+
+  return files.map((file) => {
+    const name = file.originalname;
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] === 1 ? name : `${name} (${seen[name]})`;
+  });
+}
+
+// POST /scan/batch takes up to BATCH_MAX_FILES files in the "files" field
+const uploadBatch = acceptUpload(upload.array('files', batchMaxFiles), (err) => ({
+  error: 'Invalid batch upload',
+  details: err.code === 'LIMIT_UNEXPECTED_FILE'
+    ? `A batch may contain at most ${batchMaxFiles} files in the "files" field`
+    : err.message
+}));
+
+/**
+ * POST /scan/batch - Scan several uploaded files in one request
+ *
+ * Scans up to BATCH_CONCURRENCY files at a time and returns one verdict per
+ * file. Every upload is cleaned up, whether its scan succeeded or not.
+ */
+/**
+ * @swagger
+ * /scan/batch:
+ *   post:
+ *     summary: Scan several files in one request
+ *     description: Accepts multiple files in the `files` field, scans them with bounded parallelism and returns a verdict per file keyed by original filename. Repeated filenames are numbered, e.g. `report.pdf (2)`.
+ *     tags: [Scanning]
+ *     parameters:
+ *       - in: query
+ *         name: rawOutput
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include the scanner's raw output for each file
+ *       - in: query
+ *         name: timeout
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Milliseconds before the scanner is killed for each file, up to SCAN_MAX_TIMEOUT (defaults to SCAN_TIMEOUT)
+ *       - in: query
+ *         name: policy
+ *         schema:
+ *           type: string
+ *         description: Scan policy from SCAN_POLICIES_FILE to apply (defaults to the API key's policy, then SCAN_POLICY). Clean files that break a rule get the `blocked` verdict.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: The files to be scanned for viruses
+ *             required:
+ *               - files
+ *     responses:
+ *       200:
+ *         description: Batch scanned; individual files may still have failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchScanResponse'
+ *       400:
+ *         description: Bad request - no files provided, too many files, an invalid timeout or an unknown policy (code UNKNOWN_POLICY)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: A file is larger than UPLOAD_MAX_FILE_SIZE, or the form has too many or too large fields; the codes are those of POST /scan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       415:
+ *         description: A file's extension or detected type is not allowed (codes EXTENSION_NOT_ALLOWED, TYPE_NOT_ALLOWED); the whole batch is refused and the details name the file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/scan/batch', scanAccess, scanControl, uploadBatch, checkUploadPolicy, (req, res, next) => {
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    return res.status(400).json({
+      error: 'No files provided',
+      details: 'Please upload one or more files in the "files" field'
+    });
+  }
+
+  recordUploadBytes(req, files.reduce((total, file) => total + (file.size || 0), 0));
+
+  // Set every file to read-only mode immediately after upload for security
+  files.forEach((file) => setFileReadOnly(file.path));
+
+  const includeRawOutput = isTruthy(req.query.rawOutput);
+
+  const audit = auditContext(req);
+  mapSettledWithLimit(files, batchConcurrency, (file) => scanUploadedFile(file, audit, req.scanControl)).then((settled) => {
+    const keys = batchResultKeys(files);
+    const results = {};
+    const summary = { total: files.length, clean: 0, infected: 0, blocked: 0, limitsExceeded: 0, failed: 0 };
+
+    settled.forEach(({ status, value, reason }, index) => {
+      if (status === 'rejected' || value.error) {
+        summary.failed++;
+        results[keys[index]] = status === 'rejected'
+          ? { error: 'Scan failed', details: reason.message }
+          : { error: value.message, ...(value.code && { code: value.code }), details: value.details };
+        return;
+      }
+
+      summary[value.verdict === 'limits_exceeded' ? 'limitsExceeded' : value.verdict]++;
+      results[keys[index]] = formatScanResult(value, includeRawOutput);
+    });
+
+    res.json({
+      allClean: summary.clean === summary.total,
+      summary,
+      results
+    });
+  }).catch(next);
+});
+
+// HTTP status returned for each URL download failure
+const URL_FETCH_STATUSES = {
+  INVALID_URL: 400,
+  URL_BLOCKED: 403,
+  TOO_LARGE: 413,
+  TIMEOUT: 504,
+  TOO_MANY_REDIRECTS: 502,
+  UPSTREAM_STATUS: 502,
+  UPSTREAM_ERROR: 502
+};
+
+/**
+ * Derive a filename for a downloaded file from the last URL path segment
+ * @param {string} url - Final URL after redirects
+ * @returns {string} Filename, or `download` when the path has none
+ */
+function filenameFromUrl(url) {
+  const segment = new URL(url).pathname.split('/').pop();
+
+  try {
+    return decodeURIComponent(segment) || 'download';
+  } catch (error) {
+    return segment || 'download';
+  }
+}
+
+/**
+ * POST /scan/url - Download a file from a URL and scan it
+ *
+ * The download is streamed into the uploads directory with the URL_SCAN_*
+ * size, time and redirect limits, then scanned exactly like an upload.
+ */
+/**
+ * @swagger
+ * /scan/url:
+ *   post:
+ *     summary: Download a file from a URL and scan it
+ *     description: Fetches the URL (following a limited number of redirects), streams it to the uploads directory and scans it like an uploaded file. Only http and https URLs are accepted; hosts resolving to private, loopback or link-local addresses are refused, and URL_SCAN_ALLOWED_HOSTS restricts the hosts further. The connection is pinned to the checked address to prevent DNS rebinding.
+ *     tags: [Scanning]
+ *     parameters:
+ *       - in: query
+ *         name: rawOutput
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include the scanner's raw output in the response
+ *       - in: query
+ *         name: timeout
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Milliseconds before the scanner is killed, up to SCAN_MAX_TIMEOUT (defaults to SCAN_TIMEOUT)
+ *       - in: query
+ *         name: policy
+ *         schema:
+ *           type: string
+ *         description: Scan policy from SCAN_POLICIES_FILE to apply (defaults to the API key's policy, then SCAN_POLICY). Clean files that break a rule get the `blocked` verdict.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 description: URL of the file to scan
+ *                 example: https://files.example.com/reports/invoice.pdf
+ *             required:
+ *               - url
+ *     responses:
+ *       200:
+ *         description: Scan completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanResponse'
+ *       400:
+ *         description: Bad request - no URL, an invalid URL, an invalid timeout or an unknown policy (code UNKNOWN_POLICY)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: The URL points at a blocked address or a host that is not allowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: The remote file is larger than URL_SCAN_MAX_SIZE
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       415:
+ *         description: The downloaded file's extension or detected type is not allowed (codes EXTENSION_NOT_ALLOWED, TYPE_NOT_ALLOWED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error - scan failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       502:
+ *         description: The remote server failed, returned an error status or redirected too often
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       504:
+ *         description: The download did not finish within URL_SCAN_TIMEOUT (code TIMEOUT), or the scan did not finish within its timeout (code SCAN_TIMEOUT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/scan/url', scanAccess, scanControl, express.json(), (req, res, next) => {
+  const url = req.body?.url;
+
+  if (typeof url !== 'string' || !url) {
+    return res.status(400).json({
+      error: 'No URL provided',
+      details: 'Please send a JSON body with the "url" to scan'
+    });
+  }
+
+  const filePath = path.join(uploadDir, crypto.randomBytes(16).toString('hex'));
+
+  fetchToFile(url, filePath, urlFetchOptions).then((download) => {
+    recordUploadBytes(req, download.size);
+    setFileReadOnly(filePath);
+
+    const file = {
+      path: filePath,
+      originalname: filenameFromUrl(download.url),
+      mimetype: download.contentType,
+      size: download.size
+    };
+    try {
+      uploadPolicy.checkFile(file);
+    } catch (error) {
+      // A download that cannot be read is not refused here, its scan reports the error
+      if (error instanceof UploadPolicyError) {
+        cleanupFile(filePath);
+        return sendPolicyViolation(res, error);
+      }
+    }
+
+    return scanUploadedFile(file, { ...auditContext(req), url: download.url }, req.scanControl).then((result) => {
+      if (result.error) {
+        return sendScanFailure(res, result);
+      }
+
+      res.json(formatScanResult(result, isTruthy(req.query.rawOutput)));
+    });
+  }, (error) => {
+    res.status(URL_FETCH_STATUSES[error.code] || 500).json({
+      error: 'Could not fetch URL',
+      code: error instanceof UrlFetchError ? error.code : undefined,
+      details: error.message
+    });
+  }).catch(next);
+});
+
+/**
+ * Read the optional X-Filename header of a streamed upload. The value may
+ * be percent-encoded for non-ASCII names; directories are stripped.
+ * @param {string} [value] - Header value
+ * @returns {string} Filename, or `stream` when none was given
+ */
+function filenameFromHeader(value) {
+  let name = value || '';
+
+  try {
+    name = decodeURIComponent(name);
+  } catch (error) {
+    // Not percent-encoded; use the header as it is
+  }
+
+  return path.basename(name.replace(/\\/g, '/')) || 'stream';
+}
+
+/**
+ * Scan a raw request body. Engines that can scan streams receive the body
+ * directly unless the quarantine is enabled; otherwise it is written to a
+ * temporary file first. Hashes
+ * are computed and the size limit and upload type policy are enforced while
+ * the body streams in. Bodies scanned as a stream are identified from their
+ * first bytes only, so Office documents report the type of their container.
+ * @param {Object} req - Express request whose body is the file, with `scanControl` set by scanControl()
+ * @param {string} originalname - Filename reported in the result
+ * @returns {Promise<Object>} Scan result, like scanUploadedFile()
+ * @throws {SizeLimitError} When the body is larger than STREAM_MAX_SIZE
+ * @throws {UploadPolicyError} When the detected type of the body is not allowed
+ */
+async function scanRequestBody(req, originalname) {
+  const limiter = createSizeLimiter(streamMaxSize);
+  const typeChecker = uploadPolicy.createTypeChecker(originalname);
+  const hashing = createHashingStream();
+
+  // Bodies scanned as a stream are never on disk, so with the quarantine
+  // enabled they are staged to a file that infected ones can be moved from,
+  // as they are for policies whose rules read the whole file
+  const { policy } = req.scanControl;
+  if (engine.scanStream && !quarantine && !(policy && policy.needsFile)) {
+    const body = pipeline(req, limiter, typeChecker, hashing, () => {});
+    const started = process.hrtime.bigint();
+    const { signal, clear } = createScanSignal(req.scanControl.timeout, req.scanControl.signal);
+    metrics.inFlight.inc();
+    let scan;
+    try {
+      scan = await engine.scanStream(body, originalname, { signal });
+    } finally {
+      clear();
+      metrics.inFlight.dec();
+    }
+
+    if (limiter.exceeded) {
+      throw new SizeLimitError(streamMaxSize);
+    }
+    if (typeChecker.error) {
+      throw typeChecker.error;
+    }
+
+    recordUploadBytes(req, limiter.bytes);
+    metrics.uploadSize.observe({}, limiter.bytes);
+
+    const result = handleScanResult(scan.error, scan.stdout, scan.stderr);
+    const fileType = describeFileType(typeChecker.detectedType, originalname, req.get('Content-Type'));
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    recordScanMetrics(result, seconds);
+    const dbVersion = verdictCache && !result.error ? await signatureVersion() : null;
+    if (dbVersion) {
+      verdictCache.set(hashing.hashes.sha256, dbVersion, { result, filename: originalname, hashes: hashing.hashes });
+    }
+
+    const final = await applyPolicy({ ...result, ...fileType, hashes: hashing.hashes, cached: false }, { size: limiter.bytes }, policy);
+    const audit = auditContext(req);
+    auditScan(audit, { originalname, size: limiter.bytes }, final, seconds);
+    return recordScan(audit, { originalname, size: limiter.bytes }, final, seconds);
+  }
+
+  const filePath = path.join(uploadDir, crypto.randomBytes(16).toString('hex'));
+  try {
+    await pipelineAsync(req, limiter, typeChecker, hashing, fs.createWriteStream(filePath, { flags: 'wx', mode: 0o600 }));
+  } catch (error) {
+    cleanupFile(filePath);
+    throw error;
+  }
+
+  recordUploadBytes(req, limiter.bytes);
+  setFileReadOnly(filePath);
+  const file = { path: filePath, originalname, mimetype: req.get('Content-Type'), size: limiter.bytes, hashes: hashing.hashes };
+  return scanUploadedFile(file, auditContext(req), req.scanControl);
+}
+
+/**
+ * PUT /scan/stream - Scan a raw request body
+ *
+ * Accepts the file as the request body (any content type, fixed length or
+ * chunked), avoiding multipart encoding and multer's disk staging.
+ */
+/**
+ * @swagger
+ * /scan/stream:
+ *   put:
+ *     summary: Scan a raw request body
+ *     description: Accepts the file itself as the request body, with a Content-Length or chunked transfer encoding. Engines that support streaming (clamd) scan the body as it arrives; other engines, and every engine when QUARANTINE is enabled, receive it through a temporary file. Bodies larger than STREAM_MAX_SIZE are rejected mid-stream. Streamed scans are not unpacked as archives when the engine scans the stream directly; clamd unpacks them itself.
+ *     tags: [Scanning]
+ *     parameters:
+ *       - in: header
+ *         name: X-Filename
+ *         schema:
+ *           type: string
+ *         description: Filename reported in threats, percent-encoded if it is not ASCII
+ *         example: invoice.pdf
+ *       - in: query
+ *         name: rawOutput
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include the scanner's raw output in the response
+ *       - in: query
+ *         name: timeout
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Milliseconds before the scanner is killed, up to SCAN_MAX_TIMEOUT (defaults to SCAN_TIMEOUT)
+ *       - in: query
+ *         name: policy
+ *         schema:
+ *           type: string
+ *         description: Scan policy from SCAN_POLICIES_FILE to apply (defaults to the API key's policy, then SCAN_POLICY). Clean files that break a rule get the `blocked` verdict.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: Scan completed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanResponse'
+ *       400:
+ *         description: Bad request - an invalid timeout or an unknown policy (code UNKNOWN_POLICY)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: The body is larger than STREAM_MAX_SIZE (code FILE_TOO_LARGE)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       415:
+ *         description: The X-Filename extension or the type detected from the body is not allowed (codes EXTENSION_NOT_ALLOWED, TYPE_NOT_ALLOWED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error - scan failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       504:
+ *         description: The scan did not finish within its timeout (code SCAN_TIMEOUT)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put('/scan/stream', scanAccess, scanControl, (req, res, next) => {
+  const tooLarge = () => res.status(413).set('Connection', 'close').json({
+    error: 'File too large',
+    code: 'FILE_TOO_LARGE',
+    details: `The body exceeds the maximum size of ${streamMaxSize} bytes`
+  });
+  const notAllowed = (error) => sendPolicyViolation(res.set('Connection', 'close'), error);
+
+  // Refuse a body that announces itself as too large before reading it
+  if (parseInt(req.get('Content-Length'), 10) > streamMaxSize) {
+    return tooLarge();
+  }
+
+  const filename = filenameFromHeader(req.get('X-Filename'));
+  try {
+    uploadPolicy.checkFilename(filename);
+  } catch (error) {
+    return notAllowed(error);
+  }
+
+  scanRequestBody(req, filename).then((result) => {
+    if (result.error) {
+      return sendScanFailure(res, result);
+    }
+
+    res.json(formatScanResult(result, isTruthy(req.query.rawOutput)));
+  }, (error) => {
+    if (error instanceof SizeLimitError) {
+      return tooLarge();
+    }
+    if (error instanceof UploadPolicyError) {
+      return notAllowed(error);
+    }
+
+    res.status(500).json({
+      error: 'Upload failed',
+      details: error.message
+    });
+  }).catch(next);
+});
+
+/**
+ * POST /scans - Queue an uploaded file for asynchronous scanning
+ *
+ * Stores the upload and returns immediately with a job ID; the scan runs in
+ * the background, at most SCAN_CONCURRENCY at a time.
+ */
+/**
+ * @swagger
+ * /scans:
+ *   post:
+ *     summary: Queue an uploaded file for asynchronous scanning
+ *     description: Stores the upload, queues it for scanning and returns a job ID immediately. Poll GET /scans/{id} for the result.
+ *     tags: [Scanning]
+ *     parameters:
+ *       - in: query
+ *         name: timeout
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Milliseconds before the scanner is killed, up to SCAN_MAX_TIMEOUT (defaults to SCAN_TIMEOUT)
+ *       - in: query
+ *         name: policy
+ *         schema:
+ *           type: string
+ *         description: Scan policy from SCAN_POLICIES_FILE to apply (defaults to the API key's policy, then SCAN_POLICY). Clean files that break a rule get the `blocked` verdict.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: The file to be scanned for viruses
+ *               callbackUrl:
+ *                 type: string
+ *                 format: uri
+ *                 description: URL that receives a signed scan.completed webhook when the scan finishes; hosts that resolve to private, loopback or link-local addresses are refused unless WEBHOOK_ALLOW_PRIVATE=true
+ *             required:
+ *               - file
+ *     responses:
+ *       202:
+ *         description: Scan queued
+ *         headers:
+ *           Location:
+ *             description: URL to poll for the job status
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanJob'
+ *       400:
+ *         description: Bad request - no file provided, an invalid or private callback URL, an invalid timeout or an unknown policy (code UNKNOWN_POLICY)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       413:
+ *         description: The file is larger than UPLOAD_MAX_FILE_SIZE, or the form has too many or too large fields; the codes are those of POST /scan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       415:
+ *         description: The file's extension or detected type is not allowed (codes EXTENSION_NOT_ALLOWED, TYPE_NOT_ALLOWED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   get:
+ *     summary: Search the scan history
+ *     description: Returns recorded scans from every scan endpoint, newest first, a page at a time. Keys without the admin scope only see the scans made with them. Requests without a key only see scans submitted without one. Responds with 404 when SCAN_HISTORY=false.
+ *     tags: [Scanning]
+ *     parameters:
+ *       - in: query
+ *         name: verdict
+ *         schema:
+ *           type: string
+ *         description: Only these verdicts, comma separated (clean, infected, blocked, limits_exceeded, error)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only scans at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only scans at or before this time; a date without a time includes the whole day
+ *       - in: query
+ *         name: hash
+ *         schema:
+ *           type: string
+ *         description: Only files with this SHA-256, SHA-1 or MD5
+ *       - in: query
+ *         name: filename
+ *         schema:
+ *           type: string
+ *         description: Only filenames containing this text, in any case
+ *       - in: query
+ *         name: caller
+ *         schema:
+ *           type: string
+ *         description: Only scans by this API key ID or name, or client address
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 50
+ *         description: Records per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor of the previous page
+ *     responses:
+ *       200:
+ *         description: A page of scan records
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 scans:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScanRecord'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor of the next page; null on the last page
+ *       400:
+ *         description: Invalid filter, limit or cursor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: The scan history is disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/scans', scanAccess, scanControl, uploadFile, checkUploadPolicy, (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'No file provided',
+      details: 'Please upload a file to scan'
+    });
+  }
+
+  // The callback URL may be sent as a form field or a query parameter
+  const callbackUrl = req.body?.callbackUrl || req.query.callbackUrl;
+
+  const invalidCallback = (details) => {
+    cleanupFile(req.file.path);
+    res.status(400).json({ error: 'Invalid callback URL', details });
+  };
+
+  if (callbackUrl && (!webhooks || !isValidCallbackUrl(callbackUrl))) {
+    return invalidCallback(webhooks
+      ? 'callbackUrl must be an absolute http or https URL'
+      : 'Webhooks are disabled; set WEBHOOK_SECRET to enable callbacks');
+  }
+
+  // Private targets are refused now; each delivery attempt checks again in
+  // case the host resolves differently by then
+  (callbackUrl ? webhooks.checkUrl(callbackUrl) : Promise.resolve()).then(
+    () => enqueueScan(req, res, callbackUrl),
+    (error) => invalidCallback(error.message)
+  ).catch(next);
+});
+
+/**
+ * Queue an uploaded file for asynchronous scanning and reply with the job
+ * @param {Object} req - Express request with the uploaded file
+ * @param {Object} res - Express response
+ * @param {string} [callbackUrl] - Checked callback URL
+ */
+function enqueueScan(req, res, callbackUrl) {
+  recordUploadBytes(req, req.file.size);
+
+  // Set the file to read-only mode immediately after upload for security
+  setFileReadOnly(req.file.path);
+
+  // The job outlives the request, so only its timeout applies
+  const job = scanQueue.enqueue({
+    file: req.file,
+    callbackUrl,
+    keyId: req.apiKey ? req.apiKey.id : null,
+    audit: auditContext(req),
+    timeout: req.scanControl.timeout,
+    policy: req.scanControl.policy
+  });
+
+  res.status(202)
+    .location(`${req.baseUrl}/scans/${job.id}`)
+    .json(serializeJob(job));
+}
+
+/**
+ * The owner a request is limited to: keys without the admin scope only see
+ * and cancel the scans they submitted, and only see the scan records and
+ * webhook deliveries of those scans. Requests without a key are limited to
+ * the scans submitted without one.
+ * @param {Object} req - Express request
+ * @returns {string|null} Owner from scanOwner(), or null when every scan may be seen
+ */
+function ownKeyId(req) {
+  if (!req.apiKey) {
+    return ANONYMOUS_OWNER;
+  }
+  return apiKeys.hasScope(req.apiKey, 'admin') ? null : req.apiKey.id;
+}
+
+/**
+ * Find the scan job named by the request's :id parameter
+ * @param {Object} req - Express request
+ * @returns {Object|null} The job, or null when it is unknown or has another owner
+ */
+function findOwnJob(req) {
+  const job = scanQueue.get(req.params.id);
+  const keyId = ownKeyId(req);
+
+  return job && (!keyId || scanOwner(job.data.keyId) === keyId) ? job : null;
+}
+
+/**
+ * GET /scans/:id - Get the status of an asynchronous scan
+ */
+/**
+ * @swagger
+ * /scans/{id}:
+ *   get:
+ *     summary: Get an asynchronous scan or a scan record
+ *     description: Returns the job status (queued, running, clean, infected, blocked, limits_exceeded, error or cancelled) and, once finished, the scan result. IDs of expired jobs and the scanId of any other scan return the scan's record from the scan history instead. Keys without the admin scope only see the scans submitted with them. Requests without a key only see scans submitted without one.
+ *     tags: [Scanning]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: rawOutput
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include the scanner's raw output in the response
+ *     responses:
+ *       200:
+ *         description: Job status, or the scan record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/ScanJob'
+ *                 - $ref: '#/components/schemas/ScanRecord'
+ *       404:
+ *         description: Unknown ID, a scan submitted with another API key or without one, or an expired job without a scan record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Cancel an asynchronous scan
+ *     description: Removes a queued job from the queue, or aborts a running one and discards its result. Keys without the admin scope can only cancel the scans submitted with them.
+ *     tags: [Scanning]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanJob'
+ *       404:
+ *         description: Unknown or expired job ID, or a job submitted with another API key or without one
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The scan already finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/scans/:id', readAccess, (req, res) => {
+  const job = findOwnJob(req);
+
+  if (job) {
+    return res.json(serializeJob(job, isTruthy(req.query.rawOutput)));
+  }
+
+  // Finished scans, including jobs past SCAN_JOB_RETENTION, are kept in the history
+  const record = scanHistory && scanHistory.get(req.params.id);
+  const keyId = ownKeyId(req);
+  if (record && (!keyId || (record.caller && scanOwner(record.caller.keyId) === keyId))) {
+    return res.json(record);
+  }
+
+  res.status(404).json({
+    error: 'Scan not found',
+    details: `No scan job or scan record with ID ${req.params.id}`
+  });
+});
+
+/**
+ * Reply with 404 when the scan history is disabled
+ */
+function requireHistory(req, res, next) {
+  if (!scanHistory) {
+    return res.status(404).json({
+      error: 'Scan history is disabled',
+      details: 'Set SCAN_HISTORY=true to record scans'
+    });
+  }
+  next();
+}
+
+/**
+ * Read the scan history filters of a request, limited to the request's own
+ * scans for keys without the admin scope, and reply with 400 when a filter
+ * or another option is invalid
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} query - Called with the filter; returns what the route needs and throws ScanHistoryError for invalid options
+ * @returns {*} What query returned, or undefined when the reply was sent
+ */
+function historyQuery(req, res, query) {
+  try {
+    return query({ ...parseFilter(req.query), keyId: ownKeyId(req) });
+  } catch (error) {
+    if (!(error instanceof ScanHistoryError)) {
+      throw error;
+    }
+
+    res.status(400).json({
+      error: 'Invalid scan history query',
+      details: error.message
+    });
+    return undefined;
+  }
+}
+
+/**
+ * GET /scans - Search the scan history
+ */
+router.get('/scans', readAccess, requireHistory, (req, res) => {
+  const page = historyQuery(req, res, (filter) => {
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+    if (limit !== undefined && !(Number.isInteger(limit) && limit >= 1 && limit <= MAX_HISTORY_PAGE)) {
+      throw new ScanHistoryError(`limit must be a number from 1 to ${MAX_HISTORY_PAGE}`);
+    }
+    return scanHistory.page(filter, { limit, cursor: req.query.cursor });
+  });
+
+  if (page) {
+    res.json({ scans: page.records, nextCursor: page.nextCursor });
+  }
+});
+
+/**
+ * DELETE /scans/:id - Cancel an asynchronous scan
+ */
+router.delete('/scans/:id', scanAccess, (req, res) => {
+  const job = findOwnJob(req);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Scan not found',
+      details: `No scan job with ID ${req.params.id}`
+    });
+  }
+
+  if (FINAL_STATUSES.includes(job.status)) {
+    return res.status(409).json({
+      error: 'Scan already finished',
+      details: `Scan job ${job.id} finished with status ${job.status}`
+    });
+  }
+
+  const wasQueued = job.status === 'queued';
+  scanQueue.cancel(job.id);
+
+  // A running job cleans up its own file when the scan returns
+  if (wasQueued) {
+    cleanupFile(job.data.file.path);
+  }
+
+  res.json(serializeJob(job));
+});
+
+/**
+ * Reply with 404 when webhooks are not configured
+ */
+function requireWebhooks(req, res, next) {
+  if (!webhooks) {
+    return res.status(404).json({
+      error: 'Webhooks are disabled',
+      details: 'Set WEBHOOK_SECRET to enable scan callbacks'
+    });
+  }
+  next();
+}
+
+/**
+ * GET /webhooks/deliveries - Webhook delivery log
+ */
+/**
+ * @swagger
+ * /webhooks/deliveries:
+ *   get:
+ *     summary: List webhook deliveries
+ *     description: Returns recent webhook deliveries, newest first, with every delivery attempt. Keys without the admin scope only see the deliveries for scans submitted with them. Requests without a key only see scans submitted without one.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: query
+ *         name: scanId
+ *         schema:
+ *           type: string
+ *         description: Only deliveries for this scan job
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *         description: Only deliveries with this status
+ *     responses:
+ *       200:
+ *         description: Delivery log
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhooks are disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/webhooks/deliveries', readAccess, requireWebhooks, (req, res) => {
+  const deliveries = webhooks.list({
+    scanId: req.query.scanId,
+    status: req.query.status,
+    keyId: ownKeyId(req)
+  });
+
+  res.json({ deliveries: deliveries.map(serializeDelivery) });
+});
+
+/**
+ * GET /webhooks/deliveries/:id - A single webhook delivery
+ */
+/**
+ * @swagger
+ * /webhooks/deliveries/{id}:
+ *   get:
+ *     summary: Get a webhook delivery
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery with every attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Unknown delivery, a delivery for a scan submitted with another API key or without one, or webhooks are disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/webhooks/deliveries/:id', readAccess, requireWebhooks, (req, res) => {
+  const delivery = webhooks.get(req.params.id);
+  const keyId = ownKeyId(req);
+
+  if (!delivery || (keyId && scanOwner(delivery.keyId) !== keyId)) {
+    return res.status(404).json({
+      error: 'Delivery not found',
+      details: `No webhook delivery with ID ${req.params.id}`
+    });
+  }
+
+  res.json(serializeDelivery(delivery));
+});
+
+/**
+ * GET /hashes/:sha256 - Look up the cached verdict for a file hash
+ *
+ * Lets clients check a file they have already uploaded (or that someone
+ * else has) without sending it again. Only verdicts for the current
+ * signature database are returned.
+ */
+/**
+ * @swagger
+ * /hashes/{sha256}:
+ *   get:
+ *     summary: Look up a verdict by SHA-256
+ *     description: Returns the cached verdict for a file with this SHA-256, if it was scanned with the current signature database. Responds with 404 when the file has not been scanned since the signatures last changed, or when the verdict cache is disabled.
+ *     tags: [Scanning]
+ *     parameters:
+ *       - in: path
+ *         name: sha256
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{64}$'
+ *         description: SHA-256 of the file, hex encoded
+ *     responses:
+ *       200:
+ *         description: Cached verdict
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HashVerdict'
+ *       400:
+ *         description: The value is not a SHA-256 hex digest
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: No verdict is cached for this hash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/hashes/:sha256', readAccess, (req, res, next) => {
+  const { sha256 } = req.params;
+
+  if (!isSha256(sha256)) {
+    return res.status(400).json({
+      error: 'Invalid hash',
+      details: 'Expected a SHA-256 digest of 64 hexadecimal characters'
+    });
+  }
+
+  const notFound = () => res.status(404).json({
+    error: 'Hash not found',
+    details: 'No verdict is cached for this hash with the current signature database'
+  });
+
+  if (!verdictCache) {
+    return notFound();
+  }
+
+  signatureVersion().then((dbVersion) => {
+    const entry = dbVersion && verdictCache.get(sha256, dbVersion);
+
+    if (!entry) {
+      return notFound();
+    }
+
+    res.json({
+      sha256: entry.hashes.sha256,
+      hashes: entry.hashes,
+      verdict: entry.result.verdict,
+      clean: entry.result.clean,
+      threats: entry.result.threats,
+      ...(entry.result.archive && { archive: entry.result.archive }),
+      filename: entry.filename,
+      dbVersion: entry.dbVersion,
+      scannedAt: entry.scannedAt
+    });
+  }).catch(next);
+});
+
+/**
+ * GET /reports/summary - Scan activity over a time window
+ */
+/**
+ * @swagger
+ * /reports/summary:
+ *   get:
+ *     summary: Summarise scan activity
+ *     description: Totals by verdict, the most frequent signatures and submitters, bytes scanned and average latency over a time window, with a breakdown per hour or day. Built from the scan history, so it covers SCAN_HISTORY_RETENTION_DAYS at most. Keys without the admin scope only see their own scans. Requests without a key only see scans submitted without one. Responds with 404 when SCAN_HISTORY=false.
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: verdict
+ *         schema:
+ *           type: string
+ *         description: Only these verdicts, comma separated (clean, infected, blocked, limits_exceeded, error)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the window; 7 days before `to` by default
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the window; now by default. A date without a time includes the whole day
+ *       - in: query
+ *         name: hash
+ *         schema:
+ *           type: string
+ *         description: Only files with this SHA-256, SHA-1 or MD5
+ *       - in: query
+ *         name: filename
+ *         schema:
+ *           type: string
+ *         description: Only filenames containing this text, in any case
+ *       - in: query
+ *         name: caller
+ *         schema:
+ *           type: string
+ *         description: Only scans by this API key ID or name, or client address
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [hour, day]
+ *           default: day
+ *         description: Length of each bucket, aligned to UTC; a window may have at most 1000 buckets
+ *       - in: query
+ *         name: top
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Entries in the top signature and submitter lists
+ *     responses:
+ *       200:
+ *         description: Scan activity summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanReport'
+ *       400:
+ *         description: Invalid filter, window, interval or top
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: The scan history is disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/reports/summary', readAccess, requireHistory, (req, res) => {
+  const options = historyQuery(req, res, (filter) => parseReportOptions(filter, req.query));
+
+  if (options) {
+    res.json(summarize(scanHistory.find(options.filter), options));
+  }
+});
+
+/**
+ * GET /reports/export - Download scan records as CSV or NDJSON
+ */
+/**
+ * @swagger
+ * /reports/export:
+ *   get:
+ *     summary: Export scan records
+ *     description: Streams every scan record matching the filters, newest first, as CSV (one row per scan, signatures separated by semicolons) or NDJSON (one ScanRecord per line). Keys without the admin scope only get their own scans. Requests without a key only see scans submitted without one. Responds with 404 when SCAN_HISTORY=false.
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *         description: Export format
+ *       - in: query
+ *         name: verdict
+ *         schema:
+ *           type: string
+ *         description: Only these verdicts, comma separated (clean, infected, blocked, limits_exceeded, error)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only scans at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only scans at or before this time; a date without a time includes the whole day
+ *       - in: query
+ *         name: hash
+ *         schema:
+ *           type: string
+ *         description: Only files with this SHA-256, SHA-1 or MD5
+ *       - in: query
+ *         name: filename
+ *         schema:
+ *           type: string
+ *         description: Only filenames containing this text, in any case
+ *       - in: query
+ *         name: caller
+ *         schema:
+ *           type: string
+ *         description: Only scans by this API key ID or name, or client address
+ *     responses:
+ *       200:
+ *         description: Scan records, as an attachment
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filter or format
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: The scan history is disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/reports/export', readAccess, requireHistory, (req, res) => {
+  const format = req.query.format || 'csv';
+  const records = historyQuery(req, res, (filter) => {
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      throw new ScanHistoryError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    return scanHistory.find(filter);
+  });
+
+  if (!records) {
+    return;
+  }
+
+  res.attachment(`scan-history-${new Date().toISOString().slice(0, 10)}.${format}`).type(EXPORT_FORMATS[format]);
+  pipeline(Readable.from(exportLines(records, format)), res, (error) => {
+    if (error) {
+      req.log.warn('Failed to send scan export', { error, records: records.length });
+    }
+  });
+});
+
+/**
+ * Look up the key named in the path, replying with 404 when it is unknown
+ * @param {Object} req - Express request with an `id` path parameter
+ * @param {Object} res - Express response
+ * @returns {Object|undefined} The key record
+ */
+function findKey(req, res) {
+  const record = apiKeys.get(req.params.id);
+
+  if (!record) {
+    res.status(404).json({
+      error: 'API key not found',
+      details: `No API key with ID ${req.params.id}`
+    });
+  }
+
+  return record;
+}
+
+/**
+ * POST /keys - Issue an API key
+ */
+/**
+ * @swagger
+ * /keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: Issues a key with the given scopes, optional daily quotas and an optional scan policy. The key itself is only returned in this response; store it securely. Requires the admin scope.
+ *     tags: [Keys]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Label for the key, e.g. the client it belongs to
+ *                 example: billing-service
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [scan, read-results, metrics, admin]
+ *                 example: [scan, read-results]
+ *               dailyRequests:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Requests allowed per UTC day; null for unlimited
+ *                 example: 10000
+ *               dailyBytes:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Bytes that may be uploaded per UTC day; null for unlimited
+ *                 example: 10737418240
+ *               policy:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Scan policy from SCAN_POLICIES_FILE applied to this key's scans unless a request names another
+ *                 example: compliance
+ *             required:
+ *               - scopes
+ *     responses:
+ *       201:
+ *         description: Key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NewApiKey'
+ *       400:
+ *         description: Invalid scopes, quotas or policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   get:
+ *     summary: List API keys
+ *     description: Returns every key, including revoked ones, with today's usage. Secrets are never returned. Requires the admin scope.
+ *     tags: [Keys]
+ *     responses:
+ *       200:
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ */
+router.post('/keys', adminAccess, express.json(), (req, res) => {
+  let created;
+  try {
+    created = apiKeys.create(req.body || {});
+  } catch (error) {
+    if (!(error instanceof ApiKeyError)) {
+      throw error;
+    }
+
+    return res.status(400).json({
+      error: 'Invalid API key settings',
+      details: error.message
+    });
+  }
+
+  res.status(201)
+    .location(`${req.baseUrl}/keys/${created.record.id}`)
+    .json({ ...serializeKey(created.record, apiKeys.usage(created.record.id)), key: created.key });
+});
+
+/**
+ * GET /keys - List API keys
+ */
+router.get('/keys', adminAccess, (req, res) => {
+  res.json({ keys: apiKeys.list().map((record) => serializeKey(record, apiKeys.usage(record.id))) });
+});
+
+/**
+ * GET /keys/:id - A single API key
+ */
+/**
+ * @swagger
+ * /keys/{id}:
+ *   get:
+ *     summary: Get an API key
+ *     description: Returns the key's scopes, quotas and today's usage. Requires the admin scope.
+ *     tags: [Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       404:
+ *         description: Unknown key ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops working immediately. Revoked keys remain listed. Requires the admin scope.
+ *     tags: [Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       404:
+ *         description: Unknown key ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/keys/:id', adminAccess, (req, res) => {
+  const record = findKey(req, res);
+
+  if (record) {
+    res.json(serializeKey(record, apiKeys.usage(record.id)));
+  }
+});
+
+/**
+ * DELETE /keys/:id - Revoke an API key
+ */
+router.delete('/keys/:id', adminAccess, (req, res) => {
+  const record = findKey(req, res);
+
+  if (record) {
+    apiKeys.revoke(record.id);
+    res.json(serializeKey(record, apiKeys.usage(record.id)));
+  }
+});
+
+/**
+ * POST /keys/:id/rotate - Replace the secret of an API key
+ */
+/**
+ * @swagger
+ * /keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: Issues a new secret for the key, keeping its ID, scopes, quotas and usage. The old secret stops working immediately. Requires the admin scope.
+ *     tags: [Keys]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Key rotated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NewApiKey'
+ *       404:
+ *         description: Unknown key ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: The key has been revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/keys/:id/rotate', adminAccess, (req, res) => {
+  const record = findKey(req, res);
+
+  if (!record) {
+    return;
+  }
+
+  if (record.revokedAt) {
+    return res.status(409).json({
+      error: 'API key revoked',
+      details: `API key ${record.id} was revoked and cannot be rotated`
+    });
+  }
+
+  const { key } = apiKeys.rotate(record.id);
+  res.json({ ...serializeKey(record, apiKeys.usage(record.id)), key });
+});
+
+/**
+ * Reply with 404 when the quarantine is disabled
+ */
+function requireQuarantine(req, res, next) {
+  if (!quarantine) {
+    return res.status(404).json({
+      error: 'Quarantine is disabled',
+      details: 'Set QUARANTINE=true and QUARANTINE_KEY to keep infected uploads'
+    });
+  }
+  next();
+}
+
+/**
+ * Look up the quarantined item named in the path, replying with 404 when it is unknown
+ * @param {Object} req - Express request with an `id` path parameter
+ * @param {Object} res - Express response
+ * @returns {Object|null} The item
+ */
+function findQuarantined(req, res) {
+  const item = quarantine.get(req.params.id);
+
+  if (!item) {
+    res.status(404).json({
+      error: 'Quarantined item not found',
+      details: `No quarantined item with ID ${req.params.id}`
+    });
+  }
+
+  return item;
+}
+
+/**
+ * GET /quarantine - List quarantined files
+ */
+/**
+ * @swagger
+ * /quarantine:
+ *   get:
+ *     summary: List quarantined files
+ *     description: Returns every file in the quarantine, most recent first. Infected uploads are quarantined instead of deleted when QUARANTINE is enabled. Requires the admin scope.
+ *     tags: [Quarantine]
+ *     responses:
+ *       200:
+ *         description: Quarantined files
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QuarantineItem'
+ *       404:
+ *         description: The quarantine is disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/quarantine', adminAccess, requireQuarantine, (req, res) => {
+  res.json({ items: quarantine.list().map(serializeItem) });
+});
+
+/**
+ * GET /quarantine/:id - A single quarantined file
+ */
+/**
+ * @swagger
+ * /quarantine/{id}:
+ *   get:
+ *     summary: Get a quarantined file's details
+ *     description: Returns the hashes, signatures, submitter and retention of a quarantined file. Requires the admin scope.
+ *     tags: [Quarantine]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quarantined file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuarantineItem'
+ *       404:
+ *         description: Unknown ID, or the quarantine is disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *   delete:
+ *     summary: Purge a quarantined file
+ *     description: Deletes the file from the quarantine permanently. Requires the admin scope.
+ *     tags: [Quarantine]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The purged file's details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QuarantineItem'
+ *       404:
+ *         description: Unknown ID, or the quarantine is disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/quarantine/:id', adminAccess, requireQuarantine, (req, res) => {
+  const item = findQuarantined(req, res);
+
+  if (item) {
+    res.json(serializeItem(item));
+  }
+});
 
 /**
- * Get the appropriate ClamAV scanner path based on the operating system
+ * DELETE /quarantine/:id - Purge a quarantined file
  */
-function getScannerPath() {
-  const scannerPaths = {
-    win32: '"C:\\Program Files\\ClamAV\\clamscan.exe"',
-    default: 'clamscan'
-  };
+router.delete('/quarantine/:id', adminAccess, requireQuarantine, (req, res, next) => {
+  const item = findQuarantined(req, res);
 
-  return scannerPaths[process.platform] || scannerPaths.default;
-}
+  if (item) {
+    quarantine.remove(item.id).then(() => {
+      auditQuarantine('quarantine.purge', item, { ...auditContext(req), reason: 'admin' });
+      res.json(serializeItem(item));
+    }, next);
+  }
+});
 
 /**
- * Set uploaded file to read-only mode for security
- * @param {string} filePath - Path to the file to be made read-only
+ * GET /quarantine/:id/download - Download a quarantined file in a password-protected ZIP
  */
-function setFileReadOnly(filePath) {
-  try {
-    // Set file permissions to read-only (444 in octal = r--r--r--)
-    fs.chmodSync(filePath, 0o444);
-  } catch (error) {
-    console.warn('Failed to set file as read-only:', error.message);
-    // Don't throw error - continue with scan even if chmod fails
+/**
+ * @swagger
+ * /quarantine/{id}/download:
+ *   get:
+ *     summary: Download a quarantined file as a password-protected ZIP
+ *     description: Returns a ZIP archive containing the file and a metadata.json with its details, encrypted with QUARANTINE_ARCHIVE_PASSWORD (default "infected") so it is not opened or scanned by accident. The file stays in the quarantine. Requires the admin scope.
+ *     tags: [Quarantine]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Password-protected ZIP archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Unknown ID, or the quarantine is disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/quarantine/:id/download', adminAccess, requireQuarantine, (req, res) => {
+  const item = findQuarantined(req, res);
+
+  if (!item) {
+    return;
   }
-}
+
+  const archive = createEncryptedZip([
+    { name: path.basename(item.filename) || item.id, data: quarantine.createReadStream(item.id), date: new Date(item.quarantinedAt) },
+    { name: 'metadata.json', data: Buffer.from(JSON.stringify(serializeItem(item), null, 2)) }
+  ], config.quarantine.archivePassword);
+
+  auditQuarantine('quarantine.download', item, auditContext(req));
+  res.attachment(`${item.id}.zip`).type('application/zip');
+  pipeline(archive, res, (error) => {
+    if (error) {
+      req.log.warn('Failed to send quarantined file', { error, quarantineId: item.id });
+    }
+  });
+});
 
 /**
- * Clean up uploaded file
- * @param {string} filePath - Path to the file to be cleaned up
+ * POST /quarantine/:id/release - Return a quarantined file and remove it from the quarantine
  */
-function cleanupFile(filePath) {
-  try {
-    fs.unlinkSync(filePath);
-  } catch (cleanupError) {
-    console.warn('Failed to cleanup uploaded file:', cleanupError.message);
+/**
+ * @swagger
+ * /quarantine/{id}/release:
+ *   post:
+ *     summary: Release a quarantined file
+ *     description: Returns the original file, unencrypted, and removes it from the quarantine once it has been sent, e.g. after confirming a false positive. Requires the admin scope.
+ *     tags: [Quarantine]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The original file
+ *         content:
+ *           application/octet-stream:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Unknown ID, or the quarantine is disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/quarantine/:id/release', adminAccess, requireQuarantine, (req, res) => {
+  const item = findQuarantined(req, res);
+
+  if (!item) {
+    return;
   }
-}
 
+  res.attachment(path.basename(item.filename) || item.id).type('application/octet-stream');
+  pipeline(quarantine.createReadStream(item.id), res, (error) => {
+    if (error) {
+      req.log.warn('Failed to release quarantined file', { error, quarantineId: item.id });
+      return;
+    }
+
+    // Only forget the file once the client has all of it
+    quarantine.remove(item.id).then(() => {
+      auditQuarantine('quarantine.release', item, auditContext(req));
+    }, (removeError) => {
+      req.log.warn('Failed to remove released file from the quarantine', { error: removeError, quarantineId: item.id });
+    });
+  });
+});
+
+/**
+ * GET /policies - Scan policies
+ */
 /**
- * Handle a scan result based on ClamAV exit codes
- * @param {Object} error - Error object from exec
- * @param {string} stdout - Standard output from ClamAV
- * @param {string} stderr - Standard error from ClamAV
- * @returns {Object} Response object with clean status and output
+ * @swagger
+ * /policies:
+ *   get:
+ *     summary: List the scan policies
+ *     description: Returns the policies defined in SCAN_POLICIES_FILE with their rules, and the policy applied when neither the request nor the API key names one (SCAN_POLICY).
+ *     tags: [Scanning]
+ *     responses:
+ *       200:
+ *         description: Scan policies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 default:
+ *                   type: string
+ *                   nullable: true
+ *                   example: compliance
+ *                 policies:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScanPolicy'
  */
-function handleScanResult(error, stdout, stderr) {
-  // ClamAV exit codes: 0 = clean, 1 = virus found, 2+ = error
-  const exitCode = error?.code || 0;
+router.get('/policies', readAccess, (req, res) => {
+  res.json({ default: scanPolicies.defaultName, policies: scanPolicies.list() });
+});
 
-  const responses = {
-    0: {
-      clean: true,
-      rawOutput: stdout || 'File is clean - no threats detected'
-    },
-    1: {
-      clean: false,
-      rawOutput: stdout || 'Virus detected by ClamAV'
-    },
-    default: {
-      error: true,
-      message: 'Scan failed',
-      details: stderr || error?.message || 'Unknown error'
-    }
-  };
+/**
+ * GET /config - Effective configuration
+ */
+/**
+ * @swagger
+ * /config:
+ *   get:
+ *     summary: Get the effective configuration
+ *     description: Returns the settings the server is running with, after combining defaults, the config file and environment variables. Secrets such as API_ADMIN_KEY and WEBHOOK_SECRET are redacted. Requires the admin scope.
+ *     tags: [Config]
+ *     responses:
+ *       200:
+ *         description: Effective configuration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 file:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Config file the settings were read from, if any
+ *                   example: /etc/avscan/config.yaml
+ *                 config:
+ *                   type: object
+ *                   description: Settings grouped by section, e.g. server.port
+ *                   example:
+ *                     server:
+ *                       port: 3000
+ *                       host: 0.0.0.0
+ *                     auth:
+ *                       adminKey: '[redacted]'
+ */
+router.get('/config', adminAccess, (req, res) => {
+  const { file, ...settings } = redactConfig(config);
+  res.json({ file, config: settings });
+});
 
-  return responses[exitCode] || responses.default;
-}
+/**
+ * GET /metrics - Prometheus metrics
+ */
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: Scans by engine and verdict, detections by signature family, scan duration and upload size histograms, scans in flight, scanner errors by exit code and HTTP request counts and durations per route, in the Prometheus text format. Requires the metrics scope.
+ *     tags: [Metrics]
+ *     responses:
+ *       200:
+ *         description: Metrics in the Prometheus text exposition format
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 # HELP avscan_scans_total Files scanned, by engine and verdict (clean, infected, limits_exceeded or error)
+ *                 # TYPE avscan_scans_total counter
+ *                 avscan_scans_total{engine="clamd",verdict="clean"} 1024
+ */
+router.get('/metrics', metricsAccess, (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(metrics.registry.render());
+});
 
 /**
- * POST /scan - Scan an uploaded file for viruses
- *
- * Accepts a file upload and scans it using ClamAV antivirus scanner.
- * The uploaded file is automatically cleaned up after scanning.
- *
- * @param {Object} req - Express request object
- * @param {Object} req.file - Multer file object containing uploaded file info
- * @param {string} req.file.path - Path to the uploaded file
- * @param {Object} res - Express response object
- * @returns {Object} JSON response with scan results
- * @returns {boolean} returns.clean - Whether the file is clean (no viruses detected)
- * @returns {string} returns.rawOutput - Raw output from the antivirus scanner
- * @returns {Object} returns.error - Error details if scan fails
- *
- * @example
- * // Upload a file and scan it
- * const formData = new FormData();
- * formData.append('file', fileInput.files[0]);
- *
- * fetch('/scan', {
- *   method: 'POST',
- *   body: formData
- * })
- * .then(response => response.json())
- * .then(data => {
- *   console.log('File is clean:', data.clean);
- *   console.log('Scan output:', data.rawOutput);
- * });
+ * GET /scanner - Scanner and signature database status
  */
 /**
  * @swagger
- * /scan:
+ * /scanner:
+ *   get:
+ *     summary: Get the scanner and signature database status
+ *     description: Returns the engine and its version, the loaded signature database's version, signature count and build time, and the state of signature updates. ClamAV signatures are counted with sigtool in CLAMAV_DB_DIR. Requires the read-results scope.
+ *     tags: [Scanner]
+ *     responses:
+ *       200:
+ *         description: Scanner status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScannerStatus'
+ *       503:
+ *         description: The scanner did not report its version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/scanner', readAccess, (req, res) => {
+  scannerStatus().then((status) => res.json(status), (error) => {
+    res.status(503).json({
+      error: 'Scanner unavailable',
+      details: error.message
+    });
+  });
+});
+
+/**
+ * POST /scanner/update - Update the signature database
+ */
+/**
+ * @swagger
+ * /scanner/update:
  *   post:
- *     summary: Scan an uploaded file for viruses
- *     description: Accepts a file upload and scans it using ClamAV antivirus scanner. The uploaded file is automatically cleaned up after scanning.
- *     tags: [Scanning]
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               file:
- *                 type: string
- *                 format: binary
- *                 description: The file to be scanned for viruses
- *             required:
- *               - file
+ *     summary: Update the signature database
+ *     description: Runs SCANNER_UPDATE_COMMAND, or freshclam for ClamAV engines, and waits for it to finish. clamd is then told to reload its signatures, which it does in the background. Only one update runs at a time. Requires the admin scope.
+ *     tags: [Scanner]
  *     responses:
  *       200:
- *         description: Scan completed successfully
+ *         description: Update finished; status is updated or up_to_date
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ScanResponse'
- *       400:
- *         description: Bad request - no file provided
+ *               $ref: '#/components/schemas/SignatureUpdate'
+ *       404:
+ *         description: The engine has no update command and SCANNER_UPDATE_COMMAND is not set
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
- *       500:
- *         description: Internal server error - scan failed
+ *       409:
+ *         description: An update is already running
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: The update command failed or timed out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SignatureUpdate'
  */
-router.post('/scan', upload.single('file'), (req, res) => {
-  // Check if a file was uploaded
-  if (!req.file) {
-    return res.status(400).json({
-      error: 'No file provided',
-      details: 'Please upload a file to scan'
+router.post('/scanner/update', adminAccess, (req, res) => {
+  if (!signatureUpdater) {
+    return res.status(404).json({
+      error: 'Signature updates are not available',
+      details: `The ${engine.name} engine has no update command; set SCANNER_UPDATE_COMMAND`
     });
   }
 
-  const filePath = req.file.path;
+  updateSignatures(req).then(({ status, body }) => res.status(status).json(body), (error) => {
+    if (error instanceof UpdateInProgressError) {
+      return res.status(409).json({
+        error: 'Update in progress',
+        details: error.message
+      });
+    }
 
-  // Set the file to read-only mode immediately after upload for security
-  setFileReadOnly(filePath);
+    res.status(500).json({
+      error: 'Signature update failed',
+      details: error.message
+    });
+  });
+});
 
-  const scannerPath = getScannerPath();
+/**
+ * Run the signature update and report the database version before and after
+ * @param {Object} req - Express request, for logging and the audit log
+ * @returns {Promise<Object>} HTTP status and response body
+ * @throws {UpdateInProgressError} When an update is already running
+ */
+async function updateSignatures(req) {
+  const databaseVersion = async () => {
+    try {
+      const database = engine.signatures ? engine.signatures(await engine.version()) : null;
+      return database ? database.version : null;
+    } catch (error) {
+      return null;
+    }
+  };
 
-  // ClamAV command with options:
-  // --no-summary: Don't print summary
-  // --infected: Only print infected files
-  // --suppress-ok-results: Don't print OK results
-  const command = `${scannerPath} --no-summary --infected --suppress-ok-results "${filePath}"`;
+  const previousVersion = await databaseVersion();
+  const outcome = await signatureUpdater.run();
+  const { stdout, stderr, ...result } = outcome;
 
-  exec(command, (error, stdout, stderr) => {
-    // Clean up the uploaded file afterward
-    cleanupFile(filePath);
+  if (auditLog) {
+    auditLog.record('scanner.update', { ...auditContext(req), ...result });
+  }
 
-    const result = handleScanResult(error, stdout, stderr);
+  if (result.status === 'failed') {
+    req.log.warn('Signature update failed', { exitCode: result.exitCode, stderr });
+    return {
+      status: 500,
+      body: {
+        error: 'Signature update failed',
+        details: result.error || stderr.trim() || `The update command exited with code ${result.exitCode}`,
+        ...result,
+        output: stdout
+      }
+    };
+  }
 
-    // Handle error cases
-    if (result.error) {
-      return res.status(500).json({
-        error: result.message,
-        details: result.details
-      });
+  if (engine.reload && result.status === 'updated') {
+    try {
+      await engine.reload();
+    } catch (error) {
+      req.log.warn('Failed to reload the scanner signatures', { error });
     }
+  }
 
-    // Return successful scan result
-    res.json({
-      clean: result.clean,
-      rawOutput: result.rawOutput
+  // Key the verdict cache by the new database version from now on
+  versionCheck = null;
+
+  return {
+    status: 200,
+    body: { ...result, previousVersion, version: await databaseVersion(), output: stdout }
+  };
+}
+
+/**
+ * GET /health/live - Liveness probe
+ *
+ * Answers as long as the process serves requests; does not check the scanner.
+ */
+/**
+ * @swagger
+ * /health/live:
+ *   get:
+ *     summary: Liveness probe
+ *     description: Returns 200 as long as the server is handling requests. Use /health/ready to check that scans can run.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: The server is running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: alive
+ *                 uptime:
+ *                   type: number
+ *                   description: Seconds since the process started
+ *                   example: 3600.5
+ */
+router.get('/health/live', (req, res) => {
+  res.json({ status: 'alive', uptime: process.uptime() });
+});
+
+/**
+ * GET /health/ready - Readiness probe
+ *
+ * Checks the scanner, its signature database, the upload directory and the
+ * scan queue, and answers 503 when any check fails.
+ */
+/**
+ * @swagger
+ * /health/ready:
+ *   get:
+ *     summary: Readiness probe
+ *     description: Checks that the scanner responds, its signature database is loaded and no older than HEALTH_MAX_SIGNATURE_AGE, the upload directory is writable and fewer than HEALTH_MAX_QUEUED scans are waiting.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Ready to scan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *       503:
+ *         description: At least one check failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ */
+router.get('/health/ready', async (req, res) => {
+  try {
+    const { ready, checks } = await checkReadiness({
+      engine,
+      uploadDir,
+      queue: scanQueue,
+      maxSignatureAge: config.health.maxSignatureAge,
+      maxQueued: config.health.maxQueued,
+      timeout: config.health.timeout
     });
-  });
+
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', checks });
+  } catch (error) {
+    // A check that cannot run is a failed probe, not a request left hanging
+    req.log.warn('Readiness checks failed', { error });
+    res.status(503).json({ status: 'not_ready', error: error.message });
+  }
 });
 
 /**
@@ -206,6 +3550,7 @@ router.post('/scan', upload.single('file'), (req, res) => {
  *     summary: Get API information
  *     description: Returns basic information about the AV Scan API
  *     tags: [Info]
+ *     security: []
  *     responses:
  *       200:
  *         description: API information
@@ -234,28 +3579,47 @@ router.post('/scan', upload.single('file'), (req, res) => {
  *                       example: GET /api-docs - API documentation
  *                 scanner:
  *                   type: object
+ *                   description: The configured engine; GET /scanner reports its version and signature database
  *                   properties:
  *                     name:
  *                       type: string
  *                       example: ClamAV
- *                     version:
+ *                     type:
  *                       type: string
- *                       example: 0.104.2
+ *                       example: Open Source Antivirus Engine
  */
 router.get('/', (req, res) => {
   res.json({
     name: 'AV Scan API',
     version: '1.0.0',
-    description: 'A Node.js Express server that provides antivirus scanning capabilities using ClamAV',
+    description: `A Node.js Express server that provides antivirus scanning capabilities using ${engine.displayName}`,
     endpoints: {
       scan: 'POST /scan - Scan uploaded file for viruses',
       docs: 'GET /api-docs - API documentation'
     },
     scanner: {
-      name: 'ClamAV',
-      type: 'Open Source Antivirus Engine'
+      name: engine.displayName,
+      type: engine.type
     }
   });
 });
 
+/**
+ * Reply to errors passed on by a route with a 500 JSON error instead of
+ * Express's HTML page. Errors after the response has started are left to
+ * Express, which closes the connection.
+ */
+router.use((error, req, res, next) => {
+  req.log.error('Request failed', { error });
+
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  res.status(500).json({
+    error: 'Internal server error',
+    details: error.message
+  });
+});
+
 module.exports = router;
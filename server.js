@@ -2,7 +2,8 @@
  * AV Scan API Server
  *
  * A Node.js Express server that provides antivirus scanning capabilities
- * using McAfee VirusScan Command Line Scanner.
+ * using pluggable scanner engines: ClamAV (clamscan or clamd), McAfee
+ * VirusScan Command Line Scanner (uvscan) or a custom command.
  *
  * @author Nicholas Adamou
  * @version 1.0.0
@@ -10,6 +11,21 @@
 
 const express = require('express');
 const swaggerUi = require('swagger-ui-express');
+const { getConfig, ConfigError } = require('./config');
+const { logger } = require('./lib/logger');
+
+// Validate the configuration before anything uses it, so a bad setting stops the server with every problem listed
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  if (!(error instanceof ConfigError)) {
+    throw error;
+  }
+  logger.error('Invalid configuration', { errors: error.errors });
+  process.exit(1);
+}
+
 const routes = require('./routes');
 const swaggerSpec = require('./config/swagger');
 
@@ -25,9 +41,10 @@ app.use('/', routes);
 /**
  * Start the Express server
  *
- * Initializes the server on port 3000 and logs a startup message.
+ * Listens on the configured host and port and logs a startup message.
  */
-app.listen(3000, () => {
-  console.log('AV Scan API running on port 3000');
-  console.log('API Documentation available at: http://localhost:3000/api-docs');
+app.listen(config.server.port, config.server.host, () => {
+  const { port, host } = config.server;
+  logger.info(`AV Scan API running on ${host}:${port}`, { configFile: config.file });
+  logger.info(`API Documentation available at: http://localhost:${port}/api-docs`);
 });
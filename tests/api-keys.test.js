@@ -0,0 +1,115 @@
+/**
+ * Unit tests for lib/api-keys.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ApiKeyStore, ApiKeyError, serializeKey } = require('../lib/api-keys');
+
+describe('API keys', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('ApiKeyStore', () => {
+    it('should authenticate issued keys and never store the secret', () => {
+      const store = new ApiKeyStore();
+      const { record, key } = store.create({ name: 'ci', scopes: ['scan'] });
+
+      expect(store.authenticate(key)).toBe(record);
+      expect(record.lastUsedAt).not.toBeNull();
+      expect(JSON.stringify(record)).not.toContain(key.slice(`avs_${record.id}_`.length));
+      expect(store.authenticate(`${key}x`)).toBeNull();
+      expect(store.authenticate('not-a-key')).toBeNull();
+    });
+
+    it('should accept the static admin key', () => {
+      const store = new ApiKeyStore({ adminKey: 'bootstrap-secret' });
+      const admin = store.authenticate('bootstrap-secret');
+
+      expect(admin.scopes).toEqual(['admin']);
+      expect(store.hasScope(admin, 'scan')).toBe(true);
+    });
+
+    it('should check scopes', () => {
+      const store = new ApiKeyStore();
+      const { record } = store.create({ scopes: ['read-results'] });
+
+      expect(store.hasScope(record, 'read-results')).toBe(true);
+      expect(store.hasScope(record, 'scan')).toBe(false);
+    });
+
+    it('should reject invalid settings', () => {
+      const store = new ApiKeyStore();
+
+      expect(() => store.create({})).toThrow(ApiKeyError);
+      expect(() => store.create({ scopes: ['root'] })).toThrow('Unknown scope "root"');
+      expect(() => store.create({ scopes: ['scan'], dailyBytes: -1 })).toThrow('dailyBytes must be a positive integer or null');
+      expect(() => store.create({ scopes: ['scan'], policy: 'strict' })).toThrow('No scan policies are configured');
+    });
+
+    it('should give keys one of the configured scan policies', () => {
+      const store = new ApiKeyStore({ policies: ['strict', 'lenient'] });
+
+      expect(store.create({ scopes: ['scan'], policy: 'strict' }).record.policy).toBe('strict');
+      expect(store.create({ scopes: ['scan'] }).record.policy).toBeNull();
+      expect(() => store.create({ scopes: ['scan'], policy: 'open' }))
+        .toThrow('Unknown policy "open"; expected one of: strict, lenient');
+    });
+
+    it('should invalidate the old secret on rotation and refuse revoked keys', () => {
+      const store = new ApiKeyStore();
+      const { record, key } = store.create({ scopes: ['scan'] });
+
+      const rotated = store.rotate(record.id);
+      expect(store.authenticate(key)).toBeNull();
+      expect(store.authenticate(rotated.key)).toBe(record);
+
+      store.revoke(record.id);
+      expect(store.authenticate(rotated.key)).toBeNull();
+      expect(store.rotate(record.id)).toBeNull();
+      expect(serializeKey(record, store.usage(record.id)).status).toBe('revoked');
+    });
+
+    it('should enforce quotas and reset them at midnight UTC', () => {
+      jest.useFakeTimers({ now: new Date('2024-05-01T23:59:00Z') });
+      const store = new ApiKeyStore();
+      const { record } = store.create({ scopes: ['scan'], dailyRequests: 2, dailyBytes: 100 });
+
+      expect(store.checkQuota(record, 100)).toBeNull();
+      expect(store.checkQuota(record, 101)).toEqual({
+        quota: 'bytes',
+        limit: 100,
+        resetsAt: new Date('2024-05-02T00:00:00Z')
+      });
+
+      store.recordUsage(record, { requests: 2, bytes: 10 });
+      expect(store.checkQuota(record).quota).toBe('requests');
+
+      jest.setSystemTime(new Date('2024-05-02T00:00:01Z'));
+      expect(store.checkQuota(record)).toBeNull();
+      expect(store.usage(record.id)).toEqual(expect.objectContaining({ requests: 0, bytes: 0 }));
+    });
+
+    it('should persist keys to the key file', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-keys-test-'));
+      const file = path.join(dir, 'keys.json');
+
+      try {
+        const store = new ApiKeyStore({ file });
+        const { key } = store.create({ scopes: ['scan'] });
+        store.create({ scopes: ['admin'] });
+
+        expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+        expect(fs.readFileSync(file, 'utf8')).not.toContain(key);
+
+        const reloaded = new ApiKeyStore({ file });
+        expect(reloaded.list()).toHaveLength(2);
+        expect(reloaded.authenticate(key)).not.toBeNull();
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Unit tests for lib/archives.js
+ *
+ * Builds small ZIP, tar and gzip files on disk and checks extraction,
+ * nested archives and the archive bomb limits.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { extractArchive, removeExtraction, detectArchive, ArchiveLimitError } = require('../lib/archives');
+
+/**
+ * Build a ZIP file from { name, data, encrypted, store } entries
+ */
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data = Buffer.alloc(0), encrypted = false, store = false }) => {
+    const nameBuffer = Buffer.from(name);
+    const compressed = store ? data : zlib.deflateRawSync(data);
+    const flags = encrypted ? 0x1 : 0;
+    const method = store ? 0 : 8;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, compressed);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Build a ustar archive from { name, data, type } entries
+ */
+function buildTar(entries) {
+  const blocks = [];
+
+  entries.forEach(({ name, data = Buffer.alloc(0), type = '0' }) => {
+    const header = Buffer.alloc(512);
+    header.write(name, 0);
+    header.write('0000644\0', 100);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write(type, 156);
+    header.write('ustar\u000000', 257);
+    header.fill(' ', 148, 156);
+
+    let sum = 0;
+    for (let i = 0; i < 512; i++) {
+      sum += header[i];
+    }
+    header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  });
+
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+describe('Archive extraction', () => {
+  let workDir;
+  let extraction;
+
+  const write = (name, data) => {
+    const filePath = path.join(workDir, name);
+    fs.writeFileSync(filePath, data);
+    return filePath;
+  };
+
+  const contents = (result) => Object.fromEntries(
+    result.entries.map((entry) => [entry.path, fs.readFileSync(entry.file, 'utf8')])
+  );
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-archives-test-'));
+    extraction = null;
+  });
+
+  afterEach(async () => {
+    if (extraction) {
+      await removeExtraction(extraction.dir);
+    }
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  describe('detectArchive', () => {
+    it('should recognise zip, gzip and tar files', () => {
+      expect(detectArchive(write('a.zip', buildZip([{ name: 'a.txt', data: Buffer.from('a') }])))).toBe('zip');
+      expect(detectArchive(write('a.gz', zlib.gzipSync('a')))).toBe('gzip');
+      expect(detectArchive(write('a.tar', buildTar([{ name: 'a.txt', data: Buffer.from('a') }])))).toBe('tar');
+    });
+
+    it('should return null for other files', () => {
+      expect(detectArchive(write('a.txt', 'just some text'))).toBeNull();
+      expect(detectArchive(write('empty', ''))).toBeNull();
+      expect(detectArchive(path.join(workDir, 'missing'))).toBeNull();
+    });
+  });
+
+  describe('extractArchive', () => {
+    it('should extract zip entries with their inner paths', async () => {
+      const zip = write('bundle.zip', buildZip([
+        { name: 'docs/', data: Buffer.alloc(0) },
+        { name: 'docs/readme.txt', data: Buffer.from('hello') },
+        { name: 'setup.exe', data: Buffer.from('stored'), store: true }
+      ]));
+
+      extraction = await extractArchive(zip);
+
+      expect(extraction.format).toBe('zip');
+      expect(contents(extraction)).toEqual({ 'docs/readme.txt': 'hello', 'setup.exe': 'stored' });
+      expect(extraction.totalSize).toBe(11);
+      expect(extraction.depth).toBe(1);
+    });
+
+    it('should never write outside the extraction directory', async () => {
+      const zip = write('evil.zip', buildZip([{ name: '../../etc/evil.sh', data: Buffer.from('x') }]));
+
+      extraction = await extractArchive(zip);
+
+      expect(extraction.entries[0].path).toBe('../../etc/evil.sh');
+      expect(path.dirname(extraction.entries[0].file)).toBe(extraction.dir);
+    });
+
+    it('should extract nested archives and prefix their paths', async () => {
+      const inner = buildZip([{ name: 'payload.txt', data: Buffer.from('nested') }]);
+      const tar = buildTar([
+        { name: 'notes.txt', data: Buffer.from('notes') },
+        { name: 'inner.zip', data: inner }
+      ]);
+      const tgz = write('bundle.tgz', zlib.gzipSync(tar));
+
+      extraction = await extractArchive(tgz, { name: 'bundle.tgz' });
+
+      expect(extraction.format).toBe('gzip');
+      expect(contents(extraction)).toEqual({
+        'bundle.tar/notes.txt': 'notes',
+        'bundle.tar/inner.zip/payload.txt': 'nested'
+      });
+      expect(extraction.depth).toBe(3);
+    });
+
+    it('should report entries that cannot be scanned', async () => {
+      const zip = write('mixed.zip', buildZip([
+        { name: 'secret.doc', data: Buffer.from('encrypted'), encrypted: true },
+        { name: 'plain.txt', data: Buffer.from('plain') }
+      ]));
+      const tar = write('links.tar', buildTar([{ name: 'link', type: '2' }]));
+
+      extraction = await extractArchive(zip);
+      expect(extraction.unscanned).toEqual([{ path: 'secret.doc', reason: 'encrypted' }]);
+      expect(Object.keys(contents(extraction))).toEqual(['plain.txt']);
+      await removeExtraction(extraction.dir);
+
+      extraction = await extractArchive(tar);
+      expect(extraction.unscanned).toEqual([{ path: 'link', reason: 'symbolic link' }]);
+      expect(extraction.entries).toEqual([]);
+    });
+
+    it('should reject files that are not archives', async () => {
+      await expect(extractArchive(write('a.txt', 'text'))).rejects.toThrow('Not a supported archive');
+    });
+
+    it('should reject zip files whose central directory lies outside the file', async () => {
+      const zip = buildZip([{ name: 'a.txt', data: Buffer.from('a') }]);
+      const forged = Buffer.from(zip);
+      forged.writeUInt32LE(0xfffffff0, forged.length - 22 + 12);
+
+      await expect(extractArchive(write('forged.zip', forged))).rejects.toThrow('Corrupt ZIP central directory');
+
+      const moved = Buffer.from(zip);
+      moved.writeUInt32LE(0xffff0000, moved.length - 22 + 16);
+
+      await expect(extractArchive(write('moved.zip', moved))).rejects.toThrow('Corrupt ZIP central directory');
+    });
+
+    it('should reject archives with a corrupt nested archive', async () => {
+      const inner = buildZip([{ name: 'payload.exe', data: Buffer.from('MZ') }]);
+      // Point the inner entry at a local header that is not there
+      inner.writeUInt32LE(0x1000, inner.length - 22 - 'payload.exe'.length - 46 + 42);
+      const zip = write('outer.zip', buildZip([{ name: 'inner.zip', data: inner }]));
+
+      await expect(extractArchive(zip)).rejects.toThrow('Corrupt ZIP local header for "inner.zip/payload.exe"');
+    });
+
+    it('should reject truncated archives', async () => {
+      const tar = buildTar([{ name: 'big.bin', data: Buffer.alloc(4096, 1) }]);
+
+      await expect(extractArchive(write('cut.tar', tar.subarray(0, 2048)))).rejects.toThrow('Truncated tar archive');
+    });
+  });
+
+  describe('limits', () => {
+    const expectLimit = async (promise, limit) => {
+      const error = await promise.catch((err) => err);
+      expect(error).toBeInstanceOf(ArchiveLimitError);
+      expect(error.limit).toBe(limit);
+    };
+
+    it('should reject highly compressed zip entries', async () => {
+      const zip = write('bomb.zip', buildZip([{ name: 'zeros.bin', data: Buffer.alloc(2 * 1024 * 1024) }]));
+
+      await expectLimit(extractArchive(zip), 'maxRatio');
+    });
+
+    it('should enforce the ratio while decompressing gzip data', async () => {
+      const gz = write('zeros.gz', zlib.gzipSync(Buffer.alloc(2 * 1024 * 1024)));
+
+      await expectLimit(extractArchive(gz, { name: 'zeros.gz' }), 'maxRatio');
+    });
+
+    it('should reject archives that expand past the total size limit', async () => {
+      const tar = write('big.tar', buildTar([
+        { name: 'a.bin', data: Buffer.alloc(600, 1) },
+        { name: 'b.bin', data: Buffer.alloc(600, 1) }
+      ]));
+
+      await expectLimit(extractArchive(tar, { maxTotalSize: 1000 }), 'maxTotalSize');
+    });
+
+    it('should reject archives with too many entries', async () => {
+      const names = ['a', 'b', 'c'].map((name) => ({ name, data: Buffer.from(name) }));
+
+      await expectLimit(extractArchive(write('many.zip', buildZip(names)), { maxEntries: 2 }), 'maxEntries');
+      await expectLimit(extractArchive(write('many.tar', buildTar(names)), { maxEntries: 2 }), 'maxEntries');
+    });
+
+    it('should reject archives nested too deeply', async () => {
+      let data = buildZip([{ name: 'payload.txt', data: Buffer.from('deep') }]);
+      for (let i = 0; i < 3; i++) {
+        data = buildZip([{ name: `level${i}.zip`, data, store: true }]);
+      }
+      const zip = write('deep.zip', data);
+
+      await expectLimit(extractArchive(zip, { maxDepth: 3 }), 'maxDepth');
+
+      extraction = await extractArchive(zip, { maxDepth: 4 });
+      expect(extraction.entries.map((entry) => entry.path)).toEqual(['level2.zip/level1.zip/level0.zip/payload.txt']);
+    });
+
+    it('should remove the extraction directory when a limit is exceeded', async () => {
+      const tempDir = path.join(workDir, 'extract');
+      fs.mkdirSync(tempDir);
+      const zip = write('bomb.zip', buildZip([{ name: 'zeros.bin', data: Buffer.alloc(2 * 1024 * 1024) }]));
+
+      await expectLimit(extractArchive(zip, { tempDir }), 'maxRatio');
+      expect(fs.readdirSync(tempDir)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Unit tests for lib/clamd.js
+ *
+ * Exercises the clamd protocol client against a fake daemon.
+ */
+
+const { Readable, PassThrough } = require('stream');
+const { ClamdClient, ClamdUnavailableError, parseScanReply } = require('../lib/clamd');
+const { createFakeClamd, EICAR_MARKER } = require('./fake-clamd');
+
+describe('ClamdClient', () => {
+  let fakeClamd;
+  let client;
+
+  beforeEach(async () => {
+    fakeClamd = createFakeClamd();
+    const port = await fakeClamd.listen();
+    client = new ClamdClient({ host: '127.0.0.1', port, timeout: 2000, poolSize: 2, chunkSize: 8 });
+  });
+
+  afterEach(async () => {
+    client.close();
+    await fakeClamd.close();
+  });
+
+  describe('fromConfig', () => {
+    it('should return null when clamd is not configured', () => {
+      expect(ClamdClient.fromConfig({ socket: null, host: null })).toBeNull();
+    });
+
+    it('should read socket and TCP settings', () => {
+      const unixClient = ClamdClient.fromConfig({ socket: '/var/run/clamav/clamd.ctl' });
+      expect(unixClient.socketPath).toBe('/var/run/clamav/clamd.ctl');
+
+      const tcpClient = ClamdClient.fromConfig({ host: 'clamd', port: 3311, poolSize: 8 });
+      expect(tcpClient.host).toBe('clamd');
+      expect(tcpClient.port).toBe(3311);
+      expect(tcpClient.poolSize).toBe(8);
+    });
+  });
+
+  describe('commands', () => {
+    it('should answer PING', async () => {
+      await expect(client.ping()).resolves.toBe(true);
+      expect(fakeClamd.stats.commands).toContain('PING');
+    });
+
+    it('should return the daemon version', async () => {
+      await expect(client.version()).resolves.toBe('ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024');
+    });
+  });
+
+  describe('INSTREAM', () => {
+    it('should report a clean stream', async () => {
+      const result = await client.scanStream(Readable.from([Buffer.from('hello world')]));
+
+      expect(result).toEqual({ infected: false, signature: null, reply: 'stream: OK' });
+    });
+
+    it('should report the signature of an infected stream', async () => {
+      const result = await client.scanStream(Readable.from([Buffer.from(`X5O!P%@AP ${EICAR_MARKER}`)]));
+
+      expect(result.infected).toBe(true);
+      expect(result.signature).toBe('Eicar-Test-Signature');
+    });
+
+    it('should split data into length-prefixed chunks', async () => {
+      await client.scanStream(Readable.from([Buffer.alloc(20, 'a')]));
+
+      expect(fakeClamd.stats.chunks).toEqual([8, 8, 4]);
+    });
+
+    it('should reject with the daemon error when the size limit is exceeded', async () => {
+      await fakeClamd.close();
+      fakeClamd = createFakeClamd({ streamMaxLength: 10 });
+      client = new ClamdClient({ port: await fakeClamd.listen(), timeout: 2000, chunkSize: 8 });
+
+      await expect(client.scanStream(Readable.from([Buffer.alloc(64, 'a')])))
+        .rejects.toThrow('INSTREAM size limit exceeded');
+    });
+  });
+
+  describe('cancellation', () => {
+    it('should drop the connection and the stream when a scan is aborted', async () => {
+      const stream = new PassThrough();
+      stream.write('the rest never arrives');
+      const controller = new AbortController();
+
+      const scan = client.scanStream(stream, { signal: controller.signal });
+      while (fakeClamd.stats.chunks.length === 0) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      controller.abort(new Error('The scan did not finish within 100ms'));
+
+      await expect(scan).rejects.toThrow('The scan did not finish within 100ms');
+      expect(stream.destroyed).toBe(true);
+
+      // The pool slot is free again
+      await expect(client.scanStream(Readable.from([Buffer.from('next')]))).resolves.toMatchObject({ infected: false });
+    });
+  });
+
+  describe('connection pooling', () => {
+    it('should reuse a session connection across scans', async () => {
+      await client.scanStream(Readable.from([Buffer.from('one')]));
+      await client.scanStream(Readable.from([Buffer.from('two')]));
+
+      expect(fakeClamd.stats.connections).toBe(1);
+      expect(fakeClamd.stats.commands.filter((command) => command === 'IDSESSION')).toHaveLength(1);
+    });
+
+    it('should not open more connections than the pool size', async () => {
+      const scans = Array(5).fill().map((_, i) => client.scanStream(Readable.from([Buffer.from(`file ${i}`)])));
+      const results = await Promise.all(scans);
+
+      expect(results.every((result) => !result.infected)).toBe(true);
+      expect(fakeClamd.stats.connections).toBeLessThanOrEqual(2);
+    });
+
+    it('should retry a file scan when a pooled session was dropped', async () => {
+      const fs = require('fs');
+      const os = require('os');
+      const path = require('path');
+      const filePath = path.join(os.tmpdir(), `clamd-test-${process.pid}.txt`);
+      fs.writeFileSync(filePath, 'pooled file');
+
+      try {
+        await client.scanFile(filePath);
+        fakeClamd.dropConnections();
+        await new Promise((resolve) => setImmediate(resolve));
+
+        const result = await client.scanFile(filePath);
+
+        expect(result.infected).toBe(false);
+        expect(fakeClamd.stats.connections).toBe(2);
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+  });
+
+  describe('unreachable daemon', () => {
+    it('should reject with ClamdUnavailableError when the connection is refused', async () => {
+      const port = client.port;
+      await fakeClamd.close();
+      const offline = new ClamdClient({ port, timeout: 500 });
+
+      await expect(offline.ping()).rejects.toBeInstanceOf(ClamdUnavailableError);
+      await expect(offline.scanStream(Readable.from([Buffer.from('data')])))
+        .rejects.toBeInstanceOf(ClamdUnavailableError);
+    });
+  });
+});
+
+describe('parseScanReply', () => {
+  it('should parse clean and infected replies', () => {
+    expect(parseScanReply('stream: OK').infected).toBe(false);
+    expect(parseScanReply('stream: Win.Test.EICAR_HDB-1 FOUND').signature).toBe('Win.Test.EICAR_HDB-1');
+  });
+
+  it('should throw on error replies', () => {
+    expect(() => parseScanReply("lstat() failed: No such file or directory. ERROR"))
+      .toThrow('lstat() failed: No such file or directory.');
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Unit tests for lib/concurrency.js
+ */
+
+const { mapSettledWithLimit } = require('../lib/concurrency');
+
+describe('mapSettledWithLimit', () => {
+  it('should return settled results in input order', async () => {
+    const results = await mapSettledWithLimit([30, 10, 20], 2, (delay) =>
+      new Promise((resolve) => setTimeout(() => resolve(delay), delay)));
+
+    expect(results).toEqual([
+      { status: 'fulfilled', value: 30 },
+      { status: 'fulfilled', value: 10 },
+      { status: 'fulfilled', value: 20 }
+    ]);
+  });
+
+  it('should never exceed the concurrency limit', async () => {
+    let active = 0;
+    let peak = 0;
+
+    await mapSettledWithLimit(Array(10).fill(), 3, async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      active--;
+    });
+
+    expect(peak).toBe(3);
+  });
+
+  it('should keep going after a rejection', async () => {
+    const fn = jest.fn(async (item) => {
+      if (item === 'bad') {
+        throw new Error('boom');
+      }
+      return item;
+    });
+
+    const results = await mapSettledWithLimit(['a', 'bad', 'c'], 1, fn);
+
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(results[1]).toEqual({ status: 'rejected', reason: new Error('boom') });
+    expect(results[2]).toEqual({ status: 'fulfilled', value: 'c' });
+  });
+
+  it('should handle an empty list', async () => {
+    await expect(mapSettledWithLimit([], 4, jest.fn())).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for config/index.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, redactConfig, ConfigError } = require('../config');
+
+describe('Configuration', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  const errorsOf = (options) => {
+    try {
+      loadConfig(options);
+    } catch (error) {
+      expect(error).toBeInstanceOf(ConfigError);
+      return error.errors;
+    }
+    throw new Error('Expected the configuration to be rejected');
+  };
+
+  it('should use defaults without a file or environment', () => {
+    const config = loadConfig({ env: {}, file: null });
+
+    expect(config.server).toEqual({ port: 3000, host: '0.0.0.0' });
+    expect(config.uploads.dir).toBe('uploads/');
+    expect(config.scanner.engine).toBeNull();
+    expect(config.scanner.clamd.port).toBe(3310);
+    expect(config.auth.allowAnonymous).toBe(false);
+    expect(config.file).toBeNull();
+  });
+
+  it('should convert environment variables', () => {
+    const config = loadConfig({
+      env: {
+        PORT: '8080',
+        HOST: '127.0.0.1',
+        CLAMAV_PATH: '/opt/clamav/bin/clamscan',
+        VERDICT_CACHE: 'false',
+        URL_SCAN_ALLOWED_HOSTS: 'example.com, files.example.com',
+        BATCH_MAX_FILES: ''
+      },
+      file: null
+    });
+
+    expect(config.server).toEqual({ port: 8080, host: '127.0.0.1' });
+    expect(config.scanner.clamscanPath).toBe('/opt/clamav/bin/clamscan');
+    expect(config.verdictCache.enabled).toBe(false);
+    expect(config.urlScan.allowedHosts).toEqual(['example.com', 'files.example.com']);
+    expect(config.batch.maxFiles).toBe(20);
+  });
+
+  it('should read YAML and JSON files, with the environment taking precedence', () => {
+    const yaml = writeFile('config.yaml', [
+      'server:',
+      '  port: 4000',
+      'scanner:',
+      '  engine: clamd',
+      '  clamd:',
+      '    socket: /run/clamd.sock',
+      'urlScan:',
+      '  allowedHosts: [example.com]'
+    ].join('\n'));
+
+    const config = loadConfig({ env: { PORT: '5000' }, file: yaml });
+
+    expect(config.server.port).toBe(5000);
+    expect(config.scanner.engine).toBe('clamd');
+    expect(config.scanner.clamd.socket).toBe('/run/clamd.sock');
+    expect(config.urlScan.allowedHosts).toEqual(['example.com']);
+    expect(config.file).toBe(yaml);
+
+    const json = writeFile('config.json', JSON.stringify({ uploads: { dir: '/data/uploads' } }));
+    expect(loadConfig({ env: { CONFIG_FILE: json } }).uploads.dir).toBe('/data/uploads');
+  });
+
+  it('should report every invalid setting at once', () => {
+    const file = writeFile('config.json', JSON.stringify({
+      server: { port: 70000 },
+      scanner: { engine: 'norton' },
+      archive: { maxDepth: 3 }
+    }));
+
+    expect(errorsOf({
+      env: { CLAMD_TIMEOUT: '-5', RATE_LIMIT: 'yes', TRUSTED_PROXIES: '10.0.0.0/8, proxy.local' },
+      file
+    })).toEqual([
+      'archive.maxDepth in config.json: unknown setting',
+      'server.port in config.json must be an integer from 1 to 65535 (got 70000)',
+      'scanner.engine in config.json must be one of: clamscan, clamd, uvscan, command (got "norton")',
+      'CLAMD_TIMEOUT must be an integer of at least 1 (got "-5")',
+      'RATE_LIMIT must be true or false (got "yes")',
+      'TRUSTED_PROXIES: Invalid trusted proxy "proxy.local"'
+    ]);
+  });
+
+  it('should check settings that depend on each other', () => {
+    expect(errorsOf({ env: { SCANNER_ENGINE: 'command' }, file: null })).toEqual([
+      'SCANNER_COMMAND is required when SCANNER_ENGINE is command'
+    ]);
+    expect(errorsOf({ env: { QUARANTINE: 'true' }, file: null })).toEqual([
+      'QUARANTINE_KEY is required when QUARANTINE is true'
+    ]);
+    expect(errorsOf({ env: { SCAN_TIMEOUT: '600000', SCAN_MAX_TIMEOUT: '60000' }, file: null })).toEqual([
+      'SCAN_TIMEOUT must not be greater than SCAN_MAX_TIMEOUT'
+    ]);
+    expect(errorsOf({ env: { RATE_LIMIT_REDIS_URL: 'http://cache:6379' }, file: null })).toEqual([
+      'RATE_LIMIT_REDIS_URL must be a redis:// or rediss:// URL (got "http://cache:6379")'
+    ]);
+  });
+
+  it('should reject unreadable and malformed files', () => {
+    expect(errorsOf({ env: {}, file: path.join(dir, 'missing.yaml') })[0]).toMatch(/^CONFIG_FILE: cannot read/);
+    expect(errorsOf({ env: {}, file: writeFile('bad.json', '{') })[0]).toMatch(/^CONFIG_FILE: cannot parse/);
+    expect(errorsOf({ env: {}, file: writeFile('list.yaml', '- 1') })).toEqual([
+      `CONFIG_FILE: ${path.join(dir, 'list.yaml')} must contain an object of settings`
+    ]);
+  });
+
+  it('should redact secrets', () => {
+    const config = loadConfig({
+      env: {
+        API_ADMIN_KEY: 'admin-secret',
+        WEBHOOK_SECRET: 'hook-secret',
+        QUARANTINE_ARCHIVE_PASSWORD: 'zip-secret',
+        RATE_LIMIT_REDIS_URL: 'redis://:cache-secret@cache:6379/1'
+      },
+      file: null
+    });
+
+    const redacted = redactConfig(config);
+
+    expect(redacted.auth.adminKey).toBe('[redacted]');
+    expect(redacted.webhooks.secret).toBe('[redacted]');
+    expect(redacted.quarantine.archivePassword).toBe('[redacted]');
+    expect(redacted.rateLimit.redisUrl).toBe('redis://:redacted@cache:6379/1');
+    expect(redacted.server).toEqual(config.server);
+    expect(config.auth.adminKey).toBe('admin-secret');
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit tests for lib/encrypted-zip.js
+ */
+
+const { Readable } = require('stream');
+const { createEncryptedZip, ZipCrypto, crc32 } = require('../lib/encrypted-zip');
+
+/**
+ * Read a stream into a buffer
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Read every entry through the central directory and decrypt it
+ */
+function extract(zip, password) {
+  const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = zip.readUInt16LE(end + 10);
+  let offset = zip.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const entry = {
+      flags: zip.readUInt16LE(offset + 8),
+      time: zip.readUInt16LE(offset + 12),
+      crc: zip.readUInt32LE(offset + 16),
+      compressedSize: zip.readUInt32LE(offset + 20),
+      name: zip.toString('utf8', offset + 46, offset + 46 + nameLength)
+    };
+    const local = zip.readUInt32LE(offset + 42);
+    const dataStart = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+    const plain = new ZipCrypto(password).decrypt(zip.subarray(dataStart, dataStart + entry.compressedSize));
+
+    entries.push({ ...entry, check: plain[11], data: plain.subarray(12) });
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('Encrypted ZIP', () => {
+  it('should compute CRC-32 incrementally', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.from('6789'), crc32(Buffer.from('12345')))).toBe(0xcbf43926);
+  });
+
+  it('should write encrypted entries that decrypt with the password', async () => {
+    const zip = await readAll(createEncryptedZip([
+      { name: 'eicar test.com', data: Readable.from([Buffer.from('X5O!P%@AP'), Buffer.from('[4\\PZX54(P^)7CC)7}')]) },
+      { name: 'metadata.json', data: Buffer.from('{"id":"abc"}') }
+    ], 'infected'));
+
+    expect(zip.includes('X5O!P')).toBe(false);
+
+    const entries = extract(zip, 'infected');
+    expect(entries.map((entry) => entry.name)).toEqual(['eicar test.com', 'metadata.json']);
+    entries.forEach((entry) => {
+      expect(entry.flags & 0x0001).toBe(1);
+      expect(entry.check).toBe(entry.time >>> 8);
+      expect(crc32(entry.data)).toBe(entry.crc);
+    });
+    expect(entries[0].data.toString()).toBe('X5O!P%@AP[4\\PZX54(P^)7CC)7}');
+    expect(entries[1].data.toString()).toBe('{"id":"abc"}');
+
+    const [wrong] = extract(zip, 'wrong');
+    expect(wrong.data.toString()).not.toBe('X5O!P%@AP[4\\PZX54(P^)7CC)7}');
+  });
+});
@@ -0,0 +1,447 @@
+/**
+ * Unit tests for lib/engines
+ *
+ * Tests engine selection and each built-in scanner adapter.
+ */
+
+const mockSpawn = jest.fn();
+jest.mock('child_process', () => ({
+  spawn: mockSpawn
+}));
+
+const { createEngine, createEngineFromConfig } = require('../lib/engines');
+const { loadConfig } = require('../config');
+const { ClamdUnavailableError } = require('../lib/clamd');
+const { logger } = require('../lib/logger');
+const { ScanTimeoutError } = require('../lib/scan-timeout');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseClamavOutput,
+  parseClamavSignatures,
+  parseClamavVersion,
+  countClamavSignatures,
+  clamavCategory
+} = require('../lib/engines/clamscan');
+const { parseUvscanOutput, parseUvscanSignatures, parseUvscanVersion } = require('../lib/engines/uvscan');
+
+/**
+ * Create a fake child process that exits with the given code and output,
+ * or never exits when code is undefined
+ */
+function fakeProcess(code, stdout = '', stderr = '') {
+  const child = new EventEmitter();
+  child.pid = 4242;
+  child.stdout = new PassThrough();
+  child.stderr = new PassThrough();
+
+  if (code !== undefined) {
+    setImmediate(() => {
+      child.stdout.end(stdout);
+      child.stderr.end(stderr);
+      setImmediate(() => child.emit('close', code, null));
+    });
+  }
+  return child;
+}
+
+/**
+ * Make the mocked spawn start processes that exit with the given code and output
+ */
+function mockExitCode(code, stdout = '', stderr = '') {
+  mockSpawn.mockImplementation(() => fakeProcess(code, stdout, stderr));
+}
+
+describe('Scanner engines', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createEngineFromConfig', () => {
+    const fromEnv = (env) => createEngineFromConfig(loadConfig({ env, file: null }).scanner);
+
+    it('should default to clamscan', () => {
+      expect(fromEnv({}).name).toBe('clamscan');
+    });
+
+    it('should select clamd when a clamd socket is configured', () => {
+      expect(fromEnv({ CLAMD_SOCKET: '/tmp/clamd.sock' }).name).toBe('clamd');
+    });
+
+    it('should honour SCANNER_ENGINE', () => {
+      expect(fromEnv({ SCANNER_ENGINE: 'uvscan' }).name).toBe('uvscan');
+      expect(fromEnv({ SCANNER_ENGINE: 'command', SCANNER_COMMAND: 'scan {file}' }).name).toBe('command');
+    });
+
+    it('should run clamscan from CLAMAV_PATH', async () => {
+      mockExitCode(0);
+
+      await fromEnv({ CLAMAV_PATH: '/opt/clamav/bin/clamscan' }).scan('/tmp/file');
+
+      expect(mockSpawn).toHaveBeenCalledWith('/opt/clamav/bin/clamscan', expect.any(Array), expect.any(Object));
+    });
+
+    it('should reject unknown engines', () => {
+      expect(() => createEngineFromConfig({ engine: 'norton', clamd: {} })).toThrow('Unknown scanner engine "norton"');
+    });
+  });
+
+  describe('clamscan', () => {
+    const engine = createEngine('clamscan', { path: '/usr/bin/clamscan' });
+
+    it('should run clamscan with the ClamAV options', async () => {
+      mockExitCode(0);
+
+      await engine.scan('/uploads/abc');
+
+      expect(mockSpawn).toHaveBeenCalledWith(
+        '/usr/bin/clamscan',
+        ['--no-summary', '--infected', '--suppress-ok-results', '/uploads/abc'],
+        expect.objectContaining({ detached: true })
+      );
+    });
+
+    it('should map ClamAV exit codes', () => {
+      expect(engine.exitCodes).toEqual({ 0: 'clean', 1: 'infected' });
+    });
+
+    it('should report health from the version command', async () => {
+      mockExitCode(0, 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024\n');
+
+      await expect(engine.health()).resolves.toEqual({
+        healthy: true,
+        version: 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024'
+      });
+    });
+
+    it('should report unhealthy when clamscan cannot run', async () => {
+      mockExitCode(127, '', 'clamscan: not found');
+
+      await expect(engine.health()).resolves.toEqual({ healthy: false, error: 'clamscan: not found' });
+    });
+  });
+
+  describe('ClamAV output parsing', () => {
+    it('should parse every FOUND line', () => {
+      const output = [
+        '/uploads/abc: Win.Test.EICAR_HDB-1 FOUND',
+        '/uploads/abc: Win.Trojan.Agent-123456-0 FOUND',
+        'some other line'
+      ].join('\n');
+
+      expect(parseClamavOutput(output)).toEqual([
+        { file: '/uploads/abc', signature: 'Win.Test.EICAR_HDB-1', category: 'test' },
+        { file: '/uploads/abc', signature: 'Win.Trojan.Agent-123456-0', category: 'trojan' }
+      ]);
+    });
+
+    it('should return no threats for empty output', () => {
+      expect(parseClamavOutput('')).toEqual([]);
+      expect(parseClamavOutput(null)).toEqual([]);
+    });
+
+    it('should derive categories from signature names', () => {
+      expect(clamavCategory('Doc.Downloader.Emotet-6963646-0')).toBe('downloader');
+      expect(clamavCategory('PUA.Win.Packer.Upx-1')).toBe('pua');
+      expect(clamavCategory('Heuristics.Encrypted.PDF')).toBe('heuristics');
+      expect(clamavCategory('Eicar-Test-Signature')).toBe('test');
+      expect(clamavCategory('MyCustomSig')).toBe('unknown');
+    });
+
+    it('should read the signature database from the version string', () => {
+      expect(parseClamavSignatures('ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024\n')).toEqual({
+        version: '27000',
+        updatedAt: new Date('Mon Jan  1 00:00:00 2024')
+      });
+      expect(parseClamavSignatures('ClamAV 1.0.0')).toBeNull();
+    });
+
+    it('should read the ClamAV release from the version string', () => {
+      expect(parseClamavVersion('ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024')).toBe('1.0.0');
+      expect(parseClamavVersion('ClamAV 0.103.8')).toBe('0.103.8');
+      expect(parseClamavVersion('unknown')).toBeNull();
+    });
+
+    it('should count signatures in every database with sigtool', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-clamav-db-'));
+      ['main.cvd', 'daily.cld', 'bytecode.cvd', 'freshclam.dat'].forEach((name) => fs.writeFileSync(path.join(dir, name), ''));
+      const counts = { 'main.cvd': 6647427, 'daily.cld': 2043210, 'bytecode.cvd': 94 };
+      mockSpawn.mockImplementation((file, args) => {
+        const name = path.basename(args[1]);
+        return fakeProcess(0, `File: ${name}\nVersion: 27000\nSignatures: ${counts[name]}\n`);
+      });
+
+      try {
+        await expect(countClamavSignatures(dir, 'sigtool')).resolves.toBe(6647427 + 2043210 + 94);
+        expect(mockSpawn.mock.calls.map(([file, args]) => [file, ...args])).toEqual([
+          ['sigtool', '--info', path.join(dir, 'bytecode.cvd')],
+          ['sigtool', '--info', path.join(dir, 'daily.cld')],
+          ['sigtool', '--info', path.join(dir, 'main.cvd')]
+        ]);
+
+        mockExitCode(1, '', 'ERROR: Can\'t open file');
+        await expect(countClamavSignatures(dir, 'sigtool')).rejects.toThrow('Can\'t open file');
+
+        fs.rmSync(dir, { recursive: true, force: true });
+        fs.mkdirSync(dir);
+        await expect(countClamavSignatures(dir, 'sigtool')).resolves.toBeNull();
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('clamd', () => {
+    const fallback = { name: 'clamscan', scan: jest.fn() };
+
+    it('should translate an infected reply into clamscan output', async () => {
+      const client = { scanFile: jest.fn().mockResolvedValue({ infected: true, signature: 'Eicar-Test-Signature' }) };
+      const engine = createEngine('clamd', { client, fallback });
+
+      await expect(engine.scan('/uploads/abc')).resolves.toEqual({
+        error: { code: 1 },
+        stdout: '/uploads/abc: Eicar-Test-Signature FOUND',
+        stderr: ''
+      });
+      expect(fallback.scan).not.toHaveBeenCalled();
+    });
+
+    it('should fall back when the daemon is unreachable', async () => {
+      const client = { scanFile: jest.fn().mockRejectedValue(new ClamdUnavailableError(new Error('ECONNREFUSED'))) };
+      const engine = createEngine('clamd', { client, fallback });
+      fallback.scan.mockResolvedValue({ error: null, stdout: '', stderr: '' });
+      const warn = jest.spyOn(logger, 'warn').mockImplementation();
+
+      await expect(engine.scan('/uploads/abc')).resolves.toEqual({ error: null, stdout: '', stderr: '' });
+      expect(fallback.scan).toHaveBeenCalledWith('/uploads/abc', {});
+      warn.mockRestore();
+    });
+
+    it('should scan streams without falling back', async () => {
+      const stream = {};
+      const client = { scanStream: jest.fn().mockResolvedValue({ infected: true, signature: 'Eicar-Test-Signature' }) };
+      const engine = createEngine('clamd', { client, fallback });
+
+      await expect(engine.scanStream(stream, 'upload.bin')).resolves.toEqual({
+        error: { code: 1 },
+        stdout: 'upload.bin: Eicar-Test-Signature FOUND',
+        stderr: ''
+      });
+      expect(client.scanStream).toHaveBeenCalledWith(stream, { signal: undefined });
+
+      client.scanStream.mockRejectedValue(new ClamdUnavailableError(new Error('ECONNREFUSED')));
+      const result = await engine.scanStream(stream, 'upload.bin');
+      expect(result.error.code).toBe(2);
+      expect(fallback.scan).not.toHaveBeenCalled();
+    });
+
+    it('should report daemon errors as scan failures', async () => {
+      const client = { scanFile: jest.fn().mockRejectedValue(new Error('INSTREAM size limit exceeded.')) };
+      const engine = createEngine('clamd', { client, fallback });
+
+      const result = await engine.scan('/uploads/abc');
+
+      expect(result.error.code).toBe(2);
+      expect(result.stderr).toBe('INSTREAM size limit exceeded.');
+      expect(fallback.scan).not.toHaveBeenCalled();
+    });
+
+    it('should report an aborted scan instead of falling back', async () => {
+      const controller = new AbortController();
+      const reason = new ScanTimeoutError(100);
+      const client = {
+        scanFile: jest.fn(() => {
+          controller.abort(reason);
+          return Promise.reject(new ClamdUnavailableError(new Error('clamd closed the connection')));
+        })
+      };
+      const engine = createEngine('clamd', { client, fallback });
+
+      await expect(engine.scan('/uploads/abc', { signal: controller.signal })).resolves.toEqual({
+        error: reason,
+        stdout: '',
+        stderr: ''
+      });
+      expect(client.scanFile).toHaveBeenCalledWith('/uploads/abc', { signal: controller.signal });
+      expect(fallback.scan).not.toHaveBeenCalled();
+    });
+
+    it('should report the version and health of the fallback when the daemon is unreachable', async () => {
+      const unavailable = new ClamdUnavailableError(new Error('ECONNREFUSED'));
+      const client = { version: jest.fn().mockRejectedValue(unavailable), ping: jest.fn().mockRejectedValue(unavailable) };
+      const withFallback = {
+        ...fallback,
+        version: jest.fn().mockResolvedValue('ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024'),
+        health: jest.fn().mockResolvedValue({ healthy: true, version: 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024' })
+      };
+      const warn = jest.spyOn(logger, 'warn').mockImplementation();
+
+      const engine = createEngine('clamd', { client, fallback: withFallback });
+      await expect(engine.version()).resolves.toBe('ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024');
+      await expect(engine.health()).resolves.toEqual({ healthy: true, version: 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024' });
+
+      const alone = createEngine('clamd', { client });
+      await expect(alone.version()).rejects.toBe(unavailable);
+      await expect(alone.health()).resolves.toEqual({ healthy: false, error: unavailable.message });
+      warn.mockRestore();
+    });
+
+    it('should ask the daemon to reload its signatures', async () => {
+      const client = { reload: jest.fn().mockResolvedValue('RELOADING') };
+      const engine = createEngine('clamd', { client, fallback });
+
+      await expect(engine.reload()).resolves.toBeUndefined();
+
+      client.reload.mockResolvedValue('UNKNOWN COMMAND');
+      await expect(engine.reload()).rejects.toThrow('Unexpected reply to RELOAD: UNKNOWN COMMAND');
+    });
+  });
+
+  describe('uvscan', () => {
+    const engine = createEngine('uvscan');
+
+    it('should run uvscan on the file', async () => {
+      mockExitCode(13, '/uploads/abc ... Found the EICAR test file NOT a virus.');
+
+      const result = await engine.scan('/uploads/abc');
+
+      expect(mockSpawn.mock.calls[0].slice(0, 2)).toEqual(['uvscan', ['--secure', '--noboot', '--noexpire', '/uploads/abc']]);
+      expect(engine.exitCodes[result.error.code]).toBe('infected');
+    });
+
+    it('should treat other exit codes as errors', () => {
+      expect(engine.exitCodes[0]).toBe('clean');
+      expect(engine.exitCodes[6]).toBeUndefined();
+    });
+
+    it('should parse uvscan detections', () => {
+      const output = [
+        '/uploads/abc ... Found the EICAR test file NOT a virus.',
+        '/uploads/abc/setup.exe ... Found the W32/Sality.gen virus !!!',
+        '/uploads/abc/tool.exe ... Found: Generic PUP.x potentially unwanted program !!!',
+        'Summary report on /uploads/abc'
+      ].join('\n');
+
+      expect(parseUvscanOutput(output)).toEqual([
+        { file: '/uploads/abc', signature: 'EICAR test file', category: 'test' },
+        { file: '/uploads/abc/setup.exe', signature: 'W32/Sality.gen', category: 'virus' },
+        { file: '/uploads/abc/tool.exe', signature: 'Generic PUP.x', category: 'pua' }
+      ]);
+    });
+
+    it('should read the DAT set from the version output', () => {
+      const output = [
+        'Product = McAfee VirusScan Command Line for Linux64',
+        'Version = 7.0.0',
+        'Dat set version: 10234 created Dec 1 2021'
+      ].join('\n');
+
+      expect(parseUvscanSignatures(output)).toEqual({ version: '10234', updatedAt: new Date('Dec 1 2021') });
+      expect(parseUvscanSignatures('Version = 7.0.0')).toBeNull();
+    });
+
+    it('should read the engine version from the version output', () => {
+      expect(parseUvscanVersion('Version = 7.0.0\nEngine version: 6010.8670 for Linux64.')).toBe('6010.8670');
+      expect(parseUvscanVersion('Version = 7.0.0')).toBeNull();
+    });
+  });
+
+  describe('command', () => {
+    it('should require a {file} placeholder', () => {
+      expect(() => createEngine('command', { command: 'scan' })).toThrow('{file}');
+    });
+
+    it('should pass the file path as a single argument', async () => {
+      mockExitCode(0);
+      const engine = createEngine('command', { command: '"/opt/acme scan/scan" --quiet --target={file}' });
+
+      await engine.scan("/uploads/it's $(rm -rf ~)");
+
+      expect(mockSpawn.mock.calls[0].slice(0, 2)).toEqual(['/opt/acme scan/scan', ['--quiet', "--target=/uploads/it's $(rm -rf ~)"]]);
+    });
+
+    it('should run the version command without a shell', async () => {
+      mockExitCode(0, 'Acme AV 2.1\n');
+      const engine = createEngine('command', { command: 'scan {file}', versionCommand: "scan --version 'short form'" });
+
+      await expect(engine.version()).resolves.toBe('Acme AV 2.1');
+      expect(mockSpawn.mock.calls[0].slice(0, 2)).toEqual(['scan', ['--version', 'short form']]);
+    });
+
+    it('should reject a template with an unterminated quote', () => {
+      expect(() => createEngine('command', { command: 'scan "{file}' })).toThrow('Unterminated " quote');
+    });
+
+    it('should map configured exit codes', () => {
+      const engine = createEngine('command', { command: 'scan {file}', cleanCodes: '0', infectedCodes: '3, 4' });
+
+      expect(engine.exitCodes).toEqual({ 0: 'clean', 3: 'infected', 4: 'infected' });
+    });
+
+    it('should parse ClamAV-style output by default', () => {
+      const engine = createEngine('command', { command: 'scan {file}' });
+
+      expect(engine.parseThreats('/uploads/abc: Evil.Thing FOUND')).toEqual([
+        { file: '/uploads/abc', signature: 'Evil.Thing', category: 'unknown' }
+      ]);
+    });
+
+    it('should parse output with a custom threat pattern', () => {
+      const engine = createEngine('command', {
+        command: 'scan {file}',
+        threatPattern: '^THREAT (?<category>\\w+) (?<signature>\\S+) in (?<file>.+)$'
+      });
+
+      expect(engine.parseThreats('THREAT Trojan Acme.Bad in /uploads/abc')).toEqual([
+        { file: '/uploads/abc', signature: 'Acme.Bad', category: 'trojan' }
+      ]);
+    });
+
+    it('should report an unknown version without a version command', async () => {
+      const engine = createEngine('command', { command: 'scan {file}', displayName: 'Acme AV' });
+
+      expect(engine.displayName).toBe('Acme AV');
+      await expect(engine.version()).resolves.toBe('unknown');
+    });
+  });
+
+  describe('cancellation', () => {
+    let kill;
+
+    beforeEach(() => {
+      kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+    });
+
+    afterEach(() => {
+      kill.mockRestore();
+    });
+
+    it('should kill the scanner\'s process group when aborted', async () => {
+      mockSpawn.mockImplementation(() => fakeProcess());
+      const engine = createEngine('clamscan', { path: 'clamscan' });
+      const controller = new AbortController();
+      const reason = new ScanTimeoutError(100);
+
+      const scan = engine.scan('/uploads/abc', { signal: controller.signal });
+      await new Promise((resolve) => setImmediate(resolve));
+      controller.abort(reason);
+
+      await expect(scan).resolves.toEqual(expect.objectContaining({ error: reason, stdout: '', stderr: '' }));
+      expect(kill.mock.calls).toEqual([[-4242, 'SIGKILL']]);
+    });
+
+    it('should not start a scan that was already aborted', async () => {
+      const engine = createEngine('uvscan', { path: 'uvscan' });
+      const controller = new AbortController();
+      controller.abort(new ScanTimeoutError(100));
+
+      const result = await engine.scan('/uploads/abc', { signal: controller.signal });
+
+      expect(result.error).toBeInstanceOf(ScanTimeoutError);
+      expect(mockSpawn).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Fake clamd server for tests
+ *
+ * Implements enough of the clamd socket protocol (PING, VERSION, INSTREAM,
+ * IDSESSION/END) to exercise the client without a real daemon. Streams
+ * containing the EICAR marker are reported as infected.
+ */
+
+const net = require('net');
+
+const EICAR_MARKER = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+
+/**
+ * Create a fake clamd listening on an ephemeral TCP port
+ * @param {Object} [options] - Server options
+ * @param {string} [options.version] - Reply to VERSION
+ * @param {number} [options.streamMaxLength] - Maximum INSTREAM size before an error reply
+ * @returns {Object} Server handle with listen(), close() and recorded stats
+ */
+function createFakeClamd(options = {}) {
+  const version = options.version || 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024';
+  const streamMaxLength = options.streamMaxLength || Infinity;
+
+  const stats = {
+    connections: 0,
+    commands: [],
+    chunks: [],
+    sockets: new Set()
+  };
+
+  const server = net.createServer((socket) => {
+    stats.connections++;
+    stats.sockets.add(socket);
+    socket.on('close', () => stats.sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = Buffer.alloc(0);
+    let session = false;
+    let requestId = 0;
+    let stream = null;
+
+    const reply = (text) => {
+      socket.write(session ? `${requestId}: ${text}\0` : `${text}\0`);
+    };
+
+    const finishCommand = () => {
+      if (!session) {
+        socket.end();
+      }
+    };
+
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+
+      while (buffer.length > 0) {
+        if (stream) {
+          if (buffer.length < 4) {
+            return;
+          }
+
+          const length = buffer.readUInt32BE(0);
+          if (length === 0) {
+            buffer = buffer.subarray(4);
+            const content = Buffer.concat(stream).toString('latin1');
+            stream = null;
+            reply(content.includes(EICAR_MARKER) ? 'stream: Eicar-Test-Signature FOUND' : 'stream: OK');
+            finishCommand();
+            continue;
+          }
+
+          if (buffer.length < 4 + length) {
+            return;
+          }
+
+          stats.chunks.push(length);
+          stream.push(buffer.subarray(4, 4 + length));
+          buffer = buffer.subarray(4 + length);
+
+          if (stream.reduce((total, chunk) => total + chunk.length, 0) > streamMaxLength) {
+            stream = null;
+            reply('INSTREAM size limit exceeded. ERROR');
+            socket.end();
+            return;
+          }
+          continue;
+        }
+
+        const end = buffer.indexOf(0);
+        if (end === -1) {
+          return;
+        }
+
+        const command = buffer.subarray(1, end).toString('utf8');
+        buffer = buffer.subarray(end + 1);
+        stats.commands.push(command);
+
+        if (command === 'IDSESSION') {
+          session = true;
+          continue;
+        }
+
+        if (command === 'END') {
+          socket.end();
+          return;
+        }
+
+        requestId++;
+
+        if (command === 'PING') {
+          reply('PONG');
+          finishCommand();
+        } else if (command === 'VERSION') {
+          reply(version);
+          finishCommand();
+        } else if (command === 'INSTREAM') {
+          stream = [];
+        } else {
+          reply('UNKNOWN COMMAND');
+          finishCommand();
+        }
+      }
+    });
+  });
+
+  return {
+    stats,
+
+    listen() {
+      return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+      });
+    },
+
+    /**
+     * Drop every open connection, as clamd does when a session idles out
+     */
+    dropConnections() {
+      stats.sockets.forEach((socket) => socket.destroy());
+    },
+
+    close() {
+      this.dropConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  createFakeClamd,
+  EICAR_MARKER
+};
@@ -0,0 +1,120 @@
+/**
+ * Fake Redis server for tests
+ *
+ * Implements enough of the Redis protocol to exercise the client and the
+ * rate limit store: PING, AUTH, SELECT, and EVAL, which runs the rate limit
+ * increment script (INCR, then PEXPIRE on the first hit, returning the
+ * count and PTTL) whatever the script text is.
+ */
+
+const net = require('net');
+const { encodeCommand, parseReply } = require('../lib/redis');
+
+/**
+ * Encode a reply value
+ * @param {*} value - String, integer, array or Error
+ * @returns {string}
+ */
+function encodeReply(value) {
+  if (value instanceof Error) {
+    return `-${value.message}\r\n`;
+  }
+  if (Array.isArray(value)) {
+    return `*${value.length}\r\n${value.map(encodeReply).join('')}`;
+  }
+  if (Number.isInteger(value)) {
+    return `:${value}\r\n`;
+  }
+  return `+${value}\r\n`;
+}
+
+/**
+ * Create a fake Redis listening on an ephemeral TCP port
+ * @param {Object} [options] - Server options
+ * @param {string} [options.password] - Password required with AUTH
+ * @returns {Object} Server handle with listen(), close() and recorded commands
+ */
+function createFakeRedis(options = {}) {
+  const counters = new Map();
+  const stats = {
+    commands: [],
+    sockets: new Set()
+  };
+
+  const server = net.createServer((socket) => {
+    stats.sockets.add(socket);
+    socket.on('close', () => stats.sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = Buffer.alloc(0);
+    let authenticated = !options.password;
+
+    const run = ([name, ...args]) => {
+      const command = name.toUpperCase();
+      stats.commands.push([command, ...args]);
+
+      if (command === 'AUTH') {
+        authenticated = args[args.length - 1] === options.password;
+        return authenticated ? 'OK' : new Error('WRONGPASS invalid password');
+      }
+      if (!authenticated) {
+        return new Error('NOAUTH Authentication required');
+      }
+      if (command === 'PING') {
+        return 'PONG';
+      }
+      if (command === 'SELECT') {
+        return 'OK';
+      }
+      if (command === 'EVAL') {
+        const [, , key, windowMs] = args;
+        const now = Date.now();
+        let counter = counters.get(key);
+        if (!counter || counter.expiresAt <= now) {
+          counter = { count: 0, expiresAt: now + parseInt(windowMs, 10) };
+          counters.set(key, counter);
+        }
+        counter.count++;
+        return [counter.count, counter.expiresAt - now];
+      }
+      return new Error(`ERR unknown command '${name}'`);
+    };
+
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+
+      let request;
+      while (buffer.length > 0 && (request = parseReply(buffer))) {
+        buffer = buffer.subarray(request.offset);
+        socket.write(encodeReply(run(request.value)));
+      }
+    });
+  });
+
+  return {
+    stats,
+
+    listen() {
+      return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+      });
+    },
+
+    /**
+     * Drop every open connection, as a restarting server would
+     */
+    dropConnections() {
+      stats.sockets.forEach((socket) => socket.destroy());
+    },
+
+    close() {
+      this.dropConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  createFakeRedis,
+  encodeCommand
+};
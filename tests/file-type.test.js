@@ -0,0 +1,293 @@
+/**
+ * Unit tests for lib/file-type.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectType, detectFileType, inspectFile, describeFileType } = require('../lib/file-type');
+
+const bytes = (value) => Buffer.from(value, 'latin1');
+
+const PE = 'application/vnd.microsoft.portable-executable';
+const DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Build a ZIP file of stored { name, data, encrypted } entries
+ */
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, data = Buffer.alloc(0), encrypted = false }) => {
+    const nameBuffer = Buffer.from(name);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(encrypted ? 1 : 0, 8);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Build an OLE compound file with 512-byte sectors whose directory holds a
+ * root storage with the given class ID and the named streams
+ */
+function buildOle(streams, rootClsid = Buffer.alloc(16)) {
+  const header = Buffer.alloc(512, 0xff);
+  bytes('\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1').copy(header);
+  header.fill(0, 8, 0x4c);
+  header.writeUInt16LE(9, 0x1e);
+  header.writeUInt32LE(1, 0x2c);
+  header.writeUInt32LE(1, 0x30);
+  header.writeUInt32LE(0, 0x4c);
+
+  // Sector 0 holds the allocation table, sector 1 the directory
+  const table = Buffer.alloc(512, 0xff);
+  table.writeUInt32LE(0xfffffffd, 0);
+  table.writeUInt32LE(0xfffffffe, 4);
+
+  const directory = Buffer.alloc(512);
+  ['Root Entry', ...streams].forEach((name, index) => {
+    const offset = index * 128;
+    directory.write(name, offset, 'utf16le');
+    directory.writeUInt16LE((name.length + 1) * 2, offset + 0x40);
+    directory[offset + 0x42] = index === 0 ? 5 : 2;
+    if (index === 0) {
+      rootClsid.copy(directory, offset + 0x50);
+    }
+  });
+
+  return Buffer.concat([header, table, directory]);
+}
+
+/**
+ * Write content to a temporary file, pass its path to fn and remove it
+ */
+function withFile(content, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-file-type-'));
+  const file = path.join(dir, 'upload');
+  fs.writeFileSync(file, content);
+
+  try {
+    return fn(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+describe('File type detection', () => {
+  describe('detectType', () => {
+    it('should recognise executables', () => {
+      expect(detectType(bytes('MZ\x90\x00\x03\x00'))).toBe('application/vnd.microsoft.portable-executable');
+      expect(detectType(bytes('\x7fELF\x02\x01\x01'))).toBe('application/x-elf');
+      expect(detectType(bytes('\xcf\xfa\xed\xfe\x07\x00'))).toBe('application/x-mach-binary');
+      expect(detectType(bytes('L\x00\x00\x00\x01\x14\x02\x00'))).toBe('application/x-ms-shortcut');
+    });
+
+    it('should tell Java classes from universal binaries, which share a magic number', () => {
+      expect(detectType(bytes('\xca\xfe\xba\xbe\x00\x00\x00\x41'))).toBe('application/java-vm');
+      expect(detectType(bytes('\xca\xfe\xba\xbe\x00\x00\x00\x02'))).toBe('application/x-mach-binary');
+    });
+
+    it('should recognise documents, archives and images', () => {
+      expect(detectType(bytes('%PDF-1.7\n'))).toBe('application/pdf');
+      expect(detectType(bytes('PK\x03\x04\x14\x00'))).toBe('application/zip');
+      expect(detectType(bytes('\x1f\x8b\x08\x00'))).toBe('application/gzip');
+      expect(detectType(bytes('Rar!\x1a\x07\x01\x00'))).toBe('application/vnd.rar');
+      expect(detectType(bytes('\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1'))).toBe('application/x-ole-storage');
+      expect(detectType(bytes('\x89PNG\r\n\x1a\n'))).toBe('image/png');
+      expect(detectType(bytes('\xff\xd8\xff\xe0'))).toBe('image/jpeg');
+      expect(detectType(bytes('GIF89a'))).toBe('image/gif');
+      expect(detectType(bytes('RIFF\x24\x00\x00\x00WEBPVP8 '))).toBe('image/webp');
+      expect(detectType(bytes('BM\x36\x00\x0c\x00\x00\x00\x00\x00'))).toBe('image/bmp');
+      expect(detectType(bytes('II*\x00\x08\x00'))).toBe('image/tiff');
+      expect(detectType(bytes('{\\rtf1\\ansi'))).toBe('application/rtf');
+    });
+
+    it('should not take text that starts like a weak magic number for an image', () => {
+      expect(detectType(Buffer.from('BMW service schedule\n'))).toBe('text/plain');
+    });
+
+    it('should read the type an OpenDocument file declares in its first entry', () => {
+      const odt = buildZip([{ name: 'mimetype', data: Buffer.from('application/vnd.oasis.opendocument.text') }]);
+
+      expect(detectType(odt.subarray(0, 512))).toBe('application/vnd.oasis.opendocument.text');
+    });
+
+    it('should recognise scripts and markup', () => {
+      expect(detectType(Buffer.from('#!/bin/sh\nrm -rf /\n'))).toBe('text/x-shellscript');
+      expect(detectType(Buffer.from('#!/usr/bin/env python3\nimport os\n'))).toBe('text/x-python');
+      expect(detectType(Buffer.from('#!/usr/bin/env -S node --no-warnings\n'))).toBe('text/javascript');
+      expect(detectType(Buffer.from('#!/opt/tool\n'))).toBe('text/x-script');
+      expect(detectType(Buffer.from('<?php system($_GET["c"]);'))).toBe('application/x-httpd-php');
+      expect(detectType(Buffer.from('\ufeff<!DOCTYPE html>\n<html>'))).toBe('text/html');
+      expect(detectType(Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg">'))).toBe('image/svg+xml');
+      expect(detectType(Buffer.from('<?xml version="1.0"?>\n<invoice/>'))).toBe('application/xml');
+      expect(detectType(Buffer.from('@ECHO OFF\r\ndel /q *\r\n'))).toBe('text/x-msdos-batch');
+    });
+
+    it('should find the tar magic at offset 257', () => {
+      const header = Buffer.alloc(512);
+      header.write('notes.txt');
+      header.write('ustar', 257);
+
+      expect(detectType(header)).toBe('application/x-tar');
+    });
+
+    it('should tell text from binary content', () => {
+      expect(detectType(Buffer.from('Quarterly report – final\n'))).toBe('text/plain');
+      expect(detectType(bytes('\x00\x01\x02\x03'))).toBe('application/octet-stream');
+      expect(detectType(bytes('\xc3\x28 invalid UTF-8 text'))).toBe('application/octet-stream');
+      expect(detectType(Buffer.alloc(0))).toBe('application/x-empty');
+    });
+
+    it('should accept text whose last character is cut off', () => {
+      const text = Buffer.from('Prix: 10 €');
+
+      expect(detectType(text.subarray(0, text.length - 1))).toBe('text/plain');
+    });
+  });
+
+  describe('detectFileType', () => {
+    it('should read the start of the file', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-file-type-'));
+      const file = path.join(dir, 'invoice.jpg');
+      fs.writeFileSync(file, Buffer.concat([bytes('MZ'), Buffer.alloc(4096)]));
+
+      try {
+        expect(detectFileType(file)).toBe(PE);
+        expect(() => detectFileType(path.join(dir, 'missing'))).toThrow('ENOENT');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('should tell Office documents and packages from plain zip files', () => {
+      const ooxml = (part, extra = []) => buildZip([
+        { name: '[Content_Types].xml', data: Buffer.from('<Types/>') },
+        { name: `${part}document.xml`, data: Buffer.alloc(1024, 'a') },
+        ...extra
+      ]);
+
+      withFile(ooxml('word/'), (file) => expect(detectFileType(file)).toBe(DOCX));
+      withFile(ooxml('word/', [{ name: 'word/vbaProject.bin' }]), (file) => {
+        expect(detectFileType(file)).toBe('application/vnd.ms-word.document.macroenabled.12');
+      });
+      withFile(ooxml('xl/'), (file) => expect(detectFileType(file)).toBe('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'));
+      withFile(buildZip([{ name: 'META-INF/MANIFEST.MF' }, { name: 'Main.class' }]), (file) => {
+        expect(detectFileType(file)).toBe('application/java-archive');
+      });
+      withFile(buildZip([{ name: 'docs/readme.txt' }]), (file) => expect(detectFileType(file)).toBe('application/zip'));
+    });
+
+    it('should tell legacy Office documents and installers from other OLE files', () => {
+      withFile(buildOle(['WordDocument', '1Table']), (file) => expect(detectFileType(file)).toBe('application/msword'));
+      withFile(buildOle(['Workbook']), (file) => expect(detectFileType(file)).toBe('application/vnd.ms-excel'));
+      withFile(buildOle([], Buffer.from('84100c0000000000c000000000000046', 'hex')), (file) => {
+        expect(detectFileType(file)).toBe('application/x-msi');
+      });
+      withFile(buildOle(['Contents']), (file) => expect(detectFileType(file)).toBe('application/x-ole-storage'));
+    });
+  });
+
+  describe('inspectFile', () => {
+    it('should find macros in Office and OpenDocument files', () => {
+      withFile(buildZip([{ name: '[Content_Types].xml' }, { name: 'word/document.xml' }, { name: 'word/vbaProject.bin' }]), (file) => {
+        expect(inspectFile(file)).toEqual({ type: 'application/vnd.ms-word.document.macroenabled.12', macros: true, encrypted: false });
+      });
+      withFile(buildZip([{ name: '[Content_Types].xml' }, { name: 'xl/workbook.xml' }, { name: 'xl/macrosheets/sheet1.xml' }]), (file) => {
+        expect(inspectFile(file).macros).toBe(true);
+      });
+      withFile(buildZip([{ name: 'content.xml' }, { name: 'Basic/Standard/Module1.xml' }]), (file) => {
+        expect(inspectFile(file).macros).toBe(true);
+      });
+      withFile(buildOle(['WordDocument', 'Macros', 'VBA']), (file) => {
+        expect(inspectFile(file)).toEqual({ type: 'application/msword', macros: true, encrypted: false });
+      });
+      withFile(buildOle(['WordDocument', '1Table']), (file) => expect(inspectFile(file).macros).toBe(false));
+    });
+
+    it('should find encrypted zip entries and password-protected Office documents', () => {
+      withFile(buildZip([{ name: 'readme.txt' }, { name: 'secret.docx', encrypted: true }]), (file) => {
+        expect(inspectFile(file)).toEqual({ type: 'application/zip', macros: false, encrypted: true });
+      });
+      withFile(buildZip([{ name: 'readme.txt' }]), (file) => expect(inspectFile(file).encrypted).toBe(false));
+      withFile(buildOle(['EncryptionInfo', 'EncryptedPackage']), (file) => expect(inspectFile(file).encrypted).toBe(true));
+    });
+
+    it('should report other files as they are detected', () => {
+      withFile(bytes('%PDF-1.7\n'), (file) => {
+        expect(inspectFile(file)).toEqual({ type: 'application/pdf', macros: false, encrypted: false });
+      });
+    });
+  });
+
+  describe('describeFileType', () => {
+    it('should flag content that does not match the extension', () => {
+      expect(describeFileType(PE, 'photo.jpg', 'application/octet-stream')).toEqual({
+        detectedType: PE,
+        declaredType: 'image/jpeg',
+        typeMismatch: true
+      });
+    });
+
+    it('should flag content that does not match the Content-Type', () => {
+      expect(describeFileType('application/pdf', 'scan', 'image/PNG; charset=binary')).toEqual({
+        detectedType: 'application/pdf',
+        declaredType: 'image/png',
+        typeMismatch: true
+      });
+      expect(describeFileType(PE, 'report.pdf', 'application/pdf').typeMismatch).toBe(true);
+    });
+
+    it('should accept content that matches, including other names for the type', () => {
+      expect(describeFileType('image/jpeg', 'photo.JPG', 'image/jpg')).toEqual({
+        detectedType: 'image/jpeg',
+        declaredType: 'image/jpeg',
+        typeMismatch: false
+      });
+      expect(describeFileType(PE, 'setup.exe', 'application/x-msdownload').typeMismatch).toBe(false);
+    });
+
+    it('should accept more or less specific kinds of the claimed type', () => {
+      expect(describeFileType(DOCX, 'report.zip').typeMismatch).toBe(false);
+      expect(describeFileType('application/zip', 'report.docx').typeMismatch).toBe(false);
+      expect(describeFileType('text/plain', 'data.csv', 'text/csv').typeMismatch).toBe(false);
+      expect(describeFileType('text/plain', 'deploy.sh').typeMismatch).toBe(false);
+      expect(describeFileType('text/x-shellscript', 'deploy.py').typeMismatch).toBe(true);
+      expect(describeFileType('text/html', 'invoice.pdf').typeMismatch).toBe(true);
+    });
+
+    it('should not flag files nothing is claimed for, or empty files', () => {
+      expect(describeFileType(PE, 'upload.bin', 'application/octet-stream')).toEqual({
+        detectedType: PE,
+        declaredType: null,
+        typeMismatch: false
+      });
+      expect(describeFileType('application/x-empty', 'photo.jpg', 'image/jpeg').typeMismatch).toBe(false);
+    });
+  });
+});
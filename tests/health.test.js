@@ -0,0 +1,138 @@
+/**
+ * Unit tests for lib/health.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkReadiness, checkScanner, checkSignatures, checkUploads, checkQueue } = require('../lib/health');
+const { parseClamavSignatures } = require('../lib/engines/clamscan');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Fake engine whose health check reports the given ClamAV version string
+ */
+function clamavEngine(version) {
+  return {
+    name: 'clamscan',
+    health: jest.fn().mockResolvedValue({ healthy: true, version }),
+    signatures: parseClamavSignatures
+  };
+}
+
+describe('Readiness checks', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-health-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.useRealTimers();
+  });
+
+  describe('checkScanner', () => {
+    it('should report the engine version', async () => {
+      await expect(checkScanner(clamavEngine('ClamAV 1.0.0'))).resolves.toEqual({
+        status: 'pass',
+        engine: 'clamscan',
+        version: 'ClamAV 1.0.0'
+      });
+    });
+
+    it('should fail when the scanner does not respond in time', async () => {
+      const engine = { name: 'clamd', health: () => new Promise(() => {}) };
+
+      await expect(checkScanner(engine, 20)).resolves.toEqual({
+        status: 'fail',
+        engine: 'clamd',
+        error: 'Scanner did not respond within 20ms'
+      });
+    });
+  });
+
+  describe('checkSignatures', () => {
+    it('should pass for a recent database and fail for an old one', () => {
+      jest.useFakeTimers({ now: new Date('2024-01-05T00:00:00Z') });
+      const engine = clamavEngine();
+      const scanner = { status: 'pass', version: 'ClamAV 1.0.0/27000/2024-01-04T22:00:00Z' };
+
+      expect(checkSignatures(engine, scanner, 24 * HOUR)).toEqual({
+        status: 'pass',
+        version: '27000',
+        updatedAt: '2024-01-04T22:00:00.000Z',
+        age: 2 * HOUR,
+        maxAge: 24 * HOUR
+      });
+
+      expect(checkSignatures(engine, scanner, HOUR)).toMatchObject({
+        status: 'fail',
+        error: 'Signatures are 2 hours old; the maximum is 1 hours'
+      });
+    });
+
+    it('should fail when no database is loaded', () => {
+      const scanner = { status: 'pass', version: 'ClamAV 1.0.0' };
+
+      expect(checkSignatures(clamavEngine(), scanner, HOUR)).toEqual({
+        status: 'fail',
+        error: 'No signature database is loaded'
+      });
+    });
+
+    it('should skip engines that do not report their database', () => {
+      const scanner = { status: 'pass', version: 'unknown' };
+
+      expect(checkSignatures({ name: 'command' }, scanner, HOUR).status).toBe('skip');
+    });
+  });
+
+  describe('checkUploads', () => {
+    it('should pass for a writable directory', async () => {
+      await expect(checkUploads(dir)).resolves.toEqual({ status: 'pass' });
+    });
+
+    it('should fail for a missing directory', async () => {
+      await expect(checkUploads(path.join(dir, 'missing'))).resolves.toEqual({
+        status: 'fail',
+        error: 'Upload directory is not writable (ENOENT)'
+      });
+    });
+  });
+
+  describe('checkQueue', () => {
+    it('should fail once the queue reaches its limit', () => {
+      const queue = { stats: () => ({ queued: 5, running: 2, concurrency: 2 }) };
+
+      expect(checkQueue(queue, 10).status).toBe('pass');
+      expect(checkQueue(queue, 5)).toEqual({
+        status: 'fail',
+        queued: 5,
+        running: 2,
+        concurrency: 2,
+        maxQueued: 5,
+        error: '5 scans are waiting; the maximum is 5'
+      });
+    });
+  });
+
+  describe('checkReadiness', () => {
+    it('should be ready only when no check fails', async () => {
+      const queue = { stats: () => ({ queued: 0, running: 0, concurrency: 2 }) };
+      const options = { uploadDir: dir, queue, maxSignatureAge: 24 * HOUR, maxQueued: 10 };
+
+      const ready = await checkReadiness({
+        ...options,
+        engine: { name: 'command', health: async () => ({ healthy: true, version: 'unknown' }) }
+      });
+      expect(ready.ready).toBe(true);
+      expect(Object.keys(ready.checks)).toEqual(['scanner', 'signatures', 'uploads', 'queue']);
+
+      const notReady = await checkReadiness({ ...options, engine: clamavEngine('ClamAV 1.0.0') });
+      expect(notReady.ready).toBe(false);
+      expect(notReady.checks.signatures.status).toBe('fail');
+    });
+  });
+});
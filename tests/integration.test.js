@@ -6,7 +6,7 @@
 
 const request = require('supertest');
 const express = require('express');
-const { mockExec, mockUnlinkSync } = require('./setup');
+const { mockExec, mockUnlinkSync, MOCK_FILE_HASHES, MOCK_FILE_TYPE } = require('./setup');
 
 // Import the actual application
 const routes = require('../routes');
@@ -35,8 +35,12 @@ describe('Integration Tests', () => {
         .expect(200);
 
       expect(response.body).toEqual({
+        verdict: 'clean',
         clean: true,
-        rawOutput: 'File is clean - no threats detected'
+        threats: [],
+        hashes: MOCK_FILE_HASHES,
+        ...MOCK_FILE_TYPE,
+        cached: false
       });
 
       // Verify file cleanup
@@ -57,8 +61,17 @@ describe('Integration Tests', () => {
         .expect(200);
 
       expect(response.body).toEqual({
+        verdict: 'infected',
         clean: false,
-        rawOutput: 'test-file.txt: Eicar-Test-Signature FOUND'
+        threats: [{
+          signature: 'Eicar-Test-Signature',
+          category: 'test',
+          engine: 'clamscan',
+          file: 'test-file.txt'
+        }],
+        hashes: MOCK_FILE_HASHES,
+        ...MOCK_FILE_TYPE,
+        cached: false
       });
     });
 
@@ -244,25 +257,26 @@ describe('Integration Tests', () => {
   describe('ClamAV specific scenarios', () => {
     it('should handle ClamAV virus signatures correctly', async () => {
       const virusSignatures = [
-        'test.exe: Win.Trojan.Generic-12345 FOUND',
-        'malware.bin: Unix.Trojan.Generic-67890 FOUND',
-        'suspicious.js: JS.Trojan.Generic-11111 FOUND'
+        { output: 'test.exe: Win.Trojan.Generic-12345 FOUND', signature: 'Win.Trojan.Generic-12345', category: 'trojan' },
+        { output: 'malware.bin: Unix.Trojan.Generic-67890 FOUND', signature: 'Unix.Trojan.Generic-67890', category: 'trojan' },
+        { output: 'suspicious.js: PUA.Js.Miner.Generic-11111 FOUND', signature: 'PUA.Js.Miner.Generic-11111', category: 'pua' }
       ];
 
-      for (const signature of virusSignatures) {
+      for (const { output, signature, category } of virusSignatures) {
         mockExec.mockImplementation((command, callback) => {
           const error = new Error('Virus found');
           error.code = 1;
-          callback(error, signature, null);
+          callback(error, output, null);
         });
 
         const response = await request(app)
-          .post('/scan')
+          .post('/scan?rawOutput=true')
           .attach('file', Buffer.from('malicious content'), 'test.exe')
           .expect(200);
 
         expect(response.body.clean).toBe(false);
-        expect(response.body.rawOutput).toBe(signature);
+        expect(response.body.threats).toEqual([expect.objectContaining({ signature, category })]);
+        expect(response.body.rawOutput).toBe(output);
 
         // Clear mocks for next iteration
         jest.clearAllMocks();
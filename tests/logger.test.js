@@ -0,0 +1,122 @@
+/**
+ * Unit tests for lib/logger.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger, AuditLog, RotatingFile, createDestination } = require('../lib/logger');
+
+/**
+ * Destination that keeps the parsed lines
+ */
+function memoryDestination() {
+  const lines = [];
+  return { lines, write: (line) => lines.push(JSON.parse(line)) };
+}
+
+describe('Logging', () => {
+  describe('Logger', () => {
+    it('should write JSON lines at or above the level', () => {
+      const destination = memoryDestination();
+      const logger = new Logger({ level: 'warn', destination });
+
+      logger.info('Not written');
+      logger.warn('Cleanup failed', { error: Object.assign(new Error('EPERM: not permitted'), { code: 'EPERM' }) });
+
+      expect(destination.lines).toEqual([{
+        time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+        level: 'warn',
+        message: 'Cleanup failed',
+        error: { message: 'EPERM: not permitted', code: 'EPERM' }
+      }]);
+    });
+
+    it('should add child fields and follow the parent configuration', () => {
+      const destination = memoryDestination();
+      const logger = new Logger({ level: 'silent', destination });
+      const child = logger.child({ requestId: 'abc' });
+
+      child.error('Not written');
+      logger.configure({ level: 'debug' });
+      child.debug('Request completed', { status: 200 });
+
+      expect(destination.lines).toEqual([
+        expect.objectContaining({ level: 'debug', message: 'Request completed', requestId: 'abc', status: 200 })
+      ]);
+    });
+  });
+
+  describe('AuditLog', () => {
+    it('should write one record per event', () => {
+      const destination = memoryDestination();
+
+      new AuditLog(destination).record('scan', { filename: 'invoice.pdf', verdict: 'clean' });
+
+      expect(destination.lines).toEqual([
+        { time: expect.any(String), event: 'scan', filename: 'invoice.pdf', verdict: 'clean' }
+      ]);
+    });
+  });
+
+  describe('RotatingFile', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-logs-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should create the directory and append to an existing file', async () => {
+      const file = path.join(dir, 'logs', 'app.log');
+      fs.mkdirSync(path.dirname(file));
+      fs.writeFileSync(file, 'first\n');
+
+      const log = new RotatingFile({ file, maxSize: 1024, maxFiles: 2 });
+      log.write('second\n');
+      await log.close();
+
+      expect(fs.readFileSync(file, 'utf8')).toBe('first\nsecond\n');
+    });
+
+    it('should rotate when the file would exceed its size and keep maxFiles old files', async () => {
+      const file = path.join(dir, 'audit.log');
+      const log = new RotatingFile({ file, maxSize: 10, maxFiles: 2 });
+
+      ['one 1\n', 'two 2\n', 'three\n', 'four\n'].forEach((line) => log.write(line));
+      await log.close();
+
+      expect(fs.readdirSync(dir).sort()).toEqual(['audit.log', 'audit.log.1', 'audit.log.2']);
+      expect(fs.readFileSync(file, 'utf8')).toBe('four\n');
+      expect(fs.readFileSync(`${file}.1`, 'utf8')).toBe('three\n');
+      expect(fs.readFileSync(`${file}.2`, 'utf8')).toBe('two 2\n');
+    });
+
+    it('should keep every rotated file under its rotation time when maxFiles is 0', async () => {
+      const file = path.join(dir, 'audit.log');
+      const log = new RotatingFile({ file, maxSize: 10, maxFiles: 0 });
+
+      const lines = ['one 1\n', 'two 2\n', 'three\n', 'four\n', 'five\n'];
+      lines.forEach((line) => log.write(line));
+      await log.close();
+
+      const rotated = fs.readdirSync(dir).filter((name) => name !== 'audit.log');
+      expect(rotated).toHaveLength(3);
+      rotated.forEach((name) => expect(name).toMatch(/^audit\.log\.\d{8}T\d{9}Z(-\d+)?$/));
+
+      const kept = rotated.map((name) => fs.readFileSync(path.join(dir, name), 'utf8'));
+      expect(kept.sort()).toEqual(lines.slice(0, 3).sort());
+      expect(fs.readFileSync(file, 'utf8')).toBe('four\nfive\n');
+    });
+
+    it('should pass maxFiles 0 through to the file destination', async () => {
+      const log = createDestination({ output: 'file', file: path.join(dir, 'audit.log'), maxFiles: 0 });
+      await log.close();
+
+      expect(log.maxFiles).toBe(0);
+    });
+  });
+});
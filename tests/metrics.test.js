@@ -0,0 +1,83 @@
+/**
+ * Unit tests for lib/metrics.js
+ */
+
+const { Registry, createMetrics, signatureFamily } = require('../lib/metrics');
+
+describe('Metrics', () => {
+  describe('Registry', () => {
+    it('should render counters and gauges with their labels', () => {
+      const registry = new Registry();
+      const scans = registry.counter({ name: 'scans_total', help: 'Scans', labelNames: ['verdict'] });
+      const inFlight = registry.gauge({ name: 'in_flight', help: 'Running scans' });
+
+      scans.inc({ verdict: 'clean' });
+      scans.inc({ verdict: 'clean' });
+      scans.inc({ verdict: 'infected' }, 3);
+      inFlight.inc();
+      inFlight.inc();
+      inFlight.dec();
+
+      expect(registry.render()).toBe([
+        '# HELP scans_total Scans',
+        '# TYPE scans_total counter',
+        'scans_total{verdict="clean"} 2',
+        'scans_total{verdict="infected"} 3',
+        '# HELP in_flight Running scans',
+        '# TYPE in_flight gauge',
+        'in_flight 1',
+        ''
+      ].join('\n'));
+    });
+
+    it('should render cumulative histogram buckets', () => {
+      const registry = new Registry();
+      const size = registry.histogram({ name: 'size_bytes', help: 'Sizes', labelNames: ['engine'], buckets: [10, 100] });
+
+      size.observe({ engine: 'clamd' }, 5);
+      size.observe({ engine: 'clamd' }, 50);
+      size.observe({ engine: 'clamd' }, 500);
+
+      expect(registry.render()).toContain([
+        'size_bytes_bucket{engine="clamd",le="10"} 1',
+        'size_bytes_bucket{engine="clamd",le="100"} 2',
+        'size_bytes_bucket{engine="clamd",le="+Inf"} 3',
+        'size_bytes_sum{engine="clamd"} 555',
+        'size_bytes_count{engine="clamd"} 3'
+      ].join('\n'));
+    });
+
+    it('should escape label values', () => {
+      const registry = new Registry();
+      registry.counter({ name: 'detections_total', help: 'Detections', labelNames: ['family'] })
+        .inc({ family: 'Evil "quoted"\\family\nline' });
+
+      expect(registry.render()).toContain('detections_total{family="Evil \\"quoted\\"\\\\family\\nline"} 1');
+    });
+
+    it('should reject duplicate metric names', () => {
+      const registry = new Registry();
+      registry.counter({ name: 'scans_total', help: 'Scans' });
+
+      expect(() => registry.gauge({ name: 'scans_total', help: 'Scans' })).toThrow('already registered');
+    });
+  });
+
+  describe('createMetrics', () => {
+    it('should report unlabelled series before their first change', () => {
+      const output = createMetrics().registry.render();
+
+      expect(output).toContain('avscan_scans_in_flight 0');
+      expect(output).toContain('avscan_verdict_cache_hits_total 0');
+    });
+  });
+
+  describe('signatureFamily', () => {
+    it('should drop signature IDs and revisions', () => {
+      expect(signatureFamily('Win.Trojan.Agent-123456-0')).toBe('Win.Trojan.Agent');
+      expect(signatureFamily('Win.Test.EICAR_HDB-1')).toBe('Win.Test.EICAR_HDB');
+      expect(signatureFamily('Eicar-Test-Signature')).toBe('Eicar-Test-Signature');
+      expect(signatureFamily('W32/Sality.gen')).toBe('W32/Sality.gen');
+    });
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for lib/pdf-inspect.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { inspectPdf } = require('../lib/pdf-inspect');
+
+/**
+ * Build a PDF from object bodies (strings or Buffers); the cross-reference
+ * table is left out since inspection does not read it
+ */
+function buildPdf(objects, trailer = '') {
+  return Buffer.concat([
+    Buffer.from('%PDF-1.7\n'),
+    ...objects.map((body, index) => Buffer.concat([Buffer.from(`${index + 1} 0 obj\n`), Buffer.from(body), Buffer.from('\nendobj\n')])),
+    Buffer.from(`trailer\n<< /Root 1 0 R ${trailer}>>\n%%EOF\n`)
+  ]);
+}
+
+/**
+ * A Flate-compressed stream object
+ */
+function flateStream(content) {
+  const data = zlib.deflateSync(Buffer.from(content));
+  return Buffer.concat([
+    Buffer.from(`<< /Type /ObjStm /Length ${data.length} /Filter /FlateDecode >>\nstream\n`),
+    data,
+    Buffer.from('\nendstream')
+  ]);
+}
+
+describe('PDF inspection', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-pdf-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const inspect = (content, options) => {
+    const file = path.join(dir, 'document.pdf');
+    fs.writeFileSync(file, content);
+    return inspectPdf(file, options);
+  };
+
+  it('should report a plain document as neither scripted nor encrypted', async () => {
+    await expect(inspect(buildPdf(['<< /Type /Catalog /Pages 2 0 R >>', '<< /Type /Pages /Kids [] /Count 0 >>'])))
+      .resolves.toEqual({ javascript: false, encrypted: false });
+  });
+
+  it('should find JavaScript actions', async () => {
+    await expect(inspect(buildPdf(['<< /Type /Catalog /OpenAction 2 0 R >>', '<< /S /JavaScript /JS (app.alert(1)) >>'])))
+      .resolves.toEqual({ javascript: true, encrypted: false });
+  });
+
+  it('should decode escaped names', async () => {
+    const result = await inspect(buildPdf(['<< /Type /Catalog /OpenAction << /S /J#61vaScript /J#53 (x) >> >>']));
+    expect(result.javascript).toBe(true);
+  });
+
+  it('should not mistake longer names for JavaScript', async () => {
+    const result = await inspect(buildPdf(['<< /Type /Catalog /JSONData (x) /JavaScriptless true >>']));
+    expect(result.javascript).toBe(false);
+  });
+
+  it('should look into compressed object streams', async () => {
+    const result = await inspect(buildPdf([
+      '<< /Type /Catalog >>',
+      flateStream('3 0 << /S /JavaScript /JS (app.alert(1)) >>')
+    ]));
+    expect(result.javascript).toBe(true);
+  });
+
+  it('should skip streams that do not inflate', async () => {
+    const result = await inspect(buildPdf([
+      '<< /Length 5 /Filter /FlateDecode >>\nstream\nnot z\nendstream',
+      '<< /Type /Catalog >>'
+    ]));
+    expect(result).toEqual({ javascript: false, encrypted: false });
+  });
+
+  it('should find an encryption dictionary', async () => {
+    const result = await inspect(buildPdf(['<< /Type /Catalog >>', '<< /Filter /Standard /V 2 /R 3 >>'], '/Encrypt 2 0 R '));
+    expect(result).toEqual({ javascript: false, encrypted: true });
+  });
+
+  it('should only read up to maxSize bytes', async () => {
+    const content = Buffer.concat([buildPdf(['<< /Type /Catalog >>']), Buffer.alloc(1024, ' '), Buffer.from('<< /JS (x) >>')]);
+    await expect(inspect(content, { maxSize: 512 })).resolves.toEqual({ javascript: false, encrypted: false });
+    await expect(inspect(content)).resolves.toEqual({ javascript: true, encrypted: false });
+  });
+
+  it('should reject files that cannot be read', async () => {
+    await expect(inspectPdf(path.join(dir, 'missing.pdf'))).rejects.toThrow('ENOENT');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit tests for lib/process-runner.js
+ *
+ * Runs real node processes rather than mocking child_process.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProcessRunner } = require('../lib/process-runner');
+
+/**
+ * Run a node script with the runner
+ */
+function runNode(runner, script, args = [], options) {
+  return runner.run(process.execPath, ['-e', script, ...args], options);
+}
+
+/**
+ * Whether a process is still alive; zombies waiting to be reaped count as exited
+ */
+function isRunning(pid) {
+  try {
+    return fs.readFileSync(`/proc/${pid}/stat`, 'utf8').split(') ')[1][0] !== 'Z';
+  } catch (error) {
+    return false;
+  }
+}
+
+async function waitFor(condition) {
+  while (!condition()) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe('ProcessRunner', () => {
+  it('should pass arguments as they are, without a shell', async () => {
+    const runner = new ProcessRunner();
+    const args = ['/uploads/it\'s here.txt', '$(touch /tmp/pwned)', '"; exit 1'];
+
+    const result = await runNode(runner, 'process.stdout.write(JSON.stringify(process.argv.slice(1)))', args);
+
+    expect(result.error).toBeNull();
+    expect(JSON.parse(result.stdout)).toEqual(args);
+    expect(result).toEqual(expect.objectContaining({ exitCode: 0, signal: null, truncated: false }));
+    expect(result.durationMs).toBeGreaterThan(0);
+  });
+
+  it('should report the exit code and stderr', async () => {
+    const result = await runNode(new ProcessRunner(), 'console.error("Can\'t open file"); process.exit(2)');
+
+    expect(result.error.code).toBe(2);
+    expect(result.exitCode).toBe(2);
+    expect(result.stderr).toBe('Can\'t open file\n');
+  });
+
+  it('should report a process killed by a signal as an error without an exit code', async () => {
+    const result = await runNode(new ProcessRunner(), 'process.kill(process.pid, "SIGTERM")');
+
+    expect(result.signal).toBe('SIGTERM');
+    expect(result.error.code).toBeNull();
+    expect(result.error.message).toMatch(/was killed by SIGTERM$/);
+  });
+
+  it('should report executables that cannot be started', async () => {
+    const result = await new ProcessRunner().run('/nonexistent/scanner', ['--version']);
+
+    expect(result.error.code).toBe('ENOENT');
+  });
+
+  it('should pass only a minimal environment plus the configured variables', async () => {
+    process.env.AVSCAN_TEST_SECRET = 'hunter2';
+    process.env.AVSCAN_TEST_LICENSE = 'ABC-123';
+    const script = 'process.stdout.write(JSON.stringify(process.env))';
+
+    try {
+      const minimal = JSON.parse((await runNode(new ProcessRunner(), script)).stdout);
+      const configured = JSON.parse((await runNode(new ProcessRunner({ env: ['AVSCAN_TEST_LICENSE'] }), script)).stdout);
+
+      expect(minimal.PATH).toBe(process.env.PATH);
+      expect(minimal.AVSCAN_TEST_SECRET).toBeUndefined();
+      expect(configured.AVSCAN_TEST_LICENSE).toBe('ABC-123');
+      expect(configured.AVSCAN_TEST_SECRET).toBeUndefined();
+    } finally {
+      delete process.env.AVSCAN_TEST_SECRET;
+      delete process.env.AVSCAN_TEST_LICENSE;
+    }
+  });
+
+  it('should keep the start of output beyond maxOutput', async () => {
+    const runner = new ProcessRunner({ maxOutput: 1024 });
+
+    const result = await runNode(runner, 'process.stdout.write("a".repeat(100000)); process.stderr.write("short")');
+
+    expect(result.stdout).toBe('a'.repeat(1024));
+    expect(result.stderr).toBe('short');
+    expect(result.truncated).toBe(true);
+  });
+
+  it('should run at most maxProcesses at once', async () => {
+    const runner = new ProcessRunner({ maxProcesses: 1 });
+
+    const first = runNode(runner, 'setTimeout(() => {}, 100)');
+    const second = runNode(runner, 'process.stdout.write("second")');
+
+    expect(runner.stats()).toEqual({ running: 1, waiting: 1, maxProcesses: 1 });
+    expect((await first).error).toBeNull();
+    expect((await second).stdout).toBe('second');
+    expect(runner.stats()).toEqual({ running: 0, waiting: 0, maxProcesses: 1 });
+  });
+
+  it('should stop waiting for a slot when aborted', async () => {
+    const runner = new ProcessRunner({ maxProcesses: 1 });
+    const controller = new AbortController();
+    const reason = new Error('The client disconnected');
+
+    const first = runNode(runner, 'setTimeout(() => {}, 100)');
+    const second = runNode(runner, 'process.exit(0)', [], { signal: controller.signal });
+    controller.abort(reason);
+
+    expect((await second).error).toBe(reason);
+    expect(runner.stats().waiting).toBe(0);
+    await first;
+  });
+
+  (process.platform === 'linux' ? it : it.skip)('should kill the process and everything it started when aborted', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-runner-'));
+    const pidFile = path.join(dir, 'pid');
+    const script = [
+      'const child = require("child_process").spawn(process.execPath, ["-e", "setTimeout(() => {}, 30000)"], { stdio: "ignore" });',
+      `require("fs").writeFileSync(${JSON.stringify(pidFile)}, String(child.pid));`,
+      'setTimeout(() => {}, 30000);'
+    ].join('\n');
+    const runner = new ProcessRunner();
+    const controller = new AbortController();
+    const reason = new Error('Timed out');
+
+    try {
+      const run = runNode(runner, script, [], { signal: controller.signal });
+      await waitFor(() => fs.existsSync(pidFile) && fs.readFileSync(pidFile, 'utf8') !== '');
+      const grandchild = parseInt(fs.readFileSync(pidFile, 'utf8'), 10);
+
+      controller.abort(reason);
+
+      expect((await run).error).toBe(reason);
+      expect(runner.stats().running).toBe(0);
+      await waitFor(() => !isRunning(grandchild));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }, 10000);
+});
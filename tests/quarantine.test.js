@@ -0,0 +1,81 @@
+/**
+ * Unit tests for lib/quarantine.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Quarantine, serializeItem } = require('../lib/quarantine');
+
+const DAY = 24 * 60 * 60 * 1000;
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+/**
+ * Read a stream to a string
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+describe('Quarantine', () => {
+  let dir;
+  let upload;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-quarantine-'));
+    upload = path.join(dir, 'upload');
+    fs.writeFileSync(upload, EICAR);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should store files encrypted with their metadata', async () => {
+    const quarantine = new Quarantine({ dir: path.join(dir, 'store'), key: 'secret', retentionDays: 30 });
+
+    const item = await quarantine.add(upload, { filename: 'eicar.com', signatures: ['Win.Test.EICAR_HDB-1'] });
+
+    expect(serializeItem(item)).toEqual({
+      id: expect.stringMatching(/^[0-9a-f-]{36}$/),
+      filename: 'eicar.com',
+      signatures: ['Win.Test.EICAR_HDB-1'],
+      quarantinedAt: expect.any(String),
+      expiresAt: new Date(Date.parse(item.quarantinedAt) + 30 * DAY).toISOString()
+    });
+    expect(fs.readFileSync(path.join(dir, 'store', `${item.id}.bin`), 'utf8')).not.toContain('EICAR');
+    await expect(readAll(quarantine.createReadStream(item.id))).resolves.toBe(EICAR);
+    expect(fs.existsSync(upload)).toBe(true);
+  });
+
+  it('should load existing items and refuse to decrypt them with another key', async () => {
+    const store = path.join(dir, 'store');
+    const { id } = await new Quarantine({ dir: store, key: 'secret', retentionDays: 30 }).add(upload, { filename: 'eicar.com' });
+
+    const reopened = new Quarantine({ dir: store, key: 'secret', retentionDays: 30 });
+    expect(reopened.list().map((item) => item.id)).toEqual([id]);
+    await expect(readAll(reopened.createReadStream(id))).resolves.toBe(EICAR);
+
+    const wrongKey = new Quarantine({ dir: store, key: 'other', retentionDays: 30 });
+    await expect(readAll(wrongKey.createReadStream(id))).rejects.toThrow(/authenticate/);
+  });
+
+  it('should remove items and purge expired ones', async () => {
+    const store = path.join(dir, 'store');
+    const quarantine = new Quarantine({ dir: store, key: 'secret', retentionDays: 1 });
+    const first = await quarantine.add(upload, { filename: 'one.exe' });
+    const second = await quarantine.add(upload, { filename: 'two.exe' });
+
+    await expect(quarantine.remove(first.id)).resolves.toMatchObject({ filename: 'one.exe' });
+    await expect(quarantine.remove(first.id)).resolves.toBeNull();
+
+    await expect(quarantine.purgeExpired(Date.now() + DAY / 2)).resolves.toEqual([]);
+    await expect(quarantine.purgeExpired(Date.now() + DAY)).resolves.toEqual([second]);
+    expect(quarantine.get(second.id)).toBeNull();
+    expect(fs.readdirSync(store)).toEqual([]);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for lib/rate-limit.js
+ */
+
+const { RateLimiter, MemoryStore, RedisStore, parseTrustedProxies, clientAddress } = require('../lib/rate-limit');
+const { createFakeRedis } = require('./fake-redis');
+
+describe('Rate limiting', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('RateLimiter', () => {
+    it('should allow up to the limit per window and key', async () => {
+      const limiter = new RateLimiter({ store: new MemoryStore(), name: 'scan', limit: 2, windowMs: 1000 });
+
+      expect((await limiter.hit('ip:a')).remaining).toBe(1);
+      expect((await limiter.hit('ip:a')).allowed).toBe(true);
+
+      const blocked = await limiter.hit('ip:a');
+      expect(blocked).toEqual(expect.objectContaining({ allowed: false, limit: 2, remaining: 0 }));
+      expect((await limiter.hit('ip:b')).allowed).toBe(true);
+    });
+
+    it('should start a new window once the old one ends', async () => {
+      jest.useFakeTimers({ now: 0 });
+      const limiter = new RateLimiter({ store: new MemoryStore(), name: 'scan', limit: 1, windowMs: 1000 });
+
+      expect((await limiter.hit('ip:a')).resetAt).toBe(1000);
+      expect((await limiter.hit('ip:a')).allowed).toBe(false);
+
+      jest.setSystemTime(1000);
+      expect((await limiter.hit('ip:a')).allowed).toBe(true);
+    });
+
+    it('should keep the budgets of different limiters apart', async () => {
+      const store = new MemoryStore();
+      const scan = new RateLimiter({ store, name: 'scan', limit: 1 });
+      const read = new RateLimiter({ store, name: 'read', limit: 1 });
+
+      await scan.hit('ip:a');
+      expect((await read.hit('ip:a')).allowed).toBe(true);
+    });
+  });
+
+  describe('RedisStore', () => {
+    let server;
+    let store;
+
+    beforeEach(async () => {
+      server = createFakeRedis();
+      store = new RedisStore({ url: `redis://127.0.0.1:${await server.listen()}` });
+    });
+
+    afterEach(async () => {
+      store.client.close();
+      await server.close();
+    });
+
+    it('should share counters between limiters using the same server', async () => {
+      const other = new RedisStore({ client: store.client });
+      const first = new RateLimiter({ store, name: 'scan', limit: 2, windowMs: 60000 });
+      const second = new RateLimiter({ store: other, name: 'scan', limit: 2, windowMs: 60000 });
+
+      await first.hit('key:1');
+      await second.hit('key:1');
+      const result = await first.hit('key:1');
+
+      expect(result.allowed).toBe(false);
+      expect(result.resetAt - Date.now()).toBeGreaterThan(59000);
+      expect(server.stats.commands[0]).toEqual(['EVAL', expect.stringContaining('INCR'), '1', 'avscan:ratelimit:scan:key:1', '60000']);
+    });
+  });
+
+  describe('clientAddress', () => {
+    const proxies = parseTrustedProxies(['10.0.0.0/8', '192.168.1.5']);
+    const fakeRequest = (remoteAddress, forwardedFor) => ({
+      socket: { remoteAddress },
+      get: (name) => (name === 'X-Forwarded-For' ? forwardedFor : undefined)
+    });
+
+    it('should ignore X-Forwarded-For from untrusted peers', () => {
+      expect(clientAddress(fakeRequest('203.0.113.9', '198.51.100.1'), proxies)).toBe('203.0.113.9');
+    });
+
+    it('should skip trusted proxies from the right', () => {
+      // The client claims to be 1.2.3.4; only the hop added by the proxy counts
+      const req = fakeRequest('::ffff:10.0.0.2', '1.2.3.4, 198.51.100.7, 192.168.1.5');
+
+      expect(clientAddress(req, proxies)).toBe('198.51.100.7');
+    });
+
+    it('should use the proxy address when there is no header', () => {
+      expect(clientAddress(fakeRequest('10.0.0.2'), proxies)).toBe('10.0.0.2');
+    });
+
+    it('should reject invalid proxy entries', () => {
+      expect(() => parseTrustedProxies(['not-an-ip'])).toThrow('Invalid trusted proxy "not-an-ip"');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit tests for lib/redis.js
+ */
+
+const { RedisClient, RedisReplyError, encodeCommand, parseReply } = require('../lib/redis');
+const { createFakeRedis } = require('./fake-redis');
+
+describe('Redis client', () => {
+  describe('protocol', () => {
+    it('should encode commands as arrays of bulk strings', () => {
+      expect(encodeCommand(['SET', 'key', 42]).toString()).toBe('*3\r\n$3\r\nSET\r\n$3\r\nkey\r\n$2\r\n42\r\n');
+    });
+
+    it('should parse every reply type', () => {
+      expect(parseReply(Buffer.from('+OK\r\n')).value).toBe('OK');
+      expect(parseReply(Buffer.from(':12\r\n')).value).toBe(12);
+      expect(parseReply(Buffer.from('$5\r\nhello\r\n')).value).toBe('hello');
+      expect(parseReply(Buffer.from('$-1\r\n')).value).toBeNull();
+      expect(parseReply(Buffer.from('*2\r\n:1\r\n$1\r\na\r\n')).value).toEqual([1, 'a']);
+      expect(parseReply(Buffer.from('-ERR bad\r\n')).value).toBeInstanceOf(RedisReplyError);
+    });
+
+    it('should wait for incomplete replies', () => {
+      expect(parseReply(Buffer.from('$5\r\nhel'))).toBeNull();
+      expect(parseReply(Buffer.from('*2\r\n:1\r\n'))).toBeNull();
+      expect(parseReply(Buffer.from(':1'))).toBeNull();
+    });
+  });
+
+  describe('RedisClient', () => {
+    let server;
+    let port;
+    let client;
+
+    beforeEach(async () => {
+      server = createFakeRedis({ password: 'secret' });
+      port = await server.listen();
+    });
+
+    afterEach(async () => {
+      client.close();
+      await server.close();
+    });
+
+    it('should authenticate and select the database from the URL', async () => {
+      client = new RedisClient({ url: `redis://:secret@127.0.0.1:${port}/2` });
+
+      await expect(client.command(['PING'])).resolves.toBe('PONG');
+      expect(server.stats.commands).toEqual([['AUTH', 'secret'], ['SELECT', '2'], ['PING']]);
+    });
+
+    it('should reject error replies', async () => {
+      client = new RedisClient({ url: `redis://127.0.0.1:${port}` });
+
+      await expect(client.command(['PING'])).rejects.toThrow('NOAUTH Authentication required');
+    });
+
+    it('should pipeline commands and reconnect after the connection drops', async () => {
+      client = new RedisClient({ url: `redis://:secret@127.0.0.1:${port}` });
+
+      await expect(Promise.all([client.command(['PING']), client.command(['PING'])])).resolves.toEqual(['PONG', 'PONG']);
+
+      const closed = new Promise((resolve) => client.socket.once('close', resolve));
+      server.dropConnections();
+      await closed;
+
+      await expect(client.command(['PING'])).resolves.toBe('PONG');
+    });
+
+    it('should fail when the server cannot be reached', async () => {
+      await server.close();
+      client = new RedisClient({ url: `redis://127.0.0.1:${port}` });
+
+      await expect(client.command(['PING'])).rejects.toThrow('Redis connection closed');
+    });
+  });
+});
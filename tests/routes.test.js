@@ -6,7 +6,7 @@
 
 const request = require('supertest');
 const express = require('express');
-const { mockExec, mockUnlinkSync } = require('./setup');
+const { mockExec, mockUnlinkSync, MOCK_FILE_HASHES, MOCK_FILE_TYPE } = require('./setup');
 
 // Import routes
 const routes = require('../routes');
@@ -15,6 +15,49 @@ const routes = require('../routes');
 const app = express();
 app.use('/', routes);
 
+// fs.readSync mock that reads the start of a Windows executable
+const exeHeader = (fd, buffer) => buffer.write('MZ\x90\x00', 0, 'latin1');
+
+/**
+ * Build an app around a fresh copy of routes.js, loaded with the given
+ * environment variables (restored afterwards) and module mocks
+ * @param {Object} [env] - Environment variables read while routes.js loads
+ * @param {Object} [options] - Module options
+ * @param {Object} [options.mocks] - Module factories by path, as for jest.doMock()
+ * @param {Function} [options.loaded] - Called with require() for the same module registry
+ * @returns {express.Application}
+ */
+function createApp(env = {}, { mocks = {}, loaded } = {}) {
+  const saved = {};
+  Object.keys(env).forEach((name) => {
+    saved[name] = process.env[name];
+    process.env[name] = env[name];
+  });
+
+  let isolatedApp;
+  try {
+    jest.isolateModules(() => {
+      Object.keys(mocks).forEach((name) => jest.doMock(name, mocks[name]));
+      isolatedApp = express();
+      isolatedApp.use('/', require('../routes'));
+      if (loaded) {
+        loaded(require);
+      }
+    });
+  } finally {
+    Object.keys(mocks).forEach((name) => jest.dontMock(name));
+    Object.keys(saved).forEach((name) => {
+      if (saved[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = saved[name];
+      }
+    });
+  }
+
+  return isolatedApp;
+}
+
 describe('Routes', () => {
   beforeEach(() => {
     // Clear all mocks before each test
@@ -51,6 +94,213 @@ describe('Routes', () => {
     });
   });
 
+  describe('Health probes', () => {
+    const fs = require('fs');
+
+    it('should report liveness without running the scanner', async () => {
+      const response = await request(app).get('/health/live').expect(200);
+
+      expect(response.body.status).toBe('alive');
+      expect(mockExec).not.toHaveBeenCalled();
+    });
+
+    it('should be ready when every check passes', async () => {
+      const built = new Date(Date.now() - 60 * 60 * 1000).toString().slice(0, 24);
+      mockExec.mockImplementation((command, callback) => {
+        callback(null, `ClamAV 1.0.0/27000/${built}\n`, '');
+      });
+
+      const response = await request(app).get('/health/ready').expect(200);
+
+      expect(response.body.status).toBe('ready');
+      expect(response.body.checks.scanner).toEqual({
+        status: 'pass',
+        engine: 'clamscan',
+        version: `ClamAV 1.0.0/27000/${built}`
+      });
+      expect(response.body.checks.signatures).toMatchObject({ status: 'pass', version: '27000' });
+      expect(response.body.checks.uploads).toEqual({ status: 'pass' });
+      expect(response.body.checks.queue).toMatchObject({ status: 'pass', queued: 0, maxQueued: 100 });
+    });
+
+    it('should not be ready without a signature database or a writable upload directory', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        callback(null, 'ClamAV 1.0.0\n', '');
+      });
+      fs.promises.access.mockRejectedValueOnce(Object.assign(new Error('read-only file system'), { code: 'EROFS' }));
+
+      const response = await request(app).get('/health/ready').expect(503);
+
+      expect(response.body.status).toBe('not_ready');
+      expect(response.body.checks.scanner.status).toBe('pass');
+      expect(response.body.checks.signatures).toEqual({ status: 'fail', error: 'No signature database is loaded' });
+      expect(response.body.checks.uploads).toEqual({ status: 'fail', error: 'Upload directory is not writable (EROFS)' });
+    });
+
+    it('should not be ready when the scanner is missing', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        callback(Object.assign(new Error('Command failed'), { code: 127 }), '', 'clamscan: not found');
+      });
+
+      const response = await request(app).get('/health/ready').expect(503);
+
+      expect(response.body.checks.scanner).toEqual({ status: 'fail', engine: 'clamscan', error: 'clamscan: not found' });
+      expect(response.body.checks.signatures.status).toBe('fail');
+    });
+
+    it('should not be ready when a check throws', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        callback(null, 'ClamAV 1.0.0\n', '');
+      });
+      const { ScanQueue } = require('../lib/scan-queue');
+      const stats = jest.spyOn(ScanQueue.prototype, 'stats').mockImplementation(() => {
+        throw new Error('Queue is closed');
+      });
+
+      try {
+        const response = await request(app).get('/health/ready').expect(503);
+
+        expect(response.body).toEqual({ status: 'not_ready', error: 'Queue is closed' });
+      } finally {
+        stats.mockRestore();
+      }
+    });
+  });
+
+  describe('GET /metrics', () => {
+    let metricsApp;
+
+    beforeAll(() => {
+      metricsApp = createApp();
+    });
+
+    it('should count scans, detections and scanner errors', async () => {
+      mockExec.mockImplementationOnce((command, callback) => {
+        callback(Object.assign(new Error('Command failed'), { code: 1 }), '/tmp/mock-file-path: Win.Test.EICAR_HDB-1 FOUND', '');
+      });
+      await request(metricsApp).post('/scan').attach('file', Buffer.from('test content'), 'test.txt').expect(200);
+
+      mockExec.mockImplementationOnce((command, callback) => {
+        callback(Object.assign(new Error('Command failed'), { code: 2 }), '', 'Can\'t open file');
+      });
+      await request(metricsApp).post('/scan').attach('file', Buffer.from('test content'), 'test.txt').expect(500);
+
+      const response = await request(metricsApp).get('/metrics').expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+      expect(response.text).toContain('avscan_scans_total{engine="clamscan",verdict="infected"} 1');
+      expect(response.text).toContain('avscan_scans_total{engine="clamscan",verdict="error"} 1');
+      expect(response.text).toContain('avscan_detections_total{engine="clamscan",family="Win.Test.EICAR_HDB",category="test"} 1');
+      expect(response.text).toContain('avscan_scanner_errors_total{engine="clamscan",exit_code="2"} 1');
+      expect(response.text).toContain('avscan_upload_size_bytes_count 2');
+      expect(response.text).toContain('avscan_scan_duration_seconds_count{engine="clamscan"} 2');
+      expect(response.text).toContain('avscan_scans_in_flight 0');
+    });
+
+    it('should count scans answered from the verdict cache', async () => {
+      const cacheApp = createApp({ VERDICT_CACHE: 'true' });
+      mockExec.mockImplementation((command, callback) => {
+        if (command.endsWith('--version')) {
+          return callback(null, 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024\n', '');
+        }
+        callback(Object.assign(new Error('Command failed'), { code: 1 }), '/tmp/mock-file-path: Win.Test.EICAR_HDB-1 FOUND', '');
+      });
+
+      await request(cacheApp).post('/scan').attach('file', Buffer.from('test content'), 'test.txt').expect(200);
+      const second = await request(cacheApp).post('/scan').attach('file', Buffer.from('test content'), 'test.txt').expect(200);
+      expect(second.body.cached).toBe(true);
+
+      const response = await request(cacheApp).get('/metrics').expect(200);
+
+      expect(response.text).toContain('avscan_verdict_cache_hits_total 1');
+      expect(response.text).toContain('avscan_scans_total{engine="clamscan",verdict="infected"} 2');
+      expect(response.text).toContain('avscan_detections_total{engine="clamscan",family="Win.Test.EICAR_HDB",category="test"} 2');
+      // Only the scan that ran is timed
+      expect(response.text).toContain('avscan_scan_duration_seconds_count{engine="clamscan"} 1');
+    });
+
+    it('should count HTTP requests by route pattern', async () => {
+      await request(metricsApp).get('/scans/abc123').expect(404);
+      await request(metricsApp).get('/scans/def456').expect(404);
+      await request(metricsApp).get('/no-such-route').expect(404);
+
+      const response = await request(metricsApp).get('/metrics').expect(200);
+
+      expect(response.text).toContain('avscan_http_requests_total{method="GET",route="/scans/:id",status="404"} 2');
+      expect(response.text).toContain('avscan_http_requests_total{method="GET",route="unmatched",status="404"} 1');
+      expect(response.text).toContain('avscan_http_request_duration_seconds_count{method="GET",route="/scans/:id"} 2');
+    });
+  });
+
+  describe('Request IDs and audit log', () => {
+    let auditApp;
+    let stdout;
+
+    beforeAll(() => {
+      auditApp = createApp({ AUDIT_LOG: 'true', AUDIT_LOG_OUTPUT: 'stdout' });
+    });
+
+    beforeEach(() => {
+      stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    });
+
+    afterEach(() => {
+      stdout.mockRestore();
+    });
+
+    const auditRecords = () => stdout.mock.calls
+      .map(([line]) => JSON.parse(line))
+      .filter((record) => record.event === 'scan');
+
+    it('should return the request ID sent by the client or generate one', async () => {
+      const sent = await request(auditApp).get('/').set('X-Request-ID', 'trace-1234.abc').expect(200);
+      expect(sent.headers['x-request-id']).toBe('trace-1234.abc');
+
+      const generated = await request(auditApp).get('/').set('X-Request-ID', 'not a valid id').expect(200);
+      expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    it('should record every scan with its caller, file and verdict', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        callback(Object.assign(new Error('Command failed'), { code: 1 }), '/tmp/mock-file-path: Win.Test.EICAR_HDB-1 FOUND', '');
+      });
+
+      const response = await request(auditApp)
+        .post('/scan')
+        .set('X-Request-ID', 'scan-request-1')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(200);
+
+      expect(response.headers['x-request-id']).toBe('scan-request-1');
+      expect(auditRecords()).toEqual([{
+        time: expect.any(String),
+        event: 'scan',
+        requestId: 'scan-request-1',
+        endpoint: 'POST /scan',
+        caller: { keyId: null, keyName: null, address: expect.any(String) },
+        filename: 'test-file.txt',
+        size: 1024,
+        hashes: MOCK_FILE_HASHES,
+        verdict: 'infected',
+        signatures: ['Win.Test.EICAR_HDB-1'],
+        cached: false,
+        detectedType: 'application/x-empty',
+        typeMismatch: false,
+        durationMs: expect.any(Number)
+      }]);
+    });
+
+    it('should record failed scans with the error', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        callback(Object.assign(new Error('Command failed'), { code: 2 }), '', 'Can\'t open file');
+      });
+
+      await request(auditApp).post('/scan').attach('file', Buffer.from('test content'), 'test.txt').expect(500);
+
+      expect(auditRecords()).toEqual([expect.objectContaining({ verdict: 'error', error: 'Can\'t open file', signatures: [] })]);
+    });
+  });
+
   describe('POST /scan', () => {
     it('should return 400 when no file is provided', async () => {
       const response = await request(app)
@@ -85,6 +335,22 @@ describe('Routes', () => {
       expect(mockUnlinkSync).toHaveBeenCalled();
     });
 
+    it('should not report a scanner killed by a signal as clean', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        callback(Object.assign(new Error('Killed'), { signal: 'SIGSEGV' }), '', '');
+      });
+
+      const response = await request(app)
+        .post('/scan')
+        .attach('file', Buffer.from('test file content'), 'test.txt')
+        .expect(500);
+
+      expect(response.body).toEqual({
+        error: 'Scan failed',
+        details: 'clamscan was killed by SIGSEGV'
+      });
+    });
+
     it('should return clean result when no viruses are found', async () => {
       // Mock exec to simulate clean scan (no error, no output)
       mockExec.mockImplementation((command, callback) => {
@@ -97,8 +363,12 @@ describe('Routes', () => {
         .expect(200);
 
       expect(response.body).toEqual({
+        verdict: 'clean',
         clean: true,
-        rawOutput: 'File is clean - no threats detected'
+        threats: [],
+        hashes: MOCK_FILE_HASHES,
+        ...MOCK_FILE_TYPE,
+        cached: false
       });
 
       // Verify file cleanup was called
@@ -119,8 +389,17 @@ describe('Routes', () => {
         .expect(200);
 
       expect(response.body).toEqual({
+        verdict: 'infected',
         clean: false,
-        rawOutput: 'test.txt: Eicar-Test-Signature FOUND'
+        threats: [{
+          signature: 'Eicar-Test-Signature',
+          category: 'test',
+          engine: 'clamscan',
+          file: 'test.txt'
+        }],
+        hashes: MOCK_FILE_HASHES,
+        ...MOCK_FILE_TYPE,
+        cached: false
       });
 
       // Verify file cleanup was called
@@ -226,69 +505,2433 @@ describe('Routes', () => {
         .expect(200);
 
       expect(response.body).toEqual({
+        verdict: 'infected',
         clean: false,
-        rawOutput: 'test.exe: Win.Trojan.Generic-12345 FOUND'
+        threats: [{
+          signature: 'Win.Trojan.Generic-12345',
+          category: 'trojan',
+          engine: 'clamscan',
+          file: 'test.exe'
+        }],
+        hashes: MOCK_FILE_HASHES,
+        ...MOCK_FILE_TYPE,
+        cached: false
+      });
+    });
+
+    it('should map the temporary upload path back to the original filename', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        const error = new Error('Virus found');
+        error.code = 1;
+        callback(error, '/tmp/mock-file-path: Win.Test.EICAR_HDB-1 FOUND', null);
+      });
+
+      const response = await request(app)
+        .post('/scan')
+        .attach('file', Buffer.from('malicious content'), 'test-file.txt')
+        .expect(200);
+
+      expect(response.body.threats[0].file).toBe('test-file.txt');
+      expect(JSON.stringify(response.body)).not.toContain('/tmp/mock-file-path');
+    });
+
+    it('should include raw output only when requested', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        const error = new Error('Virus found');
+        error.code = 1;
+        callback(error, '/tmp/mock-file-path: Win.Test.EICAR_HDB-1 FOUND', null);
+      });
+
+      const response = await request(app)
+        .post('/scan?rawOutput=true')
+        .attach('file', Buffer.from('malicious content'), 'test-file.txt')
+        .expect(200);
+
+      expect(response.body.rawOutput).toBe('test-file.txt: Win.Test.EICAR_HDB-1 FOUND');
+    });
+
+    it('should report the default message as raw output for clean files', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        callback(null, '', null);
+      });
+
+      const response = await request(app)
+        .post('/scan?rawOutput=1')
+        .attach('file', Buffer.from('clean content'), 'clean.txt')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        verdict: 'clean',
+        clean: true,
+        threats: [],
+        rawOutput: 'File is clean - no threats detected',
+        hashes: MOCK_FILE_HASHES,
+        ...MOCK_FILE_TYPE,
+        cached: false
       });
     });
   });
 
-  describe('Error handling', () => {
-    it('should handle file system errors during cleanup', async () => {
-      // Mock exec to simulate successful scan
+  describe('POST /scan/batch', () => {
+    it('should return 400 when no files are provided', async () => {
+      const response = await request(app)
+        .post('/scan/batch')
+        .expect(400);
+
+      expect(response.body.error).toBe('No files provided');
+    });
+
+    it('should return a verdict per file keyed by original filename', async () => {
       mockExec.mockImplementation((command, callback) => {
+        if (command.includes('mock-file-path-1')) {
+          const error = new Error('Virus found');
+          error.code = 1;
+          return callback(error, '/tmp/mock-file-path-1: Win.Test.EICAR_HDB-1 FOUND', null);
+        }
         callback(null, '', null);
       });
 
-      // Mock unlinkSync to throw error
-      mockUnlinkSync.mockImplementation(() => {
-        throw new Error('File not found');
+      const response = await request(app)
+        .post('/scan/batch')
+        .attach('files', Buffer.from('clean content'), 'clean.txt')
+        .attach('files', Buffer.from('malicious content'), 'eicar.com')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        allClean: false,
+        summary: { total: 2, clean: 1, infected: 1, blocked: 0, limitsExceeded: 0, failed: 0 },
+        results: {
+          'clean.txt': {
+            verdict: 'clean',
+            clean: true,
+            threats: [],
+            hashes: MOCK_FILE_HASHES,
+            detectedType: 'application/x-empty',
+            declaredType: 'text/plain',
+            typeMismatch: false,
+            cached: false
+          },
+          'eicar.com': {
+            verdict: 'infected',
+            clean: false,
+            threats: [{ signature: 'Win.Test.EICAR_HDB-1', category: 'test', engine: 'clamscan', file: 'eicar.com' }],
+            hashes: MOCK_FILE_HASHES,
+            detectedType: 'application/x-empty',
+            declaredType: null,
+            typeMismatch: false,
+            cached: false
+          }
+        }
+      });
+    });
+
+    it('should report allClean when every file is clean', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        callback(null, '', null);
       });
 
       const response = await request(app)
-        .post('/scan')
-        .attach('file', Buffer.from('test content'), 'test.txt')
+        .post('/scan/batch')
+        .attach('files', Buffer.from('one'), 'one.txt')
+        .attach('files', Buffer.from('two'), 'two.txt')
         .expect(200);
 
-      // Should still return scan results even if cleanup fails
-      expect(response.body.clean).toBe(true);
+      expect(response.body.allClean).toBe(true);
     });
 
-    it('should handle ClamAV database errors', async () => {
-      // Mock exec to simulate ClamAV database error
+    it('should number repeated filenames', async () => {
       mockExec.mockImplementation((command, callback) => {
-        const error = new Error('Database error');
-        error.code = 2;
-        callback(error, null, 'ERROR: Can\'t access database directory');
+        callback(null, '', null);
       });
 
       const response = await request(app)
-        .post('/scan')
+        .post('/scan/batch')
+        .attach('files', Buffer.from('one'), 'report.pdf')
+        .attach('files', Buffer.from('two'), 'report.pdf')
+        .expect(200);
+
+      expect(Object.keys(response.body.results)).toEqual(['report.pdf', 'report.pdf (2)']);
+    });
+
+    it('should clean up every file even when some scans fail', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        if (command.includes('mock-file-path-0')) {
+          const error = new Error('Scanner failed');
+          error.code = 2;
+          return callback(error, null, 'ERROR: Can\'t access file');
+        }
+        callback(null, '', null);
+      });
+
+      const response = await request(app)
+        .post('/scan/batch')
+        .attach('files', Buffer.from('one'), 'one.txt')
+        .attach('files', Buffer.from('two'), 'two.txt')
+        .attach('files', Buffer.from('three'), 'three.txt')
+        .expect(200);
+
+      expect(response.body.allClean).toBe(false);
+      expect(response.body.summary).toEqual({ total: 3, clean: 2, infected: 0, blocked: 0, limitsExceeded: 0, failed: 1 });
+      expect(response.body.results['one.txt']).toEqual({ error: 'Scan failed', details: 'ERROR: Can\'t access file' });
+      expect(mockUnlinkSync).toHaveBeenCalledTimes(3);
+    });
+
+    it('should reject batches with too many files', async () => {
+      const batch = request(app).post('/scan/batch');
+      for (let i = 0; i < 21; i++) {
+        batch.attach('files', Buffer.from(`file ${i}`), `file-${i}.txt`);
+      }
+
+      const response = await batch.expect(400);
+
+      expect(response.body.details).toContain('at most 20 files');
+      expect(mockExec).not.toHaveBeenCalled();
+      expect(mockUnlinkSync).toHaveBeenCalledTimes(21);
+    });
+  });
+
+  describe('Asynchronous scans', () => {
+    /**
+     * Poll a job until it leaves the queued and running states
+     */
+    async function waitForJob(id) {
+      for (let attempt = 0; attempt < 50; attempt++) {
+        const response = await request(app).get(`/scans/${id}`);
+        if (!['queued', 'running'].includes(response.body.status)) {
+          return response;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+      throw new Error(`Job ${id} did not finish`);
+    }
+
+    it('should return 400 when no file is provided', async () => {
+      const response = await request(app)
+        .post('/scans')
+        .expect(400);
+
+      expect(response.body.error).toBe('No file provided');
+    });
+
+    it('should queue a scan and return 202 with a job ID', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        callback(null, '', null);
+      });
+
+      const response = await request(app)
+        .post('/scans')
         .attach('file', Buffer.from('test content'), 'test.txt')
-        .expect(500);
+        .expect(202);
 
-      expect(response.body).toEqual({
-        error: 'Scan failed',
-        details: 'ERROR: Can\'t access database directory'
+      expect(response.body.id).toMatch(/^[0-9a-f]{32}$/);
+      expect(['queued', 'running']).toContain(response.body.status);
+      expect(response.body.filename).toBe('test-file.txt');
+      expect(response.headers.location).toBe(`/scans/${response.body.id}`);
+    });
+
+    it('should report the verdict once the scan finishes', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        const error = new Error('Virus found');
+        error.code = 1;
+        callback(error, '/tmp/mock-file-path: Win.Test.EICAR_HDB-1 FOUND', null);
       });
+
+      const { body } = await request(app)
+        .post('/scans')
+        .attach('file', Buffer.from('malicious content'), 'test.txt')
+        .expect(202);
+
+      const response = await waitForJob(body.id);
+
+      expect(response.body).toMatchObject({
+        id: body.id,
+        status: 'infected',
+        clean: false,
+        threats: [expect.objectContaining({ signature: 'Win.Test.EICAR_HDB-1', file: 'test-file.txt' })]
+      });
+      expect(response.body.rawOutput).toBeUndefined();
+      expect(mockUnlinkSync).toHaveBeenCalledWith('/tmp/mock-file-path');
     });
 
-    it('should handle ClamAV permission errors', async () => {
-      // Mock exec to simulate permission error
+    it('should report scanner failures with an error status', async () => {
       mockExec.mockImplementation((command, callback) => {
-        const error = new Error('Permission denied');
+        const error = new Error('Scanner not found');
         error.code = 2;
-        callback(error, null, 'ERROR: Can\'t access file');
+        callback(error, null, 'Scanner error');
       });
 
-      const response = await request(app)
-        .post('/scan')
+      const { body } = await request(app)
+        .post('/scans')
         .attach('file', Buffer.from('test content'), 'test.txt')
-        .expect(500);
+        .expect(202);
 
-      expect(response.body).toEqual({
-        error: 'Scan failed',
-        details: 'ERROR: Can\'t access file'
+      const response = await waitForJob(body.id);
+
+      expect(response.body).toMatchObject({ status: 'error', error: 'Scanner error' });
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      await request(app).get('/scans/does-not-exist').expect(404);
+      await request(app).delete('/scans/does-not-exist').expect(404);
+    });
+
+    it('should cancel a queued scan and remove its file', async () => {
+      const callbacks = [];
+      mockExec.mockImplementation((command, callback) => {
+        callbacks.push(callback);
+      });
+
+      // Fill the two worker slots, then queue a third scan
+      const submit = () => request(app)
+        .post('/scans')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(202);
+      await submit();
+      await submit();
+      const { body } = await submit();
+      expect(body.status).toBe('queued');
+
+      const response = await request(app)
+        .delete(`/scans/${body.id}`)
+        .expect(200);
+
+      expect(response.body.status).toBe('cancelled');
+      expect(mockUnlinkSync).toHaveBeenCalledTimes(1);
+
+      callbacks.forEach((callback) => callback(null, '', null));
+    });
+
+    it('should return 409 when cancelling a finished scan', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        callback(null, '', null);
       });
+
+      const { body } = await request(app)
+        .post('/scans')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(202);
+      await waitForJob(body.id);
+
+      const response = await request(app)
+        .delete(`/scans/${body.id}`)
+        .expect(409);
+
+      expect(response.body.error).toBe('Scan already finished');
+    });
+  });
+
+  describe('Scan callbacks', () => {
+    it('should reject callback URLs while webhooks are disabled', async () => {
+      const response = await request(app)
+        .post('/scans?callbackUrl=http://127.0.0.1/hook')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(400);
+
+      expect(response.body.details).toContain('WEBHOOK_SECRET');
+      expect(mockUnlinkSync).toHaveBeenCalledWith('/tmp/mock-file-path');
+    });
+
+    it('should return 404 for the delivery log while webhooks are disabled', async () => {
+      await request(app).get('/webhooks/deliveries').expect(404);
+    });
+
+    it('should refuse callbacks to private addresses', async () => {
+      const privateApp = createApp({ WEBHOOK_SECRET: 'test-secret' });
+
+      const response = await request(privateApp)
+        .post(`/scans?callbackUrl=${encodeURIComponent('http://169.254.169.254/latest/meta-data')}`)
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(400);
+
+      expect(response.body).toEqual({
+        error: 'Invalid callback URL',
+        details: '"169.254.169.254" resolves to a private address (169.254.169.254)'
+      });
+      expect(mockUnlinkSync).toHaveBeenCalledWith('/tmp/mock-file-path');
+      expect(mockExec).not.toHaveBeenCalled();
+    });
+
+    describe('with WEBHOOK_SECRET set', () => {
+      const http = require('http');
+      let webhookApp;
+      let receiver;
+      let received;
+
+      const adminKey = 'test-admin-key';
+
+      beforeAll(async () => {
+        // The test receiver listens on a loopback address
+        webhookApp = createApp({ WEBHOOK_SECRET: 'test-secret', WEBHOOK_ALLOW_PRIVATE: 'true', API_ADMIN_KEY: adminKey });
+
+        received = [];
+        receiver = http.createServer((req, res) => {
+          let body = '';
+          req.on('data', (chunk) => { body += chunk; });
+          req.on('end', () => {
+            received.push({ headers: req.headers, body: JSON.parse(body) });
+            res.end();
+          });
+        });
+        await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+      });
+
+      afterAll(async () => {
+        await new Promise((resolve) => receiver.close(resolve));
+      });
+
+      it('should reject callback URLs that are not http(s)', async () => {
+        const response = await request(webhookApp)
+          .post('/scans?callbackUrl=file:///etc/passwd')
+          .attach('file', Buffer.from('test content'), 'test.txt')
+          .expect(400);
+
+        expect(response.body.error).toBe('Invalid callback URL');
+      });
+
+      it('should POST the verdict to the callback URL and log the delivery', async () => {
+        mockExec.mockImplementation((command, callback) => {
+          const error = new Error('Virus found');
+          error.code = 1;
+          callback(error, '/tmp/mock-file-path: Win.Test.EICAR_HDB-1 FOUND', null);
+        });
+        const callbackUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+        const { body: job } = await request(webhookApp)
+          .post(`/scans?callbackUrl=${encodeURIComponent(callbackUrl)}`)
+          .attach('file', Buffer.from('malicious content'), 'test.txt')
+          .expect(202);
+
+        expect(job.callbackUrl).toBe(callbackUrl);
+
+        let deliveries = [];
+        for (let attempt = 0; attempt < 50 && !(deliveries[0] && deliveries[0].status === 'delivered'); attempt++) {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          deliveries = (await request(webhookApp).get(`/webhooks/deliveries?scanId=${job.id}`)).body.deliveries;
+        }
+
+        expect(deliveries).toHaveLength(1);
+        expect(deliveries[0]).toMatchObject({ event: 'scan.completed', url: callbackUrl, status: 'delivered' });
+        expect(received[0].headers['x-avscan-signature']).toMatch(/^sha256=/);
+        expect(received[0].body.data).toMatchObject({
+          id: job.id,
+          status: 'infected',
+          threats: [expect.objectContaining({ signature: 'Win.Test.EICAR_HDB-1' })]
+        });
+
+        const single = await request(webhookApp)
+          .get(`/webhooks/deliveries/${deliveries[0].id}`)
+          .expect(200);
+        expect(single.body.attempts).toHaveLength(1);
+
+        await request(webhookApp).get('/webhooks/deliveries/unknown').expect(404);
+      });
+
+      it('should only show each key the deliveries of its own scans', async () => {
+        mockExec.mockImplementation((command, callback) => callback(null, '', ''));
+        const createKey = async () => (await request(webhookApp)
+          .post('/keys')
+          .set('X-API-Key', adminKey)
+          .send({ scopes: ['scan', 'read-results'] })
+          .expect(201)).body;
+        const owner = await createKey();
+        const other = await createKey();
+        const callbackUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+        const { body: job } = await request(webhookApp)
+          .post(`/scans?callbackUrl=${encodeURIComponent(callbackUrl)}`)
+          .set('X-API-Key', owner.key)
+          .attach('file', Buffer.from('test content'), 'test.txt')
+          .expect(202);
+
+        let deliveries = [];
+        for (let attempt = 0; attempt < 50 && deliveries.length === 0; attempt++) {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          deliveries = (await request(webhookApp).get('/webhooks/deliveries').set('X-API-Key', owner.key)).body.deliveries;
+        }
+
+        expect(deliveries).toEqual([expect.objectContaining({ scanId: job.id, keyId: owner.id })]);
+
+        const others = await request(webhookApp).get('/webhooks/deliveries').set('X-API-Key', other.key).expect(200);
+        expect(others.body.deliveries).toEqual([]);
+        await request(webhookApp).get(`/webhooks/deliveries/${deliveries[0].id}`).set('X-API-Key', other.key).expect(404);
+        await request(webhookApp).get(`/webhooks/deliveries/${deliveries[0].id}`).set('X-API-Key', adminKey).expect(200);
+      });
+    });
+  });
+
+  describe('clamd fallback', () => {
+    let clamdApp;
+    let clamdLogger;
+
+    beforeAll(() => {
+      // Point the router at a port nothing listens on
+      clamdApp = createApp({ CLAMD_HOST: '127.0.0.1', CLAMD_PORT: '1' }, {
+        loaded: (load) => { clamdLogger = load('../lib/logger').logger; }
+      });
+    });
+
+    it('should fall back to clamscan when clamd is unreachable', async () => {
+      const warn = jest.spyOn(clamdLogger, 'warn');
+      mockExec.mockImplementation((command, callback) => {
+        callback(null, '', null);
+      });
+
+      const response = await request(clamdApp)
+        .post('/scan')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(200);
+
+      expect(response.body.clean).toBe(true);
+      expect(mockExec).toHaveBeenCalledWith(expect.stringMatching(/clamscan/), expect.any(Function));
+      expect(warn).toHaveBeenCalledWith('clamd unavailable, falling back to clamscan', { error: expect.any(Error) });
+      expect(mockUnlinkSync).toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /scan/url', () => {
+    const { UrlFetchError } = jest.requireActual('../lib/url-fetch');
+    const mockFetchToFile = jest.fn();
+    let urlApp;
+
+    beforeAll(() => {
+      urlApp = createApp({}, {
+        mocks: { '../lib/url-fetch': () => ({ fetchToFile: mockFetchToFile, UrlFetchError }) }
+      });
+    });
+
+    it('should download and scan the file at the URL', async () => {
+      mockFetchToFile.mockResolvedValue({ url: 'https://files.example.com/reports/eicar%20test.com', contentType: null, size: 68 });
+      mockExec.mockImplementation((command, callback) => {
+        const filePath = command.split(' ').pop();
+        const error = new Error('Virus found');
+        error.code = 1;
+        callback(error, `${filePath}: Win.Test.EICAR_HDB-1 FOUND`, '');
+      });
+
+      const response = await request(urlApp)
+        .post('/scan/url')
+        .send({ url: 'https://files.example.com/reports/eicar%20test.com' })
+        .expect(200);
+
+      expect(response.body).toEqual({
+        verdict: 'infected',
+        clean: false,
+        threats: [{ signature: 'Win.Test.EICAR_HDB-1', category: 'test', engine: 'clamscan', file: 'eicar test.com' }],
+        hashes: MOCK_FILE_HASHES,
+        detectedType: 'application/x-empty',
+        declaredType: null,
+        typeMismatch: false,
+        cached: false
+      });
+
+      const [url, filePath, options] = mockFetchToFile.mock.calls[0];
+      expect(url).toBe('https://files.example.com/reports/eicar%20test.com');
+      expect(filePath).toMatch(/^uploads\/[0-9a-f]{32}$/);
+      expect(options.allowPrivate).toBe(false);
+      expect(mockUnlinkSync).toHaveBeenCalledWith(filePath);
+    });
+
+    it('should return 400 when no URL is provided', async () => {
+      const response = await request(urlApp)
+        .post('/scan/url')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error).toBe('No URL provided');
+      expect(mockFetchToFile).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['URL_BLOCKED', 403],
+      ['INVALID_URL', 400],
+      ['TOO_LARGE', 413],
+      ['TIMEOUT', 504],
+      ['UPSTREAM_STATUS', 502]
+    ])('should map %s download failures to HTTP %i', async (code, status) => {
+      mockFetchToFile.mockRejectedValue(new UrlFetchError(code, 'Download refused'));
+
+      const response = await request(urlApp)
+        .post('/scan/url')
+        .send({ url: 'http://169.254.169.254/latest/meta-data/' })
+        .expect(status);
+
+      expect(response.body).toEqual({ error: 'Could not fetch URL', code, details: 'Download refused' });
+      expect(mockExec).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('PUT /scan/stream', () => {
+    const http = require('http');
+    const { createFakeClamd, EICAR_MARKER } = require('./fake-clamd');
+
+    /**
+     * Send a chunked request body without a Content-Length
+     */
+    function putChunked(server, chunks) {
+      return new Promise((resolve, reject) => {
+        const req = http.request({
+          host: '127.0.0.1',
+          port: server.address().port,
+          method: 'PUT',
+          path: '/scan/stream',
+          headers: { 'Content-Type': 'application/octet-stream', 'X-Filename': 'upload.bin' }
+        }, (res) => {
+          let body = '';
+          res.on('data', (chunk) => { body += chunk; });
+          res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+        });
+
+        req.on('error', reject);
+        chunks.forEach((chunk) => req.write(chunk));
+        req.end();
+      });
+    }
+
+    it('should stage the body to a file for engines without stream support', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        const filePath = command.split(' ').pop();
+        const error = new Error('Virus found');
+        error.code = 1;
+        callback(error, `${filePath}: Win.Test.EICAR_HDB-1 FOUND`, '');
+      });
+
+      const response = await request(app)
+        .put('/scan/stream')
+        .set('Content-Type', 'application/octet-stream')
+        .set('X-Filename', 'reports%2Fq1%20final.pdf')
+        .send(Buffer.from('mock file content'))
+        .expect(200);
+
+      expect(response.body).toEqual({
+        verdict: 'infected',
+        clean: false,
+        threats: [{ signature: 'Win.Test.EICAR_HDB-1', category: 'test', engine: 'clamscan', file: 'q1 final.pdf' }],
+        hashes: MOCK_FILE_HASHES,
+        detectedType: 'application/x-empty',
+        declaredType: 'application/pdf',
+        typeMismatch: false,
+        cached: false
+      });
+
+      const filePath = mockExec.mock.calls[0][0].split(' ').pop();
+      expect(filePath).toMatch(/^uploads\/[0-9a-f]{32}$/);
+      expect(mockUnlinkSync).toHaveBeenCalledWith(filePath);
+    });
+
+    describe('streaming to clamd', () => {
+      let fakeClamd;
+      let streamApp;
+      let server;
+
+      beforeAll(async () => {
+        fakeClamd = createFakeClamd();
+        streamApp = createApp({
+          CLAMD_HOST: '127.0.0.1',
+          CLAMD_PORT: String(await fakeClamd.listen()),
+          STREAM_MAX_SIZE: '1024'
+        });
+        server = await new Promise((resolve) => {
+          const listening = streamApp.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+      });
+
+      afterAll(async () => {
+        await new Promise((resolve) => server.close(resolve));
+        await fakeClamd.close();
+      });
+
+      it('should scan a chunked body without a temporary file', async () => {
+        const response = await putChunked(server, ['X5O!P%@AP[4\\PZX54(P^)7CC)7}$', `${EICAR_MARKER}!$H+H*`]);
+
+        expect(response.status).toBe(200);
+        expect(response.body).toEqual({
+          verdict: 'infected',
+          clean: false,
+          threats: [{ signature: 'Eicar-Test-Signature', category: 'test', engine: 'clamd', file: 'upload.bin' }],
+          hashes: {
+            sha256: '275a021bbfb6489e54d471899f7db9d1663fc695ec2fe2a2c4538aabf651fd0f',
+            sha1: '3395856ce81f2b7382dee72602f798b642f14140',
+            md5: '44d88612fea8a8f36de82e1278abb02f'
+          },
+          detectedType: 'text/plain',
+          declaredType: null,
+          typeMismatch: false,
+          cached: false
+        });
+        expect(mockExec).not.toHaveBeenCalled();
+      });
+
+      it('should reject a chunked body once it grows past the limit', async () => {
+        const response = await putChunked(server, [Buffer.alloc(600), Buffer.alloc(600)]);
+
+        expect(response.status).toBe(413);
+        expect(response.body.error).toBe('File too large');
+      });
+
+      it('should reject a body whose Content-Length is over the limit', async () => {
+        const response = await request(streamApp)
+          .put('/scan/stream')
+          .send(Buffer.alloc(2048))
+          .expect(413);
+
+        expect(response.body.details).toBe('The body exceeds the maximum size of 1024 bytes');
+      });
+    });
+  });
+
+  describe('Archive scanning', () => {
+    const { ArchiveLimitError, DEFAULT_LIMITS } = jest.requireActual('../lib/archives');
+    const mockExtractArchive = jest.fn();
+    const mockRemoveExtraction = jest.fn();
+    let archiveApp;
+
+    beforeAll(() => {
+      archiveApp = createApp({}, {
+        mocks: {
+          '../lib/archives': () => ({
+            extractArchive: mockExtractArchive,
+            removeExtraction: mockRemoveExtraction,
+            detectArchive: () => 'zip',
+            ArchiveLimitError,
+            DEFAULT_LIMITS
+          })
+        }
+      });
+    });
+
+    it('should scan every entry and report the inner path of each threat', async () => {
+      mockExtractArchive.mockResolvedValue({
+        format: 'zip',
+        dir: '/tmp/avscan-archive-x',
+        entries: [
+          { path: 'docs/readme.txt', file: '/tmp/avscan-archive-x/1', size: 10 },
+          { path: 'bin/setup.exe', file: '/tmp/avscan-archive-x/2', size: 68 }
+        ],
+        unscanned: [{ path: 'secret.doc', reason: 'encrypted' }],
+        totalSize: 78,
+        depth: 1
+      });
+      mockExec.mockImplementation((command, callback) => {
+        if (command.includes('/tmp/avscan-archive-x/2')) {
+          const error = new Error('Virus found');
+          error.code = 1;
+          return callback(error, '/tmp/avscan-archive-x/2: Win.Test.EICAR_HDB-1 FOUND', '');
+        }
+        callback(null, '', '');
+      });
+
+      const response = await request(archiveApp)
+        .post('/scan')
+        .attach('file', Buffer.from('archive'), 'test-file.txt')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        verdict: 'infected',
+        clean: false,
+        threats: [{
+          signature: 'Win.Test.EICAR_HDB-1',
+          category: 'test',
+          engine: 'clamscan',
+          file: 'test-file.txt/bin/setup.exe'
+        }],
+        archive: {
+          format: 'zip',
+          entries: 2,
+          totalSize: 78,
+          depth: 1,
+          unscanned: [{ path: 'secret.doc', reason: 'encrypted' }]
+        },
+        hashes: MOCK_FILE_HASHES,
+        ...MOCK_FILE_TYPE,
+        cached: false
+      });
+      // The archive itself and each entry
+      expect(mockExec).toHaveBeenCalledTimes(3);
+      expect(mockExec).toHaveBeenCalledWith(expect.stringContaining('/tmp/mock-file-path'), expect.any(Function));
+      expect(mockRemoveExtraction).toHaveBeenCalledWith('/tmp/avscan-archive-x');
+      expect(mockUnlinkSync).toHaveBeenCalledWith('/tmp/mock-file-path');
+    });
+
+    it('should add threats only found in the whole archive', async () => {
+      mockExtractArchive.mockResolvedValue({
+        format: 'zip',
+        dir: '/tmp/avscan-archive-x',
+        entries: [{ path: 'docs/readme.txt', file: '/tmp/avscan-archive-x/1', size: 10 }],
+        unscanned: [{ path: 'secret.doc', reason: 'encrypted' }],
+        totalSize: 10,
+        depth: 1
+      });
+      mockExec.mockImplementation((command, callback) => {
+        if (command.includes('/tmp/mock-file-path')) {
+          const error = new Error('Virus found');
+          error.code = 1;
+          return callback(error, '/tmp/mock-file-path: Win.Trojan.Agent-1 FOUND', '');
+        }
+        callback(null, '', '');
+      });
+
+      const response = await request(archiveApp)
+        .post('/scan')
+        .attach('file', Buffer.from('archive'), 'test-file.txt')
+        .expect(200);
+
+      expect(response.body.verdict).toBe('infected');
+      expect(response.body.threats).toEqual([
+        expect.objectContaining({ signature: 'Win.Trojan.Agent-1', file: 'test-file.txt' })
+      ]);
+    });
+
+    it('should not pass archives with entries that could not be scanned as clean', async () => {
+      mockExtractArchive.mockResolvedValue({
+        format: 'zip',
+        dir: '/tmp/avscan-archive-x',
+        entries: [{ path: 'docs/readme.txt', file: '/tmp/avscan-archive-x/1', size: 10 }],
+        unscanned: [{ path: 'secret.doc', reason: 'encrypted' }],
+        totalSize: 10,
+        depth: 1
+      });
+      mockExec.mockImplementation((command, callback) => callback(null, '', ''));
+
+      const response = await request(archiveApp)
+        .post('/scan')
+        .attach('file', Buffer.from('archive'), 'test-file.txt')
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        verdict: 'limits_exceeded',
+        clean: false,
+        threats: [],
+        archive: { unscanned: [{ path: 'secret.doc', reason: 'encrypted' }] }
+      });
+    });
+
+    it('should return limits_exceeded when an archive is over the limits', async () => {
+      mockExtractArchive.mockRejectedValue(
+        new ArchiveLimitError('maxRatio', '"zeros.bin" exceeds the maximum compression ratio of 100:1')
+      );
+
+      const response = await request(archiveApp)
+        .post('/scan')
+        .attach('file', Buffer.from('archive'), 'test-file.txt')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        verdict: 'limits_exceeded',
+        clean: false,
+        threats: [],
+        archive: { limit: 'maxRatio', message: '"zeros.bin" exceeds the maximum compression ratio of 100:1' },
+        hashes: MOCK_FILE_HASHES,
+        ...MOCK_FILE_TYPE,
+        cached: false
+      });
+      // Only the archive itself is scanned
+      expect(mockExec).toHaveBeenCalledTimes(1);
+      expect(mockExec).toHaveBeenCalledWith(expect.stringContaining('/tmp/mock-file-path'), expect.any(Function));
+      expect(mockUnlinkSync).toHaveBeenCalledWith('/tmp/mock-file-path');
+    });
+
+    it('should report threats found in an archive over the limits', async () => {
+      mockExtractArchive.mockRejectedValue(new ArchiveLimitError('maxEntries', 'Archive contains more than 1000 entries'));
+      mockExec.mockImplementation((command, callback) => {
+        const error = new Error('Virus found');
+        error.code = 1;
+        callback(error, '/tmp/mock-file-path: Win.Test.EICAR_HDB-1 FOUND', '');
+      });
+
+      const response = await request(archiveApp)
+        .post('/scan')
+        .attach('file', Buffer.from('archive'), 'test-file.txt')
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        verdict: 'infected',
+        clean: false,
+        threats: [expect.objectContaining({ signature: 'Win.Test.EICAR_HDB-1', file: 'test-file.txt' })],
+        archive: { limit: 'maxEntries' }
+      });
+    });
+
+    it('should scan corrupt archives as a single file without passing them as clean', async () => {
+      mockExtractArchive.mockRejectedValue(new Error('Corrupt ZIP central directory'));
+      mockExec.mockImplementation((command, callback) => callback(null, '', ''));
+
+      const response = await request(archiveApp)
+        .post('/scan')
+        .attach('file', Buffer.from('archive'), 'test-file.txt')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        verdict: 'limits_exceeded',
+        clean: false,
+        threats: [],
+        archive: { message: 'Corrupt ZIP central directory' },
+        hashes: MOCK_FILE_HASHES,
+        ...MOCK_FILE_TYPE,
+        cached: false
+      });
+      expect(mockExec).toHaveBeenCalledTimes(1);
+      expect(mockExec).toHaveBeenCalledWith(expect.stringContaining('/tmp/mock-file-path'), expect.any(Function));
+    });
+
+    it('should not pass a valid archive with a corrupt nested archive as clean', async () => {
+      mockExtractArchive.mockRejectedValue(new Error('Corrupt ZIP local header for "inner.zip/payload.exe"'));
+      mockExec.mockImplementation((command, callback) => callback(null, '', ''));
+
+      const response = await request(archiveApp)
+        .post('/scan')
+        .attach('file', Buffer.from('archive'), 'test-file.txt')
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        verdict: 'limits_exceeded',
+        clean: false,
+        archive: { message: 'Corrupt ZIP local header for "inner.zip/payload.exe"' }
+      });
+    });
+
+    it('should finish asynchronous jobs with the limits_exceeded status', async () => {
+      mockExtractArchive.mockRejectedValue(new ArchiveLimitError('maxDepth', 'too deep'));
+
+      const { body } = await request(archiveApp)
+        .post('/scans')
+        .attach('file', Buffer.from('archive'), 'test-file.txt')
+        .expect(202);
+
+      let job;
+      do {
+        job = (await request(archiveApp).get(`/scans/${body.id}`)).body;
+      } while (job.status === 'queued' || job.status === 'running');
+
+      expect(job.status).toBe('limits_exceeded');
+      expect(job.verdict).toBe('limits_exceeded');
+    });
+  });
+
+  describe('Verdict cache', () => {
+    let cacheApp;
+    let dbVersion;
+
+    beforeAll(() => {
+      cacheApp = createApp({ VERDICT_CACHE: 'true', VERDICT_CACHE_VERSION_TTL: '1' });
+    });
+
+    beforeEach(() => {
+      dbVersion = 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024';
+      mockExec.mockImplementation((command, callback) => {
+        if (command.endsWith('--version')) {
+          return callback(null, `${dbVersion}\n`, '');
+        }
+        const error = new Error('Virus found');
+        error.code = 1;
+        callback(error, '/tmp/mock-file-path: Win.Test.EICAR_HDB-1 FOUND', '');
+      });
+    });
+
+    const scanCommands = () => mockExec.mock.calls.filter(([command]) => !command.endsWith('--version'));
+
+    it('should return the cached verdict for a repeated upload', async () => {
+      const first = await request(cacheApp)
+        .post('/scan')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(200);
+
+      const second = await request(cacheApp)
+        .post('/scan/batch')
+        .attach('files', Buffer.from('test content'), 'copy.com')
+        .expect(200);
+
+      expect(first.body.cached).toBe(false);
+      expect(second.body.results['copy.com']).toEqual({
+        verdict: 'infected',
+        clean: false,
+        threats: [{ signature: 'Win.Test.EICAR_HDB-1', category: 'test', engine: 'clamscan', file: 'copy.com' }],
+        hashes: MOCK_FILE_HASHES,
+        detectedType: 'application/x-empty',
+          declaredType: null,
+          typeMismatch: false,
+        cached: true
+      });
+      expect(scanCommands()).toHaveLength(1);
+    });
+
+    it('should look up a cached verdict by SHA-256', async () => {
+      const response = await request(cacheApp)
+        .get(`/hashes/${MOCK_FILE_HASHES.sha256}`)
+        .expect(200);
+
+      expect(response.body).toEqual({
+        sha256: MOCK_FILE_HASHES.sha256,
+        hashes: MOCK_FILE_HASHES,
+        verdict: 'infected',
+        clean: false,
+        threats: [{ signature: 'Win.Test.EICAR_HDB-1', category: 'test', engine: 'clamscan', file: 'test-file.txt' }],
+        filename: 'test-file.txt',
+        dbVersion: 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024',
+        scannedAt: expect.any(String)
+      });
+    });
+
+    it('should scan again once the signature database changes', async () => {
+      dbVersion = 'ClamAV 1.0.0/27001/Tue Jan  2 00:00:00 2024';
+      await new Promise((resolve) => setTimeout(resolve, 5));
+
+      await request(cacheApp)
+        .get(`/hashes/${MOCK_FILE_HASHES.sha256}`)
+        .expect(404);
+
+      const response = await request(cacheApp)
+        .post('/scan')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(200);
+
+      expect(response.body.cached).toBe(false);
+      expect(scanCommands()).toHaveLength(1);
+    });
+
+    it('should record cached verdicts in the audit log and scan history like scans that ran', async () => {
+      const adminKey = 'test-admin-key';
+      const recordingApp = createApp({
+        VERDICT_CACHE: 'true',
+        AUDIT_LOG: 'true',
+        AUDIT_LOG_OUTPUT: 'stdout',
+        SCAN_HISTORY: 'true',
+        API_ADMIN_KEY: adminKey
+      });
+      const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      let lines;
+      try {
+        await request(recordingApp).post('/scan').attach('file', Buffer.from('test content'), 'test.txt').expect(200);
+        await request(recordingApp).post('/scan').attach('file', Buffer.from('test content'), 'test.txt').expect(200);
+        lines = stdout.mock.calls.map(([line]) => JSON.parse(line));
+      } finally {
+        stdout.mockRestore();
+      }
+
+      // Apart from when and how fast, a cache hit leaves the same records as the scan it reuses
+      const comparable = ({ time, requestId, id, scannedAt, durationMs, cached, ...rest }) => rest;
+      const audit = lines.filter((record) => record.event === 'scan');
+      expect(audit.map(({ cached }) => cached)).toEqual([false, true]);
+      expect(comparable(audit[1])).toEqual(comparable(audit[0]));
+
+      const { body } = await request(recordingApp).get('/scans').set('X-API-Key', adminKey).expect(200);
+      expect(body.scans.map(({ cached }) => cached)).toEqual([true, false]);
+      expect(comparable(body.scans[0])).toEqual(comparable(body.scans[1]));
+    });
+
+    it('should reject values that are not SHA-256 digests', async () => {
+      const response = await request(cacheApp)
+        .get('/hashes/not-a-hash')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid hash');
+    });
+
+    it('should return 404 when the cache is disabled', async () => {
+      await request(app)
+        .get(`/hashes/${MOCK_FILE_HASHES.sha256}`)
+        .expect(404);
+    });
+  });
+
+  describe('Quarantine', () => {
+    const { serializeItem } = jest.requireActual('../lib/quarantine');
+    const { ZipCrypto } = jest.requireActual('../lib/encrypted-zip');
+    const adminKey = 'test-admin-key';
+    const mockQuarantine = {
+      add: jest.fn(),
+      list: jest.fn(),
+      get: jest.fn(),
+      remove: jest.fn(),
+      createReadStream: jest.fn(),
+      purgeExpired: jest.fn(() => Promise.resolve([]))
+    };
+    const item = {
+      id: 'b1946ac9-2f0e-4c5e-8d2b-6f1c0a523d1e',
+      filename: 'invoice.exe',
+      size: 68,
+      hashes: MOCK_FILE_HASHES,
+      signatures: ['Win.Test.EICAR_HDB-1'],
+      quarantinedAt: '2024-01-15T10:30:00.000Z',
+      expiresAt: '2024-02-14T10:30:00.000Z',
+      encryption: { algorithm: 'aes-256-gcm', iv: 'iv', authTag: 'tag' }
+    };
+    let quarantineApp;
+    let purgedAtLoad;
+
+    // Collect a binary response body
+    const binary = (res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    beforeAll(() => {
+      quarantineApp = createApp({ QUARANTINE: 'true', QUARANTINE_KEY: 'test-quarantine-key', API_ADMIN_KEY: adminKey }, {
+        mocks: { '../lib/quarantine': () => ({ Quarantine: jest.fn(() => mockQuarantine), serializeItem }) }
+      });
+      purgedAtLoad = mockQuarantine.purgeExpired.mock.calls.length;
+    });
+
+    beforeEach(() => {
+      mockQuarantine.get.mockImplementation((id) => (id === item.id ? item : null));
+      mockQuarantine.createReadStream.mockImplementation(() => require('stream').Readable.from([Buffer.from('malware')]));
+      mockQuarantine.remove.mockResolvedValue(item);
+    });
+
+    it('should purge expired items when the routes load', () => {
+      expect(purgedAtLoad).toBe(1);
+    });
+
+    it('should quarantine infected uploads before deleting them', async () => {
+      mockQuarantine.add.mockResolvedValue(item);
+      mockExec.mockImplementation((command, callback) => {
+        callback(Object.assign(new Error('Virus found'), { code: 1 }), '/tmp/mock-file-path: Win.Test.EICAR_HDB-1 FOUND', '');
+      });
+
+      const response = await request(quarantineApp)
+        .post('/scan')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(200);
+
+      expect(response.body.quarantineId).toBe(item.id);
+      expect(mockQuarantine.add).toHaveBeenCalledWith('/tmp/mock-file-path', {
+        filename: 'test-file.txt',
+        size: 1024,
+        hashes: MOCK_FILE_HASHES,
+        signatures: ['Win.Test.EICAR_HDB-1'],
+        threats: [{ signature: 'Win.Test.EICAR_HDB-1', category: 'test', engine: 'clamscan', file: 'test-file.txt' }],
+        submitter: {
+          requestId: response.headers['x-request-id'],
+          endpoint: 'POST /scan',
+          keyId: null,
+          keyName: null,
+          address: expect.any(String)
+        }
+      });
+      expect(mockUnlinkSync).toHaveBeenCalledWith('/tmp/mock-file-path');
+    });
+
+    it('should delete clean uploads and infected ones that cannot be quarantined', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        callback(null, '/tmp/mock-file-path: OK', '');
+      });
+      await request(quarantineApp).post('/scan').attach('file', Buffer.from('test content'), 'test.txt').expect(200);
+      expect(mockQuarantine.add).not.toHaveBeenCalled();
+
+      mockQuarantine.add.mockRejectedValue(new Error('ENOSPC: no space left on device'));
+      mockExec.mockImplementation((command, callback) => {
+        callback(Object.assign(new Error('Virus found'), { code: 1 }), '/tmp/mock-file-path: Win.Test.EICAR_HDB-1 FOUND', '');
+      });
+      const response = await request(quarantineApp).post('/scan').attach('file', Buffer.from('test content'), 'test.txt').expect(200);
+
+      expect(response.body.verdict).toBe('infected');
+      expect(response.body).not.toHaveProperty('quarantineId');
+      expect(mockUnlinkSync).toHaveBeenCalledTimes(2);
+    });
+
+    it('should list and show quarantined files to admins', async () => {
+      mockQuarantine.list.mockReturnValue([item]);
+
+      await request(quarantineApp).get('/quarantine').expect(401);
+
+      const list = await request(quarantineApp).get('/quarantine').set('X-API-Key', adminKey).expect(200);
+      expect(list.body.items).toEqual([serializeItem(item)]);
+      expect(list.body.items[0]).not.toHaveProperty('encryption');
+
+      await request(quarantineApp).get(`/quarantine/${item.id}`).set('X-API-Key', adminKey).expect(200);
+      const missing = await request(quarantineApp).get('/quarantine/unknown').set('X-API-Key', adminKey).expect(404);
+      expect(missing.body.error).toBe('Quarantined item not found');
+    });
+
+    it('should download a file in a ZIP encrypted with the archive password', async () => {
+      const response = await request(quarantineApp)
+        .get(`/quarantine/${item.id}/download`)
+        .set('X-API-Key', adminKey)
+        .buffer(true)
+        .parse(binary)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/zip');
+      expect(response.headers['content-disposition']).toBe(`attachment; filename="${item.id}.zip"`);
+      expect(response.body.readUInt32LE(0)).toBe(0x04034b50);
+      expect(response.body.includes('malware')).toBe(false);
+
+      // The first entry is the file itself, after the 12-byte encryption header
+      const nameLength = response.body.readUInt16LE(26);
+      expect(response.body.toString('utf8', 30, 30 + nameLength)).toBe('invoice.exe');
+      const data = new ZipCrypto('infected').decrypt(response.body.subarray(30 + nameLength, 30 + nameLength + 12 + 7));
+      expect(data.subarray(12).toString()).toBe('malware');
+      expect(mockQuarantine.remove).not.toHaveBeenCalled();
+    });
+
+    it('should release a file by returning it and removing it from the quarantine', async () => {
+      const response = await request(quarantineApp)
+        .post(`/quarantine/${item.id}/release`)
+        .set('X-API-Key', adminKey)
+        .buffer(true)
+        .parse(binary)
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toBe('attachment; filename="invoice.exe"');
+      expect(response.body.toString()).toBe('malware');
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(mockQuarantine.remove).toHaveBeenCalledWith(item.id);
+    });
+
+    it('should purge a file', async () => {
+      const response = await request(quarantineApp)
+        .delete(`/quarantine/${item.id}`)
+        .set('X-API-Key', adminKey)
+        .expect(200);
+
+      expect(response.body.id).toBe(item.id);
+      expect(mockQuarantine.remove).toHaveBeenCalledWith(item.id);
+    });
+  });
+
+  describe('Upload limits and file-type policy', () => {
+    const fs = require('fs');
+    let limitsApp;
+    let policyApp;
+
+    beforeAll(() => {
+      limitsApp = createApp({ UPLOAD_MAX_FILE_SIZE: '512', UPLOAD_MAX_FIELDS: '1' });
+      policyApp = createApp({
+        UPLOAD_BLOCKED_EXTENSIONS: 'exe, .js',
+        UPLOAD_BLOCKED_TYPES: 'application/vnd.microsoft.portable-executable,application/x-elf'
+      });
+    });
+
+    beforeEach(() => {
+      mockExec.mockImplementation((command, callback) => callback(null, '', ''));
+    });
+
+    afterEach(() => {
+      fs.readSync.mockImplementation(() => 0);
+    });
+
+    it('should answer 413 for files over UPLOAD_MAX_FILE_SIZE without scanning them', async () => {
+      const response = await request(limitsApp)
+        .post('/scan')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(413);
+
+      expect(response.body).toEqual({
+        error: 'File too large',
+        code: 'FILE_TOO_LARGE',
+        details: 'Files may be at most 512 bytes'
+      });
+      expect(mockExec).not.toHaveBeenCalled();
+      expect(mockUnlinkSync).toHaveBeenCalledWith('/tmp/mock-file-path');
+    });
+
+    it('should answer 413 for more form fields than UPLOAD_MAX_FIELDS', async () => {
+      const response = await request(limitsApp)
+        .post('/scan/batch')
+        .field('first', '1')
+        .field('second', '2')
+        .attach('files', Buffer.from('one'), 'one.txt')
+        .expect(413);
+
+      expect(response.body).toEqual({
+        error: 'Too many form fields',
+        code: 'TOO_MANY_FIELDS',
+        details: 'A request may contain at most 1 form fields'
+      });
+      expect(mockExec).not.toHaveBeenCalled();
+    });
+
+    it('should answer 415 for a detected type that is blocked', async () => {
+      fs.readSync.mockImplementation(exeHeader);
+
+      const response = await request(policyApp)
+        .post('/scan')
+        .attach('file', Buffer.from('MZ'), 'test.txt')
+        .expect(415);
+
+      expect(response.body).toEqual({
+        error: 'File type not allowed',
+        code: 'TYPE_NOT_ALLOWED',
+        details: 'test-file.txt: files of type application/vnd.microsoft.portable-executable are not allowed'
+      });
+      expect(mockExec).not.toHaveBeenCalled();
+      expect(mockUnlinkSync).toHaveBeenCalledWith('/tmp/mock-file-path');
+    });
+
+    it('should flag uploads whose content does not match their declared type', async () => {
+      fs.readSync.mockImplementation(exeHeader);
+
+      const response = await request(app)
+        .post('/scan')
+        .attach('file', Buffer.from('MZ'), 'test.txt')
+        .expect(200);
+
+      expect(response.body).toEqual(expect.objectContaining({
+        verdict: 'clean',
+        detectedType: 'application/vnd.microsoft.portable-executable',
+        declaredType: 'text/plain',
+        typeMismatch: true
+      }));
+    });
+
+    it('should compare streamed bodies with the X-Filename extension', async () => {
+      fs.readSync.mockImplementation(exeHeader);
+
+      const response = await request(app)
+        .put('/scan/stream')
+        .set('Content-Type', 'application/octet-stream')
+        .set('X-Filename', 'photo.jpg')
+        .send(Buffer.from('MZ'))
+        .expect(200);
+
+      expect(response.body).toEqual(expect.objectContaining({
+        detectedType: 'application/vnd.microsoft.portable-executable',
+        declaredType: 'image/jpeg',
+        typeMismatch: true
+      }));
+    });
+
+    it('should refuse a whole batch when one file has a blocked extension', async () => {
+      const response = await request(policyApp)
+        .post('/scan/batch')
+        .attach('files', Buffer.from('one'), 'report.pdf')
+        .attach('files', Buffer.from('two'), 'setup.EXE')
+        .expect(415);
+
+      expect(response.body).toEqual({
+        error: 'File type not allowed',
+        code: 'EXTENSION_NOT_ALLOWED',
+        details: 'setup.EXE: files with the extension .exe are not allowed'
+      });
+      expect(mockExec).not.toHaveBeenCalled();
+      expect(mockUnlinkSync).toHaveBeenCalledWith('/tmp/mock-file-path-0');
+      expect(mockUnlinkSync).toHaveBeenCalledWith('/tmp/mock-file-path-1');
+    });
+
+    it('should scan files the policy allows', async () => {
+      const response = await request(policyApp)
+        .post('/scan')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(200);
+
+      expect(response.body.verdict).toBe('clean');
+    });
+
+    it('should check streamed bodies by X-Filename and content', async () => {
+      const byName = await request(policyApp)
+        .put('/scan/stream')
+        .set('X-Filename', 'tool.js')
+        .send(Buffer.from('alert(1)'))
+        .expect(415);
+      expect(byName.body.code).toBe('EXTENSION_NOT_ALLOWED');
+
+      const byContent = await request(policyApp)
+        .put('/scan/stream')
+        .set('Content-Type', 'application/octet-stream')
+        .set('X-Filename', 'photo.jpg')
+        .send(Buffer.from('\x7fELF\x02\x01\x01', 'latin1'))
+        .expect(415);
+      expect(byContent.body).toEqual({
+        error: 'File type not allowed',
+        code: 'TYPE_NOT_ALLOWED',
+        details: 'photo.jpg: files of type application/x-elf are not allowed'
+      });
+      expect(mockExec).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Scan policies', () => {
+    const fs = require('fs');
+    const { mockReadFileSync } = require('./setup');
+    const adminKey = 'test-admin-key';
+    const blockedExecutable = {
+      rule: 'executables',
+      reason: 'Executable files are not allowed (application/vnd.microsoft.portable-executable)'
+    };
+    let policyApp;
+
+    beforeAll(() => {
+      mockReadFileSync.mockImplementation((file) => {
+        if (file !== '/etc/avscan/policies.json') {
+          throw Object.assign(new Error(`ENOENT: ${file}`), { code: 'ENOENT' });
+        }
+        return JSON.stringify({
+          policies: {
+            strict: { description: 'No programs', rules: ['executables', 'scripts'] },
+            small: { rules: [{ rule: 'max_size', bytes: 512 }] }
+          }
+        });
+      });
+      policyApp = createApp({ SCAN_POLICIES_FILE: '/etc/avscan/policies.json', SCAN_POLICY: 'small', API_ADMIN_KEY: adminKey });
+      mockReadFileSync.mockReset();
+    });
+
+    beforeEach(() => {
+      mockExec.mockImplementation((command, callback) => callback(null, '', ''));
+    });
+
+    afterEach(() => {
+      fs.readSync.mockImplementation(() => 0);
+    });
+
+    it('should block clean files that break a rule of the requested policy', async () => {
+      fs.readSync.mockImplementation(exeHeader);
+
+      const response = await request(policyApp)
+        .post('/scan?policy=strict')
+        .attach('file', Buffer.from('MZ'), 'test.txt')
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        verdict: 'blocked',
+        clean: false,
+        threats: [],
+        detectedType: 'application/vnd.microsoft.portable-executable',
+        policy: { name: 'strict', triggered: [blockedExecutable] }
+      });
+      expect(mockExec).toHaveBeenCalled();
+      expect(mockUnlinkSync).toHaveBeenCalledWith('/tmp/mock-file-path');
+    });
+
+    it('should pass clean files that break no rule', async () => {
+      const response = await request(policyApp)
+        .post('/scan?policy=strict')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ verdict: 'clean', clean: true, policy: { name: 'strict', triggered: [] } });
+    });
+
+    it('should apply SCAN_POLICY when the request names no policy', async () => {
+      const response = await request(policyApp)
+        .post('/scan')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        verdict: 'blocked',
+        policy: { name: 'small', triggered: [{ rule: 'max_size', reason: 'Files may be at most 512 bytes' }] }
+      });
+    });
+
+    it('should keep the infected verdict and still list the rules that triggered', async () => {
+      fs.readSync.mockImplementation(exeHeader);
+      mockExec.mockImplementation((command, callback) => {
+        const error = new Error('Virus found');
+        error.code = 1;
+        callback(error, '/tmp/mock-file-path: Win.Test.EICAR_HDB-1 FOUND', '');
+      });
+
+      const response = await request(policyApp)
+        .post('/scan?policy=strict')
+        .attach('file', Buffer.from('MZ'), 'test.txt')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ verdict: 'infected', policy: { name: 'strict', triggered: [blockedExecutable] } });
+    });
+
+    it('should answer 400 for unknown policies without scanning', async () => {
+      const response = await request(policyApp)
+        .post('/scan?policy=lenient')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(400);
+
+      expect(response.body).toEqual({
+        error: 'Unknown policy',
+        code: 'UNKNOWN_POLICY',
+        details: 'No scan policy named "lenient"; available: strict, small'
+      });
+      expect(mockExec).not.toHaveBeenCalled();
+    });
+
+    it('should count blocked files in batch summaries', async () => {
+      const response = await request(policyApp)
+        .post('/scan/batch')
+        .attach('files', Buffer.from('one'), 'one.txt')
+        .attach('files', Buffer.from('two'), 'two.txt')
+        .expect(200);
+
+      expect(response.body.allClean).toBe(false);
+      expect(response.body.summary).toEqual({ total: 2, clean: 0, infected: 0, blocked: 2, limitsExceeded: 0, failed: 0 });
+      expect(response.body.results['one.txt'].verdict).toBe('blocked');
+    });
+
+    it('should apply the policy to streamed bodies', async () => {
+      const response = await request(policyApp)
+        .put('/scan/stream')
+        .set('X-Filename', 'data.bin')
+        .send(Buffer.alloc(600))
+        .expect(200);
+
+      expect(response.body).toMatchObject({ verdict: 'blocked', policy: { name: 'small' } });
+    });
+
+    it('should finish asynchronous scans with the blocked status', async () => {
+      const { body } = await request(policyApp)
+        .post('/scans')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(202);
+
+      let job;
+      for (let attempt = 0; attempt < 50 && (!job || ['queued', 'running'].includes(job.status)); attempt++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+        job = (await request(policyApp).get(`/scans/${body.id}`)).body;
+      }
+
+      expect(job).toMatchObject({ status: 'blocked', verdict: 'blocked', policy: { name: 'small' } });
+    });
+
+    it('should apply the policy of the API key unless the request names another', async () => {
+      fs.readSync.mockImplementation(exeHeader);
+
+      const created = await request(policyApp)
+        .post('/keys')
+        .set('X-API-Key', adminKey)
+        .send({ scopes: ['scan'], policy: 'strict' })
+        .expect(201);
+      expect(created.body.policy).toBe('strict');
+
+      const byKey = await request(policyApp)
+        .post('/scan')
+        .set('X-API-Key', created.body.key)
+        .attach('file', Buffer.from('MZ'), 'test.txt')
+        .expect(200);
+      expect(byKey.body.policy.name).toBe('strict');
+
+      const byRequest = await request(policyApp)
+        .post('/scan?policy=small')
+        .set('X-API-Key', created.body.key)
+        .attach('file', Buffer.from('MZ'), 'test.txt')
+        .expect(200);
+      expect(byRequest.body.policy.name).toBe('small');
+
+      const invalid = await request(policyApp)
+        .post('/keys')
+        .set('X-API-Key', adminKey)
+        .send({ scopes: ['scan'], policy: 'lenient' })
+        .expect(400);
+      expect(invalid.body.details).toBe('Unknown policy "lenient"; expected one of: strict, small');
+    });
+
+    it('should list the policies and count violations', async () => {
+      const response = await request(policyApp).get('/policies').expect(200);
+
+      expect(response.body).toEqual({
+        default: 'small',
+        policies: [
+          { name: 'strict', description: 'No programs', rules: [{ rule: 'executables' }, { rule: 'scripts' }] },
+          { name: 'small', description: '', rules: [{ rule: 'max_size', bytes: 512 }] }
+        ]
+      });
+
+      const metrics = await request(policyApp).get('/metrics').expect(200);
+      expect(metrics.text).toMatch(/avscan_policy_violations_total\{policy="small",rule="max_size"\} [1-9]/);
+    });
+  });
+
+  describe('Scan timeouts', () => {
+    let timeoutApp;
+    let kill;
+    let scanStarted;
+
+    const waitFor = async (condition) => {
+      while (!condition()) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    };
+
+    beforeAll(() => {
+      timeoutApp = createApp({ SCAN_TIMEOUT: '50' });
+    });
+
+    beforeEach(() => {
+      scanStarted = false;
+      kill = jest.spyOn(process, 'kill').mockImplementation(() => true);
+      // The scanner never finishes
+      mockExec.mockImplementation(() => {
+        scanStarted = true;
+        return { pid: 4242 };
+      });
+    });
+
+    afterEach(() => {
+      kill.mockRestore();
+    });
+
+    it('should kill the scanner and return 504 after SCAN_TIMEOUT', async () => {
+      const response = await request(timeoutApp)
+        .post('/scan')
+        .attach('file', Buffer.from('test content'), 'slow.bin')
+        .expect(504);
+
+      expect(response.body).toEqual({
+        error: 'Scan timed out',
+        code: 'SCAN_TIMEOUT',
+        details: 'The scan did not finish within 50ms'
+      });
+      expect(mockUnlinkSync).toHaveBeenCalledWith('/tmp/mock-file-path');
+      expect(kill.mock.calls).toEqual([[-4242, 'SIGKILL']]);
+    });
+
+    it('should accept a timeout per request up to SCAN_MAX_TIMEOUT', async () => {
+      const response = await request(timeoutApp)
+        .post('/scan?timeout=20')
+        .attach('file', Buffer.from('test content'), 'slow.bin')
+        .expect(504);
+      expect(response.body.details).toBe('The scan did not finish within 20ms');
+
+      for (const timeout of ['0', 'soon', '1800001']) {
+        const invalid = await request(timeoutApp)
+          .post(`/scan?timeout=${timeout}`)
+          .attach('file', Buffer.from('test content'), 'slow.bin')
+          .expect(400);
+        expect(invalid.body).toEqual({
+          error: 'Invalid timeout',
+          details: 'timeout must be a number of milliseconds from 1 to 1800000'
+        });
+      }
+    });
+
+    it('should report timeouts per file in a batch', async () => {
+      const response = await request(timeoutApp)
+        .post('/scan/batch')
+        .attach('files', Buffer.from('one'), 'slow.bin')
+        .expect(200);
+
+      expect(response.body.summary.failed).toBe(1);
+      expect(response.body.results['slow.bin']).toEqual({
+        error: 'Scan timed out',
+        code: 'SCAN_TIMEOUT',
+        details: 'The scan did not finish within 50ms'
+      });
+    });
+
+    it('should fail asynchronous jobs that time out', async () => {
+      const { body } = await request(timeoutApp)
+        .post('/scans?timeout=30')
+        .attach('file', Buffer.from('test content'), 'slow.bin')
+        .expect(202);
+
+      let job;
+      do {
+        job = (await request(timeoutApp).get(`/scans/${body.id}`)).body;
+      } while (job.status === 'queued' || job.status === 'running');
+
+      expect(job.status).toBe('error');
+      expect(job.error).toBe('The scan did not finish within 30ms');
+    });
+
+    it('should kill the scanner when the client disconnects', async () => {
+      // Listen explicitly, as supertest only closes its own server once a response arrives
+      const server = timeoutApp.listen(0);
+      const pending = request(server)
+        .post('/scan?timeout=60000')
+        .attach('file', Buffer.from('test content'), 'slow.bin');
+      pending.end(() => {});
+
+      try {
+        await waitFor(() => scanStarted);
+        pending.abort();
+
+        await waitFor(() => kill.mock.calls.length === 1);
+        expect(kill).toHaveBeenCalledWith(-4242, 'SIGKILL');
+        expect(mockUnlinkSync).toHaveBeenCalledWith('/tmp/mock-file-path');
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+
+  describe('Scanner status and signature updates', () => {
+    const fs = require('fs');
+    const adminKey = 'test-admin-key';
+    let scannerApp;
+    let dbVersion;
+    let freshclam;
+
+    beforeAll(() => {
+      scannerApp = createApp({ API_ADMIN_KEY: adminKey });
+    });
+
+    beforeEach(() => {
+      dbVersion = 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024';
+      freshclam = (callback) => callback(null, 'daily.cld updated (version: 27001)', '');
+      fs.promises.readdir.mockResolvedValue(['daily.cld', 'main.cvd']);
+      // freshclam is run with options, the other commands without
+      mockExec.mockImplementation((command, ...args) => {
+        const callback = args.pop();
+        if (command.endsWith('--version')) {
+          return callback(null, `${dbVersion}\n`, '');
+        }
+        if (command.startsWith('sigtool')) {
+          return callback(null, `Signatures: ${command.includes('main.cvd') ? 6647427 : 2043210}\n`, '');
+        }
+        if (command === 'freshclam') {
+          return freshclam(callback);
+        }
+        callback(null, '', '');
+      });
+    });
+
+    it('should report the engine and signature database', async () => {
+      const response = await request(scannerApp).get('/scanner').expect(200);
+
+      expect(response.body).toEqual({
+        engine: 'clamscan',
+        name: 'ClamAV',
+        version: '1.0.0',
+        versionString: 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024',
+        signatures: {
+          version: '27000',
+          count: 8690637,
+          updatedAt: new Date('Mon Jan  1 00:00:00 2024').toISOString()
+        },
+        update: { running: false, startedAt: null, lastRun: null }
+      });
+      expect(fs.promises.readdir).toHaveBeenCalledWith('/var/lib/clamav');
+    });
+
+    it('should count signatures once per database version', async () => {
+      await request(scannerApp).get('/scanner').expect(200);
+
+      expect(mockExec.mock.calls.filter(([command]) => command.startsWith('sigtool'))).toHaveLength(0);
+    });
+
+    it('should return 503 when the scanner does not report its version', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        callback(Object.assign(new Error('Command failed'), { code: 127 }), '', 'clamscan: not found');
+      });
+
+      const response = await request(scannerApp).get('/scanner').expect(503);
+
+      expect(response.body.error).toBe('Scanner unavailable');
+    });
+
+    it('should require the admin key to update signatures', async () => {
+      await request(scannerApp).post('/scanner/update').expect(401);
+      expect(mockExec).not.toHaveBeenCalled();
+    });
+
+    it('should run freshclam and report the new database version', async () => {
+      freshclam = (callback) => {
+        dbVersion = 'ClamAV 1.0.0/27001/Tue Jan  2 00:00:00 2024';
+        callback(null, 'daily.cld updated (version: 27001)', '');
+      };
+
+      const response = await request(scannerApp)
+        .post('/scanner/update')
+        .set('X-API-Key', adminKey)
+        .expect(200);
+
+      expect(response.body).toEqual({
+        status: 'updated',
+        exitCode: 0,
+        startedAt: expect.any(String),
+        finishedAt: expect.any(String),
+        durationMs: expect.any(Number),
+        previousVersion: '27000',
+        version: '27001',
+        output: 'daily.cld updated (version: 27001)'
+      });
+      expect(mockExec).toHaveBeenCalledWith('freshclam', expect.objectContaining({ timeout: 600000 }), expect.any(Function));
+      expect(fs.writeFileSync).toHaveBeenCalledWith(expect.stringMatching(/avscan-signature-update\.lock$/), expect.any(String), { flag: 'wx' });
+
+      const status = await request(scannerApp).get('/scanner').expect(200);
+      expect(status.body.signatures.version).toBe('27001');
+      expect(status.body.update.lastRun).toMatchObject({ status: 'updated', exitCode: 0 });
+    });
+
+    it('should report databases that are already up to date', async () => {
+      freshclam = (callback) => {
+        callback(Object.assign(new Error('Command failed: freshclam'), { code: 1 }), 'daily.cld database is up-to-date', '');
+      };
+
+      const response = await request(scannerApp)
+        .post('/scanner/update')
+        .set('X-API-Key', adminKey)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ status: 'up_to_date', exitCode: 1, previousVersion: '27000', version: '27000' });
+    });
+
+    it('should return 500 when the update fails', async () => {
+      freshclam = (callback) => {
+        callback(Object.assign(new Error('Command failed: freshclam'), { code: 62 }), '', 'Can\'t connect to port 443\n');
+      };
+
+      const response = await request(scannerApp)
+        .post('/scanner/update')
+        .set('X-API-Key', adminKey)
+        .expect(500);
+
+      expect(response.body).toMatchObject({
+        error: 'Signature update failed',
+        details: 'Can\'t connect to port 443',
+        status: 'failed',
+        exitCode: 62
+      });
+    });
+
+    it('should return 409 while an update is running', async () => {
+      let finish;
+      freshclam = (callback) => {
+        finish = () => callback(null, '', '');
+      };
+
+      const first = request(scannerApp).post('/scanner/update').set('X-API-Key', adminKey).then((response) => response);
+      while (!finish) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+
+      const second = await request(scannerApp)
+        .post('/scanner/update')
+        .set('X-API-Key', adminKey)
+        .expect(409);
+      expect(second.body.error).toBe('Update in progress');
+
+      finish();
+      expect((await first).status).toBe(200);
+    });
+  });
+
+  describe('API keys', () => {
+    const adminKey = 'test-admin-key';
+    let authApp;
+
+    beforeAll(() => {
+      authApp = createApp({ AUTH_ALLOW_ANONYMOUS: 'false', API_ADMIN_KEY: adminKey });
+    });
+
+    beforeEach(() => {
+      mockExec.mockImplementation((command, callback) => {
+        callback(null, '/tmp/mock-file-path: OK', '');
+      });
+    });
+
+    const createKey = async (settings) => {
+      const response = await request(authApp)
+        .post('/keys')
+        .set('X-API-Key', adminKey)
+        .send(settings)
+        .expect(201);
+
+      return response.body;
+    };
+
+    const scan = (key) => request(authApp)
+      .post('/scan')
+      .set('X-API-Key', key)
+      .attach('file', Buffer.from('test content'), 'test.txt');
+
+    it('should require a key for everything except API information', async () => {
+      const response = await request(authApp)
+        .post('/scan')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(401);
+
+      expect(response.body.error).toBe('Authentication required');
+      expect(response.headers['www-authenticate']).toBe('Bearer realm="avscan-api"');
+      expect(mockExec).not.toHaveBeenCalled();
+
+      await request(authApp).get(`/hashes/${MOCK_FILE_HASHES.sha256}`).expect(401);
+      await request(authApp).get('/').expect(200);
+    });
+
+    it('should reject unknown keys', async () => {
+      const response = await scan('avs_0000000000000000_AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA').expect(401);
+
+      expect(response.body.error).toBe('Invalid API key');
+    });
+
+    it('should issue keys that work as a header or bearer token', async () => {
+      const created = await createKey({ name: 'ci', scopes: ['scan'] });
+
+      expect(created).toEqual(expect.objectContaining({
+        name: 'ci',
+        scopes: ['scan'],
+        status: 'active',
+        quotas: { dailyRequests: null, dailyBytes: null }
+      }));
+      expect(created.key).toMatch(new RegExp(`^avs_${created.id}_`));
+
+      await scan(created.key).expect(200);
+      await request(authApp)
+        .post('/scan')
+        .set('Authorization', `Bearer ${created.key}`)
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(200);
+
+      const listed = await request(authApp).get(`/keys/${created.id}`).set('X-API-Key', adminKey).expect(200);
+      expect(listed.body.key).toBeUndefined();
+      expect(listed.body.usage).toEqual(expect.objectContaining({ requests: 2, bytes: 2048 }));
+    });
+
+    it('should enforce scopes', async () => {
+      const reader = await createKey({ scopes: ['read-results'] });
+
+      const response = await scan(reader.key).expect(403);
+      expect(response.body.details).toBe('This API key does not have the "scan" scope');
+
+      await request(authApp).get('/scans/unknown').set('X-API-Key', reader.key).expect(404);
+      await request(authApp).get('/keys').set('X-API-Key', reader.key).expect(403);
+    });
+
+    it('should enforce the daily request quota', async () => {
+      const created = await createKey({ scopes: ['scan'], dailyRequests: 1 });
+
+      await scan(created.key).expect(200);
+      const response = await scan(created.key).expect(429);
+
+      expect(response.body.error).toBe('Quota exceeded');
+      expect(response.body.details).toMatch(/daily requests quota of 1/);
+      expect(parseInt(response.headers['retry-after'], 10)).toBeGreaterThan(0);
+    });
+
+    it('should enforce the daily byte quota', async () => {
+      const created = await createKey({ scopes: ['scan'], dailyBytes: 1024 });
+
+      // The mocked upload is 1024 bytes, using up the quota
+      await scan(created.key).expect(200);
+      const response = await scan(created.key).expect(429);
+
+      expect(response.body.details).toMatch(/daily bytes quota of 1024/);
+    });
+
+    it('should keep scan jobs to the key that submitted them', async () => {
+      const owner = await createKey({ scopes: ['scan', 'read-results'] });
+      const other = await createKey({ scopes: ['scan', 'read-results'] });
+
+      const { body: job } = await request(authApp)
+        .post('/scans')
+        .set('X-API-Key', owner.key)
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(202);
+
+      await request(authApp).get(`/scans/${job.id}`).set('X-API-Key', other.key).expect(404);
+      await request(authApp).delete(`/scans/${job.id}`).set('X-API-Key', other.key).expect(404);
+
+      await request(authApp).get(`/scans/${job.id}`).set('X-API-Key', owner.key).expect(200);
+      await request(authApp).get(`/scans/${job.id}`).set('X-API-Key', adminKey).expect(200);
+    });
+
+    it('should rotate and revoke keys', async () => {
+      const created = await createKey({ scopes: ['scan'] });
+
+      const rotated = await request(authApp)
+        .post(`/keys/${created.id}/rotate`)
+        .set('X-API-Key', adminKey)
+        .expect(200);
+
+      expect(rotated.body.id).toBe(created.id);
+      await scan(created.key).expect(401);
+      await scan(rotated.body.key).expect(200);
+
+      const revoked = await request(authApp)
+        .delete(`/keys/${created.id}`)
+        .set('X-API-Key', adminKey)
+        .expect(200);
+
+      expect(revoked.body.status).toBe('revoked');
+      await scan(rotated.body.key).expect(401);
+      await request(authApp).post(`/keys/${created.id}/rotate`).set('X-API-Key', adminKey).expect(409);
+    });
+
+    it('should validate key settings', async () => {
+      const response = await request(authApp)
+        .post('/keys')
+        .set('X-API-Key', adminKey)
+        .send({ scopes: ['scan', 'delete-everything'] })
+        .expect(400);
+
+      expect(response.body).toEqual({
+        error: 'Invalid API key settings',
+        details: 'Unknown scope "delete-everything"; expected one of: scan, read-results, metrics, admin'
+      });
+
+      await request(authApp).get('/keys/unknown').set('X-API-Key', adminKey).expect(404);
+    });
+
+    it('should serve metrics to keys with the metrics scope', async () => {
+      const scanner = await createKey({ scopes: ['scan', 'read-results'] });
+      const prometheus = await createKey({ name: 'prometheus', scopes: ['metrics'] });
+
+      await request(authApp).get('/metrics').expect(401);
+      await request(authApp).get('/metrics').set('X-API-Key', scanner.key).expect(403);
+      await request(authApp).get('/metrics').set('Authorization', `Bearer ${prometheus.key}`).expect(200);
+      await scan(prometheus.key).expect(403);
+    });
+
+    it('should show the effective configuration to admins with secrets redacted', async () => {
+      const created = await createKey({ scopes: ['scan', 'read-results'] });
+      await request(authApp).get('/config').set('X-API-Key', created.key).expect(403);
+
+      const response = await request(authApp).get('/config').set('X-API-Key', adminKey).expect(200);
+
+      expect(response.body.file).toBeNull();
+      expect(response.body.config.server).toEqual({ port: 3000, host: '0.0.0.0' });
+      expect(response.body.config.auth.adminKey).toBe('[redacted]');
+      expect(JSON.stringify(response.body)).not.toContain(adminKey);
+    });
+  });
+
+  describe('Rate limiting', () => {
+    let limitedApp;
+
+    beforeAll(() => {
+      limitedApp = createApp({
+        RATE_LIMIT: 'true',
+        RATE_LIMIT_SCAN_MAX: '2',
+        RATE_LIMIT_READ_MAX: '5',
+        RATE_LIMIT_ADDRESS_MAX: '8',
+        TRUSTED_PROXIES: '127.0.0.1,::1'
+      });
+    });
+
+    beforeEach(() => {
+      mockExec.mockImplementation((command, callback) => {
+        callback(null, '/tmp/mock-file-path: OK', '');
+      });
+    });
+
+    // Each test uses its own client address, forwarded by the trusted local proxy
+    const scanFrom = (address) => request(limitedApp)
+      .post('/scan')
+      .set('X-Forwarded-For', address)
+      .attach('file', Buffer.from('test content'), 'test.txt');
+
+    it('should set rate limit headers and reject requests over the budget', async () => {
+      const first = await scanFrom('198.51.100.1').expect(200);
+
+      expect(first.headers['ratelimit-limit']).toBe('2');
+      expect(first.headers['ratelimit-remaining']).toBe('1');
+      expect(first.headers['ratelimit-policy']).toBe('2;w=60');
+      expect(parseInt(first.headers['ratelimit-reset'], 10)).toBeLessThanOrEqual(60);
+
+      await scanFrom('198.51.100.1').expect(200);
+      const limited = await scanFrom('198.51.100.1').expect(429);
+
+      expect(limited.body.error).toBe('Too many requests');
+      expect(limited.headers['ratelimit-remaining']).toBe('0');
+      expect(limited.headers['retry-after']).toBe(limited.headers['ratelimit-reset']);
+      expect(mockExec).toHaveBeenCalledTimes(2);
+    });
+
+    it('should count clients behind a trusted proxy separately', async () => {
+      await scanFrom('198.51.100.2').expect(200);
+      await scanFrom('198.51.100.2').expect(200);
+
+      await scanFrom('198.51.100.3').expect(200);
+    });
+
+    it('should give read endpoints their own budget', async () => {
+      await scanFrom('198.51.100.4').expect(200);
+      await scanFrom('198.51.100.4').expect(200);
+
+      const response = await request(limitedApp)
+        .get('/scans/unknown')
+        .set('X-Forwarded-For', '198.51.100.4')
+        .expect(404);
+
+      expect(response.headers['ratelimit-limit']).toBe('5');
+    });
+
+    it('should limit requests with wrong API keys per client address', async () => {
+      const guess = (key) => request(limitedApp)
+        .get('/scans/unknown')
+        .set('X-Forwarded-For', '198.51.100.5')
+        .set('X-API-Key', key);
+
+      for (let attempt = 0; attempt < 8; attempt++) {
+        await guess(`wrong-key-${attempt}`).expect(401);
+      }
+      const limited = await guess('wrong-key-8').expect(429);
+
+      expect(limited.body.details).toBe('Rate limit of 8 requests from this address per 60 seconds exceeded; ' +
+        `retry in ${limited.headers['retry-after']} seconds`);
+    });
+
+    it('should not limit API information', async () => {
+      const response = await request(limitedApp).get('/').expect(200);
+
+      expect(response.headers['ratelimit-limit']).toBeUndefined();
+    });
+  });
+
+  describe('uvscan engine', () => {
+    let uvscanApp;
+
+    beforeAll(() => {
+      uvscanApp = createApp({ SCANNER_ENGINE: 'uvscan' });
+    });
+
+    it('should report the configured engine in API information', async () => {
+      const response = await request(uvscanApp)
+        .get('/')
+        .expect(200);
+
+      expect(response.body.scanner).toEqual({
+        name: 'McAfee VirusScan',
+        type: 'Command Line Scanner'
+      });
+    });
+
+    it('should map uvscan exit code 13 to an infected result', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        const error = new Error('Virus found');
+        error.code = 13;
+        callback(error, 'test.exe ... Found the EICAR test file NOT a virus.', null);
+      });
+
+      const response = await request(uvscanApp)
+        .post('/scan')
+        .attach('file', Buffer.from('malicious content'), 'test.exe')
+        .expect(200);
+
+      expect(response.body.clean).toBe(false);
+      expect(mockExec).toHaveBeenCalledWith(expect.stringMatching(/^uvscan /), expect.any(Function));
+    });
+
+    it('should treat ClamAV\'s infected exit code as an error', async () => {
+      mockExec.mockImplementation((command, callback) => {
+        const error = new Error('Command failed');
+        error.code = 1;
+        callback(error, null, 'uvscan error');
+      });
+
+      await request(uvscanApp)
+        .post('/scan')
+        .attach('file', Buffer.from('content'), 'test.txt')
+        .expect(500);
+    });
+  });
+
+  describe('Error handling', () => {
+    it('should handle file system errors during cleanup', async () => {
+      // Mock exec to simulate successful scan
+      mockExec.mockImplementation((command, callback) => {
+        callback(null, '', null);
+      });
+
+      // Mock unlinkSync to throw error
+      mockUnlinkSync.mockImplementation(() => {
+        throw new Error('File not found');
+      });
+
+      const response = await request(app)
+        .post('/scan')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(200);
+
+      // Should still return scan results even if cleanup fails
+      expect(response.body.clean).toBe(true);
+    });
+
+    it('should handle ClamAV database errors', async () => {
+      // Mock exec to simulate ClamAV database error
+      mockExec.mockImplementation((command, callback) => {
+        const error = new Error('Database error');
+        error.code = 2;
+        callback(error, null, 'ERROR: Can\'t access database directory');
+      });
+
+      const response = await request(app)
+        .post('/scan')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(500);
+
+      expect(response.body).toEqual({
+        error: 'Scan failed',
+        details: 'ERROR: Can\'t access database directory'
+      });
+    });
+
+    it('should handle ClamAV permission errors', async () => {
+      // Mock exec to simulate permission error
+      mockExec.mockImplementation((command, callback) => {
+        const error = new Error('Permission denied');
+        error.code = 2;
+        callback(error, null, 'ERROR: Can\'t access file');
+      });
+
+      const response = await request(app)
+        .post('/scan')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(500);
+
+      expect(response.body).toEqual({
+        error: 'Scan failed',
+        details: 'ERROR: Can\'t access file'
+      });
+    });
+
+    it('should reply with a JSON error when a route fails unexpectedly', async () => {
+      const { ScanQueue } = require('../lib/scan-queue');
+      const enqueue = jest.spyOn(ScanQueue.prototype, 'enqueue').mockImplementation(() => {
+        throw new Error('Queue is closed');
+      });
+
+      try {
+        const response = await request(app)
+          .post('/scans')
+          .attach('file', Buffer.from('test content'), 'test.txt')
+          .expect(500);
+
+        expect(response.body).toEqual({
+          error: 'Internal server error',
+          details: 'Queue is closed'
+        });
+      } finally {
+        enqueue.mockRestore();
+      }
+    });
+  });
+
+  describe('Scan history', () => {
+    const adminKey = 'test-admin-key';
+    const dbVersion = 'ClamAV 1.0.0/27000/Mon Jan  1 00:00:00 2024';
+    let historyApp;
+    let infected;
+
+    beforeAll(() => {
+      historyApp = createApp({ SCAN_HISTORY: 'true', API_ADMIN_KEY: adminKey });
+    });
+
+    beforeEach(() => {
+      infected = false;
+      mockExec.mockImplementation((command, callback) => {
+        if (command.includes('--version')) {
+          return callback(null, `${dbVersion}\n`, '');
+        }
+        if (infected) {
+          const error = new Error('Virus found');
+          error.code = 1;
+          return callback(error, '/tmp/mock-file-path: Win.Test.EICAR_HDB-1 FOUND\n', '');
+        }
+        callback(null, '', '');
+      });
+    });
+
+    /**
+     * Scan a file, with an API key when one is given
+     */
+    const scan = (key) => {
+      const post = request(historyApp).post('/scan');
+      return (key ? post.set('X-API-Key', key) : post)
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(200);
+    };
+
+    it('should record every scan and return its ID', async () => {
+      const response = await scan();
+      expect(response.body.scanId).toMatch(/^[0-9a-f]{32}$/);
+
+      const record = await request(historyApp).get(`/scans/${response.body.scanId}`).expect(200);
+      expect(record.body).toEqual(expect.objectContaining({
+        id: response.body.scanId,
+        filename: 'test-file.txt',
+        size: 1024,
+        hashes: MOCK_FILE_HASHES,
+        verdict: 'clean',
+        threats: [],
+        engine: 'clamscan',
+        dbVersion,
+        cached: false,
+        endpoint: 'POST /scan',
+        caller: expect.objectContaining({ keyId: null })
+      }));
+      expect(Date.parse(record.body.scannedAt)).not.toBeNaN();
+    });
+
+    it('should record asynchronous scans under their job ID', async () => {
+      const { body } = await request(historyApp)
+        .post('/scans')
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(202);
+
+      let job = body;
+      while (['queued', 'running'].includes(job.status)) {
+        await new Promise((resolve) => setImmediate(resolve));
+        job = (await request(historyApp).get(`/scans/${body.id}`)).body;
+      }
+
+      const { body: page } = await request(historyApp).get('/scans?limit=1').expect(200);
+      expect(page.scans[0]).toMatchObject({ id: body.id, verdict: 'clean', endpoint: 'POST /scans' });
+    });
+
+    it('should search the history a page at a time', async () => {
+      await scan();
+      infected = true;
+      const first = await scan();
+      const second = await scan();
+      const third = await scan();
+
+      const page1 = await request(historyApp).get('/scans?verdict=infected&limit=2').expect(200);
+      expect(page1.body.scans.map(({ id }) => id)).toEqual([third.body.scanId, second.body.scanId]);
+      expect(page1.body.scans[0].threats).toEqual([expect.objectContaining({ signature: 'Win.Test.EICAR_HDB-1' })]);
+
+      const page2 = await request(historyApp)
+        .get(`/scans?verdict=infected&limit=2&cursor=${page1.body.nextCursor}`)
+        .expect(200);
+      expect(page2.body.scans.map(({ id }) => id)).toContain(first.body.scanId);
+
+      const byHash = await request(historyApp).get(`/scans?hash=${MOCK_FILE_HASHES.md5}&verdict=clean`).expect(200);
+      expect(byHash.body.scans.length).toBeGreaterThan(0);
+      expect(byHash.body.scans.every(({ verdict }) => verdict === 'clean')).toBe(true);
+    });
+
+    it('should refuse invalid filters', async () => {
+      const verdict = await request(historyApp).get('/scans?verdict=dirty').expect(400);
+      expect(verdict.body).toEqual({
+        error: 'Invalid scan history query',
+        details: 'Unknown verdict "dirty"; expected one of: clean, infected, blocked, limits_exceeded, error'
+      });
+
+      const limit = await request(historyApp).get('/scans?limit=1000').expect(400);
+      expect(limit.body.details).toBe('limit must be a number from 1 to 500');
+
+      await request(historyApp).get('/scans?cursor=bogus').expect(400);
+    });
+
+    it('should only show API keys their own scans', async () => {
+      const createKey = async () => (await request(historyApp)
+        .post('/keys')
+        .set('X-API-Key', adminKey)
+        .send({ scopes: ['scan', 'read-results'] })
+        .expect(201)).body;
+      const mine = await createKey();
+      const theirs = await createKey();
+
+      const own = await scan(mine.key);
+      const other = await scan(theirs.key);
+
+      const list = await request(historyApp).get('/scans').set('X-API-Key', mine.key).expect(200);
+      expect(list.body.scans.map(({ id }) => id)).toEqual([own.body.scanId]);
+      expect(list.body.scans[0].caller).toMatchObject({ keyId: mine.id });
+
+      await request(historyApp).get(`/scans/${other.body.scanId}`).set('X-API-Key', mine.key).expect(404);
+
+      const all = await request(historyApp).get('/scans').set('X-API-Key', adminKey).expect(200);
+      expect(all.body.scans.map(({ id }) => id)).toEqual(expect.arrayContaining([own.body.scanId, other.body.scanId]));
+    });
+
+    it('should only show requests without a key the scans submitted without one', async () => {
+      const key = (await request(historyApp)
+        .post('/keys')
+        .set('X-API-Key', adminKey)
+        .send({ scopes: ['scan', 'read-results'] })
+        .expect(201)).body;
+
+      const keyed = await scan(key.key);
+      const anonymous = await scan();
+      const { body: job } = await request(historyApp)
+        .post('/scans')
+        .set('X-API-Key', key.key)
+        .attach('file', Buffer.from('test content'), 'test.txt')
+        .expect(202);
+
+      const list = await request(historyApp).get('/scans?limit=500').expect(200);
+      const ids = list.body.scans.map(({ id }) => id);
+      expect(ids).toContain(anonymous.body.scanId);
+      expect(ids).not.toContain(keyed.body.scanId);
+      expect(list.body.scans.every(({ caller }) => caller.keyId === null)).toBe(true);
+
+      await request(historyApp).get(`/scans/${keyed.body.scanId}`).expect(404);
+      await request(historyApp).get(`/scans/${job.id}`).expect(404);
+      await request(historyApp).delete(`/scans/${job.id}`).expect(404);
+      await request(historyApp).get(`/scans/${anonymous.body.scanId}`).expect(200);
+      await request(historyApp).get(`/scans/${anonymous.body.scanId}`).set('X-API-Key', key.key).expect(404);
+    });
+
+    describe('reports', () => {
+      let key;
+
+      // Each test scans a clean and an infected file with a key of its own
+      beforeEach(async () => {
+        key = (await request(historyApp)
+          .post('/keys')
+          .set('X-API-Key', adminKey)
+          .send({ name: 'reports', scopes: ['scan', 'read-results'] })
+          .expect(201)).body;
+        await scan(key.key);
+        infected = true;
+        await scan(key.key);
+        infected = false;
+      });
+
+      it('should summarise the scans in a window', async () => {
+        const response = await request(historyApp)
+          .get('/reports/summary?interval=hour')
+          .set('X-API-Key', key.key)
+          .expect(200);
+
+        expect(response.body).toMatchObject({
+          interval: 'hour',
+          totals: {
+            scans: 2,
+            bytes: 2048,
+            verdicts: { clean: 1, infected: 1, blocked: 0, limits_exceeded: 0, error: 0 },
+            averageDurationMs: expect.any(Number)
+          },
+          topSignatures: [{ signature: 'Win.Test.EICAR_HDB-1', scans: 1 }],
+          topSubmitters: [{ keyId: key.id, keyName: 'reports', address: null, scans: 2, bytes: 2048 }]
+        });
+        expect(response.body.buckets).toHaveLength(169);
+        expect(response.body.buckets.reduce((total, bucket) => total + bucket.scans, 0)).toBe(2);
+      });
+
+      it('should export scan records as CSV and NDJSON', async () => {
+        const csv = await request(historyApp)
+          .get('/reports/export?verdict=infected')
+          .set('X-API-Key', key.key)
+          .expect(200);
+
+        expect(csv.headers['content-type']).toBe('text/csv; charset=utf-8');
+        expect(csv.headers['content-disposition']).toMatch(/^attachment; filename="scan-history-\d{4}-\d{2}-\d{2}\.csv"$/);
+        const rows = csv.text.trim().split('\r\n');
+        expect(rows).toHaveLength(2);
+        expect(rows[1]).toContain(`,test-file.txt,1024,infected,Win.Test.EICAR_HDB-1,${MOCK_FILE_HASHES.sha256},`);
+
+        const ndjson = await request(historyApp)
+          .get('/reports/export?format=ndjson')
+          .set('X-API-Key', key.key)
+          .buffer(true)
+          .parse((res, callback) => {
+            let text = '';
+            res.on('data', (chunk) => { text += chunk; });
+            res.on('end', () => callback(null, text));
+          })
+          .expect(200);
+
+        expect(ndjson.headers['content-type']).toBe('application/x-ndjson');
+        const records = ndjson.body.trim().split('\n').map((line) => JSON.parse(line));
+        expect(records.map(({ verdict }) => verdict)).toEqual(['infected', 'clean']);
+        expect(records.every(({ caller }) => caller.keyId === key.id)).toBe(true);
+      });
+
+      it('should refuse invalid report options', async () => {
+        const format = await request(historyApp).get('/reports/export?format=xlsx').expect(400);
+        expect(format.body).toEqual({
+          error: 'Invalid scan history query',
+          details: 'format must be one of: csv, ndjson'
+        });
+
+        const window = await request(historyApp).get('/reports/summary?from=2024-01-01&to=2024-12-31&interval=hour').expect(400);
+        expect(window.body.details).toMatch(/^The window has 8784 hour buckets/);
+
+        await request(app).get('/reports/summary').expect(404);
+      });
+    });
+
+    it('should answer 404 when the history is disabled', async () => {
+      const response = await request(app).get('/scans').expect(404);
+
+      expect(response.body).toEqual({
+        error: 'Scan history is disabled',
+        details: 'Set SCAN_HISTORY=true to record scans'
+      });
+
+      const scanned = await request(app).post('/scan').attach('file', Buffer.from('test content'), 'test.txt');
+      expect(scanned.body.scanId).toBeUndefined();
     });
   });
 });
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for lib/scan-history.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScanHistory, ScanHistoryError, parseFilter } = require('../lib/scan-history');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * A scan record with the given fields
+ */
+const scan = (fields = {}) => ({
+  filename: 'report.pdf',
+  size: 100,
+  hashes: { sha256: 'a'.repeat(64), sha1: 'b'.repeat(40), md5: 'c'.repeat(32) },
+  verdict: 'clean',
+  threats: [],
+  caller: { keyId: null, keyName: null, address: '127.0.0.1' },
+  ...fields
+});
+
+describe('Scan history', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-history-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parseFilter', () => {
+    it('should parse every filter', () => {
+      expect(parseFilter({
+        verdict: 'infected, blocked',
+        from: '2024-05-01T12:00:00Z',
+        to: '2024-05-02',
+        hash: 'A'.repeat(64),
+        filename: 'invoice',
+        caller: 'ci'
+      })).toEqual({
+        verdicts: ['infected', 'blocked'],
+        from: '2024-05-01T12:00:00.000Z',
+        to: '2024-05-02T23:59:59.999Z',
+        hash: 'a'.repeat(64),
+        filename: 'invoice',
+        caller: 'ci'
+      });
+      expect(parseFilter({})).toEqual({ from: null, to: null, filename: null, caller: null });
+    });
+
+    it('should refuse invalid filters', () => {
+      expect(() => parseFilter({ verdict: 'clean,dirty' })).toThrow(new ScanHistoryError(
+        'Unknown verdict "dirty"; expected one of: clean, infected, blocked, limits_exceeded, error'
+      ));
+      expect(() => parseFilter({ from: 'yesterday' })).toThrow('from must be an ISO 8601 date');
+      expect(() => parseFilter({ to: '1714521600' })).toThrow('to must be an ISO 8601 date');
+      expect(() => parseFilter({ hash: 'abc' })).toThrow('hash must be a hex encoded SHA-256, SHA-1 or MD5');
+      expect(() => parseFilter({ caller: ['a', 'b'] })).toThrow('caller may only be given once');
+    });
+  });
+
+  describe('ScanHistory', () => {
+    it('should find records by every filter, newest first', () => {
+      const history = new ScanHistory();
+      history.add(scan({ id: 'one', scannedAt: '2024-05-01T10:00:00.000Z', filename: 'Invoice.pdf' }));
+      history.add(scan({
+        id: 'two',
+        scannedAt: '2024-05-02T10:00:00.000Z',
+        verdict: 'infected',
+        hashes: { sha256: 'd'.repeat(64), sha1: 'e'.repeat(40), md5: 'f'.repeat(32) },
+        caller: { keyId: 'k1', keyName: 'ci', address: '10.0.0.1' }
+      }));
+      history.add(scan({ id: 'three', scannedAt: '2024-05-03T10:00:00.000Z' }));
+
+      const ids = (query, extra = {}) => history.find({ ...parseFilter(query), ...extra }).map(({ id }) => id);
+
+      expect(ids({})).toEqual(['three', 'two', 'one']);
+      expect(ids({ verdict: 'infected' })).toEqual(['two']);
+      expect(ids({ from: '2024-05-02', to: '2024-05-02' })).toEqual(['two']);
+      expect(ids({ hash: 'f'.repeat(32) })).toEqual(['two']);
+      expect(ids({ filename: 'invoice' })).toEqual(['one']);
+      expect(ids({ caller: 'ci' })).toEqual(['two']);
+      expect(ids({ caller: '127.0.0.1' })).toEqual(['three', 'one']);
+      expect(ids({}, { keyId: 'k1' })).toEqual(['two']);
+      expect(ids({}, { keyId: 'anonymous' })).toEqual(['three', 'one']);
+    });
+
+    it('should page through records with cursors', () => {
+      const history = new ScanHistory();
+      // Records scanned in the same millisecond keep a fixed order
+      ['a', 'b', 'c', 'd', 'e'].forEach((id) => history.add(scan({ id, scannedAt: '2024-05-01T10:00:00.000Z' })));
+
+      const first = history.page({}, { limit: 2 });
+      expect(first.records.map(({ id }) => id)).toEqual(['e', 'd']);
+
+      const second = history.page({}, { limit: 2, cursor: first.nextCursor });
+      expect(second.records.map(({ id }) => id)).toEqual(['c', 'b']);
+
+      // Records added later do not shift the following pages
+      history.add(scan({ id: 'f' }));
+      const last = history.page({}, { limit: 2, cursor: second.nextCursor });
+      expect(last).toEqual({ records: [expect.objectContaining({ id: 'a' })], nextCursor: null });
+
+      expect(() => history.page({}, { cursor: 'bogus' })).toThrow(ScanHistoryError);
+    });
+
+    it('should give new records an ID and time', () => {
+      const history = new ScanHistory();
+      const record = history.add(scan());
+
+      expect(record.id).toMatch(/^[0-9a-f]{32}$/);
+      expect(Date.parse(record.scannedAt)).not.toBeNaN();
+      expect(history.get(record.id)).toBe(record);
+      expect(history.get('missing')).toBeNull();
+    });
+
+    it('should keep at most maxRecords records', () => {
+      const history = new ScanHistory({ maxRecords: 2 });
+      ['a', 'b', 'c'].forEach((id, index) => history.add(scan({ id, scannedAt: `2024-05-0${index + 1}T00:00:00.000Z` })));
+
+      expect(history.find().map(({ id }) => id)).toEqual(['c', 'b']);
+      expect(history.get('a')).toBeNull();
+    });
+
+    it('should persist records and purge expired ones from the file', async () => {
+      const file = path.join(dir, 'history.jsonl');
+      const now = Date.now();
+      const history = new ScanHistory({ file, retentionDays: 7 });
+      history.add(scan({ id: 'old', scannedAt: new Date(now - 8 * DAY).toISOString() }));
+      history.add(scan({ id: 'new', scannedAt: new Date(now - DAY).toISOString() }));
+      await history.flush();
+
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+      expect(fs.readFileSync(file, 'utf8').trim().split('\n')).toHaveLength(2);
+
+      // A line cut off by a crash is skipped, and expired records are not loaded
+      fs.appendFileSync(file, '{"id":"tor');
+      const reloaded = new ScanHistory({ file, retentionDays: 7 });
+      expect(reloaded.find().map(({ id }) => id)).toEqual(['new']);
+
+      await expect(history.purgeExpired(now)).resolves.toBe(1);
+      expect(history.get('old')).toBeNull();
+      expect(fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line).id)).toEqual(['new']);
+    });
+
+    it('should start empty without a history file', () => {
+      const history = new ScanHistory({ file: path.join(dir, 'missing.jsonl') });
+
+      expect(history.find()).toEqual([]);
+    });
+  });
+});
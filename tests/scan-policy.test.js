@@ -0,0 +1,235 @@
+/**
+ * Unit tests for lib/scan-policy.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ScanPolicySet, ScanPolicyError, loadPolicies } = require('../lib/scan-policy');
+
+const PE = 'application/vnd.microsoft.portable-executable';
+
+/**
+ * A clean scan result for a file of the given type
+ */
+const scanned = (detectedType, extra = {}) => ({
+  verdict: 'clean',
+  clean: true,
+  threats: [],
+  detectedType,
+  declaredType: null,
+  typeMismatch: false,
+  ...extra
+});
+
+/**
+ * Build a ZIP file of empty stored entries
+ */
+function buildZip(names) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  names.forEach((name) => {
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, Buffer.from(name));
+    centrals.push(central, Buffer.from(name));
+    offset += 30 + name.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Build a policy set holding one policy named `test` with the given rules
+ */
+const policyWith = (rules) => new ScanPolicySet({ test: { rules } }).get('test');
+
+describe('Scan policies', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-policy-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  describe('rules', () => {
+    it('should block executables and scripts by detected type', async () => {
+      const policy = policyWith(['executables', 'scripts']);
+
+      await expect(policy.evaluate(scanned(PE), {})).resolves.toEqual([
+        { rule: 'executables', reason: `Executable files are not allowed (${PE})` }
+      ]);
+      await expect(policy.evaluate(scanned('text/x-shellscript'), {})).resolves.toEqual([
+        { rule: 'scripts', reason: 'Scripts are not allowed (text/x-shellscript)' }
+      ]);
+      await expect(policy.evaluate(scanned('application/pdf'), {})).resolves.toEqual([]);
+    });
+
+    it('should block files over the size limit', async () => {
+      const policy = policyWith([{ rule: 'max_size', bytes: 1024 }]);
+
+      await expect(policy.evaluate(scanned('text/plain'), { size: 1025 })).resolves.toEqual([
+        { rule: 'max_size', reason: 'Files may be at most 1024 bytes' }
+      ]);
+      await expect(policy.evaluate(scanned('text/plain'), { size: 1024 })).resolves.toEqual([]);
+    });
+
+    it('should block listed types and type families', async () => {
+      const policy = policyWith([{ rule: 'types', types: ['image/*', 'Application/X-MSI'] }]);
+
+      await expect(policy.evaluate(scanned('image/png'), {})).resolves.toHaveLength(1);
+      await expect(policy.evaluate(scanned('application/x-msi'), {})).resolves.toHaveLength(1);
+      await expect(policy.evaluate(scanned('application/pdf'), {})).resolves.toEqual([]);
+    });
+
+    it('should block content that does not match its declared type', async () => {
+      const policy = policyWith(['type_mismatch']);
+
+      await expect(policy.evaluate(scanned(PE, { declaredType: 'image/jpeg', typeMismatch: true }), {})).resolves.toEqual([
+        { rule: 'type_mismatch', reason: `The content (${PE}) does not match the declared type image/jpeg` }
+      ]);
+    });
+
+    it('should look into the file for macros', async () => {
+      const policy = policyWith(['macros']);
+      const docm = writeFile('report.docm', buildZip(['[Content_Types].xml', 'word/document.xml', 'word/vbaProject.bin']));
+      const docx = writeFile('report.docx', buildZip(['[Content_Types].xml', 'word/document.xml']));
+      const type = 'application/vnd.ms-word.document.macroenabled.12';
+
+      expect(policy.needsFile).toBe(true);
+      await expect(policy.evaluate(scanned(type), { path: docm })).resolves.toEqual([
+        { rule: 'macros', reason: 'Documents with macros are not allowed' }
+      ]);
+      await expect(policy.evaluate(scanned(type), { path: docx })).resolves.toEqual([]);
+      await expect(policy.evaluate(scanned('application/msword'), { path: path.join(dir, 'missing') })).rejects.toThrow('ENOENT');
+    });
+
+    it('should block PDFs with JavaScript', async () => {
+      const policy = policyWith(['pdf_javascript']);
+      const file = writeFile('form.pdf', '%PDF-1.7\n1 0 obj\n<< /OpenAction << /S /JavaScript /JS (app.alert(1)) >> >>\nendobj\n');
+
+      await expect(policy.evaluate(scanned('application/pdf'), { path: file })).resolves.toEqual([
+        { rule: 'pdf_javascript', reason: 'PDF files with JavaScript are not allowed' }
+      ]);
+      // Only PDFs are searched
+      await expect(policy.evaluate(scanned('text/plain'), { path: file })).resolves.toEqual([]);
+    });
+
+    it('should block encrypted PDFs and archives with encrypted entries', async () => {
+      const policy = policyWith(['encrypted']);
+      const pdf = writeFile('locked.pdf', '%PDF-1.7\ntrailer\n<< /Root 1 0 R /Encrypt 2 0 R >>\n');
+      const archive = {
+        entries: 2,
+        unscanned: [{ path: 'secret.docx', reason: 'encrypted' }]
+      };
+
+      await expect(policy.evaluate(scanned('application/pdf'), { path: pdf })).resolves.toEqual([
+        { rule: 'encrypted', reason: 'Encrypted files cannot be scanned and are not allowed' }
+      ]);
+      await expect(policy.evaluate(scanned('application/zip', { archive }), {})).resolves.toEqual([
+        { rule: 'encrypted', reason: 'Encrypted archive entries cannot be scanned and are not allowed (secret.docx)' }
+      ]);
+    });
+
+    it('should list every rule that triggered', async () => {
+      const policy = policyWith(['executables', { rule: 'max_size', bytes: 10 }, 'scripts']);
+
+      const triggered = await policy.evaluate(scanned(PE), { size: 11 });
+      expect(triggered.map(({ rule }) => rule)).toEqual(['executables', 'max_size']);
+    });
+  });
+
+  describe('ScanPolicySet', () => {
+    it('should select the requested policy, then the key policy, then the default', () => {
+      const policies = new ScanPolicySet({ strict: { rules: ['executables'] }, lenient: { rules: [] } }, 'lenient');
+
+      expect(policies.select('strict', 'lenient').name).toBe('strict');
+      expect(policies.select(undefined, 'strict').name).toBe('strict');
+      expect(policies.select().name).toBe('lenient');
+      expect(new ScanPolicySet().select()).toBeNull();
+    });
+
+    it('should refuse unknown policy names', () => {
+      const policies = new ScanPolicySet({ strict: { rules: ['executables'] } });
+
+      expect(() => policies.select('missing')).toThrow(new ScanPolicyError('No scan policy named "missing"; available: strict'));
+    });
+
+    it('should report every invalid rule at once', () => {
+      let error;
+      try {
+        new ScanPolicySet({
+          strict: { rules: ['executables', 'viruses', { rule: 'max_size', bytes: -1 }, { rule: 'scripts', types: [] }] },
+          broken: {}
+        }, 'missing');
+      } catch (caught) {
+        error = caught;
+      }
+
+      expect(error).toBeInstanceOf(ScanPolicyError);
+      expect(error.message).toContain('strict rule 2: unknown rule "viruses"');
+      expect(error.message).toContain('strict rule 3: max_size bytes must be a non-negative integer');
+      expect(error.message).toContain('strict rule 4: unknown setting "types" for rule scripts');
+      expect(error.message).toContain('broken: must have a list of rules');
+      expect(error.message).toContain('SCAN_POLICY: no policy named "missing"');
+    });
+
+    it('should list policies with their rules', () => {
+      const policies = new ScanPolicySet({
+        uploads: { description: 'Partner uploads', rules: ['macros', { rule: 'max_size', bytes: 1024 }] }
+      });
+
+      expect(JSON.parse(JSON.stringify(policies.list()))).toEqual([{
+        name: 'uploads',
+        description: 'Partner uploads',
+        rules: [{ rule: 'macros' }, { rule: 'max_size', bytes: 1024 }]
+      }]);
+      expect(policies.get('uploads').needsFile).toBe(true);
+    });
+  });
+
+  describe('loadPolicies', () => {
+    it('should load JSON and YAML policy files', () => {
+      const json = writeFile('policies.json', JSON.stringify({ policies: { strict: { rules: ['executables'] } } }));
+      const yaml = writeFile('policies.yaml', 'policies:\n  strict:\n    rules:\n      - executables\n      - rule: max_size\n        bytes: 1024\n');
+
+      expect(loadPolicies(json, 'strict').select().name).toBe('strict');
+      expect(loadPolicies(yaml).get('strict').toJSON().rules).toEqual([{ rule: 'executables' }, { rule: 'max_size', bytes: 1024 }]);
+    });
+
+    it('should define no policies without a file', () => {
+      expect(loadPolicies(null).list()).toEqual([]);
+      expect(() => loadPolicies(null, 'strict')).toThrow('no policy named "strict"');
+    });
+
+    it('should refuse files that cannot be read or have no policies', () => {
+      expect(() => loadPolicies(path.join(dir, 'missing.json'))).toThrow(/cannot read .*missing\.json/);
+      expect(() => loadPolicies(writeFile('broken.json', '{'))).toThrow(ScanPolicyError);
+      expect(() => loadPolicies(writeFile('empty.yaml', 'rules: []\n'))).toThrow('must contain a "policies" object');
+    });
+  });
+});
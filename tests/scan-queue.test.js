@@ -0,0 +1,153 @@
+/**
+ * Unit tests for lib/scan-queue.js
+ *
+ * Tests job lifecycle, concurrency limits and cancellation.
+ */
+
+const { ScanQueue } = require('../lib/scan-queue');
+
+/**
+ * Create a promise that can be settled from the outside
+ */
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+/**
+ * Wait for pending promise callbacks to run
+ */
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+describe('ScanQueue', () => {
+  it('should run a job and record a clean result', async () => {
+    const worker = jest.fn().mockResolvedValue({ clean: true, threats: [] });
+    const queue = new ScanQueue({ worker });
+
+    const job = queue.enqueue({ path: '/uploads/abc' });
+    expect(job.status).toBe('running');
+
+    await flush();
+
+    expect(queue.get(job.id)).toMatchObject({ status: 'clean', result: { clean: true } });
+    expect(job.finishedAt).not.toBeNull();
+    expect(worker).toHaveBeenCalledWith(job, expect.any(Object));
+  });
+
+  it('should record infected and error results', async () => {
+    const worker = jest.fn()
+      .mockResolvedValueOnce({ clean: false, threats: [{ signature: 'Eicar-Test-Signature' }] })
+      .mockRejectedValueOnce(new Error('Scanner not found'));
+    const queue = new ScanQueue({ worker });
+
+    const infected = queue.enqueue({});
+    const failed = queue.enqueue({});
+    await flush();
+
+    expect(infected.status).toBe('infected');
+    expect(failed.status).toBe('error');
+    expect(failed.error).toBe('Scanner not found');
+  });
+
+  it('should not run more jobs than the concurrency limit', async () => {
+    const scans = [deferred(), deferred(), deferred()];
+    let calls = 0;
+    const queue = new ScanQueue({ worker: () => scans[calls++].promise, concurrency: 2 });
+
+    const jobs = [queue.enqueue({}), queue.enqueue({}), queue.enqueue({})];
+
+    expect(jobs.map((job) => job.status)).toEqual(['running', 'running', 'queued']);
+    expect(queue.stats()).toEqual({ queued: 1, running: 2, concurrency: 2 });
+
+    scans[0].resolve({ clean: true });
+    await flush();
+
+    expect(jobs.map((job) => job.status)).toEqual(['clean', 'running', 'running']);
+
+    scans[1].resolve({ clean: true });
+    scans[2].resolve({ clean: true });
+    await flush();
+  });
+
+  it('should cancel a queued job without running it', async () => {
+    const scan = deferred();
+    const worker = jest.fn(() => scan.promise);
+    const queue = new ScanQueue({ worker, concurrency: 1 });
+
+    queue.enqueue({});
+    const queued = queue.enqueue({});
+
+    expect(queue.cancel(queued.id)).toBe(true);
+    scan.resolve({ clean: true });
+    await flush();
+
+    expect(queued.status).toBe('cancelled');
+    expect(worker).toHaveBeenCalledTimes(1);
+  });
+
+  it('should abort a running job and discard its result', async () => {
+    const scan = deferred();
+    let signal;
+    const queue = new ScanQueue({
+      worker: (job, abortSignal) => {
+        signal = abortSignal;
+        return scan.promise;
+      }
+    });
+
+    const job = queue.enqueue({});
+    expect(queue.cancel(job.id)).toBe(true);
+    expect(signal.aborted).toBe(true);
+
+    scan.resolve({ clean: false });
+    await flush();
+
+    expect(job.status).toBe('cancelled');
+    expect(job.result).toBeNull();
+  });
+
+  it('should refuse to cancel finished or unknown jobs', async () => {
+    const queue = new ScanQueue({ worker: () => Promise.resolve({ clean: true }) });
+
+    const job = queue.enqueue({});
+    await flush();
+
+    expect(queue.cancel(job.id)).toBe(false);
+    expect(queue.cancel('missing')).toBe(false);
+  });
+
+  it('should emit finished events', async () => {
+    const queue = new ScanQueue({ worker: () => Promise.resolve({ clean: true }) });
+    const listener = jest.fn();
+    queue.on('finished', listener);
+
+    const job = queue.enqueue({});
+    await flush();
+
+    expect(listener).toHaveBeenCalledWith(job);
+  });
+
+  it('should forget finished jobs after the retention period', async () => {
+    jest.useFakeTimers();
+    try {
+      const queue = new ScanQueue({ worker: () => Promise.resolve({ clean: true }), retention: 1000 });
+
+      const job = queue.enqueue({});
+      await Promise.resolve();
+      await Promise.resolve();
+      expect(queue.get(job.id)).toBeDefined();
+
+      jest.advanceTimersByTime(1000);
+      expect(queue.get(job.id)).toBeUndefined();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit tests for lib/scan-report.js
+ */
+
+const { parseReportOptions, summarize, exportLines } = require('../lib/scan-report');
+const { ScanHistory, ScanHistoryError, parseFilter } = require('../lib/scan-history');
+
+/**
+ * A scan record with the given fields
+ */
+const scan = (fields = {}) => ({
+  id: 'a1',
+  scannedAt: '2024-05-01T10:15:00.000Z',
+  filename: 'report.pdf',
+  size: 100,
+  hashes: { sha256: 'a'.repeat(64), sha1: 'b'.repeat(40), md5: 'c'.repeat(32) },
+  verdict: 'clean',
+  threats: [],
+  engine: 'clamscan',
+  durationMs: 100,
+  caller: { keyId: null, keyName: null, address: '127.0.0.1' },
+  ...fields
+});
+
+const EICAR = { signature: 'Win.Test.EICAR_HDB-1', category: 'test', engine: 'clamscan', file: 'eicar.com' };
+
+describe('Scan reports', () => {
+  describe('parseReportOptions', () => {
+    it('should default to daily buckets over the last 7 days', () => {
+      const now = Date.parse('2024-05-08T12:00:00Z');
+
+      expect(parseReportOptions(parseFilter({}), {}, now)).toEqual({
+        filter: expect.objectContaining({ from: '2024-05-01T12:00:00.000Z', to: '2024-05-08T12:00:00.000Z' }),
+        interval: 'day',
+        top: 10
+      });
+    });
+
+    it('should refuse invalid options', () => {
+      const filter = parseFilter({ from: '2024-05-02', to: '2024-05-01' });
+
+      expect(() => parseReportOptions(filter)).toThrow(new ScanHistoryError('from must not be later than to'));
+      expect(() => parseReportOptions(parseFilter({}), { interval: 'week' })).toThrow('interval must be one of: hour, day');
+      expect(() => parseReportOptions(parseFilter({}), { interval: 'constructor' })).toThrow(ScanHistoryError);
+      expect(() => parseReportOptions(parseFilter({}), { top: '0' })).toThrow('top must be a number from 1 to 100');
+      expect(() => parseReportOptions(parseFilter({ from: '2024-01-01', to: '2024-12-31' }), { interval: 'hour' }))
+        .toThrow('The window has 8784 hour buckets, at most 1000 are allowed');
+    });
+  });
+
+  describe('summarize', () => {
+    it('should total scans by verdict, bytes and latency in every bucket', () => {
+      const options = parseReportOptions(parseFilter({ from: '2024-05-01', to: '2024-05-03' }));
+      const records = [
+        scan({ id: 'c', scannedAt: '2024-05-03T08:00:00.000Z', verdict: 'infected', threats: [EICAR], size: 68, durationMs: 300 }),
+        scan({ id: 'b', scannedAt: '2024-05-01T23:59:59.999Z', verdict: 'blocked', durationMs: undefined }),
+        scan({ id: 'a' })
+      ];
+
+      const report = summarize(records, options);
+
+      expect(report).toMatchObject({
+        from: '2024-05-01T00:00:00.000Z',
+        to: '2024-05-03T23:59:59.999Z',
+        interval: 'day',
+        totals: {
+          scans: 3,
+          bytes: 268,
+          verdicts: { clean: 1, infected: 1, blocked: 1, limits_exceeded: 0, error: 0 },
+          averageDurationMs: 200
+        },
+        topSignatures: [{ signature: 'Win.Test.EICAR_HDB-1', scans: 1 }]
+      });
+      expect(report.buckets.map(({ start, scans, bytes }) => [start, scans, bytes])).toEqual([
+        ['2024-05-01T00:00:00.000Z', 2, 200],
+        ['2024-05-02T00:00:00.000Z', 0, 0],
+        ['2024-05-03T00:00:00.000Z', 1, 68]
+      ]);
+      expect(report.buckets[2].verdicts.infected).toBe(1);
+    });
+
+    it('should bucket by hour', () => {
+      const options = parseReportOptions(parseFilter({ from: '2024-05-01T10:00:00Z', to: '2024-05-01T11:59:59Z' }), { interval: 'hour' });
+      const report = summarize([scan({ scannedAt: '2024-05-01T11:30:00.000Z' })], options);
+
+      expect(report.buckets.map(({ start, scans }) => [start, scans])).toEqual([
+        ['2024-05-01T10:00:00.000Z', 0],
+        ['2024-05-01T11:00:00.000Z', 1]
+      ]);
+    });
+
+    it('should rank submitters by API key, or address without a key', () => {
+      const ci = { keyId: 'k1', keyName: 'ci', address: '10.0.0.1' };
+      const records = [
+        scan({ caller: ci, size: 10 }),
+        scan({ caller: { ...ci, address: '10.0.0.2' }, size: 20 }),
+        scan({ caller: { keyId: null, keyName: null, address: '203.0.113.7' } }),
+        scan({ threats: [EICAR, { ...EICAR, file: 'eicar.txt' }] }),
+        scan({ threats: [{ ...EICAR, signature: 'Unix.Trojan.Mirai-1' }] }),
+        scan()
+      ];
+
+      const report = summarize(records, { ...parseReportOptions(parseFilter({ from: '2024-05-01', to: '2024-05-01' })), top: 2 });
+
+      expect(report.topSubmitters).toEqual([
+        { keyId: null, keyName: null, address: '127.0.0.1', scans: 3, bytes: 300 },
+        { keyId: 'k1', keyName: 'ci', address: null, scans: 2, bytes: 30 }
+      ]);
+      // Signatures are counted once per scan
+      expect(report.topSignatures).toEqual([
+        { signature: 'Win.Test.EICAR_HDB-1', scans: 1 },
+        { signature: 'Unix.Trojan.Mirai-1', scans: 1 }
+      ]);
+    });
+
+    it('should report no latency without scans', () => {
+      const report = summarize([], parseReportOptions(parseFilter({}), {}, Date.parse('2024-05-08T12:00:00Z')));
+
+      expect(report.totals).toMatchObject({ scans: 0, bytes: 0, averageDurationMs: null });
+      expect(report.buckets).toHaveLength(8);
+    });
+  });
+
+  describe('exportLines', () => {
+    it('should write a CSV header and a row per record', () => {
+      const lines = [...exportLines([scan({ verdict: 'infected', threats: [EICAR], filename: 'a "quoted", name.pdf' })], 'csv')];
+
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toMatch(/^id,scannedAt,filename,size,verdict,signatures,sha256,sha1,md5,/);
+      expect(lines[1]).toContain('a1,2024-05-01T10:15:00.000Z,"a ""quoted"", name.pdf",100,infected,Win.Test.EICAR_HDB-1,');
+      expect(lines[1].endsWith('\r\n')).toBe(true);
+    });
+
+    it('should keep spreadsheets from reading fields as formulas', () => {
+      const [, row] = exportLines([scan({ filename: '=HYPERLINK("http://example.com")', size: -1 })], 'csv');
+
+      expect(row).toContain(',"\'=HYPERLINK(""http://example.com"")",-1,');
+    });
+
+    it('should write one JSON record per NDJSON line', () => {
+      const history = new ScanHistory();
+      history.add(scan({ id: 'one' }));
+      history.add(scan({ id: 'two', scannedAt: '2024-05-02T00:00:00.000Z' }));
+
+      const lines = [...exportLines(history.find(), 'ndjson')];
+
+      expect(lines.map((line) => JSON.parse(line).id)).toEqual(['two', 'one']);
+      expect(lines.every((line) => line.endsWith('\n'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Unit tests for lib/scan-timeout.js
+ */
+
+const { ScanTimeoutError, ScanAbortedError, createScanSignal } = require('../lib/scan-timeout');
+
+describe('createScanSignal', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should abort with ScanTimeoutError once the timeout passes', () => {
+    jest.useFakeTimers();
+    const { signal } = createScanSignal(1000);
+
+    jest.advanceTimersByTime(999);
+    expect(signal.aborted).toBe(false);
+    jest.advanceTimersByTime(1);
+
+    expect(signal.reason).toBeInstanceOf(ScanTimeoutError);
+    expect(signal.reason).toMatchObject({ code: 'SCAN_TIMEOUT', timeout: 1000, message: 'The scan did not finish within 1000ms' });
+  });
+
+  it('should not abort after clear()', () => {
+    jest.useFakeTimers();
+    const parent = new AbortController();
+    const { signal, clear } = createScanSignal(1000, parent.signal);
+
+    clear();
+    jest.advanceTimersByTime(1000);
+    parent.abort();
+
+    expect(signal.aborted).toBe(false);
+  });
+
+  it('should follow its parent signal', () => {
+    const disconnect = new AbortController();
+    const fromDisconnect = createScanSignal(1000, disconnect.signal);
+    disconnect.abort(new ScanAbortedError('The client disconnected'));
+
+    expect(fromDisconnect.signal.reason).toMatchObject({ code: 'SCAN_ABORTED', message: 'The client disconnected' });
+
+    // Other reasons, such as a cancelled job's plain abort(), become ScanAbortedError
+    const cancelled = new AbortController();
+    cancelled.abort();
+    const fromCancel = createScanSignal(1000, cancelled.signal);
+
+    expect(fromCancel.signal.aborted).toBe(true);
+    expect(fromCancel.signal.reason).toBeInstanceOf(ScanAbortedError);
+    expect(fromCancel.signal.reason.message).toBe('The scan was cancelled');
+  });
+});
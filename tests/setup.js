@@ -4,10 +4,40 @@
  * Configures Jest mocks and test environment for the AV Scan API tests.
  */
 
-// Mock child_process.exec
+// Mock child_process. Scanners are started with spawn(); each run is passed
+// to mockExec as a command line with its arguments joined by spaces, so tests
+// answer it the way exec() would: callback(error, stdout, stderr), where
+// error.code is the exit code, or error.signal the signal that killed the
+// process. mockExec may return { pid } for the process.
 const mockExec = jest.fn();
+const mockSpawn = jest.fn((file, args = []) => {
+  const { EventEmitter, once } = require('events');
+  const { PassThrough } = require('stream');
+
+  const child = new EventEmitter();
+  child.stdout = new PassThrough();
+  child.stderr = new PassThrough();
+  child.kill = jest.fn();
+
+  const started = mockExec([file, ...args].join(' '), (error, stdout, stderr) => {
+    const ended = Promise.all([once(child.stdout, 'end'), once(child.stderr, 'end')]);
+    child.stdout.end(stdout || '');
+    child.stderr.end(stderr || '');
+    ended.then(() => {
+      if (error && error.signal) {
+        child.emit('close', null, error.signal);
+      } else {
+        child.emit('close', error ? (Number.isInteger(error.code) ? error.code : 1) : 0, null);
+      }
+    });
+  });
+  child.pid = (started && started.pid) || 1000;
+
+  return child;
+});
 jest.mock('child_process', () => ({
-  exec: mockExec
+  exec: mockExec,
+  spawn: mockSpawn
 }));
 
 // Mock fs.unlinkSync and other fs methods
@@ -15,35 +45,146 @@ const mockUnlinkSync = jest.fn();
 const mockReadFileSync = jest.fn();
 jest.mock('fs', () => ({
   unlinkSync: mockUnlinkSync,
-  readFileSync: mockReadFileSync
+  readFileSync: mockReadFileSync,
+  // Archive and file type detection read the first bytes of each upload;
+  // report empty files
+  openSync: jest.fn(),
+  readSync: jest.fn(() => 0),
+  closeSync: jest.fn(),
+  // Every upload is hashed; give each one the same content
+  createReadStream: jest.fn(() => require('stream').Readable.from([Buffer.from('mock file content')])),
+  // Streamed uploads are staged to a temporary file; discard what is written
+  createWriteStream: jest.fn(() => new (require('stream').Writable)({
+    write(chunk, encoding, callback) {
+      callback();
+    }
+  })),
+  // Signature updates take a lock file
+  writeFileSync: jest.fn(),
+  // The readiness check tests whether the upload directory is writable, and
+  // GET /scanner lists the ClamAV database directory to count signatures
+  constants: { W_OK: 2 },
+  promises: {
+    access: jest.fn(() => Promise.resolve()),
+    readdir: jest.fn(() => Promise.resolve([]))
+  }
 }));
 
+// Hashes of the mocked upload content
+const MOCK_FILE_HASHES = {
+  sha256: '5633d479dfae75ba7a78914ee380fa202bd6126e7c6b7c22e3ebc9e1a6ddc871',
+  sha1: '2efed774caf9e92aac3af6931386cb87d1192bc5',
+  md5: '8c45135b00c28b3b7fd8fa748bb7046f'
+};
+
+// Type of a mocked single-file upload: reads of it return no bytes, and the
+// mocked multer reports it as text/plain
+const MOCK_FILE_TYPE = {
+  detectedType: 'application/x-empty',
+  declaredType: 'text/plain',
+  typeMismatch: false
+};
+
+// Every mocked upload has the same content, so disable the verdict cache to
+// keep each test's scan independent; the cache tests enable it explicitly
+process.env.VERDICT_CACHE = 'false';
+
+// Most tests exercise the routes without API keys; the authentication
+// tests turn anonymous access off again
+process.env.AUTH_ALLOW_ANONYMOUS = 'true';
+
+// The tests send far more requests than the default budgets allow; the
+// rate limiting tests enable it with small limits
+process.env.RATE_LIMIT = 'false';
+
+// Keep test output free of request logs, and the audit log out of logs/;
+// the logging tests turn them back on with stdout output
+process.env.LOG_LEVEL = 'silent';
+process.env.AUDIT_LOG = 'false';
+
+// Recording scans looks up the signature version, which runs the scanner
+// once more; the scan history tests enable it explicitly
+process.env.SCAN_HISTORY = 'false';
+
 // Mock multer
 const mockSingle = jest.fn();
-const mockMulter = jest.fn(() => ({
-  single: mockSingle
+const mockArray = jest.fn();
+const mockMulter = jest.fn((options = {}) => ({
+  single: (fieldName) => mockSingle(fieldName, options),
+  array: (fieldName, maxCount) => mockArray(fieldName, maxCount, options)
 }));
 
-// Configure single() to return a middleware function
-mockSingle.mockImplementation((fieldName) => {
+/**
+ * Multer's error for a file over limits.fileSize, if the mock files are
+ */
+function fileSizeError(options) {
+  if (options.limits && options.limits.fileSize < 1024) {
+    return Object.assign(new Error('File too large'), { code: 'LIMIT_FILE_SIZE' });
+  }
+  return null;
+}
+
+// Configure single() to return a middleware function; every mock file is
+// 1024 bytes, so a smaller limits.fileSize fails the upload like multer does
+mockSingle.mockImplementation((fieldName, options = {}) => {
   return (req, res, next) => {
     // Check if we're dealing with a file upload based on content-type
     const contentType = req.headers['content-type'];
     const hasMultipart = contentType && contentType.includes('multipart/form-data');
     
     // Only add file if there's multipart data (simulating actual multer behavior)
-    if (req.method === 'POST' && req.url === '/scan' && hasMultipart) {
+    if (req.method === 'POST' && ['/scan', '/scans'].includes(req.path) && hasMultipart) {
       req.file = {
         path: '/tmp/mock-file-path',
         originalname: 'test-file.txt',
         mimetype: 'text/plain',
         size: 1024
       };
+      return next(fileSizeError(options));
     }
     next();
   };
 });
 
+// Configure array() to read the uploaded filenames from the multipart body
+// and return one mock file per part, rejecting more than maxCount files and
+// more form fields than limits.fields
+mockArray.mockImplementation((fieldName, maxCount, options = {}) => {
+  return (req, res, next) => {
+    const contentType = req.headers['content-type'];
+    if (!contentType || !contentType.includes('multipart/form-data')) {
+      return next();
+    }
+
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('latin1');
+      const pattern = new RegExp(`name="${fieldName}"; filename="([^"]*)"`, 'g');
+      const names = Array.from(body.matchAll(pattern), (match) => match[1]);
+
+      req.files = names.map((originalname, index) => ({
+        path: `/tmp/mock-file-path-${index}`,
+        originalname,
+        mimetype: 'application/octet-stream',
+        size: 1024
+      }));
+
+      if (maxCount !== undefined && req.files.length > maxCount) {
+        const error = new Error('Unexpected field');
+        error.code = 'LIMIT_UNEXPECTED_FILE';
+        return next(error);
+      }
+
+      const fields = Array.from(body.matchAll(/name="[^"]*"\r\n/g)).length;
+      if (options.limits && fields > options.limits.fields) {
+        return next(Object.assign(new Error('Too many fields'), { code: 'LIMIT_FIELD_COUNT' }));
+      }
+      next(req.files.length > 0 ? fileSizeError(options) : undefined);
+    });
+  };
+});
+
 jest.mock('multer', () => mockMulter);
 
 // Mock swagger-jsdoc
@@ -90,7 +231,11 @@ jest.mock('swagger-ui-express', () => mockSwaggerUi);
 // Export mocks for use in tests
 module.exports = {
   mockExec,
+  mockSpawn,
   mockUnlinkSync,
   mockReadFileSync,
-  mockMulter
+  mockMulter,
+  mockArray,
+  MOCK_FILE_HASHES,
+  MOCK_FILE_TYPE
 };
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for lib/signature-updater.js
+ */
+
+const mockExec = jest.fn();
+jest.mock('child_process', () => ({
+  exec: mockExec
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SignatureUpdater, UpdateInProgressError } = require('../lib/signature-updater');
+
+const FRESHCLAM_CODES = { 0: 'updated', 1: 'up_to_date' };
+
+/**
+ * Make the mocked exec finish with the given exit code and output
+ */
+function mockExitCode(code, stdout = '', stderr = '') {
+  mockExec.mockImplementation((command, options, callback) => {
+    const error = code === 0 ? null : Object.assign(new Error(`Command failed: ${command}`), { code });
+    callback(error, stdout, stderr);
+  });
+}
+
+describe('SignatureUpdater', () => {
+  let dir;
+  let lockFile;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-update-'));
+    lockFile = path.join(dir, 'update.lock');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should map exit codes to the update status', async () => {
+    const updater = new SignatureUpdater({ command: 'freshclam', exitCodes: FRESHCLAM_CODES, timeout: 1000, lockFile });
+
+    mockExitCode(0, 'daily.cld updated (version: 27001)');
+    await expect(updater.run()).resolves.toMatchObject({ status: 'updated', exitCode: 0, stdout: 'daily.cld updated (version: 27001)' });
+    expect(mockExec).toHaveBeenCalledWith('freshclam', expect.objectContaining({ timeout: 1000 }), expect.any(Function));
+
+    mockExitCode(1, 'daily.cld database is up-to-date');
+    await expect(updater.run()).resolves.toMatchObject({ status: 'up_to_date', exitCode: 1 });
+
+    mockExitCode(62, '', 'Can\'t connect to port 443 of host database.clamav.net');
+    await expect(updater.run()).resolves.toMatchObject({ status: 'failed', exitCode: 62, stderr: expect.stringMatching(/connect/) });
+    expect(updater.status()).toEqual({ running: false, startedAt: null, lastRun: expect.objectContaining({ status: 'failed' }) });
+    expect(fs.existsSync(lockFile)).toBe(false);
+  });
+
+  it('should report commands that time out as failed', async () => {
+    mockExec.mockImplementation((command, options, callback) => {
+      callback(Object.assign(new Error('Command failed'), { killed: true, signal: 'SIGTERM', code: null }), '', '');
+    });
+    const updater = new SignatureUpdater({ command: 'update-dats', timeout: 50 });
+
+    await expect(updater.run()).resolves.toMatchObject({
+      status: 'failed',
+      exitCode: null,
+      error: 'The update command did not finish within 50ms'
+    });
+  });
+
+  it('should refuse to start a second update while one is running', async () => {
+    let finish;
+    mockExec.mockImplementation((command, options, callback) => {
+      finish = () => callback(null, '', '');
+    });
+    const updater = new SignatureUpdater({ command: 'freshclam', timeout: 1000, lockFile });
+
+    const first = updater.run();
+    expect(updater.status().running).toBe(true);
+    await expect(updater.run()).rejects.toThrow(UpdateInProgressError);
+
+    finish();
+    await expect(first).resolves.toMatchObject({ status: 'updated' });
+  });
+
+  it('should respect a lock held by another instance until it goes stale', async () => {
+    mockExitCode(0);
+    const startedAt = new Date(Date.now() - 500);
+    fs.writeFileSync(lockFile, JSON.stringify({ pid: 1, startedAt }));
+
+    const patient = new SignatureUpdater({ command: 'freshclam', timeout: 60000, lockFile });
+    const error = await patient.run().catch((caught) => caught);
+    expect(error).toBeInstanceOf(UpdateInProgressError);
+    expect(error.startedAt).toEqual(startedAt);
+    expect(mockExec).not.toHaveBeenCalled();
+
+    const impatient = new SignatureUpdater({ command: 'freshclam', timeout: 100, lockFile });
+    await expect(impatient.run()).resolves.toMatchObject({ status: 'updated' });
+    expect(fs.existsSync(lockFile)).toBe(false);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Unit tests for lib/size-limit.js
+ */
+
+const { Readable, Writable, pipeline } = require('stream');
+const { createSizeLimiter, SizeLimitError } = require('../lib/size-limit');
+
+/**
+ * Pipe chunks through a limiter and collect the result
+ */
+function run(chunks, maxSize) {
+  const limiter = createSizeLimiter(maxSize);
+  const received = [];
+
+  return new Promise((resolve) => {
+    pipeline(
+      Readable.from(chunks),
+      limiter,
+      new Writable({
+        write(chunk, encoding, callback) {
+          received.push(chunk);
+          callback();
+        }
+      }),
+      (error) => resolve({ error, limiter, received: Buffer.concat(received) })
+    );
+  });
+}
+
+describe('createSizeLimiter', () => {
+  it('should pass bodies up to the limit through unchanged', async () => {
+    const { error, limiter, received } = await run([Buffer.from('abc'), Buffer.from('def')], 6);
+
+    expect(error).toBeUndefined();
+    expect(received.toString()).toBe('abcdef');
+    expect(limiter.bytes).toBe(6);
+    expect(limiter.exceeded).toBe(false);
+  });
+
+  it('should fail as soon as the limit is crossed', async () => {
+    const { error, limiter, received } = await run([Buffer.alloc(4), Buffer.alloc(4), Buffer.alloc(4)], 6);
+
+    expect(error).toBeInstanceOf(SizeLimitError);
+    expect(error.message).toBe('Body exceeds the maximum size of 6 bytes');
+    expect(limiter.exceeded).toBe(true);
+    expect(received.length).toBe(4);
+  });
+});
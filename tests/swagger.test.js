@@ -213,6 +213,30 @@ describe('Swagger Configuration', () => {
     });
   });
 
+  describe('Threat schema', () => {
+    it('should describe structured threats in scan responses', () => {
+      mockSwaggerJsdoc.mockReturnValue({});
+
+      require('../config/swagger');
+
+      const { schemas } = mockSwaggerJsdoc.mock.calls[0][0].definition.components;
+      expect(Object.keys(schemas.Threat.properties)).toEqual(['signature', 'category', 'engine', 'file']);
+      expect(schemas.ScanResponse.properties.threats.items.$ref).toBe('#/components/schemas/Threat');
+      expect(schemas.ScanResponse.properties.rawOutput.description).toContain('rawOutput=true');
+    });
+  });
+
+  describe('ScanJob schema', () => {
+    it('should list every job status', () => {
+      mockSwaggerJsdoc.mockReturnValue({});
+
+      require('../config/swagger');
+
+      const { schemas } = mockSwaggerJsdoc.mock.calls[0][0].definition.components;
+      expect(schemas.ScanJob.properties.status.enum).toEqual(['queued', 'running', 'clean', 'infected', 'blocked', 'limits_exceeded', 'error', 'cancelled']);
+    });
+  });
+
   describe('Export functionality', () => {
     it('should export swagger specification', () => {
       const mockSpec = { mock: 'swagger-spec' };
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for lib/upload-policy.js
+ */
+
+const { Readable, Writable, pipeline } = require('stream');
+const { UploadPolicy, UploadPolicyError } = require('../lib/upload-policy');
+
+/**
+ * Pipe chunks through a type checker, resolving to the bytes that came out
+ */
+function check(policy, chunks, filename = 'upload.bin') {
+  const output = [];
+  return new Promise((resolve, reject) => {
+    pipeline(
+      Readable.from(chunks),
+      policy.createTypeChecker(filename),
+      new Writable({
+        write(chunk, encoding, callback) {
+          output.push(chunk);
+          callback();
+        }
+      }),
+      (error) => (error ? reject(error) : resolve(Buffer.concat(output)))
+    );
+  });
+}
+
+describe('Upload policy', () => {
+  describe('checkFilename', () => {
+    it('should refuse blocked extensions in any case', () => {
+      const policy = new UploadPolicy({ blockedExtensions: ['.exe', 'tar.gz'] });
+
+      expect(() => policy.checkFilename('setup.EXE')).toThrow(new UploadPolicyError(
+        'EXTENSION_NOT_ALLOWED',
+        'setup.EXE: files with the extension .exe are not allowed'
+      ));
+      expect(() => policy.checkFilename('backup.tar.gz')).toThrow('extension .tar.gz');
+      expect(() => policy.checkFilename('notes.gz')).not.toThrow();
+      expect(() => policy.checkFilename('exe')).not.toThrow();
+    });
+
+    it('should only accept allowed extensions when an allow list is set', () => {
+      const policy = new UploadPolicy({ allowedExtensions: ['pdf', 'docx'] });
+
+      expect(() => policy.checkFilename('Invoice.PDF')).not.toThrow();
+      expect(() => policy.checkFilename('invoice.pdf.exe')).toThrow('invoice.pdf.exe: files with the extension .exe are not allowed');
+      expect(() => policy.checkFilename('README')).toThrow('README: files without an extension are not allowed');
+    });
+  });
+
+  describe('checkType', () => {
+    it('should match exact types and families', () => {
+      const policy = new UploadPolicy({ allowedTypes: ['application/pdf', 'image/*'], blockedTypes: ['image/gif'] });
+
+      expect(() => policy.checkType('application/pdf', 'a.pdf')).not.toThrow();
+      expect(() => policy.checkType('image/png', 'a.png')).not.toThrow();
+      expect(() => policy.checkType('image/gif', 'a.gif')).toThrow('a.gif: files of type image/gif are not allowed');
+      expect(() => policy.checkType('application/x-elf', 'a.pdf')).toThrow(expect.objectContaining({ code: 'TYPE_NOT_ALLOWED' }));
+    });
+
+    it('should allow everything without type rules', () => {
+      const policy = new UploadPolicy({ blockedExtensions: ['exe'] });
+
+      expect(policy.checksTypes).toBe(false);
+      expect(() => policy.checkType('application/x-elf', 'tool')).not.toThrow();
+    });
+  });
+
+  describe('createTypeChecker', () => {
+    const policy = new UploadPolicy({ blockedTypes: ['application/vnd.microsoft.portable-executable'] });
+
+    it('should pass allowed content through unchanged', async () => {
+      const chunks = [Buffer.from('%PDF-1.7\n'), Buffer.alloc(600, 'a'), Buffer.from('end')];
+
+      await expect(check(policy, chunks)).resolves.toEqual(Buffer.concat(chunks));
+      await expect(check(policy, [Buffer.from('short')])).resolves.toEqual(Buffer.from('short'));
+    });
+
+    it('should fail the stream before passing on blocked content', async () => {
+      const checker = policy.createTypeChecker('photo.jpg');
+      const written = [];
+      const done = new Promise((resolve) => {
+        pipeline(
+          Readable.from([Buffer.from('MZ'), Buffer.alloc(1024)]),
+          checker,
+          new Writable({
+            write(chunk, encoding, callback) {
+              written.push(chunk);
+              callback();
+            }
+          }),
+          resolve
+        );
+      });
+
+      const error = await done;
+      expect(error).toBeInstanceOf(UploadPolicyError);
+      expect(checker.error).toBe(error);
+      expect(written).toEqual([]);
+    });
+
+    it('should detect the type without holding content back when no type rules are set', async () => {
+      const checker = new UploadPolicy().createTypeChecker('photo.jpg');
+      const chunks = [Buffer.from('MZ'), Buffer.alloc(100), Buffer.alloc(600)];
+      const written = [];
+
+      await new Promise((resolve, reject) => {
+        pipeline(
+          Readable.from(chunks),
+          checker,
+          new Writable({
+            write(chunk, encoding, callback) {
+              written.push(chunk);
+              callback();
+            }
+          }),
+          (error) => (error ? reject(error) : resolve())
+        );
+      });
+
+      expect(checker.detectedType).toBe('application/vnd.microsoft.portable-executable');
+      expect(written).toEqual(chunks);
+    });
+  });
+});
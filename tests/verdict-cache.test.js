@@ -0,0 +1,94 @@
+/**
+ * Unit tests for lib/verdict-cache.js and lib/hashes.js
+ *
+ * Tests verdict lookup by hash and database version, LRU eviction and
+ * file hashing.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { VerdictCache } = require('../lib/verdict-cache');
+const { hashFile, createHashingStream, isSha256 } = require('../lib/hashes');
+const { Readable } = require('stream');
+
+const SHA_A = 'a'.repeat(64);
+const SHA_B = 'b'.repeat(64);
+const SHA_C = 'c'.repeat(64);
+
+describe('VerdictCache', () => {
+  const entry = (filename) => ({ result: { verdict: 'clean', clean: true, threats: [] }, filename, hashes: {} });
+
+  it('should return verdicts for the same hash and database version', () => {
+    const cache = new VerdictCache();
+    cache.set(SHA_A, 'db-1', entry('a.pdf'));
+
+    expect(cache.get(SHA_A, 'db-1')).toMatchObject({ filename: 'a.pdf', dbVersion: 'db-1', scannedAt: expect.any(String) });
+    expect(cache.get(SHA_A.toUpperCase(), 'db-1')).toBeDefined();
+  });
+
+  it('should miss once the database version changes', () => {
+    const cache = new VerdictCache();
+    cache.set(SHA_A, 'db-1', entry('a.pdf'));
+
+    expect(cache.get(SHA_A, 'db-2')).toBeUndefined();
+    expect(cache.get(SHA_B, 'db-1')).toBeUndefined();
+    expect(cache.stats()).toEqual({ entries: 1, hits: 0, misses: 2 });
+  });
+
+  it('should evict the least recently used verdict', () => {
+    const cache = new VerdictCache({ maxEntries: 2 });
+    cache.set(SHA_A, 'db-1', entry('a.pdf'));
+    cache.set(SHA_B, 'db-1', entry('b.pdf'));
+    cache.get(SHA_A, 'db-1');
+    cache.set(SHA_C, 'db-1', entry('c.pdf'));
+
+    expect(cache.get(SHA_A, 'db-1')).toBeDefined();
+    expect(cache.get(SHA_B, 'db-1')).toBeUndefined();
+    expect(cache.get(SHA_C, 'db-1')).toBeDefined();
+  });
+});
+
+describe('hashFile', () => {
+  let filePath;
+
+  beforeEach(() => {
+    filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'avscan-hash-test-')), 'eicar.com');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(filePath), { recursive: true, force: true });
+  });
+
+  it('should compute the SHA-256, SHA-1 and MD5 of a file', async () => {
+    fs.writeFileSync(filePath, 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*');
+
+    await expect(hashFile(filePath)).resolves.toEqual({
+      sha256: '275a021bbfb6489e54d471899f7db9d1663fc695ec2fe2a2c4538aabf651fd0f',
+      sha1: '3395856ce81f2b7382dee72602f798b642f14140',
+      md5: '44d88612fea8a8f36de82e1278abb02f'
+    });
+  });
+
+  it('should hash data flowing through a stream', async () => {
+    const hashing = createHashingStream();
+    const chunks = [];
+
+    for await (const chunk of Readable.from([Buffer.from('mock '), Buffer.from('file content')]).pipe(hashing)) {
+      chunks.push(chunk);
+    }
+
+    expect(Buffer.concat(chunks).toString()).toBe('mock file content');
+    expect(hashing.hashes.sha256).toBe('5633d479dfae75ba7a78914ee380fa202bd6126e7c6b7c22e3ebc9e1a6ddc871');
+  });
+
+  it('should reject when the file cannot be read', async () => {
+    await expect(hashFile(`${filePath}.missing`)).rejects.toThrow('ENOENT');
+  });
+
+  it('should validate SHA-256 digests', () => {
+    expect(isSha256(SHA_A)).toBe(true);
+    expect(isSha256('abc')).toBe(false);
+    expect(isSha256('z'.repeat(64))).toBe(false);
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * Unit tests for lib/webhooks.js
+ *
+ * Delivers webhooks to a local HTTP server and checks signing, retries and
+ * the delivery log.
+ */
+
+const http = require('http');
+const {
+  WebhookDispatcher,
+  signPayload,
+  isValidCallbackUrl,
+  serializeDelivery
+} = require('../lib/webhooks');
+
+describe('Webhooks', () => {
+  let server;
+  let baseUrl;
+  let received;
+  let responses;
+
+  beforeEach(async () => {
+    received = [];
+    responses = [];
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responses.shift() || 200;
+        res.end();
+      });
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  describe('signPayload', () => {
+    it('should produce an HMAC-SHA256 signature over timestamp and body', () => {
+      expect(signPayload('secret', 1700000000, '{"a":1}'))
+        .toBe('sha256=49f24e537407743fa4a0242bb63b94b9a47ee99cbbe071ccd8a22550ae411686');
+      expect(signPayload('secret', 1, 'body')).not.toBe(signPayload('other', 1, 'body'));
+    });
+  });
+
+  describe('isValidCallbackUrl', () => {
+    it('should accept only absolute http(s) URLs', () => {
+      expect(isValidCallbackUrl('https://example.com/hook')).toBe(true);
+      expect(isValidCallbackUrl('http://example.com:8080/hook')).toBe(true);
+      expect(isValidCallbackUrl('ftp://example.com/hook')).toBe(false);
+      expect(isValidCallbackUrl('/relative')).toBe(false);
+      expect(isValidCallbackUrl('not a url')).toBe(false);
+    });
+  });
+
+  describe('WebhookDispatcher', () => {
+    // The test receiver listens on a loopback address
+    it('should POST a signed payload', async () => {
+      const dispatcher = new WebhookDispatcher({ secret: 'shh', allowPrivate: true });
+
+      const delivery = dispatcher.deliver(`${baseUrl}/hook`, 'scan.completed', { id: 'job1', status: 'clean' });
+      await delivery.done;
+
+      expect(delivery.status).toBe('delivered');
+      expect(received).toHaveLength(1);
+
+      const { headers, body } = received[0];
+      expect(JSON.parse(body)).toMatchObject({
+        id: delivery.id,
+        event: 'scan.completed',
+        data: { id: 'job1', status: 'clean' }
+      });
+      expect(headers['x-avscan-event']).toBe('scan.completed');
+      expect(headers['x-avscan-delivery']).toBe(delivery.id);
+      expect(headers['x-avscan-signature']).toBe(signPayload('shh', headers['x-avscan-timestamp'], body));
+    });
+
+    it('should retry with exponential backoff until delivered', async () => {
+      responses = [500, 503];
+      const dispatcher = new WebhookDispatcher({ secret: 'shh', allowPrivate: true, retryDelay: 10 });
+
+      const delivery = dispatcher.deliver(`${baseUrl}/hook`, 'scan.completed', { id: 'job1' });
+      await delivery.done;
+
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.attempts.map((attempt) => attempt.statusCode)).toEqual([500, 503, 200]);
+      const [first, second, third] = delivery.attempts.map((attempt) => Date.parse(attempt.at));
+      expect(third - second).toBeGreaterThanOrEqual(second - first);
+    });
+
+    it('should give up after the maximum number of attempts', async () => {
+      responses = [500, 500, 500];
+      const dispatcher = new WebhookDispatcher({ secret: 'shh', allowPrivate: true, retryDelay: 5, maxAttempts: 3 });
+
+      const delivery = dispatcher.deliver(`${baseUrl}/hook`, 'scan.completed', { id: 'job1' });
+      await delivery.done;
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toHaveLength(3);
+    });
+
+    it('should not retry client errors', async () => {
+      responses = [400];
+      const dispatcher = new WebhookDispatcher({ secret: 'shh', allowPrivate: true, retryDelay: 5 });
+
+      const delivery = dispatcher.deliver(`${baseUrl}/hook`, 'scan.completed', { id: 'job1' });
+      await delivery.done;
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toHaveLength(1);
+    });
+
+    it('should record connection errors', async () => {
+      const dispatcher = new WebhookDispatcher({ secret: 'shh', allowPrivate: true, maxAttempts: 1 });
+
+      const delivery = dispatcher.deliver('http://127.0.0.1:1/hook', 'scan.completed', { id: 'job1' });
+      await delivery.done;
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts[0].error).toMatch(/ECONNREFUSED/);
+    });
+
+    it('should refuse private addresses unless allowed', async () => {
+      const dispatcher = new WebhookDispatcher({ secret: 'shh', retryDelay: 5 });
+
+      await expect(dispatcher.checkUrl(`${baseUrl}/hook`)).rejects.toThrow('"127.0.0.1" resolves to a private address (127.0.0.1)');
+      await expect(dispatcher.checkUrl('http://169.254.169.254/latest/meta-data')).rejects.toMatchObject({ code: 'URL_BLOCKED' });
+
+      const delivery = dispatcher.deliver(`${baseUrl}/hook`, 'scan.completed', { id: 'job1' });
+      await delivery.done;
+
+      // Blocked targets are not retried
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toHaveLength(1);
+      expect(delivery.attempts[0].error).toMatch(/private address/);
+      expect(received).toHaveLength(0);
+    });
+
+    it('should resolve the host on every attempt and connect to the checked address', async () => {
+      responses = [500];
+      // hooks.example.test does not exist, so the request can only reach the
+      // receiver through the checked address
+      const lookup = jest.fn().mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+      const pinned = new WebhookDispatcher({ secret: 'shh', allowPrivate: true, retryDelay: 5, lookup });
+      const hook = `http://hooks.example.test:${new URL(baseUrl).port}/hook`;
+
+      const delivered = pinned.deliver(hook, 'scan.completed', { id: 'job1' });
+      await delivered.done;
+
+      expect(delivered.status).toBe('delivered');
+      expect(lookup).toHaveBeenCalledTimes(2);
+      expect(received).toHaveLength(2);
+
+      // A host that resolves to a private address by the time of delivery is refused
+      const rebinding = jest.fn().mockResolvedValue([{ address: '10.0.0.5', family: 4 }]);
+      const dispatcher = new WebhookDispatcher({ secret: 'shh', lookup: rebinding });
+      const refused = dispatcher.deliver(hook, 'scan.completed', { id: 'job2' });
+      await refused.done;
+
+      expect(refused.status).toBe('failed');
+      expect(refused.attempts[0].error).toMatch(/private address \(10\.0\.0\.5\)/);
+    });
+
+    it('should list deliveries newest first and filter them', async () => {
+      const dispatcher = new WebhookDispatcher({ secret: 'shh', allowPrivate: true });
+
+      const first = dispatcher.deliver(`${baseUrl}/hook`, 'scan.completed', { id: 'job1' }, 'key1');
+      const second = dispatcher.deliver(`${baseUrl}/hook`, 'scan.completed', { id: 'job2' });
+      await Promise.all([first.done, second.done]);
+
+      expect(dispatcher.list().map((delivery) => delivery.id)).toEqual([second.id, first.id]);
+      expect(dispatcher.list({ scanId: 'job1' })).toEqual([first]);
+      expect(dispatcher.list({ keyId: 'key1' })).toEqual([first]);
+      expect(dispatcher.list({ keyId: 'anonymous' })).toEqual([second]);
+      expect(dispatcher.get(second.id)).toBe(second);
+      expect(serializeDelivery(first).done).toBeUndefined();
+    });
+
+    it('should keep only the most recent deliveries', async () => {
+      const dispatcher = new WebhookDispatcher({ secret: 'shh', allowPrivate: true, logSize: 2 });
+
+      const deliveries = [1, 2, 3].map((n) => dispatcher.deliver(`${baseUrl}/hook`, 'scan.completed', { id: `job${n}` }));
+      await Promise.all(deliveries.map((delivery) => delivery.done));
+
+      expect(dispatcher.list().map((delivery) => delivery.scanId)).toEqual(['job3', 'job2']);
+    });
+  });
+});